@@ -0,0 +1,2 @@
+// api/batch.js — Bulk analysis of a list or CSV of URLs; Vercel entry point for routes/batch.js
+export { default } from "../routes/batch.js";
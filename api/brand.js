@@ -0,0 +1,2 @@
+// api/brand.js — White-label profile for a report page; Vercel entry point for routes/brand.js
+export { default } from "../routes/brand.js";
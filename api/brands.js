@@ -0,0 +1,2 @@
+// api/brands.js — White-label brand registration; Vercel entry point for routes/brands.js
+export { default } from "../routes/brands.js";
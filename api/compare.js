@@ -0,0 +1,2 @@
+// api/compare.js — Competitor comparison matrix; Vercel entry point for routes/compare.js
+export { default } from "../routes/compare.js";
@@ -0,0 +1,2 @@
+// api/full/status.js — Detailed Report availability; Vercel entry point for routes/full-status.js
+export { default } from "../../routes/full-status.js";
@@ -0,0 +1,2 @@
+// api/history.js — Score and findings history for a domain; Vercel entry point for routes/history.js
+export { default } from "../routes/history.js";
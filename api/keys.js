@@ -0,0 +1,2 @@
+// api/keys.js — API key admin; Vercel entry point for routes/keys.js
+export { default } from "../routes/keys.js";
@@ -0,0 +1,2 @@
+// api/leads.js — Lead capture and CRM export; Vercel entry point for routes/leads.js
+export { default } from "../routes/leads.js";
@@ -0,0 +1,2 @@
+// api/pdf.js — Downloadable PDF report; Vercel entry point for routes/pdf.js
+export { default } from "../routes/pdf.js";
@@ -0,0 +1,2 @@
+// api/permalink.js — Report permalinks (served at /report/:id by vercel.json); Vercel entry point for routes/permalink.js
+export { default } from "../routes/permalink.js";
@@ -0,0 +1,2 @@
+// api/report-html.js — Analyze summary fragment (served at /report.html by vercel.json); Vercel entry point for routes/report-html.js
+export { default } from "../routes/report-html.js";
@@ -0,0 +1,2 @@
+// api/report/[id].js — Stored report lookup; Vercel entry point for routes/report.js
+export { default } from "../../routes/report.js";
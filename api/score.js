@@ -0,0 +1,2 @@
+// api/score.js — Score card for one page; Vercel entry point for routes/score.js
+export { default } from "../routes/score.js";
@@ -0,0 +1,162 @@
+/*
+  lib/ai-access.js — Can the AI crawlers use this page? robots.txt, llms.txt and robots directives
+  For every agent in AI_CRAWLERS, auditAiAccess() combines the robots.txt group that applies to it
+  (lib/robots.js) with the noindex / none / noai directives in <meta name="robots">, a bot-specific
+  <meta name="GPTBot"> and X-Robots-Tag (which may also be scoped: "GPTBot: noai"). It also reports
+  whether the site publishes /llms.txt. The result is the `aiAccess` matrix of every analysis and
+  feeds the access checks in lib/scoring.js and the findings.
+
+  aiAccess: { robotsTxt: { url, status, found }, llmsTxt: { url, status, found, title, links },
+              directives: { "*": [...], "<agent>": [...] }, allowed, total,
+              bots: [{ agent, operator, use, allowed, robotsTxt: "allowed"|"disallowed"|"unreachable",
+                       rule, directives }] }
+*/
+
+import { safeFetch } from "./safe-fetch.js";
+import { parseRobots, matchRule } from "./robots.js";
+
+const USER_AGENT = "Mozilla/5.0 (compatible; SnipeRankBot/1.0)";
+const MAX_FILE_BYTES = 512 * 1024; // RFC 9309 asks crawlers to read at least 500 KiB of robots.txt
+
+export const AI_CRAWLERS = [
+  { agent: "GPTBot", operator: "OpenAI", use: "ChatGPT model training" },
+  { agent: "ClaudeBot", operator: "Anthropic", use: "Claude model training" },
+  { agent: "PerplexityBot", operator: "Perplexity", use: "Perplexity answer index" },
+  { agent: "Google-Extended", operator: "Google", use: "Gemini training and grounding" },
+  { agent: "CCBot", operator: "Common Crawl", use: "Open web corpus many models are trained on" },
+  { agent: "Bingbot", operator: "Microsoft", use: "Bing index behind Copilot and ChatGPT search" }
+];
+
+// Directives that keep a crawler from using the page; "noimageai" only covers images.
+const BLOCKING = ["noindex", "none", "noai"];
+// X-Robots-Tag directives that carry a value, so "max-snippet: 50" isn't read as an agent prefix.
+const VALUED = /^(max-snippet|max-image-preview|max-video-preview|unavailable_after)$/i;
+
+// <meta name> values read for directives (lib/page-signals.js).
+export const DIRECTIVE_META_NAMES = ["robots", ...AI_CRAWLERS.map(c => c.agent.toLowerCase())];
+
+/* ---------- SITE FILES ---------- */
+/*
+  robots.txt as crawlers read it: 200 is parsed and a 4xx means no rules. A 5xx is "unreachable",
+  which RFC 9309 crawlers treat as disallow-all (lib/crawler.js checks `unreachable`; `parsed` is
+  empty then). A fetch that fails outright is reported as no robots.txt (status null).
+*/
+export async function fetchRobotsTxt(origin, { timeout = 10000 } = {}) {
+  const url = `${origin}/robots.txt`;
+  try {
+    const resp = await fetchText(url, timeout);
+    const found = resp.status === 200;
+    return { url, status: resp.status, found, unreachable: resp.status >= 500, parsed: parseRobots(found ? resp.data : "") };
+  } catch {
+    return { url, status: null, found: false, unreachable: false, parsed: parseRobots("") };
+  }
+}
+
+// /llms.txt (llmstxt.org): a markdown file, so an HTML page served for every path doesn't count.
+export async function fetchLlmsTxt(origin, { timeout = 10000 } = {}) {
+  const url = `${origin}/llms.txt`;
+  try {
+    const resp = await fetchText(url, timeout);
+    const text = String(resp.data || "");
+    const html = /html/i.test(String(resp.headers["content-type"] || "")) || /^\s*</.test(text);
+    if (resp.status !== 200 || html || !text.trim()) return { url, status: resp.status, found: false, title: null, links: 0 };
+    return { url, status: resp.status, found: true, ...parseLlmsTxt(text) };
+  } catch {
+    return { url, status: null, found: false, title: null, links: 0 };
+  }
+}
+
+// The H1 title and the number of markdown links; also checks generated drafts (lib/fix-artifacts.js).
+export function parseLlmsTxt(text) {
+  return {
+    title: (String(text).match(/^#\s+(.+)$/m)?.[1] || "").trim() || null,
+    links: (String(text).match(/\[[^\]]*\]\([^)\s]+\)/g) || []).length
+  };
+}
+
+// Both site-wide files for a page's origin, fetched once per analysis or crawl.
+export async function fetchSiteFiles(pageUrl, { timeout = 10000 } = {}) {
+  const { origin } = new URL(pageUrl);
+  const [robotsTxt, llmsTxt] = await Promise.all([fetchRobotsTxt(origin, { timeout }), fetchLlmsTxt(origin, { timeout })]);
+  return { robotsTxt, llmsTxt };
+}
+
+function fetchText(url, timeout) {
+  return safeFetch(url, {
+    headers: { "User-Agent": USER_AGENT },
+    timeout,
+    accept: "text",
+    maxBytes: MAX_FILE_BYTES,
+    validateStatus: () => true
+  });
+}
+
+/* ---------- DIRECTIVES ---------- */
+/*
+  { "*": ["noindex", ...], "gptbot": ["noai"] } from meta tags ([{ name, content }], name lowercased;
+  "robots" applies to everyone) and an X-Robots-Tag value, where "GPTBot: noai, noindex" scopes the
+  directives after it to that agent.
+*/
+export function robotsDirectives(metaTags = [], xRobotsTag = "") {
+  const out = {};
+  const add = (agent, directive) => {
+    const key = agent === "robots" ? "*" : agent;
+    const value = directive.trim().toLowerCase().replace(/\s*:\s*/, ":");
+    if (!value) return;
+    out[key] = [...new Set([...(out[key] || []), value])];
+  };
+  for (const { name, content } of metaTags) {
+    String(content || "").split(",").forEach(d => add(name, d));
+  }
+  let agent = "*";
+  for (const token of String(xRobotsTag || "").split(",")) {
+    const scoped = token.match(/^\s*([\w-]+)\s*:\s*(.*)$/);
+    if (scoped && !VALUED.test(scoped[1])) {
+      agent = scoped[1].toLowerCase();
+      add(agent, scoped[2]);
+    } else {
+      add(agent, token);
+    }
+  }
+  return out;
+}
+
+/* ---------- AUDIT ---------- */
+// `signals` needs url and robotsDirectives (lib/page-signals.js); `site` is fetchSiteFiles()'s result.
+export function auditAiAccess(signals, site) {
+  const { pathname, search } = new URL(signals.url);
+  const directives = signals.robotsDirectives || {};
+  const bots = AI_CRAWLERS.map(({ agent, operator, use }) => {
+    const applied = [...(directives["*"] || []), ...(directives[agent.toLowerCase()] || [])].filter(d => BLOCKING.includes(d));
+    let robotsTxt = "allowed";
+    let rule = null;
+    if (site.robotsTxt.unreachable) {
+      robotsTxt = "unreachable";
+      rule = `robots.txt answered HTTP ${site.robotsTxt.status}`;
+    } else {
+      const match = matchRule(site.robotsTxt.parsed, agent, pathname + search);
+      if (!match.allow) robotsTxt = "disallowed";
+      if (match.rule) rule = `User-agent: ${match.agent} → ${match.rule.allow ? "Allow" : "Disallow"}: ${match.rule.path}`;
+    }
+    return { agent, operator, use, allowed: robotsTxt === "allowed" && !applied.length, robotsTxt, rule, directives: [...new Set(applied)] };
+  });
+  return {
+    robotsTxt: { url: site.robotsTxt.url, status: site.robotsTxt.status, found: site.robotsTxt.found },
+    llmsTxt: site.llmsTxt,
+    directives,
+    allowed: bots.filter(b => b.allowed).length,
+    total: bots.length,
+    bots
+  };
+}
+
+// One line per blocked crawler, for finding evidence and the Detailed Report prompt.
+export function blockedReasons(aiAccess) {
+  return aiAccess.bots.filter(b => !b.allowed).map(b => {
+    const why = [
+      b.robotsTxt !== "allowed" && (b.rule || "robots.txt"),
+      b.directives.length && `${b.directives.join(", ")} directive`
+    ].filter(Boolean);
+    return `${b.agent}: ${why.join("; ")}`;
+  });
+}
@@ -0,0 +1,186 @@
+/*
+  lib/analysis.js — The free page analysis, and what both analysis pipelines share
+  analyzeWebsite() runs one page through the deterministic checks: score and pillars from
+  lib/scoring.js, evidence-backed findings from lib/findings.js and, when a Detailed Report probed
+  the domain recently, its engine visibility (lib/visibility.js); it never calls an engine itself.
+  It resolves the same body as the Detailed Report (lib/full-report.js):
+  { success, url, score, pillars, highlights, checks, whatsWorking, needsAttention, engineInsights,
+    visibility, aiAccess, structuredData, rendering, report, meta: { kind, mode, reason?, analyzedAt,
+    cache? } } — see "Response contract" in the README. A page that can't be fetched gives
+  success: false and score: null. `render` scores the page as a headless browser renders it.
+*/
+
+import { safeFetch } from "./safe-fetch.js";
+import { collectSignals } from "./page-signals.js";
+import { scoreSignals } from "./scoring.js";
+import { buildFindings } from "./findings.js";
+import { discoverSitemap } from "./crawler.js";
+import { fetchSiteFiles } from "./ai-access.js";
+import { renderAvailable, renderPage, compareRendering } from "./headless.js";
+import { recentProbe, visibilityInsights } from "./visibility.js";
+import { saveReport } from "./report-store.js";
+import { cached } from "./cache.js";
+import { JOB_STAGES } from "./jobs.js";
+import { summaryHtml } from "../public/scripts/render.js";
+
+const USER_AGENT = "Mozilla/5.0 (compatible; SnipeRankBot/1.0)";
+
+export async function fetchPage(url) {
+  const response = await safeFetch(url, {
+    timeout: 10000,
+    headers: { "User-Agent": USER_AGENT },
+    validateStatus: status => status < 500
+  });
+  return { html: String(response.data || ""), status: response.status, headers: response.headers };
+}
+
+// The page plus its site's robots.txt and llms.txt, so the AI crawler checks can score it.
+export async function pageSignals(url) {
+  const [page, site] = await Promise.all([fetchPage(url), fetchSiteFiles(url)]);
+  return collectSignals(page.html, { url, status: page.status, headers: page.headers, site });
+}
+
+/*
+  Signals for a fetched page. With `render`, they describe the DOM after JavaScript (lib/headless.js)
+  and signals.rendering says what the raw HTML lacks; without it, signals.rendering is null. A
+  browser that isn't configured or fails leaves the raw signals, with rendering.status saying why.
+*/
+export async function signalsFor(page, { url, site, render = false }) {
+  const options = { url, status: page.status, headers: page.headers, site };
+  const raw = collectSignals(page.html, options);
+  if (!render) return Object.assign(raw, { rendering: null });
+  const browser = renderAvailable();
+  if (!browser.available) return Object.assign(raw, { rendering: { status: "unavailable", reason: browser.reason } });
+  try {
+    const rendered = await renderPage(url);
+    const signals = collectSignals(rendered.html, options);
+    return Object.assign(signals, { rendering: { ...compareRendering(raw, signals), durationMs: rendered.durationMs } });
+  } catch (err) {
+    const reason = err?.name === "TimeoutError" ? "timeout" : err?.code || String(err?.message || "error").split("\n")[0].slice(0, 160);
+    return Object.assign(raw, { rendering: { status: "failed", reason } });
+  }
+}
+
+// Same keys as metrics.technical in the Detailed Report and the comparison matrix.
+export function technicalMetrics(signals) {
+  return {
+    imagesWithAlt: signals.imagesWithAlt,
+    totalImages: signals.images,
+    internalLinks: signals.internalLinks,
+    hasSchema: signals.hasSchema,
+    metaDescription: !!signals.metaDescription
+  };
+}
+
+// Why a fetch failed, for meta.reason and error bodies: the HTTP status or the error code.
+export function failureReason(err) {
+  return String(err?.response?.status || err?.code || "error");
+}
+
+// `stage` reports progress when this runs as a job (lib/jobs.js JOB_STAGES.analyze).
+export async function analyzeWebsite(url, { stage = () => {}, render = false } = {}) {
+  const meta = { kind: "analyze", mode: "checks", analyzedAt: new Date().toISOString() };
+  try {
+    stage("fetch", "running");
+    const [page, { site, sitemap }] = await Promise.all([
+      fetchPage(url),
+      fetchSiteFiles(url).then(async site => ({
+        site,
+        sitemap: await discoverSitemap(url, { robots: site.robotsTxt.parsed }).catch(() => ({ urls: [], lastmod: {} }))
+      }))
+    ]);
+    stage("fetch", "done");
+    stage("checks", "running");
+    const signals = await signalsFor(page, { url, site, render });
+    const sitemapLastmod = sitemap.lastmod[signals.url] || sitemap.lastmod[signals.url.replace(/\/$/, "")] || null;
+    stage("checks", "done");
+    const visibility = recentProbe(url);
+    stage("engines", visibility ? "done" : "skipped", { detail: visibility ? "from a recent Detailed Report" : "measured in the Detailed Report" });
+    const engineInsights = visibility ? visibilityInsights(visibility) : [];
+    if (!engineInsights.length) {
+      engineInsights.push({ engine: "AI Engine", insight: "AI engine visibility wasn't measured for this page. The Detailed Report asks ChatGPT, Claude, Gemini and Perplexity about your site.", mentionRate: null });
+    }
+
+    const { score, pillars, highlights, checks } = scoreSignals(signals);
+    return { success: true, url, score, pillars, highlights, checks, ...buildFindings(signals, { sitemapLastmod }), engineInsights, visibility, aiAccess: signals.aiAccess, structuredData: signals.structuredData, rendering: signals.rendering, meta };
+  } catch (error) {
+    // Nothing was fetched, so the only honest finding is the failure itself.
+    const reason = failureReason(error);
+    return {
+      success: false,
+      url,
+      score: null,
+      pillars: null,
+      highlights: [],
+      checks: null,
+      whatsWorking: [],
+      needsAttention: [
+        { id: "analysis-connection", title: "Analysis Connection Issue", priority: "High", pillar: "access", description: "We couldn't fetch this page, so no on-page checks were run.", evidence: `Fetch failed: ${error?.response?.status || error?.code || error?.message || "error"}`, solution: "Confirm the URL loads publicly without a login, firewall or bot challenge, then re-run the analysis.", impact: "AI crawlers that hit the same block can't read your site either." }
+      ],
+      engineInsights: [{ engine: "AI Engine", insight: "AI engine visibility wasn't measured because the page couldn't be fetched.", mentionRate: null }],
+      visibility: null,
+      aiAccess: null,
+      structuredData: null,
+      rendering: null,
+      meta: { ...meta, mode: "fallback", reason }
+    };
+  }
+}
+
+// Saves a finished report for its permalink; a storage failure shouldn't cost the client their result.
+export async function persistReport(kind, url, body, brand) {
+  try {
+    const { id } = await saveReport(kind, url, body, { brand: brand?.whiteLabel ? brand.id : undefined });
+    return { id, permalink: `/report/${id}` };
+  } catch (err) {
+    console.error("Report save failed:", err.message);
+    return null;
+  }
+}
+
+/* ---------- CACHED RUNS ---------- */
+// Saved reports carry their brand, so cached runs are kept apart per white-label brand.
+export const brandVariant = brand => (brand?.whiteLabel ? brand.id : "");
+// Rendered runs are cached apart from raw ones; raw keys stay as they were before rendering existed.
+export const renderVariant = render => (render ? "|render" : "");
+// A render that failed fell back to the raw page; the next request should try the browser again.
+export const renderFailed = body => body.rendering?.status === "failed";
+
+// A cached result skips every stage of a job's progress at once.
+export function markCached(stage, kind, cache) {
+  if (cache.status === "hit") JOB_STAGES[kind].forEach(s => stage(s.id, "skipped", { detail: "cached" }));
+}
+
+// The unsaved analysis behind GET /api/friendly; fetch failures aren't cached.
+export async function analyzeCached(url, { refresh, render = false } = {}) {
+  const { value, cache } = await cached("analysis", url, renderVariant(render), () => analyzeWebsite(url, { render }), { refresh, shouldCache: body => body.success && !renderFailed(body) });
+  return { ...value, report: null, meta: { ...value.meta, cache } };
+}
+
+/*
+  The analysis saved with its rendered summary (`html`, what GET /report.html serves), once per cache
+  window, so /analyze.html?id= can replay exactly this view. Resolves the body with `report` (id + permalink) and meta.cache.
+  A page that couldn't be fetched isn't saved (report: null), so it gets no permalink or history entry.
+*/
+export async function analyzeAndSave(url, { brand, refresh, render = false, stage = () => {} } = {}) {
+  const { value, cache } = await cached("analyze-report", url, brandVariant(brand) + renderVariant(render), async () => {
+    const body = await analyzeWebsite(url, { stage, render });
+    const stored = { ...body, html: summaryHtml(body) };
+    if (!body.success) {
+      stage("scoring", "skipped", { detail: "fetch failed" });
+      return { ...stored, report: null };
+    }
+    stage("scoring", "running");
+    const report = await persistReport("analyze", url, stored, brand);
+    stage("scoring", "done");
+    return { ...stored, report };
+  }, { refresh, shouldCache: body => body.success && !renderFailed(body) });
+  markCached(stage, "analyze", cache);
+  return { ...value, meta: { ...value.meta, cache } };
+}
+
+// Score card only (GET /api/score): score, pillars, highlights and every check.
+export async function scoreCached(url, { refresh } = {}) {
+  const { value, cache } = await cached("score", url, "", async () => scoreSignals(await pageSignals(url)), { refresh });
+  return { ...value, cache };
+}
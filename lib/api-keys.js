@@ -0,0 +1,144 @@
+/*
+  lib/api-keys.js — Issued API keys for the paid tiers, with per-key daily quotas
+  Clients send the key as X-API-Key. Keys start with "srk_" (brand keys from lib/brands.js start with
+  "sr_" and are not quota keys) and are stored only as a SHA-256 hash, so the key itself is shown
+  once, when it is created. Usage is counted per key, per UTC day and per bucket ("scan" for the
+  free-tier analyses, "full" for LLM-backed Detailed Reports) in lib/limit-store.js.
+
+  Key: { id, name, email, tier, quota: { scan, full } | null, prefix, createdAt, revokedAt, lastUsedAt }
+  `quota` overrides the tier's daily limits for that key.
+*/
+
+import crypto from "node:crypto";
+import { limitStore } from "./limit-store.js";
+
+export const KEY_PREFIX = "srk_";
+export const LIMIT_BUCKETS = ["scan", "full"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USAGE_KEEP_DAYS = 35;
+const ID_RE = /^[A-Za-z0-9_-]{16}$/;
+
+// Daily limits per tier; the tiers match the pricing section on index.html.
+export const TIERS = {
+  detailed: { label: "Detailed Report", daily: { scan: Number(process.env.QUOTA_DETAILED_SCANS) || 100, full: Number(process.env.QUOTA_DETAILED_FULL) || 20 } },
+  pro: { label: "Pro", daily: { scan: Number(process.env.QUOTA_PRO_SCANS) || 2000, full: Number(process.env.QUOTA_PRO_FULL) || 300 } }
+};
+
+const hashKey = key => crypto.createHash("sha256").update(String(key)).digest("hex");
+const today = () => new Date().toISOString().slice(0, 10);
+const usageKey = (id, day, bucket) => `usage:${id}:${day}:${bucket}`;
+
+/* ---------- VALIDATION ---------- */
+// Returns a list of problems; empty when the key can be issued.
+export function validateApiKeyInput(input) {
+  const errors = [];
+  const name = String(input?.name || "").trim();
+  if (!name) errors.push("name is required");
+  if (input?.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(input.email))) errors.push("email must be a valid address");
+  if (!TIERS[input?.tier]) errors.push(`tier must be one of ${Object.keys(TIERS).join(", ")}`);
+  for (const bucket of Object.keys(input?.quota || {})) {
+    const n = input.quota[bucket];
+    if (!LIMIT_BUCKETS.includes(bucket)) errors.push(`quota.${bucket} is not a quota bucket`);
+    else if (!Number.isInteger(n) || n < 0) errors.push(`quota.${bucket} must be a whole number`);
+  }
+  return errors;
+}
+
+/* ---------- PUBLIC API ---------- */
+// The raw key is only in the result of this call; resolves { key, apiKey } or { errors }.
+export async function createApiKey(input) {
+  const errors = validateApiKeyInput(input);
+  if (errors.length) return { errors };
+  const apiKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  const key = {
+    id: crypto.randomBytes(12).toString("base64url"),
+    name: String(input.name).trim().slice(0, 80),
+    email: String(input.email || "").trim().slice(0, 200),
+    tier: input.tier,
+    quota: input.quota ? Object.fromEntries(LIMIT_BUCKETS.filter(b => input.quota[b] !== undefined).map(b => [b, input.quota[b]])) : null,
+    prefix: apiKey.slice(0, KEY_PREFIX.length + 6),
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    lastUsedAt: null
+  };
+  const record = { ...key, keyHash: hashKey(apiKey) };
+  const store = limitStore();
+  await store.set(`key:${key.id}`, record);
+  await store.set(`hash:${record.keyHash}`, key.id);
+  return { key: publicKey(record), apiKey };
+}
+
+// The key behind a raw X-API-Key value (revoked keys included; callers check revokedAt), or null.
+export async function findApiKey(apiKey) {
+  if (!String(apiKey || "").startsWith(KEY_PREFIX)) return null;
+  const store = limitStore();
+  const id = await store.get(`hash:${hashKey(apiKey)}`);
+  const record = id && await store.get(`key:${id}`);
+  return record ? publicKey(record) : null;
+}
+
+export async function getApiKey(id) {
+  if (!ID_RE.test(String(id || ""))) return null;
+  const record = await limitStore().get(`key:${id}`);
+  return record ? publicKey(record) : null;
+}
+
+export async function listApiKeys() {
+  const store = limitStore();
+  const records = await Promise.all((await store.keys("key:")).map(k => store.get(k)));
+  return records.filter(Boolean).map(publicKey).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Revoking is immediate and permanent; the record stays for its usage history.
+export async function revokeApiKey(id) {
+  const store = limitStore();
+  const record = ID_RE.test(String(id || "")) && await store.get(`key:${id}`);
+  if (!record) return null;
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await store.set(`key:${id}`, record);
+  }
+  return publicKey(record);
+}
+
+export function dailyQuota(key, bucket) {
+  return key.quota?.[bucket] ?? TIERS[key.tier]?.daily[bucket] ?? 0;
+}
+
+/*
+  Counts `cost` units of today's `bucket` quota for `key`. Resolves { allowed, limit, remaining, resetAt };
+  a request over the quota isn't counted.
+*/
+export async function consumeQuota(key, bucket, cost = 1) {
+  const store = limitStore();
+  const limit = dailyQuota(key, bucket);
+  const counter = usageKey(key.id, today(), bucket);
+  let { count } = await store.incr(counter, cost, USAGE_KEEP_DAYS * DAY_MS);
+  const allowed = count <= limit;
+  if (!allowed) ({ count } = await store.incr(counter, -cost, USAGE_KEEP_DAYS * DAY_MS));
+  const resetAt = new Date(Date.parse(today()) + DAY_MS).toISOString();
+  if (allowed) {
+    const record = await store.get(`key:${key.id}`);
+    if (record) await store.set(`key:${key.id}`, { ...record, lastUsedAt: new Date().toISOString() });
+  }
+  return { allowed, limit, remaining: Math.max(0, limit - count), resetAt };
+}
+
+// Per-day usage for the last `days` days, newest first: [{ date, scan, full }].
+export async function keyUsage(id, { days = 30 } = {}) {
+  const store = limitStore();
+  const rows = [];
+  for (let i = 0; i < Math.min(days, USAGE_KEEP_DAYS); i++) {
+    const date = new Date(Date.now() - i * DAY_MS).toISOString().slice(0, 10);
+    const row = { date };
+    for (const bucket of LIMIT_BUCKETS) row[bucket] = (await store.get(usageKey(id, date, bucket))) || 0;
+    rows.push(row);
+  }
+  return rows;
+}
+
+// The record without its hash, with the effective daily limits; safe to return to the admin.
+function publicKey(record) {
+  const { keyHash, ...key } = record;
+  return { ...key, daily: Object.fromEntries(LIMIT_BUCKETS.map(b => [b, dailyQuota(key, b)])) };
+}
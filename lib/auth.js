@@ -0,0 +1,20 @@
+/*
+  lib/auth.js — Shared-secret checks for admin endpoints
+  Admin routes (brand registration, lead listing) take "Authorization: Bearer <token>" and compare
+  it with a token from the environment; an unset token disables the route instead of opening it.
+*/
+
+import crypto from "node:crypto";
+
+const digest = value => crypto.createHash("sha256").update(String(value)).digest();
+
+export function bearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(String(req.headers.authorization || ""));
+  return match ? match[1].trim() : "";
+}
+
+// Constant-time comparison of the request's bearer token with `expected`.
+export function hasBearer(req, expected) {
+  const given = bearerToken(req);
+  return !!expected && !!given && crypto.timingSafeEqual(digest(given), digest(expected));
+}
@@ -0,0 +1,164 @@
+/*
+  lib/batch.js — Bulk analysis of many URLs with bounded concurrency
+  A batch is one JSON file in BATCHES_DIR (default ./data/batches), rewritten as each item
+  finishes so progress can be polled. The caller supplies the analysis for one URL (the analyze
+  or full pipeline) and this module only schedules it, records results and exports them.
+  BATCH_MAX_URLS caps a batch (default 100); BATCH_CONCURRENCY is the number of URLs analyzed at
+  once (default 3), so one large upload can't starve the engines or the target sites.
+
+  Batch: { id, mode: "analyze"|"full", status: "queued"|"running"|"done", brand, createdAt, updatedAt,
+           items: [{ url, status: "queued"|"running"|"done"|"failed", score, pillars, issues,
+                     topIssues: [{ title, priority, pillar }], reportId, error, startedAt, finishedAt }] }
+*/
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { reportView } from "./pdf-report.js";
+import { PILLARS } from "./scoring.js";
+import { PRIORITIES } from "./findings.js";
+import { toCsv } from "./csv.js";
+
+const BATCHES_DIR = process.env.BATCHES_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "batches");
+const ID_RE = /^[A-Za-z0-9_-]{16}$/;
+const TOP_ISSUES = 5;
+
+export const MAX_BATCH_URLS = Number(process.env.BATCH_MAX_URLS) || 100;
+export const BATCH_CONCURRENCY = Math.max(1, Number(process.env.BATCH_CONCURRENCY) || 3);
+export const BATCH_MODES = ["analyze", "full"];
+
+/* ---------- INPUT ---------- */
+/*
+  Accepts an array of URLs or CSV/newline text (an exported spreadsheet column works as-is):
+  the first cell on each row that looks like a site is used and https:// is added when the scheme
+  is missing. In text, a first row without a site is a header and skipped; any other row without
+  one is reported. Returns { urls, invalid } with duplicates removed.
+*/
+export function parseBatchUrls(input) {
+  const csv = !Array.isArray(input);
+  const rows = csv
+    ? String(input || "").split(/\r?\n/).map(line => line.split(/[,;\t]/))
+    : input.map(v => [String(v ?? "")]);
+  const urls = [];
+  const invalid = [];
+  let firstRow = true;
+  for (const row of rows) {
+    const cells = row.map(c => c.trim().replace(/^"|"$/g, "").trim());
+    if (!cells.some(Boolean)) continue; // blank line, or an empty spreadsheet row
+    const header = csv && firstRow;
+    firstRow = false;
+    const cell = cells.find(c => /^(https?:\/\/)?[^\s/]+\.[^\s]+$/i.test(c));
+    if (!cell) {
+      if (!header) invalid.push(row.join(",").trim());
+      continue;
+    }
+    try {
+      const url = new URL(/^https?:\/\//i.test(cell) ? cell : `https://${cell}`);
+      if (!urls.includes(url.href)) urls.push(url.href);
+    } catch {
+      invalid.push(cell);
+    }
+  }
+  return { urls, invalid };
+}
+
+/* ---------- STORAGE ---------- */
+async function writeBatch(batch) {
+  batch.updatedAt = new Date().toISOString();
+  await fs.mkdir(BATCHES_DIR, { recursive: true });
+  const file = path.join(BATCHES_DIR, `${batch.id}.json`);
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(batch));
+  await fs.rename(`${file}.tmp`, file);
+  return batch;
+}
+
+export async function createBatch({ urls, mode = "analyze", brand }) {
+  return writeBatch({
+    id: crypto.randomBytes(12).toString("base64url"),
+    mode,
+    status: "queued",
+    brand: brand || null,
+    createdAt: new Date().toISOString(),
+    items: urls.map(url => ({
+      url, status: "queued", score: null, pillars: null, issues: null, topIssues: [],
+      reportId: null, error: null, startedAt: null, finishedAt: null
+    }))
+  });
+}
+
+export async function loadBatch(id) {
+  if (!ID_RE.test(String(id || ""))) return null;
+  try {
+    return JSON.parse(await fs.readFile(path.join(BATCHES_DIR, `${id}.json`), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+export function batchProgress(batch) {
+  const counts = { queued: 0, running: 0, done: 0, failed: 0 };
+  for (const item of batch.items) counts[item.status]++;
+  const finished = counts.done + counts.failed;
+  return { total: batch.items.length, ...counts, percent: batch.items.length ? Math.round((finished / batch.items.length) * 100) : 100 };
+}
+
+/* ---------- RUNNING ---------- */
+// What a batch keeps from one analysis: the score card and the highest-priority issues.
+function summarize(url, { kind, report, reportId }) {
+  const view = reportView({ kind, url, report });
+  const topIssues = [...view.opportunities]
+    .sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority))
+    .slice(0, TOP_ISSUES)
+    .map(({ title, priority, pillar }) => ({ title, priority, pillar }));
+  return { score: view.score, pillars: view.pillars, issues: view.opportunities.length, topIssues, reportId: reportId || null };
+}
+
+/*
+  Runs every queued item through `analyze(url)`, which resolves { kind, report, reportId } or
+  throws; resolves the finished batch. Items run BATCH_CONCURRENCY at a time and one failure
+  only fails that item. Progress writes are chained so concurrent items never race on the file.
+*/
+export async function runBatch(batch, analyze, { concurrency = BATCH_CONCURRENCY } = {}) {
+  let saving = Promise.resolve();
+  const save = () => (saving = saving.then(() => writeBatch(batch)).catch(err => console.error("Batch write failed:", err.message)));
+
+  batch.status = "running";
+  await save();
+  const queue = batch.items.filter(item => item.status === "queued" || item.status === "running");
+  const worker = async () => {
+    for (let item = queue.shift(); item; item = queue.shift()) {
+      Object.assign(item, { status: "running", startedAt: new Date().toISOString() });
+      save();
+      try {
+        Object.assign(item, summarize(item.url, await analyze(item.url)), { status: "done", error: null });
+      } catch (err) {
+        Object.assign(item, { status: "failed", error: String(err?.message || err?.code || "error") });
+      }
+      item.finishedAt = new Date().toISOString();
+      save();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+  batch.status = "done";
+  await save();
+  return batch;
+}
+
+/* ---------- EXPORT ---------- */
+export function batchToCsv(batch) {
+  const header = ["url", "status", "score", ...Object.values(PILLARS), "issues", "topIssues", "reportId", "error"];
+  const rows = batch.items.map(item => [
+    item.url,
+    item.status,
+    item.score,
+    ...Object.keys(PILLARS).map(k => item.pillars?.[k]),
+    item.issues,
+    item.topIssues.map(i => `[${i.priority}] ${i.title}`).join("; "),
+    item.reportId,
+    item.error
+  ]);
+  return toCsv([header, ...rows]);
+}
@@ -0,0 +1,162 @@
+/*
+  lib/brands.js — White-label brand profiles for agency reports
+  Profiles live in BRANDS_FILE (default ./data/brands.json). A request picks its brand by, in order:
+  its API key (X-API-Key, stored only as a SHA-256 hash), ?brand=<id>, or the host the page is served
+  from (a custom domain in `hosts`, or `<subdomain>.` in front of any domain). Anything else gets
+  DEFAULT_BRAND, so existing pages keep the SnipeRank / quontora look.
+
+  Profile: { id, name, company, website, logoUrl, colors: { primary, accent },
+             cta: { label, url }, footerText, email: { fromName, replyTo }, hosts, subdomain }
+*/
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { hasBearer } from "./auth.js";
+
+const BRANDS_FILE = process.env.BRANDS_FILE
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "brands.json");
+const ID_RE = /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/;
+const COLOR_RE = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const HOST_RE = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+export const DEFAULT_BRAND = {
+  id: "sniperank",
+  name: "SnipeRank",
+  company: "quontora",
+  website: "https://quontora.com",
+  logoUrl: "",
+  colors: { primary: "#3182CE", accent: "#dc3545" },
+  cta: { label: "Schedule Free Consultation", url: "https://calendly.com/quontora" },
+  footerText: "SnipeRank by quontora",
+  email: { fromName: "SnipeRank", replyTo: "" },
+  hosts: [],
+  subdomain: ""
+};
+
+const hashKey = key => crypto.createHash("sha256").update(String(key)).digest("hex");
+
+/* ---------- STORAGE ---------- */
+async function readBrands() {
+  try {
+    return JSON.parse(await fs.readFile(BRANDS_FILE, "utf8")).brands || [];
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+async function writeBrands(brands) {
+  await fs.mkdir(path.dirname(BRANDS_FILE), { recursive: true });
+  await fs.writeFile(`${BRANDS_FILE}.tmp`, JSON.stringify({ brands }, null, 2));
+  await fs.rename(`${BRANDS_FILE}.tmp`, BRANDS_FILE);
+}
+
+/* ---------- VALIDATION ---------- */
+const isHttpUrl = v => { try { return /^https?:$/.test(new URL(v).protocol); } catch { return false; } };
+
+// Returns a list of problems; empty when the profile can be saved.
+export function validateBrand(input) {
+  const errors = [];
+  if (!ID_RE.test(String(input?.id || ""))) errors.push("id must be 1-40 lowercase letters, digits or dashes");
+  if (input?.id === DEFAULT_BRAND.id) errors.push(`id "${DEFAULT_BRAND.id}" is reserved`);
+  if (!String(input?.name || "").trim()) errors.push("name is required");
+  for (const key of ["website", "logoUrl"]) {
+    if (input?.[key] && !isHttpUrl(input[key])) errors.push(`${key} must be an http(s) URL`);
+  }
+  if (input?.cta?.url && !isHttpUrl(input.cta.url) && !/^mailto:/i.test(input.cta.url)) errors.push("cta.url must be an http(s) or mailto: URL");
+  for (const key of ["primary", "accent"]) {
+    if (input?.colors?.[key] && !COLOR_RE.test(input.colors[key])) errors.push(`colors.${key} must be a hex color like #1a2b3c`);
+  }
+  if (input?.hosts && (!Array.isArray(input.hosts) || input.hosts.some(h => !HOST_RE.test(String(h).toLowerCase())))) errors.push("hosts must be a list of hostnames");
+  if (input?.subdomain && !ID_RE.test(input.subdomain)) errors.push("subdomain must be a single DNS label");
+  return errors;
+}
+
+// Only the fields a profile may carry; everything else in the request body is ignored.
+function pickProfile(input) {
+  const text = (v, max = 200) => String(v ?? "").trim().slice(0, max);
+  return {
+    id: input.id,
+    name: text(input.name, 80),
+    company: text(input.company || input.name, 80),
+    website: text(input.website, 500),
+    logoUrl: text(input.logoUrl, 500),
+    colors: { primary: input.colors?.primary || DEFAULT_BRAND.colors.primary, accent: input.colors?.accent || DEFAULT_BRAND.colors.accent },
+    cta: { label: text(input.cta?.label || DEFAULT_BRAND.cta.label, 80), url: text(input.cta?.url, 500) },
+    footerText: text(input.footerText || input.company || input.name, 300),
+    email: { fromName: text(input.email?.fromName || input.name, 80), replyTo: text(input.email?.replyTo, 200) },
+    hosts: (input.hosts || []).map(h => String(h).toLowerCase()),
+    subdomain: text(input.subdomain, 40).toLowerCase()
+  };
+}
+
+/* ---------- PUBLIC API ---------- */
+/*
+  Creates a profile or replaces an existing one with the same id (send every field on update).
+  A new profile gets an API key, returned once; pass rotateKey to replace an existing one. Resolves { brand, apiKey } (apiKey null when unchanged).
+*/
+export async function saveBrand(input, { rotateKey = false } = {}) {
+  const errors = validateBrand(input);
+  if (errors.length) {
+    const err = new Error(errors.join("; "));
+    err.code = "invalid_brand";
+    err.details = errors;
+    throw err;
+  }
+  const brands = await readBrands();
+  const existing = brands.find(b => b.id === input.id);
+  const apiKey = !existing || rotateKey ? `sr_${crypto.randomBytes(24).toString("base64url")}` : null;
+  const brand = {
+    ...pickProfile(input),
+    apiKeyHash: apiKey ? hashKey(apiKey) : existing.apiKeyHash,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  await writeBrands([...brands.filter(b => b.id !== brand.id), brand]);
+  return { brand: publicBrand(brand), apiKey };
+}
+
+// The profile without its key hash, filled in from DEFAULT_BRAND; safe to send to browsers.
+export function publicBrand(brand) {
+  const { apiKeyHash, createdAt, updatedAt, ...profile } = brand || DEFAULT_BRAND;
+  return {
+    ...DEFAULT_BRAND,
+    ...profile,
+    colors: { ...DEFAULT_BRAND.colors, ...profile.colors },
+    cta: { ...DEFAULT_BRAND.cta, ...profile.cta },
+    email: { ...DEFAULT_BRAND.email, ...profile.email },
+    whiteLabel: profile.id !== DEFAULT_BRAND.id
+  };
+}
+
+export async function getBrand(id) {
+  if (!id || id === DEFAULT_BRAND.id) return publicBrand(DEFAULT_BRAND);
+  const brand = (await readBrands()).find(b => b.id === id);
+  return brand ? publicBrand(brand) : null;
+}
+
+// API key first, then an explicit ?brand=, then the page's host; DEFAULT_BRAND when nothing matches.
+export async function resolveBrand({ apiKey, brand, host } = {}) {
+  const brands = await readBrands();
+  const hostname = String(host || "").toLowerCase().replace(/:\d+$/, "");
+  const match = (apiKey && brands.find(b => b.apiKeyHash === hashKey(apiKey)))
+    || (brand && brands.find(b => b.id === brand))
+    || (hostname && brands.find(b => b.hosts?.includes(hostname)))
+    || (hostname.split(".").length > 2 && brands.find(b => b.subdomain && hostname.startsWith(`${b.subdomain}.`)));
+  return publicBrand(match || DEFAULT_BRAND);
+}
+
+// Express and Vercel requests alike: the page host comes from Origin on cross-site calls, Host otherwise.
+export function brandFromRequest(req) {
+  const origin = req.headers.origin;
+  let host = req.headers.host;
+  if (origin) { try { host = new URL(origin).host; } catch { /* keep Host */ } }
+  return resolveBrand({ apiKey: req.headers["x-api-key"], brand: req.query?.brand, host });
+}
+
+// Brand registration is an admin action: Authorization: Bearer <BRAND_ADMIN_TOKEN>.
+export function isBrandAdmin(req) {
+  return hasBearer(req, process.env.BRAND_ADMIN_TOKEN);
+}
@@ -0,0 +1,97 @@
+/*
+  lib/cache.js — Analysis result cache with in-flight de-duplication
+  Results are keyed by analysis type + normalized URL (+ a variant such as page budget or brand)
+  and kept in memory for ANALYSIS_CACHE_TTL seconds (default 900; 0 disables caching), up to
+  ANALYSIS_CACHE_MAX entries (default 500, oldest evicted first). Concurrent requests for the same
+  key share one run even with caching disabled, so a refresh storm costs a single analysis.
+  `refresh: true` skips the stored result (it still joins a run already in flight); `ttl` (seconds)
+  overrides ANALYSIS_CACHE_TTL for one kind of result.
+
+  Every lookup reports { status: "hit"|"miss"|"shared"|"refresh", key, cachedAt, expiresAt, ageSeconds }
+  for the response's meta.cache.
+*/
+
+const TTL_MS = Math.max(0, Number(process.env.ANALYSIS_CACHE_TTL || 900)) * 1000;
+const MAX_ENTRIES = Math.max(1, Number(process.env.ANALYSIS_CACHE_MAX) || 500);
+const TRACKING_PARAMS = /^(utm_[a-z]+|gclid|fbclid|msclkid|mc_[a-z]+|ref)$/i;
+
+const entries = new Map(); // key → { value, cachedAt, expiresAt }; insertion order = age
+const inFlight = new Map(); // key → Promise<value>
+
+/*
+  One key per page regardless of how it was typed: URL() already lower-cases the scheme and host,
+  drops a default port and turns an empty path into "/"; this also drops the fragment and
+  tracking parameters and sorts the rest.
+*/
+export function normalizeUrl(url) {
+  const u = new URL(url);
+  u.hash = "";
+  for (const name of [...u.searchParams.keys()]) if (TRACKING_PARAMS.test(name)) u.searchParams.delete(name);
+  u.searchParams.sort();
+  return u.href;
+}
+
+export function cacheKey(type, url, variant = "") {
+  return [type, normalizeUrl(url), variant].join("|");
+}
+
+// The refresh override as sent by clients: ?refresh=1, ?refresh=true or a bare ?refresh.
+export function wantsRefresh(value) {
+  return value !== undefined && !/^(0|false|no)$/i.test(String(value));
+}
+
+function info(status, key, entry) {
+  return {
+    status,
+    key,
+    cachedAt: entry ? new Date(entry.cachedAt).toISOString() : null,
+    expiresAt: entry ? new Date(entry.expiresAt).toISOString() : null,
+    ageSeconds: entry ? Math.round((Date.now() - entry.cachedAt) / 1000) : 0
+  };
+}
+
+function store(key, value, ttlMs = TTL_MS) {
+  if (!ttlMs) return null;
+  const now = Date.now();
+  const entry = { value, cachedAt: now, expiresAt: now + ttlMs };
+  entries.delete(key);
+  entries.set(key, entry);
+  while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+  return entry;
+}
+
+/*
+  Resolves { value, cache } for `compute()` under (type, url, variant). `shouldCache(value)` can
+  keep a result out of the cache (e.g. a fetch failure worth retrying on the next request).
+  A rejected compute() is never cached and rejects every caller that shared it.
+*/
+export async function cached(type, url, variant, compute, { refresh = false, shouldCache = () => true, ttl } = {}) {
+  const key = cacheKey(type, url, variant);
+  const entry = entries.get(key);
+  if (entry && entry.expiresAt <= Date.now()) entries.delete(key);
+  else if (entry && !refresh) return { value: entry.value, cache: info("hit", key, entry) };
+
+  if (inFlight.has(key)) {
+    const value = await inFlight.get(key);
+    return { value, cache: info("shared", key, entries.get(key)) };
+  }
+
+  const run = (async () => {
+    const value = await compute();
+    if (shouldCache(value)) store(key, value, ttl === undefined ? TTL_MS : Math.max(0, ttl) * 1000);
+    return value;
+  })();
+  inFlight.set(key, run);
+  try {
+    const value = await run;
+    return { value, cache: info(refresh ? "refresh" : "miss", key, entries.get(key)) };
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+// The stored value under (type, url, variant) if it hasn't expired, without computing anything.
+export function peekCached(type, url, variant = "") {
+  const entry = entries.get(cacheKey(type, url, variant));
+  return entry && entry.expiresAt > Date.now() ? entry.value : null;
+}
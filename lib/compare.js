@@ -0,0 +1,77 @@
+/*
+  lib/compare.js — Side-by-side comparison of a site against its competitors
+  Runs the deterministic page analysis (collectSignals → scoreSignals → buildFindings) on the
+  target and every competitor, so differences in the matrix come from the pages themselves and
+  not from model variance between GPT runs. COMPARE_MAX_COMPETITORS caps the list (default 4).
+*/
+
+import { scoreSignals, PILLARS } from "./scoring.js";
+import { buildFindings } from "./findings.js";
+import { pageSignals, technicalMetrics, failureReason } from "./analysis.js";
+
+export const MAX_COMPETITORS = Number(process.env.COMPARE_MAX_COMPETITORS) || 4;
+
+// Labels for technicalMetrics() in lib/analysis.js (metrics.technical in the Detailed Report).
+export const TECHNICAL_METRICS = {
+  imagesWithAlt: "Images with alt text",
+  totalImages: "Total images",
+  internalLinks: "Internal links",
+  hasSchema: "Structured data",
+  metaDescription: "Meta description"
+};
+
+// Accepts "a.com,b.com" or repeated query values; adds https:// when the scheme is missing.
+export function parseCompetitors(value) {
+  return [].concat(value || [])
+    .flatMap(v => String(v).split(","))
+    .map(v => v.trim())
+    .filter(Boolean)
+    .map(v => (/^https?:\/\//i.test(v) ? v : `https://${v}`));
+}
+
+export async function analyzeSite(url) {
+  try {
+    const signals = await pageSignals(url);
+    const { score, pillars } = scoreSignals(signals);
+    return { url, ok: true, title: signals.title, score, pillars, metrics: technicalMetrics(signals), ...buildFindings(signals) };
+  } catch (err) {
+    return { url, ok: false, error: failureReason(err) };
+  }
+}
+
+/*
+  Resolves { target, competitors, sites, matrix }. `sites` is target-first; every matrix row holds
+  one value per site in that order (null for a site that couldn't be fetched).
+*/
+export async function compareSites(target, competitors) {
+  const urls = [target, ...competitors.filter(u => u !== target)].slice(0, MAX_COMPETITORS + 1);
+  const sites = await Promise.all(urls.map(analyzeSite));
+  const value = fn => sites.map(s => (s.ok ? fn(s) : null));
+
+  // Union of every finding seen on any site, issues first, each with per-site presence.
+  const catalog = new Map();
+  for (const site of sites.filter(s => s.ok)) {
+    for (const [kind, list] of [["issue", site.needsAttention], ["strength", site.whatsWorking]]) {
+      for (const f of list) {
+        if (!catalog.has(f.id)) catalog.set(f.id, { id: f.id, title: f.title, priority: f.priority, pillar: f.pillar, kind });
+      }
+    }
+  }
+  const has = (site, id) => site.needsAttention.some(f => f.id === id) || site.whatsWorking.some(f => f.id === id);
+  const findings = [...catalog.values()]
+    .sort((a, b) => (a.kind === b.kind ? 0 : a.kind === "issue" ? -1 : 1) || a.pillar.localeCompare(b.pillar) || a.id.localeCompare(b.id))
+    .map(f => ({ ...f, present: value(s => has(s, f.id)) }));
+
+  return {
+    target: urls[0],
+    competitors: urls.slice(1),
+    sites: sites.map(({ whatsWorking, needsAttention, ...site }) => site),
+    matrix: {
+      score: value(s => s.score),
+      pillars: Object.fromEntries(Object.keys(PILLARS).map(k => [k, value(s => s.pillars[k])])),
+      metrics: Object.fromEntries(Object.keys(TECHNICAL_METRICS).map(k => [k, value(s => s.metrics[k])])),
+      findings
+    },
+    labels: { pillars: PILLARS, metrics: TECHNICAL_METRICS }
+  };
+}
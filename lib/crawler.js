@@ -0,0 +1,199 @@
+/*
+  lib/crawler.js — Multi-page site crawl for the Detailed Report
+  Starts at the submitted URL, follows internal links breadth-first, tops up from sitemap.xml,
+  honours robots.txt for SnipeRankBot and stops at the page budget. A robots.txt that answers 5xx
+  disallows the whole site (RFC 9309), so nothing is crawled and `robotsUnreachable` is set.
+  Every crawled page goes through the same collectSignals/scoreSignals checks as /api/score,
+  AI crawler access included (robots.txt and llms.txt are fetched once, see lib/ai-access.js).
+*/
+
+import { safeFetch } from "./safe-fetch.js";
+import * as cheerio from "cheerio";
+import { collectSignals } from "./page-signals.js";
+import { scoreSignals, CHECKS } from "./scoring.js";
+import { isAllowed } from "./robots.js";
+import { fetchSiteFiles, fetchRobotsTxt } from "./ai-access.js";
+
+const USER_AGENT = "Mozilla/5.0 (compatible; SnipeRankBot/1.0)";
+const DEFAULT_PAGES = Number(process.env.CRAWL_MAX_PAGES) || 50;  // Detailed Report tier
+const PAGE_LIMIT = Number(process.env.CRAWL_PAGE_LIMIT) || 300;   // Pro tier ceiling
+const SKIP_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|svg|ico|zip|gz|mp4|mp3|webm|css|js|json|xml|txt|docx?|xlsx?|pptx?)$/i;
+const MAX_SITEMAPS = 5;
+
+// Clamps a requested page count (e.g. ?pages=) to the configured budget.
+export function pageBudget(requested) {
+  const n = Number.parseInt(requested, 10);
+  return Math.max(1, Math.min(Number.isFinite(n) && n > 0 ? n : DEFAULT_PAGES, PAGE_LIMIT));
+}
+
+// onPage(pagesCrawled, maxPages) is called after each page, for progress reporting.
+// `site` reuses robots.txt and llms.txt already fetched for the start URL (fetchSiteFiles).
+export async function crawlSite(startUrl, { maxPages = DEFAULT_PAGES, concurrency = 4, timeout = 10000, site = null, onPage = () => {} } = {}) {
+  const start = new URL(startUrl);
+  start.hash = "";
+  const host = bareHost(start.hostname);
+  const origin = start.origin;
+
+  site = site || await fetchSiteFiles(start.href, { timeout });
+  const robots = site.robotsTxt.parsed;
+  const unreachable = Boolean(site.robotsTxt.unreachable);
+  const sitemap = unreachable ? { urls: [], lastmod: {} } : await fetchSitemapUrls(origin, robots.sitemaps, host, timeout);
+
+  const seen = new Set([start.href]);
+  const linkQueue = [{ url: start.href, depth: 0 }];
+  const sitemapQueue = sitemap.urls.filter(u => !seen.has(u)).map(url => ({ url, depth: null }));
+  const pages = [];
+  const blockedByRobots = [];
+  const errors = [];
+
+  const take = (linksOnly) => {
+    while (linkQueue.length || (!linksOnly && sitemapQueue.length)) {
+      const next = linkQueue.shift() || sitemapQueue.shift();
+      if (next.depth === null && seen.has(next.url)) continue; // already reached by a link
+      seen.add(next.url);
+      const path = new URL(next.url).pathname + new URL(next.url).search;
+      if (unreachable || !isAllowed(robots, "SnipeRankBot", path)) {
+        blockedByRobots.push(next.url);
+        continue;
+      }
+      return next;
+    }
+    return null;
+  };
+
+  const visit = async ({ url, depth }) => {
+    try {
+      const resp = await safeFetch(url, {
+        headers: { "User-Agent": USER_AGENT },
+        timeout,
+        validateStatus: status => status < 500
+      });
+
+      const signals = collectSignals(resp.data, { url, status: resp.status, headers: resp.headers, site });
+      const { score, pillars, checks } = scoreSignals(signals);
+      pages.push({
+        url,
+        depth,
+        status: resp.status,
+        title: signals.title,
+        wordCount: signals.wordCount,
+        lastmod: sitemap.lastmod[url] || null,
+        score,
+        pillars,
+        failed: checks.filter(c => !c.passed).map(c => c.id)
+      });
+      onPage(pages.length, maxPages);
+
+      if (depth === null) return; // sitemap-only pages don't seed link discovery
+      for (const link of signals.internalUrls) {
+        const normalized = normalizeUrl(link, host);
+        if (normalized && !seen.has(normalized) && !linkQueue.some(q => q.url === normalized)) {
+          linkQueue.push({ url: normalized, depth: depth + 1 });
+        }
+      }
+    } catch (err) {
+      if (err?.code === "unsupported_content_type") return; // a linked PDF or feed, not a page
+      errors.push({ url, reason: err?.response?.status || err?.code || "error" });
+    }
+  };
+
+  while (pages.length < maxPages) {
+    // Finish link discovery before spending budget on sitemap-only pages.
+    const linksOnly = linkQueue.length > 0;
+    const batch = [];
+    while (batch.length < Math.min(concurrency, maxPages - pages.length)) {
+      const next = take(linksOnly);
+      if (!next) break;
+      batch.push(next);
+    }
+    if (!batch.length) {
+      if (linksOnly) continue; // every queued link was blocked; move on to the sitemap
+      break;
+    }
+    await Promise.all(batch.map(visit));
+  }
+
+  pages.sort((a, b) => (a.depth ?? Infinity) - (b.depth ?? Infinity) || a.url.localeCompare(b.url));
+  return {
+    startUrl: start.href,
+    maxPages,
+    pagesCrawled: pages.length,
+    pagesDiscovered: new Set([...seen, ...linkQueue.map(q => q.url), ...sitemapQueue.map(q => q.url)]).size,
+    averageScore: pages.length ? Math.round(pages.reduce((sum, p) => sum + p.score, 0) / pages.length) : null,
+    summary: summarizeCrawl(pages),
+    pages,
+    blockedByRobots,
+    robotsUnreachable: unreachable,
+    errors,
+    sitemap: { found: sitemap.urls.length > 0, urls: sitemap.urls.length }
+  };
+}
+
+// Turns per-page failed checks into site-wide lines like "12 of 48 pages lack a meta description".
+export function summarizeCrawl(pages) {
+  const total = pages.length;
+  if (!total) return [];
+  return CHECKS
+    .map(check => {
+      const affected = pages.filter(p => p.failed.includes(check.id));
+      return {
+        check: check.id,
+        pillar: check.pillar,
+        affected: affected.length,
+        total,
+        text: `${affected.length} of ${total} pages ${check.gap}`,
+        examples: affected.slice(0, 5).map(p => p.url)
+      };
+    })
+    .filter(row => row.affected > 0)
+    .sort((a, b) => b.affected - a.affected || a.check.localeCompare(b.check));
+}
+
+// Sitemap URLs and their <lastmod> values for a single-page analysis (no crawl).
+// `robots` is the parsed robots.txt when the caller already has it (lib/ai-access.js).
+export async function discoverSitemap(pageUrl, { timeout = 10000, robots = null } = {}) {
+  const { origin, hostname } = new URL(pageUrl);
+  robots = robots || (await fetchRobotsTxt(origin, { timeout })).parsed;
+  return fetchSitemapUrls(origin, robots.sitemaps, bareHost(hostname), timeout);
+}
+
+/* ---------- HELPERS ---------- */
+function bareHost(hostname) {
+  return hostname.replace(/^www\./i, "").toLowerCase();
+}
+
+function normalizeUrl(href, host) {
+  try {
+    const u = new URL(href);
+    if (!/^https?:$/.test(u.protocol) || bareHost(u.hostname) !== host) return null;
+    if (SKIP_EXTENSIONS.test(u.pathname)) return null;
+    u.hash = "";
+    return u.href;
+  } catch {
+    return null;
+  }
+}
+
+async function fetchSitemapUrls(origin, declared, host, timeout) {
+  const pending = declared.length ? [...declared] : [`${origin}/sitemap.xml`];
+  const urls = [];
+  const lastmod = {};
+  let fetched = 0;
+
+  while (pending.length && fetched < MAX_SITEMAPS) {
+    const sitemapUrl = pending.shift();
+    fetched++;
+    try {
+      const resp = await safeFetch(sitemapUrl, { headers: { "User-Agent": USER_AGENT }, timeout, accept: "text" });
+      const $ = cheerio.load(resp.data, { xmlMode: true });
+      $("sitemapindex > sitemap > loc").each((_i, el) => { pending.push($(el).text().trim()); });
+      $("urlset > url").each((_i, el) => {
+        const loc = normalizeUrl($(el).find("loc").first().text().trim(), host);
+        if (!loc || lastmod[loc] !== undefined) return;
+        urls.push(loc);
+        lastmod[loc] = $(el).find("lastmod").first().text().trim() || null;
+      });
+    } catch { /* a missing or broken sitemap just means link discovery only */ }
+  }
+  return { urls, lastmod };
+}
@@ -0,0 +1,48 @@
+/*
+  lib/csp.js — The Content-Security-Policy the pages are served with
+  One policy for both hosts: server.js sends it on everything outside /api/, and vercel.json carries
+  the same string for the static pages (written by `npm run csp`, since vercel.json can't read the
+  environment; test/csp.test.js fails when the two drift apart).
+  Scripts and styles come from the site itself only: page code lives in public/scripts/ and page
+  styles in public/styles/. Stylesheets from cdn.jsdelivr.net are allowed for thank-you.html's Tailwind.
+  connect-src is the site plus API_ORIGINS, the backends the pages call.
+  ENV Optional: API_ORIGINS (comma-separated, e.g. "https://api.example.com"; default the two Render backends)
+*/
+
+export const DEFAULT_API_ORIGINS = ["https://sniperank-v2-dev.onrender.com", "https://sniperank-app2.onrender.com"];
+
+// Each entry is reduced to its origin, so "https://api.example.com/" and a bare origin agree.
+export function apiOrigins(env = process.env) {
+  if (!env.API_ORIGINS) return DEFAULT_API_ORIGINS;
+  return [...new Set(env.API_ORIGINS.split(",").map(s => s.trim()).filter(Boolean).map(value => {
+    try {
+      return new URL(value).origin;
+    } catch {
+      throw new Error(`API_ORIGINS: "${value}" is not a URL`);
+    }
+  }))];
+}
+
+export function contentSecurityPolicy(env = process.env) {
+  return [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self' https://cdn.jsdelivr.net",
+    "img-src 'self' data: https:",
+    `connect-src ${["'self'", ...apiOrigins(env)].join(" ")}`,
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+  ].join("; ");
+}
+
+// Express middleware: the policy on the paths vercel.json gives it to. A route may still narrow it
+// (routes/report-html.js). Built once, so a bad API_ORIGINS stops the server at startup.
+export function pagePolicy(env = process.env) {
+  const policy = contentSecurityPolicy(env);
+  return (req, res, next) => {
+    if (!req.path.startsWith("/api/")) res.setHeader("Content-Security-Policy", policy);
+    next();
+  };
+}
@@ -0,0 +1,16 @@
+/*
+  lib/csv.js — CSV export shared by the lead and batch downloads
+  Every cell is quoted, and a leading = + - @ is prefixed with ' so a spreadsheet opening the
+  file shows the value instead of running it as a formula.
+*/
+
+export function csvCell(value) {
+  let s = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return `"${s.replace(/"/g, '""')}"`;
+}
+
+// rows: arrays of cell values, header first; CRLF line endings as Excel expects.
+export function toCsv(rows) {
+  return `${rows.map(row => row.map(csvCell).join(",")).join("\r\n")}\r\n`;
+}
@@ -0,0 +1,373 @@
+/*
+  lib/findings.js — Evidence-backed findings for the free analysis and /report.html
+  Each finding is emitted only when a check on the fetched page supports it, and carries
+  the `evidence` it was based on. Nothing is padded: a clean page simply gets fewer issues.
+
+  Finding shape (whatsWorking / needsAttention in every analysis response; see README):
+    { id, title, priority: "High"|"Medium"|"Low", pillar: "access"|"trust"|"clarity"|"alignment",
+      description, evidence, solution, impact }
+*/
+
+import { PILLARS } from "./scoring.js";
+import { blockedReasons } from "./ai-access.js";
+import { LOCAL_TYPE_RE } from "./structured-data.js";
+
+const FRESH_DAYS = 365;
+const DEEP_PATH_LEVELS = 4;
+
+export const PRIORITIES = ["High", "Medium", "Low"];
+
+// Static parts of each finding; description and evidence are filled in from the page.
+const CATALOG = {
+  /* ---------- STRENGTHS ---------- */
+  "https-enabled": { title: "SSL Security Implementation", priority: "Low", pillar: "access",
+    solution: "Add an HSTS header (max-age=31536000) and redirect every http:// URL to its https:// twin.",
+    impact: "Keeps the baseline trust signal AI crawlers expect before they index content." },
+  "title-optimized": { title: "Meta Title Optimization", priority: "Low", pillar: "clarity",
+    solution: "Reuse the pattern on every key page: primary topic first, brand last, under 60 characters.",
+    impact: "AI summaries quote the full title instead of a truncated one." },
+  "meta-description-present": { title: "Meta Description Present", priority: "Low", pillar: "clarity",
+    solution: "Keep it between 50 and 160 characters and phrase it as the answer to the page's main question.",
+    impact: "Gives AI engines a ready-made summary to reuse." },
+  "single-h1": { title: "Proper Heading Structure", priority: "Low", pillar: "clarity",
+    solution: "Follow the H1 with H2 sections that each answer one sub-question.",
+    impact: "Lets LLMs segment the page into quotable sections." },
+  "alt-text-coverage": { title: "Image Optimization", priority: "Low", pillar: "clarity",
+    solution: "Describe what each image shows and why it matters, not just keywords.",
+    impact: "Multimodal engines can use your visuals as supporting evidence." },
+  "schema-present": { title: "Structured Data Implementation", priority: "Low", pillar: "trust",
+    solution: "Validate the markup with Google's Rich Results Test and extend it to FAQPage or Product where relevant.",
+    impact: "AI engines resolve your business as an entity rather than guessing from prose." },
+  "brand-entity": { title: "Brand Entity Defined", priority: "Low", pillar: "trust",
+    solution: "Use the same name, logo and sameAs profiles in the Organization markup on every page.",
+    impact: "AI engines connect mentions of your brand across the web to one entity." },
+  "viewport-responsive": { title: "Mobile-Responsive Viewport", priority: "Low", pillar: "access",
+    solution: "Keep critical content above the fold on small screens and tap targets at least 44px.",
+    impact: "Mobile-first crawlers see the same content as desktop visitors." },
+  "internal-links-strong": { title: "Internal Linking Strategy", priority: "Low", pillar: "access",
+    solution: "Use descriptive anchor text that names the linked page's topic.",
+    impact: "Crawlers discover and connect related pages without relying on the sitemap." },
+  "content-depth": { title: "Content Depth", priority: "Low", pillar: "alignment",
+    solution: "Break long sections into question-led H2s so each answer can be quoted on its own.",
+    impact: "Substantive pages are more likely to be cited as a source." },
+  "freshness-recent": { title: "Recent Content Updates", priority: "Low", pillar: "trust",
+    solution: "Expose the same date as dateModified in JSON-LD and in sitemap <lastmod>.",
+    impact: "AI engines can confirm the information is current." },
+  "ai-crawlers-allowed": { title: "AI Crawler Access", priority: "Low", pillar: "access",
+    solution: "Re-check robots.txt after CMS, CDN or security-plugin updates; they sometimes add AI bot blocks.",
+    impact: "Training and answer-engine crawlers can keep reading and citing this page." },
+  "llms-txt-present": { title: "llms.txt Published", priority: "Low", pillar: "access",
+    solution: "Keep llms.txt pointing at your most useful pages and update it when key URLs change.",
+    impact: "LLM tools get a curated map of the site instead of guessing from navigation." },
+  "server-rendered": { title: "Content Served Without JavaScript", priority: "Low", pillar: "access",
+    solution: "Keep key content in the server response when adding client-side features; re-run with rendering after front-end changes.",
+    impact: "Crawlers that never run scripts read the same page your visitors see." },
+  "nap-complete": { title: "Local Business Signals (NAP)", priority: "Low", pillar: "trust",
+    solution: "Keep the name, address and phone identical on the site, Google Business Profile and directories.",
+    impact: "Consistent NAP data lets AI answer \"near me\" queries with your business." },
+
+  /* ---------- ISSUES ---------- */
+  "https-missing": { title: "SSL Certificate Missing", priority: "High", pillar: "access",
+    solution: "Install a TLS certificate (Let's Encrypt is free) and 301-redirect all http:// URLs to https://.",
+    impact: "Removes a hard trust blocker for AI crawlers and browsers." },
+  "title-too-long": { title: "Meta Title Length Issues", priority: "Medium", pillar: "clarity",
+    solution: "Rewrite the <title> to 50–60 characters with the primary topic first.",
+    impact: "AI summaries show your full title instead of a cut-off one." },
+  "title-missing": { title: "Missing Page Title", priority: "High", pillar: "clarity",
+    solution: "Add a unique <title> of 50–60 characters naming the page's topic and brand.",
+    impact: "AI systems can label and cite the page correctly." },
+  "meta-description-missing": { title: "Meta Description Gaps", priority: "High", pillar: "clarity",
+    solution: "Write a unique 150–160 character <meta name=\"description\"> that summarizes the page's value.",
+    impact: "You control the summary AI engines reuse for this page." },
+  "h1-missing": { title: "Missing H1 Structure", priority: "High", pillar: "clarity",
+    solution: "Add one H1 that states the page's main topic in plain language.",
+    impact: "LLMs identify the page's subject without guessing." },
+  "h1-multiple": { title: "Multiple H1 Tags Detected", priority: "Medium", pillar: "clarity",
+    solution: "Keep one H1 for the page topic and demote the others to H2.",
+    impact: "A single clear topic improves how AI parsers classify the page." },
+  "alt-text-gaps": { title: "Image Alt Text Gaps", priority: "Low", pillar: "clarity",
+    solution: "Add descriptive alt attributes to content images; use alt=\"\" only for decorative ones.",
+    impact: "Multimodal AI gains context for your visuals." },
+  "schema-missing": { title: "Schema Markup Missing", priority: "High", pillar: "trust",
+    solution: "Add JSON-LD for Organization and WebSite sitewide, plus the type that fits each page (Product, Article, FAQPage).",
+    impact: "Establishes your business as a recognizable entity across AI platforms." },
+  "schema-malformed": { title: "Malformed JSON-LD", priority: "High", pillar: "trust",
+    solution: "Fix the syntax error (trailing commas, unescaped quotes, stray HTML) and re-test the block in the Schema Markup Validator.",
+    impact: "A block that doesn't parse is discarded whole, so none of its facts reach AI engines." },
+  "schema-invalid": { title: "Structured Data Missing Required Properties", priority: "Medium", pillar: "trust",
+    solution: "Add the listed properties to each item; Google's Rich Results Test shows the requirements per type.",
+    impact: "Complete items qualify for rich results and are trusted as facts by AI engines." },
+  "schema-incomplete": { title: "Structured Data Could Say More", priority: "Low", pillar: "trust",
+    solution: "Fill in the recommended properties listed in the evidence where the page has the information.",
+    impact: "Richer entities give AI engines more verified details to quote." },
+  "brand-entity-missing": { title: "No Brand Entity in Schema", priority: "Medium", pillar: "trust",
+    solution: "Add Organization (or your LocalBusiness subtype) JSON-LD with name, url, logo and sameAs links to your official profiles.",
+    impact: "AI engines can tell who publishes the page and attribute answers to your brand." },
+  "brand-entity-incomplete": { title: "Brand Entity Incomplete", priority: "Medium", pillar: "trust",
+    solution: "Add a logo URL and sameAs links to your official profiles (LinkedIn, Wikipedia/Wikidata, Crunchbase, social accounts).",
+    impact: "sameAs links let AI engines verify your brand against sources they already trust." },
+  "viewport-fixed": { title: "Fixed-Width Viewport", priority: "Medium", pillar: "access",
+    solution: "Use <meta name=\"viewport\" content=\"width=device-width, initial-scale=1\">.",
+    impact: "Mobile-first crawlers render the page as phone visitors see it." },
+  "viewport-missing": { title: "Missing Mobile Viewport", priority: "High", pillar: "access",
+    solution: "Add <meta name=\"viewport\" content=\"width=device-width, initial-scale=1\"> to the <head>.",
+    impact: "Mobile-first crawlers render a usable page instead of a shrunken desktop layout." },
+  "internal-links-weak": { title: "Internal Linking Strategy", priority: "Medium", pillar: "access",
+    solution: "Link to at least 10 related pages with descriptive anchors, including services, FAQs and guides.",
+    impact: "Crawlers reach more of your site and understand how topics relate." },
+  "architecture-deep": { title: "Site Architecture Depth", priority: "Medium", pillar: "access",
+    solution: "Flatten URLs so key pages sit within 3–4 folders and are linked from a hub page.",
+    impact: "Crawl budgets reach your important pages." },
+  "ai-crawlers-blocked": { title: "AI Crawlers Blocked", priority: "High", pillar: "access",
+    solution: "Remove the Disallow rules or noai/noindex directives for the AI agents you want to be cited by. If blocking training bots (GPTBot, CCBot, Google-Extended) is deliberate, still allow answer engines such as PerplexityBot and Bingbot.",
+    impact: "Blocked crawlers can't read the page, so the engines they feed can't quote or cite it." },
+  "llms-txt-missing": { title: "No llms.txt", priority: "Low", pillar: "access",
+    solution: "Publish /llms.txt: a markdown file with an H1 site name, a one-line summary and links to your key pages (see llmstxt.org).",
+    impact: "Gives LLM tools a clean, curated entry point to your content." },
+  "js-dependent-content": { title: "Content Requires JavaScript", priority: "High", pillar: "access",
+    solution: "Serve the title, headings and main text in the initial HTML with server-side rendering or pre-rendering (Next.js, Nuxt, Astro, or a prerender service for crawlers).",
+    impact: "GPTBot, ClaudeBot, PerplexityBot and CCBot can read and cite the content instead of an empty app shell." },
+  "content-thin": { title: "Thin Content", priority: "High", pillar: "alignment",
+    solution: "Expand the page to at least 300 words that answer the questions customers actually ask.",
+    impact: "Gives AI engines enough substance to cite the page." },
+  "freshness-missing": { title: "No Freshness Signals", priority: "Medium", pillar: "trust",
+    solution: "Add dateModified to JSON-LD, a visible \"Updated\" date and <lastmod> in sitemap.xml.",
+    impact: "AI engines can tell your information is current." },
+  "freshness-stale": { title: "Content Freshness Gaps", priority: "Medium", pillar: "trust",
+    solution: "Review and update the page, then bump dateModified and sitemap <lastmod>.",
+    impact: "Recent content is preferred when AI engines pick sources." },
+  "nap-incomplete": { title: "Incomplete NAP Schema", priority: "Medium", pillar: "trust",
+    solution: "Add the missing name, address (PostalAddress) and telephone properties to your LocalBusiness JSON-LD.",
+    impact: "AI answers to local queries can cite your business details." },
+  "local-schema-missing": { title: "Local SEO Signals", priority: "Medium", pillar: "trust",
+    solution: "Wrap your business name, address and phone in LocalBusiness JSON-LD that matches the visible details.",
+    impact: "AI systems can tie your contact details to your service area." }
+};
+
+export function buildFindings(signals, { sitemapLastmod = null, now = Date.now() } = {}) {
+  const working = [];
+  const needsAttention = [];
+  const add = (list, id, description, evidence) => {
+    const { title, priority, pillar, solution, impact } = CATALOG[id];
+    list.push({ id, title, priority, pillar, description, evidence, solution, impact });
+  };
+
+  /* ---------- SECURITY ---------- */
+  if (signals.https) {
+    add(working, "https-enabled", "Your site uses HTTPS encryption, which builds trust with AI crawlers and search algorithms.", `Fetched over ${new URL(signals.url).protocol}//`);
+  } else {
+    add(needsAttention, "https-missing", "Your site lacks HTTPS encryption, which is now a baseline requirement for AI systems.", `Fetched over ${new URL(signals.url).protocol}//`);
+  }
+
+  /* ---------- TITLE & META ---------- */
+  const title = signals.title;
+  if (title && title.length <= 60) {
+    const shown = title.length > 40 ? `${title.substring(0, 40)}...` : title;
+    add(working, "title-optimized", `Your page title "${shown}" is properly sized and helps AI systems understand your page focus.`, `<title> is ${title.length} characters`);
+  } else if (title) {
+    add(needsAttention, "title-too-long", "Your page title exceeds the recommended 60 characters, so AI summaries truncate it.", `<title> is ${title.length} characters`);
+  } else {
+    add(needsAttention, "title-missing", "This page lacks a title tag, preventing AI systems from understanding its content.", "No <title> element found");
+  }
+
+  const metaDesc = signals.metaDescription;
+  if (metaDesc) {
+    add(working, "meta-description-present", "Your page includes a meta description that helps AI systems understand content context.", `Meta description is ${metaDesc.length} characters`);
+  } else {
+    add(needsAttention, "meta-description-missing", "A missing meta description reduces your control over how AI systems summarize your content.", 'No <meta name="description"> found');
+  }
+
+  /* ---------- HEADINGS ---------- */
+  const h1Count = signals.h1s.length;
+  if (h1Count === 1) {
+    add(working, "single-h1", "Your page uses a single H1 tag with clear hierarchy, helping AI systems understand content organization.", `1 H1: "${signals.h1s[0].slice(0, 80)}"`);
+  } else if (h1Count === 0) {
+    add(needsAttention, "h1-missing", "The page lacks an H1 heading, making it difficult for AI systems to identify the main topic.", "0 H1 tags found");
+  } else {
+    add(needsAttention, "h1-multiple", "Multiple H1 tags create content hierarchy confusion for AI parsers.", `${h1Count} H1 tags found`);
+  }
+
+  /* ---------- IMAGES ---------- */
+  if (signals.images) {
+    const altTextCoverage = (signals.imagesWithAlt / signals.images) * 100;
+    const altEvidence = `${signals.imagesWithAlt} of ${signals.images} images have non-empty alt text`;
+    if (altTextCoverage >= 80) {
+      add(working, "alt-text-coverage", `${Math.round(altTextCoverage)}% of your images include descriptive alt text, helping AI systems understand visual content.`, altEvidence);
+    } else {
+      add(needsAttention, "alt-text-gaps", `Only ${Math.round(altTextCoverage)}% of images have descriptive alt text, missing AI visibility opportunities.`, altEvidence);
+    }
+  }
+
+  /* ---------- STRUCTURED DATA ---------- */
+  const sd = signals.structuredData;
+  if (signals.hasSchema) {
+    const formats = Object.entries(sd.formats).filter(([, n]) => n).map(([f, n]) => `${n} ${f}`);
+    add(working, "schema-present", "Your site includes schema markup that helps AI engines understand your business type and services.", `Schema types: ${signals.schemaTypes.join(", ") || "untyped markup"}${formats.length ? ` (${formats.join(", ")})` : ""}`);
+  } else {
+    add(needsAttention, "schema-missing", "Your site lacks structured data that helps AI engines understand your business information.", "No JSON-LD script, itemscope or typeof attribute found");
+  }
+  if (sd.malformed.length) {
+    add(needsAttention, "schema-malformed", `${sd.malformed.length} JSON-LD block${sd.malformed.length > 1 ? "s" : ""} on this page can't be parsed, so AI engines ignore everything in ${sd.malformed.length > 1 ? "them" : "it"}.`, sd.malformed.map(m => `Block ${m.block}: ${m.error}`).join("; "));
+  }
+  const invalid = sd.items.filter(i => i.missing.length);
+  if (invalid.length) {
+    add(needsAttention, "schema-invalid", `${invalid.length} structured data item${invalid.length > 1 ? "s lack" : " lacks"} properties ${invalid.length > 1 ? "their types require" : "its type requires"}, so search and AI engines may discard ${invalid.length > 1 ? "them" : "it"}.`, invalid.slice(0, 5).map(i => `${i.type} (${i.format}): missing ${i.missing.slice(0, 4).join(", ")}`).join("; "));
+  }
+  const sparse = sd.items.filter(i => !i.missing.length && i.recommended.length);
+  if (sparse.length) {
+    add(needsAttention, "schema-incomplete", "Some of your structured data leaves out recommended properties AI engines use to describe you.", sparse.slice(0, 5).map(i => `${i.type} (${i.format}): no ${i.recommended.join(", ")}`).join("; "));
+  }
+
+  /* ---------- BRAND ENTITY ---------- */
+  const brand = sd.brand;
+  if (brand) {
+    const brandEvidence = `${brand.type} "${brand.name}" (${brand.format}): logo ${brand.logo ? "present" : "missing"}, ` +
+      (brand.sameAs.length ? `sameAs ${brand.sameAs.slice(0, 4).join(", ")}${brand.sameAs.length > 4 ? ` and ${brand.sameAs.length - 4} more` : ""}` : "no sameAs links");
+    if (brand.logo && brand.sameAs.length) {
+      add(working, "brand-entity", `Your schema names the business behind this page and links it to ${brand.sameAs.length} official profile${brand.sameAs.length > 1 ? "s" : ""}, so AI engines can verify who you are.`, brandEvidence);
+    } else {
+      add(needsAttention, "brand-entity-incomplete", `Your ${brand.type} schema names the business but has no ${[!brand.logo && "logo", !brand.sameAs.length && "sameAs links"].filter(Boolean).join(" or ")}, which AI engines use to recognize and verify a brand.`, brandEvidence);
+    }
+  } else if (signals.hasSchema) {
+    add(needsAttention, "brand-entity-missing", "Your structured data doesn't name the organization behind the page, so AI engines have to guess who publishes it.", `Schema types: ${signals.schemaTypes.join(", ") || "untyped markup"}; no Organization, LocalBusiness or Brand with a name`);
+  }
+
+  /* ---------- MOBILE VIEWPORT ---------- */
+  if (/width\s*=\s*device-width/i.test(signals.viewportContent)) {
+    add(working, "viewport-responsive", "Your page declares a device-width viewport, so mobile-first crawlers render it at phone size.", `<meta name="viewport" content="${signals.viewportContent}">`);
+  } else if (signals.viewport) {
+    add(needsAttention, "viewport-fixed", "Your viewport tag doesn't use device-width, so mobile-first crawlers may render a zoomed-out desktop layout.", `<meta name="viewport" content="${signals.viewportContent}">`);
+  } else {
+    add(needsAttention, "viewport-missing", "Without a viewport meta tag, mobile-first crawlers render the page as a scaled-down desktop site.", 'No <meta name="viewport"> found');
+  }
+
+  /* ---------- INTERNAL LINKING ---------- */
+  const depths = signals.internalUrls.map(u => new URL(u).pathname.split("/").filter(Boolean).length);
+  const maxDepth = depths.length ? Math.max(...depths) : 0;
+  const deepest = signals.internalUrls[depths.indexOf(maxDepth)];
+  const linkEvidence = `${signals.internalLinks} internal links to ${signals.internalUrls.length} unique URLs` +
+    (deepest ? `; deepest is ${maxDepth} levels (${new URL(deepest).pathname})` : "");
+  if (signals.internalLinks >= 10) {
+    add(working, "internal-links-strong", "Your page links widely into the rest of the site, giving AI crawlers clear paths to related content.", linkEvidence);
+  } else {
+    add(needsAttention, "internal-links-weak", "Your page has few internal links, so AI crawlers find little related content to cross-reference.", linkEvidence);
+  }
+  if (maxDepth > DEEP_PATH_LEVELS) {
+    add(needsAttention, "architecture-deep", `Some linked pages sit more than ${DEEP_PATH_LEVELS} folders deep, which crawlers with limited budgets may never reach.`, linkEvidence);
+  }
+
+  /* ---------- AI CRAWLER ACCESS ---------- */
+  const access = signals.aiAccess;
+  if (access) {
+    const robotsEvidence = access.robotsTxt.found ? "robots.txt found" : `No robots.txt (HTTP ${access.robotsTxt.status ?? "error"})`;
+    const blocked = blockedReasons(access);
+    if (!blocked.length) {
+      add(working, "ai-crawlers-allowed", `All ${access.total} major AI crawlers may read this page, so AI engines can train on, index and cite it.`, `${robotsEvidence}; allowed: ${access.bots.map(b => b.agent).join(", ")}`);
+    } else {
+      add(needsAttention, "ai-crawlers-blocked", `${blocked.length} of ${access.total} AI crawlers are blocked from this page by robots.txt or robots directives.`, `${robotsEvidence}; ${blocked.join("; ")}`);
+    }
+    if (access.llmsTxt.found) {
+      add(working, "llms-txt-present", "Your site publishes an llms.txt, a curated guide to its content for LLM tools.", `${access.llmsTxt.url}${access.llmsTxt.title ? `: "${access.llmsTxt.title}"` : ""}, ${access.llmsTxt.links} links`);
+    } else {
+      add(needsAttention, "llms-txt-missing", "Your site has no llms.txt, the emerging convention for pointing LLMs at your most useful pages.", `${access.llmsTxt.url} ${access.llmsTxt.status ? `answered HTTP ${access.llmsTxt.status}` : "could not be fetched"}${access.llmsTxt.status === 200 ? ", but not with a markdown file" : ""}`);
+    }
+  }
+
+  /* ---------- JAVASCRIPT RENDERING ---------- */
+  // Only when the analysis ran with a headless browser (lib/headless.js); signals then describe the rendered DOM.
+  const rendering = signals.rendering;
+  if (rendering?.status === "rendered") {
+    const { raw, rendered } = rendering;
+    const renderEvidence = `Raw HTML: ${raw.wordCount} words, ${raw.h1s} H1, ${raw.internalLinks} internal links, title ${raw.title ? `"${raw.title}"` : "missing"}; ` +
+      `after JavaScript: ${rendered.wordCount} words, ${rendered.h1s} H1, ${rendered.internalLinks} internal links, title ${rendered.title ? `"${rendered.title}"` : "missing"}`;
+    if (rendering.jsOnly.length) {
+      add(needsAttention, "js-dependent-content", `Part of this page only appears after JavaScript runs: ${rendering.jsOnly.join(", ")}. Most AI crawlers don't run JavaScript, so they never see it.`, renderEvidence);
+    } else {
+      add(working, "server-rendered", "Your page's content is in the HTML the server sends, so AI crawlers that don't run JavaScript see what visitors see.", renderEvidence);
+    }
+  }
+
+  /* ---------- CONTENT DEPTH ---------- */
+  const wordEvidence = `${signals.wordCount} words of visible text`;
+  if (signals.wordCount >= 600) {
+    add(working, "content-depth", "Your page has enough substantive text for AI systems to extract and quote complete answers.", wordEvidence);
+  } else if (signals.wordCount < 300) {
+    add(needsAttention, "content-thin", "The page has too little text for AI systems to understand or cite it confidently.", wordEvidence);
+  }
+
+  /* ---------- FRESHNESS ---------- */
+  const dates = [...signals.dates];
+  if (sitemapLastmod && !Number.isNaN(Date.parse(sitemapLastmod))) {
+    dates.push({ source: "sitemap.xml <lastmod>", value: sitemapLastmod, time: Date.parse(sitemapLastmod) });
+  }
+  if (!dates.length) {
+    add(needsAttention, "freshness-missing", "Nothing on this page tells AI systems when it was last updated, so they can't judge whether it's current.", "No Last-Modified header, sitemap <lastmod>, article dates, <time datetime> or JSON-LD dates found");
+  } else {
+    // Dynamic servers stamp Last-Modified with "now", so it only counts when the content has no dates.
+    const contentDates = dates.filter(d => d.source !== "Last-Modified header");
+    const latest = (contentDates.length ? contentDates : dates).reduce((a, b) => (b.time > a.time ? b : a));
+    const ageDays = Math.floor((now - latest.time) / 86400000);
+    const freshEvidence = `Most recent date: ${latest.value} from ${latest.source} (${ageDays} days ago)`;
+    if (ageDays <= FRESH_DAYS) {
+      add(working, "freshness-recent", "The page carries a recent update date, signalling current information to AI systems.", freshEvidence);
+    } else {
+      add(needsAttention, "freshness-stale", `The newest date on this page is over ${FRESH_DAYS} days old, which may signal outdated information to AI algorithms.`, freshEvidence);
+    }
+  }
+
+  /* ---------- LOCAL BUSINESS / NAP ---------- */
+  const local = signals.schemaNodes.find(n => [].concat(n["@type"]).some(t => LOCAL_TYPE_RE.test(String(t))));
+  if (local) {
+    const nap = { name: !!local.name, address: !!local.address, telephone: !!local.telephone };
+    const missing = Object.keys(nap).filter(k => !nap[k]);
+    const napEvidence = `${[].concat(local["@type"]).join("/")} schema: ` +
+      Object.keys(nap).map(k => `${k} ${nap[k] ? "present" : "missing"}`).join(", ");
+    if (!missing.length) {
+      add(working, "nap-complete", "Your LocalBusiness schema states name, address and phone, so AI systems can answer location queries about you.", napEvidence);
+    } else {
+      add(needsAttention, "nap-incomplete", `Your LocalBusiness schema is missing ${missing.join(" and ")}, weakening AI answers to "near me" queries.`, napEvidence);
+    }
+  } else if (signals.hasAddress || signals.telephones.length) {
+    const shown = [signals.telephones.length ? `tel: ${signals.telephones.slice(0, 2).join(", ")}` : "", signals.hasAddress ? "<address> element" : ""].filter(Boolean);
+    add(needsAttention, "local-schema-missing", "Your page shows contact details but no LocalBusiness schema, so AI systems can't reliably tie them to your service area.", `Found ${shown.join(" and ")} but no LocalBusiness schema`);
+  }
+
+  needsAttention.sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority));
+  return { whatsWorking: working, needsAttention };
+}
+
+/* ---------- NORMALIZATION (LLM and legacy input) ---------- */
+
+// Coerces a model-produced item into the shared finding shape without inventing evidence.
+export function normalizeFinding(item, index = 0, defaults = {}) {
+  const raw = typeof item === "string" ? { title: item } : (item || {});
+  const title = String(raw.title || `Finding ${index + 1}`).trim();
+  const priority = PRIORITIES.find(p => p.toLowerCase() === String(raw.priority || "").toLowerCase()) || defaults.priority || "Medium";
+  const pillar = Object.keys(PILLARS).includes(raw.pillar) ? raw.pillar : (defaults.pillar || "clarity");
+  return {
+    id: slugify(raw.id || title) || `finding-${index + 1}`,
+    title,
+    priority,
+    pillar,
+    description: String(raw.description || raw.explanation || "").trim(),
+    evidence: String(raw.evidence || "").trim(),
+    solution: String(raw.solution || "").trim(),
+    impact: String(raw.impact || "").trim()
+  };
+}
+
+// Engine insights travel as { engine, insight } rather than "Engine: text" strings.
+export function normalizeInsight(item) {
+  if (item && typeof item === "object") {
+    return { engine: String(item.engine || "AI Engine").trim(), insight: String(item.insight || item.text || "").trim() };
+  }
+  const text = String(item || "");
+  const sep = text.indexOf(":");
+  return sep > 0 && sep < 40
+    ? { engine: text.slice(0, sep).trim(), insight: text.slice(sep + 1).trim() }
+    : { engine: "AI Engine", insight: text.trim() };
+}
+
+function slugify(str) {
+  return String(str).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60);
+}
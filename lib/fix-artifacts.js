@@ -0,0 +1,224 @@
+/*
+  lib/fix-artifacts.js — Ready-to-paste fixes for the Detailed Report, built from the page's own content
+  For the checks pages fail most (brand entity, FAQ schema, title, meta description, llms.txt, alt
+  text) buildArtifacts() drafts the markup or file that fixes them: JSON-LD from the headings, links
+  and profiles on the page, tags from its H1 and lead paragraph, an llms.txt from the crawled pages.
+  Every draft is validated the way SnipeRank would judge it once pasted (lib/structured-data.js,
+  the check in lib/scoring.js, parseLlmsTxt()); a draft that fails is left out, not returned.
+
+  Artifact: { id, checks: [scoring check ids], title, description, language: "html"|"markdown",
+              filename, code, validation }
+*/
+
+import * as cheerio from "cheerio";
+import { CHECKS } from "./scoring.js";
+import { parseStructuredData, analyzeStructuredData } from "./structured-data.js";
+import { parseLlmsTxt } from "./ai-access.js";
+import { describeSite } from "./visibility.js";
+import { escapeHtml } from "../public/scripts/render.js";
+
+const MAX_FAQ = 10;
+const MAX_LLMS_LINKS = 20;
+const MAX_ALT = 125;
+// Filename tokens that say nothing about what an image shows.
+const NOISE_TOKEN_RE = /^(\d+|\d+x\d+|[0-9a-f]{6,}|img|image|dsc|dscn|scaled|thumb|thumbnail|min|large|medium|small|web|final|copy|edited|v\d+)$/i;
+
+export function buildArtifacts(signals, { crawl = null } = {}) {
+  const context = { site: describeSite(signals), crawl };
+  return [organizationSchema, faqSchema, titleTag, metaDescription, llmsTxtDraft, altText]
+    .map(build => build(signals, context))
+    .filter(Boolean);
+}
+
+/* ---------- JSON-LD ---------- */
+// Completes the brand entity with the logo and profile links the page already shows.
+function organizationSchema(signals, { site }) {
+  const brand = signals.structuredData?.brand;
+  if (brand?.logo && brand.sameAs.length) return null;
+  const logo = brand?.logo || signals.ogImage || null;
+  const sameAs = [...new Set([...(brand?.sameAs || []), ...signals.socialProfiles])];
+  if (brand && logo === brand.logo && sameAs.length === brand.sameAs.length) return null; // nothing new to add
+
+  // Start from the existing node so an address, @id or subtype isn't lost.
+  const { "@context": _context, ...existing } = (brand && signals.schemaNodes.find(n => n.name === brand.name)) || {};
+  const node = {
+    "@context": "https://schema.org",
+    ...existing,
+    "@type": existing["@type"] || brand?.type.split("/")[0] || "Organization",
+    name: brand?.name || site.brand,
+    url: brand?.url || new URL("/", signals.url).href,
+    ...(logo && { logo }),
+    ...(sameAs.length && { sameAs })
+  };
+  if (signals.telephones.length && !node.telephone && !node.contactPoint) {
+    node.contactPoint = { "@type": "ContactPoint", telephone: signals.telephones[0], contactType: "customer service" };
+  }
+
+  const notes = [
+    !logo && "Add a logo URL; none was found on the page.",
+    logo && logo === signals.ogImage && logo !== brand?.logo && "The logo is your og:image; use a square logo instead if that's a photo.",
+    !sameAs.length && "Add sameAs links to your official profiles; the page links to none.",
+    sameAs.length > (brand?.sameAs.length || 0) && "Check that every sameAs link is one of your own profiles."
+  ].filter(Boolean);
+  return jsonLdArtifact(node, {
+    id: "organization-schema",
+    checks: ["entity-schema", "entity-sameas"],
+    title: `${node["@type"]} JSON-LD`,
+    description: `Paste into the <head> of every page${brand ? `, replacing the current ${brand.type} markup` : ""}. ${notes.join(" ")}`.trim()
+  });
+}
+
+// FAQPage from the page's question headings and the text under each one.
+function faqSchema(signals) {
+  if (signals.schemaTypes.includes("FAQPage")) return null;
+  const pairs = signals.questionAnswers.filter(qa => qa.answer.length >= 20).slice(0, MAX_FAQ);
+  if (!pairs.length) return null;
+  const node = {
+    "@context": "https://schema.org",
+    "@type": "FAQPage",
+    mainEntity: pairs.map(qa => ({
+      "@type": "Question",
+      name: qa.question,
+      acceptedAnswer: { "@type": "Answer", text: clipWords(qa.answer, 1000) }
+    }))
+  };
+  return jsonLdArtifact(node, {
+    id: "faq-schema",
+    checks: ["answer-schema"],
+    title: "FAQPage JSON-LD",
+    description: `Paste into this page's <head>. It marks up the ${pairs.length} question heading${pairs.length > 1 ? "s" : ""} on the page; keep the answers identical to the visible text.`
+  });
+}
+
+// Parses the snippet back the way collectSignals() would and requires a clean bill from the validator.
+function jsonLdArtifact(node, artifact) {
+  const code = `<script type="application/ld+json">\n${JSON.stringify(node, null, 2).replace(/</g, "\\u003c")}\n</script>`;
+  const $ = cheerio.load(code);
+  const result = analyzeStructuredData(parseStructuredData($, "https://example.com/"));
+  const [item] = result.items;
+  if (result.malformed.length || !item || item.missing.length) return null;
+  return { ...artifact, language: "html", filename: null, code, validation: `Parses as JSON-LD; ${item.type} has every required property` };
+}
+
+/* ---------- TAGS ---------- */
+function titleTag(signals, { site }) {
+  if (passes("title", { title: signals.title })) return null;
+  const topic = signals.h1s[0] || signals.title.split(/\s+[|–—:-]\s+/)[0] || "";
+  if (!topic) return null;
+  const withBrand = topic.toLowerCase().includes(site.brand.toLowerCase()) ? topic : `${topic} | ${site.brand}`;
+  const title = [withBrand, topic, clipWords(topic, 60)].find(t => t.length >= 10 && passes("title", { title: t }));
+  if (!title) return null;
+  return {
+    id: "title-tag",
+    checks: ["title"],
+    title: "Suggested <title>",
+    description: `${signals.title ? `Replaces the current ${signals.title.length}-character title` : "Fills in the missing title"}; built from the page's H1 and brand.`,
+    language: "html",
+    filename: null,
+    code: `<title>${escapeHtml(title)}</title>`,
+    validation: `${title.length} characters, short enough for AI summaries to show in full`
+  };
+}
+
+function metaDescription(signals) {
+  if (passes("meta-description", { metaDescription: signals.metaDescription })) return null;
+  const source = signals.leadParagraph || signals.questionAnswers[0]?.answer || "";
+  const description = clipSentences(source, 155);
+  if (!passes("meta-description", { metaDescription: description })) return null;
+  return {
+    id: "meta-description",
+    checks: ["meta-description"],
+    title: "Suggested meta description",
+    description: `${signals.metaDescription ? `Replaces the current ${signals.metaDescription.length}-character description` : "Fills in the missing description"}; taken from the page's opening paragraph.`,
+    language: "html",
+    filename: null,
+    code: `<meta name="description" content="${escapeHtml(description)}">`,
+    validation: `${description.length} characters, within 50–160`
+  };
+}
+
+// Whether a draft earns full points on the scoring check that flagged the original.
+function passes(checkId, fields) {
+  const check = CHECKS.find(c => c.id === checkId);
+  return check.run(fields).earned === check.points;
+}
+
+/* ---------- LLMS.TXT ---------- */
+// Crawled page titles first (Detailed Report), then the page's own internal link texts.
+function llmsTxtDraft(signals, { site, crawl }) {
+  if (!signals.aiAccess || signals.aiAccess.llmsTxt.found) return null;
+  const links = new Map();
+  (crawl?.pages || []).filter(p => p.status === 200 && p.title).forEach(p => links.set(p.url, p.title));
+  signals.internalAnchors.forEach(a => { if (!links.has(a.url)) links.set(a.url, a.text); });
+  const entries = [...links].slice(0, MAX_LLMS_LINKS);
+  if (!entries.length) return null;
+
+  const summary = clipSentences(signals.metaDescription || signals.leadParagraph, 200);
+  const code = [
+    `# ${site.brand}`,
+    "",
+    ...(summary ? [`> ${summary}`, ""] : []),
+    "## Pages",
+    "",
+    ...entries.map(([url, text]) => `- [${text.replace(/[[\]]/g, "").slice(0, 80)}](${url})`),
+    ""
+  ].join("\n");
+
+  const parsed = parseLlmsTxt(code);
+  if (parsed.title !== site.brand || parsed.links !== entries.length) return null;
+  return {
+    id: "llms-txt",
+    checks: ["llms-txt"],
+    title: "llms.txt draft",
+    description: `Save as /llms.txt at the site root. It lists ${entries.length} page${entries.length > 1 ? "s" : ""}; add a one-line note after each link and drop any that don't matter.`,
+    language: "markdown",
+    filename: "llms.txt",
+    code,
+    validation: `Markdown with an H1 and ${parsed.links} links, as llmstxt.org describes`
+  };
+}
+
+/* ---------- ALT TEXT ---------- */
+// Captions and titles first; a descriptive filename is the fallback. Images with neither are skipped.
+function altText(signals) {
+  const suggestions = signals.imagesMissingAlt
+    .map(img => ({ src: img.src, alt: clipWords(img.caption || altFromFilename(img.src), MAX_ALT) }))
+    .filter(s => s.alt.length >= 3 && s.alt.length <= MAX_ALT && /[a-z]{3}/i.test(s.alt));
+  if (!suggestions.length) return null;
+  return {
+    id: "alt-text",
+    checks: ["alt-text"],
+    title: "Alt text suggestions",
+    description: `Suggested alt attributes for ${suggestions.length} of the ${signals.images - signals.imagesWithAlt} images without one. They come from captions and filenames, so rewrite any that don't describe what the image shows.`,
+    language: "html",
+    filename: null,
+    code: suggestions.map(s => `<img src="${escapeHtml(s.src)}" alt="${escapeHtml(s.alt)}">`).join("\n"),
+    validation: `Every alt is 3–${MAX_ALT} characters of text`
+  };
+}
+
+function altFromFilename(src) {
+  let name;
+  try { name = decodeURIComponent(new URL(src, "https://example.com/").pathname.split("/").pop()); } catch { return ""; }
+  const words = name.replace(/\.[a-z0-9]+$/i, "").split(/[-_+.\s]+/).filter(w => w && !NOISE_TOKEN_RE.test(w));
+  const text = words.join(" ");
+  return text.replace(/[^a-z]/gi, "").length >= 4 ? text.charAt(0).toUpperCase() + text.slice(1) : "";
+}
+
+/* ---------- TEXT ---------- */
+function clipWords(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  return `${cut.slice(0, cut.lastIndexOf(" ") > 0 ? cut.lastIndexOf(" ") : cut.length).replace(/[\s,;:.–—-]+$/, "")}…`;
+}
+
+// Whole sentences up to `max` characters, or the first sentence cut at a word if none fits.
+function clipSentences(text, max) {
+  const sentences = String(text || "").match(/[^.!?]+[.!?]+(\s|$)|[^.!?]+$/g) || [];
+  let out = "";
+  for (const sentence of sentences) {
+    if ((out + sentence).trim().length > max) break;
+    out += sentence;
+  }
+  return out.trim() || clipWords(String(text || "").trim(), max);
+}
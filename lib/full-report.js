@@ -0,0 +1,227 @@
+/*
+  lib/full-report.js — The Detailed Report (/api/full, PDFs, emailed reports, full jobs and batches)
+  Crawls the site (?pages= up to CRAWL_PAGE_LIMIT), probes the AI engines, scores the submitted page
+  with the same checks as the free analysis and asks the LLM provider (lib/llm.js) for the written
+  findings, validated against FULL_REPORT_SCHEMA. PageSpeed metrics join the prompt and
+  metrics.performance when PAGESPEED_API_KEY is set.
+  The measured parts (score, pillars, crawl, visibility, aiAccess, structuredData, rendering, metrics)
+  and the ready-to-paste `artifacts` (lib/fix-artifacts.js) are in every response. With `render` the
+  submitted page is scored as a headless browser renders it (lib/headless.js); the crawl stays raw.
+  Without a provider, or when the model's output fails validation, the written parts are a generic
+  fallback (success: false, meta.mode "fallback", meta.reason). Every run whose page could be fetched is
+  saved for its permalink; one that couldn't has report: null.
+*/
+
+import { buildArtifacts } from "./fix-artifacts.js";
+import { scoreSignals } from "./scoring.js";
+import { crawlSite, pageBudget } from "./crawler.js";
+import { fetchSiteFiles, blockedReasons } from "./ai-access.js";
+import { normalizeFinding, normalizeInsight } from "./findings.js";
+import { completeJson } from "./llm-json.js";
+import { FULL_REPORT_SCHEMA } from "./llm-schemas.js";
+import { getProvider, completerFor } from "./llm.js";
+import { probeUrlCached, mergeInsights } from "./visibility.js";
+import { fetchPageSpeed } from "./pagespeed.js";
+import { cached } from "./cache.js";
+import { fetchPage, signalsFor, technicalMetrics, failureReason, persistReport, brandVariant, renderVariant, renderFailed, markCached } from "./analysis.js";
+
+// Runs the whole analysis and saves it; resolves the response body including `report` (id + permalink).
+// `stage` reports progress when this runs as a job (lib/jobs.js JOB_STAGES.full).
+export async function runFullReport(url, { pages, brand, render = false, stage = () => {} } = {}) {
+  const maxPages = pageBudget(pages);
+  stage("crawl", "running", { fraction: 0, detail: `0 of ${maxPages} pages` });
+  stage("engines", "running");
+  const site = await fetchSiteFiles(url);
+  const [crawl, visibility] = await Promise.all([
+    crawlSite(url, { maxPages, site, onPage: (n, max) => stage("crawl", "running", { fraction: n / max, detail: `${n} of ${max} pages` }) })
+      .then(result => { stage("crawl", "done", { detail: `${result.pagesCrawled} pages` }); return result; }),
+    probeUrlCached(url).then(result => { stage("engines", "done"); return result; })
+  ]);
+
+  stage("fetch", "running");
+  const [page, performance] = await Promise.all([
+    fetchPage(url).catch(error => ({ error })),
+    fetchPageSpeed(url)
+  ]);
+  stage("fetch", "done");
+  const signals = page.error ? null : await signalsFor(page, { url, site, render });
+  const measured = { url, ...pageScore(signals, crawl), crawl, visibility, aiAccess: signals?.aiAccess || null, structuredData: signals?.structuredData || null, rendering: signals?.rendering || null, artifacts: signals ? buildArtifacts(signals, { crawl }) : [], metrics: { performance, technical: signals ? technicalMetrics(signals) : null } };
+
+  const send = async payload => {
+    stage("scoring", "running");
+    const body = { success: false, ...measured, ...payload, engineInsights: mergeInsights(payload.engineInsights, visibility) };
+    const report = signals ? await persistReport("full", url, body, brand) : null;
+    stage("scoring", "done");
+    return { ...body, report };
+  };
+  const meta = { kind: "full", analyzedAt: new Date().toISOString() };
+
+  const llm = getProvider();
+  if (!llm.available) {
+    stage("llm", "skipped", { detail: llm.reason });
+    return send(fallbackPayload({ ...meta, reason: llm.reason }));
+  }
+  if (page.error) {
+    stage("llm", "skipped", { detail: "fetch failed" });
+    return send(fallbackPayload({ ...meta, reason: failureReason(page.error) }));
+  }
+
+  try {
+    stage("llm", "running", { detail: `${llm.name} ${llm.model("full")}` });
+    const result = await completeJson({
+      schema: FULL_REPORT_SCHEMA,
+      messages: [
+        { role: "system", content: "You are a data-driven AI SEO analyst. Use the provided metrics to generate specific, actionable recommendations. Output valid JSON only." },
+        { role: "user", content: buildPrompt(url, signals, performance, crawl) }
+      ],
+      complete: completerFor(llm, "full")
+    });
+    stage("llm", "done");
+    const validation = { attempts: result.attempts };
+    if (!result.ok) return send(fallbackPayload({ ...meta, reason: "validation_failed", snippet: result.raw.slice(0, 600), validation }));
+
+    const parsed = result.value;
+    return send({
+      success: true,
+      whatsWorking: parsed.whatsWorking.map((f, i) => normalizeFinding(f, i, { priority: "Low" })),
+      needsAttention: parsed.needsAttention.map((f, i) => normalizeFinding(f, i)),
+      engineInsights: parsed.engineInsights.map(normalizeInsight),
+      meta: {
+        ...meta,
+        mode: "llm",
+        provider: llm.name,
+        model: llm.model("full"),
+        dataSources: ["content_analysis", "technical_seo", "site_crawl", ...(performance ? ["pagespeed_insights"] : []), ...(visibility ? ["engine_probes"] : [])],
+        validation
+      }
+    });
+  } catch (err) {
+    console.error("Detailed Report LLM error:", err);
+    return send(fallbackPayload({ ...meta, reason: failureReason(err) }));
+  }
+}
+
+/*
+  runFullReport through the cache: a repeat request inside ANALYSIS_CACHE_TTL gets the same saved
+  report instead of a new crawl and LLM call. Fallback payloads are only cached when no provider is
+  configured; a failed model call is worth retrying. Adds meta.cache.
+*/
+export async function runFullReportCached(url, { pages, brand, refresh, render = false, stage = () => {} } = {}) {
+  const { value, cache } = await cached("full", url, `${pageBudget(pages)}|${brandVariant(brand)}${renderVariant(render)}`, () => runFullReport(url, { pages, brand, render, stage }), {
+    refresh,
+    shouldCache: body => (body.success || !getProvider().available) && !renderFailed(body)
+  });
+  markCached(stage, "full", cache);
+  return { ...value, meta: { ...value.meta, cache } };
+}
+
+/* ---------- SCORING ---------- */
+// The submitted page's deterministic score, as /api/score gives it; the crawl's copy if the fetch failed.
+function pageScore(signals, crawl) {
+  if (signals) {
+    const { score, pillars, highlights, checks } = scoreSignals(signals);
+    return { score, pillars, highlights, checks };
+  }
+  const start = crawl.pages.find(p => p.depth === 0);
+  return { score: start?.score ?? null, pillars: start?.pillars || null, highlights: [], checks: null };
+}
+
+/* ---------- FALLBACK ---------- */
+// Generic written findings for when the model can't be used; the measured fields are kept.
+function fallbackPayload(meta) {
+  return {
+    success: false,
+    whatsWorking: [
+      { id: "site-reachable", title: "Site Reachable", priority: "Low", pillar: "access", description: "Your website is accessible and loads successfully for crawlers.", evidence: "", solution: "Keep uptime monitoring in place so crawlers never hit errors.", impact: "AI crawlers can fetch your content on every visit." },
+      { id: "https-enabled", title: "HTTPS Active", priority: "Low", pillar: "trust", description: "HTTPS appears active, which is a baseline trust signal for AI engines.", evidence: "", solution: "Add an HSTS header and redirect all http:// URLs.", impact: "Preserves the baseline trust signal." }
+    ],
+    needsAttention: [
+      { id: "structured-data-coverage", title: "Structured Data Coverage", priority: "High", pillar: "trust", description: "AI engines rely on schema to understand entities and services.", evidence: "", solution: "Add Organization, WebSite, and relevant Service/Product schemas sitewide.", impact: "Improves inclusion in AI summaries." },
+      { id: "meta-description-gaps", title: "Meta Description Gaps", priority: "Medium", pillar: "clarity", description: "Missing/weak descriptions reduce control over AI summaries.", evidence: "", solution: "Author concise task-focused descriptions per page.", impact: "Clearer answers in AI results." },
+      { id: "alt-text-coverage", title: "Image Alt Text Coverage", priority: "Medium", pillar: "clarity", description: "Low coverage limits AI understanding of visuals.", evidence: "", solution: "Add descriptive alt attributes to key images.", impact: "Better context for multimodal AI." }
+    ],
+    engineInsights: [
+      { engine: "ChatGPT", insight: "Add explicit FAQs and task-oriented sections for core intents." },
+      { engine: "Claude", insight: "Use clear headings and cite authoritative sources." },
+      { engine: "Gemini", insight: "Strengthen entity signals (schema, unambiguous brand/service/location mentions)." },
+      { engine: "Perplexity", insight: "Publish referenceable guides with clear titles and summaries." },
+      { engine: "Copilot", insight: "Provide concise checklists and short how-to steps." }
+    ],
+    meta: { ...meta, mode: "fallback" }
+  };
+}
+
+/* ---------- PROMPT ---------- */
+function buildPrompt(url, signals, perf, crawl) {
+  const headings = [...signals.h1s, ...signals.subHeadings].join(" | ").slice(0, 2000);
+
+  const performanceSection = perf ? `
+ACTUAL PERFORMANCE METRICS (PageSpeed Insights, mobile):
+- Performance Score: ${perf.performanceScore}/100 (target >90)
+- SEO Score: ${perf.seoScore}/100
+- Largest Contentful Paint: ${(perf.lcp / 1000).toFixed(1)}s (target <2.5s)
+- Cumulative Layout Shift: ${perf.cls.toFixed(3)} (target <0.1)
+- Total Blocking Time: ${perf.totalBlockingTime}ms
+` : "";
+
+  const technicalSection = `
+TECHNICAL SEO AUDIT:
+- Images: ${signals.imagesWithAlt}/${signals.images} have alt text
+- Meta Description: ${signals.metaDescription ? "Present" : "MISSING"}
+- Internal Links: ${signals.internalLinks} found
+- Schema Markup: ${signals.hasSchema ? `Present (${signals.schemaTypes.join(", ") || "untyped"})` : "MISSING"}
+`;
+
+  const access = signals.aiAccess;
+  const blocked = blockedReasons(access);
+  const accessSection = `
+AI CRAWLER ACCESS (robots.txt ${access.robotsTxt.found ? "found" : `not found (HTTP ${access.robotsTxt.status ?? "error"})`}, llms.txt ${access.llmsTxt.found ? "published" : "MISSING"}):
+- ${access.allowed}/${access.total} AI crawlers may use this page
+${blocked.map(line => `- BLOCKED ${line}`).join("\n")}
+`;
+
+  const sd = signals.structuredData;
+  const brand = sd.brand;
+  const schemaSection = signals.hasSchema ? `
+STRUCTURED DATA (${Object.entries(sd.formats).filter(([, n]) => n).map(([f, n]) => `${n} ${f}`).join(", ") || "no parseable items"}):
+- Brand entity: ${brand ? `${brand.type} "${brand.name}", logo ${brand.logo ? "present" : "MISSING"}, ${brand.sameAs.length} sameAs links` : "MISSING"}
+${sd.malformed.map(m => `- MALFORMED JSON-LD block ${m.block}: ${m.error}`).join("\n")}
+${sd.items.filter(i => i.missing.length).map(i => `- INVALID ${i.type}: missing ${i.missing.join(", ")}`).join("\n")}
+` : "";
+
+  const rendering = signals.rendering;
+  const renderingSection = rendering?.status === "rendered" ? `
+JAVASCRIPT RENDERING (metrics above are from the rendered page; most AI crawlers don't run JavaScript):
+${rendering.jsOnly.length ? rendering.jsOnly.map(item => `- ONLY AFTER JAVASCRIPT: ${item}`).join("\n") : "- The raw HTML already contains the page's content"}
+` : "";
+
+  const crawlSection = crawl?.pagesCrawled ? `
+SITE-WIDE CRAWL (${crawl.pagesCrawled} pages, average page score ${crawl.averageScore}/100):
+${crawl.summary.slice(0, 12).map(r => `- ${r.text}`).join("\n") || "- No recurring issues found"}
+` : "";
+
+  return `
+You are an expert AI SEO specialist. Analyze this website using the REAL DATA provided below.
+
+URL: ${url}
+Title: ${signals.title || "Not found"}
+Meta Description: ${signals.metaDescription || "MISSING"}
+Headings: ${headings}
+${performanceSection}${technicalSection}${accessSection}${schemaSection}${renderingSection}${crawlSection}
+Sample Content: ${signals.bodyText.slice(0, 8000)}
+
+Instructions:
+- Use the ACTUAL METRICS above to generate specific recommendations
+- Include exact numbers in your analysis (LCP times, missing alt tags, pages affected site-wide, etc.)
+- Prioritize issues based on real impact on AI engines
+- Provide measurable outcomes for each recommendation
+
+Return ONLY JSON with these exact keys:
+- "whatsWorking": array of 10 finding objects highlighting current strengths
+- "needsAttention": array of 25 finding objects, most important first
+- "engineInsights": array of 5 objects: {"engine": "ChatGPT"|"Claude"|"Gemini"|"Perplexity"|"Copilot", "insight": "engine-specific advice"}
+
+Finding object format:
+{"id": "kebab-case-id", "title": "...", "priority": "High"|"Medium"|"Low", "pillar": "access"|"trust"|"clarity"|"alignment", "description": "specific issue or strength", "evidence": "the exact metric or content fact it is based on", "solution": "concrete steps", "impact": "expected improvement"}
+`.trim();
+}
@@ -0,0 +1,242 @@
+/*
+  lib/headless.js — Optional headless-browser fetch: the page as it looks after its JavaScript runs
+  Most AI crawlers (GPTBot, ClaudeBot, PerplexityBot, CCBot) read the HTML the server sends and never
+  run scripts, so a React or Vue app can be an empty shell to them while browsers see a full page.
+  With render requested, the analyses score the rendered DOM and compareRendering() records what
+  exists only after JavaScript, as `rendering` in the response and a finding of its own.
+
+  ENV Optional: CHROME_PATH (a local Chrome/Chromium binary) or BROWSER_WS_ENDPOINT (a remote browser,
+  e.g. browserless), plus the puppeteer-core package; RENDER_TIMEOUT_MS, RENDER_CONCURRENCY. Without
+  a browser renderAvailable() is false and the analyses fall back to the raw HTML with
+  rendering.status "unavailable".
+
+  Renders share one browser, RENDER_CONCURRENCY (default 1) pages at a time; the rest wait their
+  turn, and a launched browser is closed after a minute without renders.
+
+  Address checks: a launched Chrome sends all its traffic through a local proxy that connects with
+  safe-fetch's guardedConnect(), so a hostname that passed checkUrl() and then re-resolves to a
+  private address still can't be reached. Each request is also vetted with checkUrl() before it
+  leaves; images, media and fonts aren't loaded at all. A remote browser resolves names on its own
+  network, so only the request checks apply there; run it where it can't reach anything private.
+*/
+
+import http from "node:http";
+import { checkUrl, guardedConnect } from "./safe-fetch.js";
+
+const puppeteer = await import("puppeteer-core").then(m => m.default).catch(() => null);
+
+const USER_AGENT = "Mozilla/5.0 (compatible; SnipeRankBot/1.0)";
+const RENDER_TIMEOUT = Number(process.env.RENDER_TIMEOUT_MS) || 20000;
+const RENDER_CONCURRENCY = Math.max(1, Number(process.env.RENDER_CONCURRENCY) || 1);
+const IDLE_TIMEOUT = 5000;
+const BROWSER_IDLE_MS = 60000;
+const SKIPPED_TYPES = new Set(["image", "media", "font"]);
+// Below these, raw and rendered pages count as the same.
+const MIN_HIDDEN_WORDS = 50;
+const MIN_HIDDEN_SHARE = 0.2;
+const MIN_HIDDEN_LINKS = 5;
+
+// The render flag as sent by clients, in the same forms as ?refresh (lib/cache.js).
+export function wantsRender(value) {
+  return value !== undefined && !/^(0|false|no)$/i.test(String(value));
+}
+
+export function renderAvailable() {
+  if (!puppeteer) return { available: false, reason: "puppeteer-core is not installed" };
+  if (!process.env.CHROME_PATH && !process.env.BROWSER_WS_ENDPOINT) return { available: false, reason: "CHROME_PATH or BROWSER_WS_ENDPOINT is not set" };
+  return { available: true, reason: null };
+}
+
+/* ---------- RENDERING ---------- */
+// Resolves { html, status, durationMs }: the DOM once the network has gone quiet (or IDLE_TIMEOUT passed).
+export function renderPage(url, { timeout = RENDER_TIMEOUT } = {}) {
+  return withRenderSlot(async () => {
+    const browser = await sharedBrowser();
+    const started = Date.now();
+    // A fresh context per render, so no cookies or storage carry over between sites.
+    const context = await browser.createBrowserContext();
+    try {
+      const page = await context.newPage();
+      await page.setUserAgent(USER_AGENT);
+      await page.setRequestInterception(true);
+      page.on("request", request => {
+        vetRequest(request).catch(() => request.abort("blockedbyclient").catch(() => {}));
+      });
+      const response = await page.goto(url, { waitUntil: "domcontentloaded", timeout });
+      await page.waitForNetworkIdle({ idleTime: 500, timeout: IDLE_TIMEOUT }).catch(() => {});
+      return { html: await page.content(), status: response?.status() ?? null, durationMs: Date.now() - started };
+    } finally {
+      await context.close().catch(() => {});
+    }
+  });
+}
+
+// Inline data is allowed; anything that goes over the network must pass the same rules as safeFetch.
+async function vetRequest(request) {
+  const url = request.url();
+  if (SKIPPED_TYPES.has(request.resourceType())) return request.abort("blockedbyclient");
+  if (/^(data|blob):/i.test(url)) return request.continue();
+  const rejected = await checkUrl(url);
+  return rejected ? request.abort("blockedbyclient") : request.continue();
+}
+
+/* ---------- SHARED BROWSER ---------- */
+let active = 0;
+const waiting = [];
+let browserPromise = null;
+let idleTimer = null;
+
+// Runs `fn` once fewer than RENDER_CONCURRENCY renders are in flight; a finished render hands its slot on.
+async function withRenderSlot(fn) {
+  if (active < RENDER_CONCURRENCY) active++;
+  else await new Promise(resolve => waiting.push(resolve));
+  clearTimeout(idleTimer);
+  try {
+    return await fn();
+  } finally {
+    const next = waiting.shift();
+    if (next) next();
+    else if (--active === 0) idleTimer = setTimeout(closeBrowser, BROWSER_IDLE_MS).unref();
+  }
+}
+
+function sharedBrowser() {
+  if (!browserPromise) {
+    browserPromise = openBrowser().then(browser => {
+      browser.once("disconnected", () => { browserPromise = null; });
+      return browser;
+    });
+    browserPromise.catch(() => { browserPromise = null; });
+  }
+  return browserPromise;
+}
+
+async function openBrowser() {
+  const remote = process.env.BROWSER_WS_ENDPOINT;
+  if (remote) return puppeteer.connect({ browserWSEndpoint: remote });
+  const proxyPort = await egressProxy();
+  return puppeteer.launch({
+    executablePath: process.env.CHROME_PATH,
+    headless: true,
+    args: [
+      "--disable-dev-shm-usage",
+      `--proxy-server=http://127.0.0.1:${proxyPort}`,
+      // Chrome skips the proxy for localhost unless told otherwise, and WebRTC could go around it.
+      "--proxy-bypass-list=<-loopback>",
+      "--force-webrtc-ip-handling-policy=disable_non_proxied_udp"
+    ]
+  });
+}
+
+async function closeBrowser() {
+  const pending = browserPromise;
+  browserPromise = null;
+  const browser = await pending?.catch(() => null);
+  if (!browser) return;
+  await (process.env.BROWSER_WS_ENDPOINT ? browser.disconnect() : browser.close()).catch(() => {});
+}
+
+/* ---------- EGRESS PROXY ---------- */
+/*
+  The launched browser's only way out: plain http requests are forwarded and https tunnels (CONNECT)
+  are opened over guardedConnect(), which re-checks the address the name resolves to at connect
+  time. Listens on a loopback port for the life of the process; resolves that port.
+*/
+let proxyPromise = null;
+
+function egressProxy() {
+  if (!proxyPromise) {
+    proxyPromise = new Promise((resolve, reject) => {
+      const server = http.createServer(forwardRequest);
+      server.on("connect", openTunnel);
+      server.once("error", reject);
+      server.listen(0, "127.0.0.1", () => resolve(server.address().port));
+      server.unref();
+    });
+    proxyPromise.catch(() => { proxyPromise = null; });
+  }
+  return proxyPromise;
+}
+
+function forwardRequest(req, res) {
+  let target;
+  try {
+    target = new URL(req.url);
+  } catch {
+    return res.writeHead(400).end();
+  }
+  if (target.protocol !== "http:") return res.writeHead(400).end();
+  const { "proxy-connection": _pc, "proxy-authorization": _pa, ...headers } = req.headers;
+  let socket;
+  try {
+    socket = guardedConnect(target.hostname, target.port || "80");
+  } catch {
+    return res.writeHead(403).end();
+  }
+  const fail = () => {
+    if (!res.headersSent) res.writeHead(502);
+    res.end();
+  };
+  socket.on("error", fail);
+  const upstream = http.request(target, { method: req.method, headers, createConnection: () => socket });
+  upstream.on("response", resp => {
+    res.writeHead(resp.statusCode, resp.headers);
+    resp.pipe(res);
+  });
+  upstream.on("error", fail);
+  req.pipe(upstream);
+}
+
+function openTunnel(req, client, head) {
+  let target;
+  try {
+    target = new URL(`http://${req.url}`);
+  } catch {
+    return client.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+  }
+  let upstream;
+  try {
+    upstream = guardedConnect(target.hostname, target.port || "443");
+  } catch {
+    return client.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+  }
+  let open = false;
+  upstream.once("connect", () => {
+    open = true;
+    client.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+    if (head?.length) upstream.write(head);
+    upstream.pipe(client);
+    client.pipe(upstream);
+  });
+  upstream.on("error", () => {
+    if (open) client.destroy();
+    else client.end("HTTP/1.1 502 Bad Gateway\r\n\r\n");
+  });
+  client.on("error", () => upstream.destroy());
+}
+
+/* ---------- RAW VS RENDERED ---------- */
+/*
+  What a crawler that skips JavaScript misses, from the signals (lib/page-signals.js) of the raw
+  HTML and of the rendered DOM. `jsOnly` lists it in words ("the H1 heading", "820 of 900 words"),
+  `hiddenShare` is the fraction of visible text that only the render has.
+*/
+export function compareRendering(raw, rendered) {
+  const view = s => ({ title: s.title, h1s: s.h1s.length, wordCount: s.wordCount, internalLinks: s.internalLinks, schemaTypes: s.schemaTypes });
+  const hiddenWords = rendered.wordCount - raw.wordCount;
+  const hiddenShare = rendered.wordCount ? Math.max(0, Math.round((hiddenWords / rendered.wordCount) * 100) / 100) : 0;
+  const hiddenLinks = rendered.internalLinks - raw.internalLinks;
+  const newTypes = rendered.schemaTypes.filter(t => !raw.schemaTypes.includes(t));
+
+  const jsOnly = [
+    !raw.title && rendered.title && "the <title>",
+    !raw.h1s.length && rendered.h1s.length && "the H1 heading",
+    !raw.metaDescription && rendered.metaDescription && "the meta description",
+    !raw.canonical && rendered.canonical && "the canonical URL",
+    hiddenWords >= MIN_HIDDEN_WORDS && hiddenShare >= MIN_HIDDEN_SHARE && `${hiddenWords} of ${rendered.wordCount} words of text`,
+    hiddenLinks >= MIN_HIDDEN_LINKS && `${hiddenLinks} of ${rendered.internalLinks} internal links`,
+    newTypes.length && `${newTypes.join(", ")} structured data`
+  ].filter(Boolean);
+
+  return { status: "rendered", reason: null, jsOnly, hiddenShare, raw: view(raw), rendered: view(rendered) };
+}
@@ -0,0 +1,126 @@
+/*
+  lib/history.js — Per-domain run history and score trends
+  Every saved report appends a compact summary line to HISTORY_DIR/<domain>.jsonl (default
+  ./data/history), keyed by the normalized domain. loadHistory() replays those lines and marks
+  each run's failed scoring checks as new, regressed (fixed once, now back) or resolved against the
+  previous measured run of the same kind for the same page, so consultants can show clients what
+  their work changed. Changes are diffed on the deterministic check ids from lib/scoring.js, not on
+  findings, whose ids the Detailed Report's model writes afresh each run.
+*/
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const HISTORY_DIR = process.env.HISTORY_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "history");
+const DOMAIN_RE = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+// "https://www.Example.com/page" and "example.com" both become "example.com".
+export function extractDomain(u) {
+  try {
+    const withProto = /^https?:\/\//i.test(u) ? u : `https://${u}`;
+    return new URL(withProto).hostname.replace(/^www\./i, "").toLowerCase();
+  } catch { return ""; }
+}
+
+// Same page regardless of scheme, www or trailing slash: "example.com/pricing".
+export function pageKey(u) {
+  try {
+    const { pathname } = new URL(/^https?:\/\//i.test(u) ? u : `https://${u}`);
+    return `${extractDomain(u)}${pathname.replace(/\/+$/, "")}`;
+  } catch { return ""; }
+}
+
+// Appends one saved report ({ id, kind, url, createdAt, report }) to its domain's history.
+export async function recordRun(record) {
+  const domain = extractDomain(record.url);
+  if (!DOMAIN_RE.test(domain)) return null;
+
+  const report = record.report || {};
+  const run = {
+    reportId: record.id,
+    kind: record.kind,
+    url: record.url,
+    page: pageKey(record.url),
+    createdAt: record.createdAt,
+    score: typeof report.score === "number" ? report.score : null,
+    pillars: report.pillars || null,
+    // null when the page wasn't scored (a failed fetch), and for runs recorded before checks were kept.
+    failedChecks: Array.isArray(report.checks)
+      ? report.checks.filter(c => !c.passed).map(c => ({ id: c.id, title: c.label, pillar: c.pillar, lost: c.max - c.earned }))
+      : null
+  };
+  await fs.mkdir(HISTORY_DIR, { recursive: true });
+  await fs.appendFile(path.join(HISTORY_DIR, `${domain}.jsonl`), `${JSON.stringify(run)}\n`);
+  return run;
+}
+
+// { domain, runs } oldest first; a measured run with an earlier measured same-kind run of its page carries `changes`.
+export async function loadHistory(domain) {
+  const key = extractDomain(domain);
+  if (!DOMAIN_RE.test(key)) return { domain: key, runs: [] };
+
+  let text = "";
+  try {
+    text = await fs.readFile(path.join(HISTORY_DIR, `${key}.jsonl`), "utf8");
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  const runs = text.split("\n").filter(Boolean).flatMap(line => {
+    try { return [JSON.parse(line)]; } catch { return []; } // skip a torn last line
+  });
+  runs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  return {
+    domain: key,
+    runs: runs.map((run, i) => {
+      const sameKind = runs.slice(0, i).filter(r => r.kind === run.kind && r.page === run.page && measured(r));
+      return { ...run, changes: measured(run) && sameKind.length ? compareRuns(sameKind, run) : null };
+    })
+  };
+}
+
+/*
+  What the holder of one saved report may see: the runs of its kind for its page up to and
+  including it. Other report ids (each run's and each `changes.since`) are dropped, since each
+  one opens that report.
+*/
+export function historyForReport(history, reportId) {
+  const current = history.runs.find(r => r.reportId === reportId);
+  if (!current) return { domain: history.domain, runs: [] };
+  const runs = history.runs.filter(r => r.kind === current.kind && r.page === current.page && r.createdAt <= current.createdAt);
+  return {
+    domain: history.domain,
+    runs: runs.map(r => ({ ...r, reportId: r === current ? r.reportId : null, changes: r.changes && { ...r.changes, since: null } }))
+  };
+}
+
+/* ---------- HELPERS ---------- */
+// A run whose page was fetched and scored; only these are compared or used as a baseline.
+const measured = run => typeof run.score === "number" && Array.isArray(run.failedChecks);
+
+// `earlier` are the measured same-kind runs before `run`, oldest first; the last one is the baseline.
+export function compareRuns(earlier, run) {
+  const previous = earlier[earlier.length - 1];
+  const prevIds = new Set(previous.failedChecks.map(c => c.id));
+  const curIds = new Set(run.failedChecks.map(c => c.id));
+  const seenBefore = new Set(earlier.slice(0, -1).flatMap(r => r.failedChecks.map(c => c.id)));
+  const appeared = run.failedChecks.filter(c => !prevIds.has(c.id));
+
+  const delta = (a, b) => (typeof a === "number" && typeof b === "number" ? a - b : null);
+  const pillars = run.pillars && previous.pillars
+    ? Object.fromEntries(Object.keys(run.pillars).map(k => [k, delta(run.pillars[k], previous.pillars[k])]))
+    : null;
+
+  return {
+    since: previous.reportId,
+    sinceDate: previous.createdAt,
+    scoreDelta: delta(run.score, previous.score),
+    pillarDeltas: pillars,
+    resolved: previous.failedChecks.filter(c => !curIds.has(c.id)),
+    new: appeared.filter(c => !seenBefore.has(c.id)),
+    regressed: appeared.filter(c => seenBefore.has(c.id)),
+    unchanged: run.failedChecks.length - appeared.length
+  };
+}
@@ -0,0 +1,161 @@
+/*
+  lib/jobs.js — Analyses run as background jobs with real stage progress
+  A job runs one pipeline (the analyze summary or the Detailed Report) after the request that
+  started it has returned, and reports each stage as it actually starts and finishes, so pages
+  can show live progress (GET /api/jobs/events SSE, or polling) and a reopened tab can pick the
+  same job back up by ID. Live jobs are held in memory; each stage change and the result are also
+  written to JOBS_DIR (default ./data/jobs), so a job outlives its tab and, once finished, a restart.
+
+  Job: { id, kind: "analyze"|"full", url, status: "queued"|"running"|"done"|"failed", progress (0-100),
+         stages: [{ id, label, status: "pending"|"running"|"done"|"skipped", fraction, detail }],
+         result, error, createdAt, updatedAt }
+*/
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+import { fileURLToPath } from "node:url";
+
+const JOBS_DIR = process.env.JOBS_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "jobs");
+const ID_RE = /^[A-Za-z0-9_-]{16}$/;
+const KEEP_LIVE_MS = 10 * 60 * 1000;
+
+// Weights are each stage's rough share of the wall time, so the bar moves at an honest pace.
+export const JOB_STAGES = {
+  analyze: [
+    { id: "fetch", label: "Fetching page and sitemap", weight: 60 },
+    { id: "checks", label: "Running schema and on-page checks", weight: 20 },
+    { id: "engines", label: "Looking up AI engine results", weight: 5 },
+    { id: "scoring", label: "Scoring and saving", weight: 15 }
+  ],
+  full: [
+    { id: "crawl", label: "Crawling site pages", weight: 30 },
+    { id: "engines", label: "Probing AI engines", weight: 15 },
+    { id: "fetch", label: "Fetching page content", weight: 5 },
+    { id: "llm", label: "LLM analysis", weight: 45 },
+    { id: "scoring", label: "Scoring and saving", weight: 5 }
+  ]
+};
+
+const live = new Map(); // id → { job, events }
+
+export function isJobFinished(job) {
+  return job.status === "done" || job.status === "failed";
+}
+
+async function writeJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await fs.mkdir(JOBS_DIR, { recursive: true });
+  const file = path.join(JOBS_DIR, `${job.id}.json`);
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(job));
+  await fs.rename(`${file}.tmp`, file);
+  return job;
+}
+
+function computeProgress(stages) {
+  const total = stages.reduce((sum, s) => sum + s.weight, 0);
+  const done = stages.reduce((sum, s) => sum + s.weight * (s.status === "done" || s.status === "skipped" ? 1 : s.fraction), 0);
+  return Math.min(99, Math.round((done / total) * 100));
+}
+
+export async function createJob(kind, { url }) {
+  if (!JOB_STAGES[kind]) throw new Error(`Unknown job kind: ${kind}`);
+  const job = {
+    id: crypto.randomBytes(12).toString("base64url"),
+    kind,
+    url,
+    status: "queued",
+    progress: 0,
+    stages: JOB_STAGES[kind].map(s => ({ ...s, status: "pending", fraction: 0, detail: null })),
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString()
+  };
+  live.set(job.id, { job, events: new EventEmitter() });
+  return writeJob(job);
+}
+
+/*
+  Runs `work(stage)` for a job created above; `stage(id, status, { fraction, detail })` reports
+  progress ("running" with a fraction for partial progress, "done" or "skipped"). Whatever `work`
+  resolves becomes job.result; a throw fails the job. Never rejects.
+*/
+export async function runJob(job, work) {
+  const entry = live.get(job.id);
+  let saving = Promise.resolve();
+  const save = () => (saving = saving.then(() => writeJob(job)).catch(err => console.error("Job write failed:", err.message)));
+  const emit = () => {
+    job.updatedAt = new Date().toISOString();
+    entry.events.emit("update", job);
+  };
+
+  const stage = (id, status, { fraction, detail } = {}) => {
+    const s = job.stages.find(x => x.id === id);
+    if (!s) return;
+    const changed = s.status !== status;
+    s.status = status;
+    s.fraction = status === "running" ? Math.max(0, Math.min(1, fraction ?? s.fraction)) : s.fraction;
+    if (detail !== undefined) s.detail = detail;
+    job.progress = computeProgress(job.stages);
+    emit();
+    if (changed) save(); // fraction ticks only go to listeners
+  };
+
+  job.status = "running";
+  emit();
+  save();
+  try {
+    job.result = await work(stage);
+    // A pipeline that bailed out early (e.g. the page couldn't be fetched) never reached some stages.
+    for (const s of job.stages) if (s.status === "pending" || s.status === "running") s.status = "skipped";
+    job.status = "done";
+    job.progress = 100;
+  } catch (err) {
+    job.status = "failed";
+    job.error = String(err?.message || err?.code || "error");
+  }
+  emit();
+  await save();
+  await saving;
+  setTimeout(() => live.delete(job.id), KEEP_LIVE_MS).unref();
+  return job;
+}
+
+// A job still marked running on disk but unknown to this process was cut off by a restart.
+export async function loadJob(id) {
+  if (!ID_RE.test(String(id || ""))) return null;
+  if (live.has(id)) return live.get(id).job;
+  try {
+    const job = JSON.parse(await fs.readFile(path.join(JOBS_DIR, `${id}.json`), "utf8"));
+    return isJobFinished(job) ? job : { ...job, status: "failed", error: "interrupted" };
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// Calls `listener(job)` on every update until the returned function is called; null if the job isn't live.
+export function watchJob(id, listener) {
+  const entry = live.get(id);
+  if (!entry || isJobFinished(entry.job)) return null;
+  entry.events.on("update", listener);
+  return () => entry.events.off("update", listener);
+}
+
+// The result only ships once, with the finished job.
+export function publicJob(job) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    url: job.url,
+    status: job.status,
+    progress: job.progress,
+    stages: job.stages.map(({ id, label, status, detail }) => ({ id, label, status, detail })),
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    ...(isJobFinished(job) ? { result: job.result } : {})
+  };
+}
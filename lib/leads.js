@@ -0,0 +1,232 @@
+/*
+  lib/leads.js — Lead capture, de-duplication and CRM export
+  One JSON file per lead in LEADS_DIR (default ./data/leads). The file name is derived from the
+  normalized email and the analyzed domain, so a person re-submitting for the same site updates
+  their lead (new details, report IDs, consent) instead of creating a second one.
+  A lead is only stored with affirmative consent: consent.contact === true, or for newsletter
+  signups consent.marketing === true.
+  Every create, and every update that changes the lead, is optionally POSTed to LEADS_WEBHOOK_URL,
+  signed with LEADS_WEBHOOK_SECRET (X-SnipeRank-Signature: sha256=<hex HMAC of the body>), at most
+  LEADS_WEBHOOK_PER_MINUTE times a minute (default 30); the outcome is kept on the lead.
+
+  Lead: { id, email, name, phone, company, context, url, domain, sources, reportIds, brand,
+          consent: { contact, marketing, text, at }, submissions, webhook, createdAt, updatedAt }
+*/
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import axios from "axios";
+import { isEmail } from "./mailer.js";
+import { extractDomain } from "./history.js";
+import { isReportId } from "./report-store.js";
+import { toCsv } from "./csv.js";
+import { limitStore } from "./limit-store.js";
+
+const LEADS_DIR = process.env.LEADS_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "leads");
+const ID_RE = /^[A-Za-z0-9_-]{16}$/;
+const PHONE_RE = /^[+\d\s().-]{6,25}$/;
+
+export const LEAD_SOURCES = ["analyze", "full-report", "send-link", "newsletter"];
+
+const LIMITS = { name: 100, company: 100, context: 2000, consentText: 500 };
+const WEBHOOK_PER_MINUTE = Number(process.env.LEADS_WEBHOOK_PER_MINUTE) || 30;
+
+/* ---------- VALIDATION ---------- */
+// Resolves { lead } (normalized input) or { errors }.
+export function validateLead(input = {}) {
+  const errors = [];
+  const text = (v, max) => String(v ?? "").trim().slice(0, max);
+  const email = String(input.email || "").trim().toLowerCase();
+  if (!isEmail(email)) errors.push("email must be a valid address");
+  const phone = text(input.phone, 25);
+  if (phone && !PHONE_RE.test(phone)) errors.push("phone may only contain digits, spaces and + ( ) . -");
+  const source = input.source || "analyze";
+  if (!LEAD_SOURCES.includes(source)) errors.push(`source must be one of ${LEAD_SOURCES.join(", ")}`);
+  let url = "";
+  if (input.url) {
+    try {
+      const parsed = new URL(input.url);
+      if (!/^https?:$/.test(parsed.protocol)) throw new Error("scheme");
+      url = parsed.href;
+    } catch { errors.push("url must be an http(s) URL"); }
+  }
+  if (input.reportId && !isReportId(input.reportId)) errors.push("reportId is not a valid report ID");
+  for (const kind of ["contact", "marketing"]) {
+    if (input.consent?.[kind] !== undefined && typeof input.consent[kind] !== "boolean") errors.push(`consent.${kind} must be true or false`);
+  }
+  // Newsletter signups agree to marketing mail; every other source must agree to be contacted.
+  if (source === "newsletter" ? input.consent?.marketing !== true : input.consent?.contact !== true) {
+    errors.push(source === "newsletter" ? "consent.marketing must be true to sign up" : "consent.contact must be true to submit your details");
+  }
+  if (errors.length) return { errors };
+
+  return {
+    lead: {
+      email,
+      name: text(input.name, LIMITS.name),
+      phone,
+      company: text(input.company, LIMITS.company),
+      context: text(input.context ?? input.message, LIMITS.context),
+      url,
+      domain: url ? extractDomain(url) : "",
+      source,
+      reportId: input.reportId || null,
+      brand: input.brand || null,
+      consent: {
+        contact: input.consent?.contact === true,
+        marketing: input.consent?.marketing,
+        text: text(input.consent?.text, LIMITS.consentText)
+      }
+    }
+  };
+}
+
+/* ---------- STORAGE ---------- */
+export function leadId(email, domain) {
+  return crypto.createHash("sha256").update(`${email}|${domain}`).digest("base64url").slice(0, 16);
+}
+
+async function readLead(id) {
+  if (!ID_RE.test(id)) return null;
+  try {
+    return JSON.parse(await fs.readFile(path.join(LEADS_DIR, `${id}.json`), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+async function writeLead(lead) {
+  await fs.mkdir(LEADS_DIR, { recursive: true });
+  const file = path.join(LEADS_DIR, `${lead.id}.json`);
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(lead));
+  await fs.rename(`${file}.tmp`, file);
+  return lead;
+}
+
+// Blank fields in a repeat submission never erase what an earlier one provided.
+function mergeLead(existing, input, now) {
+  const pick = key => input[key] || existing[key] || "";
+  return {
+    ...existing,
+    name: pick("name"),
+    phone: pick("phone"),
+    company: pick("company"),
+    context: pick("context"),
+    url: pick("url"),
+    brand: input.brand || existing.brand,
+    sources: [...new Set([...existing.sources, input.source])],
+    reportIds: [...new Set([...existing.reportIds, ...(input.reportId ? [input.reportId] : [])])],
+    consent: {
+      contact: existing.consent.contact || input.consent.contact,
+      marketing: input.consent.marketing ?? existing.consent.marketing,
+      text: input.consent.text || existing.consent.text,
+      at: input.consent.text || input.consent.marketing !== undefined ? now : existing.consent.at
+    },
+    submissions: existing.submissions + 1,
+    updatedAt: now
+  };
+}
+
+/*
+  Validates and upserts one submission; resolves { lead, created } or { errors }.
+  The webhook runs after the write and never fails the capture.
+*/
+export async function saveLead(input) {
+  const { lead: normalized, errors } = validateLead(input);
+  if (errors) return { errors };
+
+  const now = new Date().toISOString();
+  const id = leadId(normalized.email, normalized.domain);
+  const existing = await readLead(id);
+  const { source, reportId, ...fields } = normalized;
+  const lead = existing
+    ? mergeLead(existing, normalized, now)
+    : {
+        id,
+        ...fields,
+        sources: [source],
+        reportIds: reportId ? [reportId] : [],
+        consent: { ...normalized.consent, marketing: normalized.consent.marketing ?? false, at: now },
+        submissions: 1,
+        webhook: null,
+        createdAt: now,
+        updatedAt: now
+      };
+  await writeLead(lead);
+  // A repeat submission that changes nothing isn't worth a CRM update.
+  if (existing && !changed(existing, lead)) return { lead, created: false };
+  lead.webhook = await forwardLead(lead, existing ? "lead.updated" : "lead.created");
+  if (lead.webhook) await writeLead(lead);
+  return { lead, created: !existing };
+}
+
+function changed(before, after) {
+  const ignored = new Set(["submissions", "updatedAt", "webhook"]);
+  return Object.keys(after).some(key => !ignored.has(key) && JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+// saveLead() for flows where the lead is a side effect (send-link); logs instead of failing the request.
+export async function captureLead(input) {
+  try {
+    const { errors } = await saveLead(input);
+    if (errors) console.error("Lead not captured:", errors.join("; "));
+  } catch (err) {
+    console.error("Lead capture error:", err);
+  }
+}
+
+// Newest first; filters: since (ISO date), source, brand.
+export async function listLeads({ since, source, brand } = {}) {
+  let names = [];
+  try {
+    names = (await fs.readdir(LEADS_DIR)).filter(n => n.endsWith(".json"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  const leads = (await Promise.all(names.map(n => readLead(n.slice(0, -5))))).filter(Boolean);
+  return leads
+    .filter(l => !since || l.updatedAt >= since)
+    .filter(l => !source || l.sources.includes(source))
+    .filter(l => !brand || l.brand === brand)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/* ---------- EXPORT ---------- */
+const CSV_COLUMNS = [
+  ["id", l => l.id], ["createdAt", l => l.createdAt], ["updatedAt", l => l.updatedAt],
+  ["name", l => l.name], ["email", l => l.email], ["phone", l => l.phone], ["company", l => l.company],
+  ["url", l => l.url], ["domain", l => l.domain], ["sources", l => l.sources.join(";")],
+  ["reportIds", l => l.reportIds.join(";")], ["brand", l => l.brand || ""],
+  ["consentContact", l => l.consent.contact], ["consentMarketing", l => l.consent.marketing], ["consentAt", l => l.consent.at],
+  ["submissions", l => l.submissions], ["context", l => l.context]
+];
+
+export function leadsToCsv(leads) {
+  return toCsv([CSV_COLUMNS.map(([name]) => name), ...leads.map(lead => CSV_COLUMNS.map(([, get]) => get(lead)))]);
+}
+
+/* ---------- WEBHOOK ---------- */
+async function forwardLead(lead, event) {
+  const url = process.env.LEADS_WEBHOOK_URL;
+  if (!url) return null;
+  const body = JSON.stringify({ event, lead: { ...lead, webhook: undefined } });
+  const headers = { "Content-Type": "application/json" };
+  if (process.env.LEADS_WEBHOOK_SECRET) {
+    headers["X-SnipeRank-Signature"] = `sha256=${crypto.createHmac("sha256", process.env.LEADS_WEBHOOK_SECRET).update(body).digest("hex")}`;
+  }
+  const at = new Date().toISOString();
+  // Fixed one-minute windows shared by every instance on the store, as lib/rate-limit.js counts.
+  const windowStart = Math.floor(Date.now() / 60000) * 60000;
+  const { count } = await limitStore().incr(`webhook:leads:${windowStart}`, 1, 60000);
+  if (count > WEBHOOK_PER_MINUTE) return { status: "throttled", at };
+  try {
+    const resp = await axios.post(url, body, { headers, timeout: 5000, validateStatus: () => true });
+    return resp.status < 300 ? { status: "delivered", at, code: resp.status } : { status: "failed", at, code: resp.status };
+  } catch (err) {
+    return { status: "failed", at, error: String(err?.code || err?.message || "error") };
+  }
+}
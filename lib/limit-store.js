@@ -0,0 +1,120 @@
+/*
+  lib/limit-store.js — Storage for API keys, quotas and rate-limit counters
+  lib/api-keys.js and lib/rate-limit.js only talk to this small interface, so the backend can be
+  swapped (e.g. for Redis when running more than one instance) with setLimitStore():
+
+    get(key) → value | null          set(key, value)          delete(key)
+    keys(prefix) → [key]             incr(key, by, ttlMs) → { count, expiresAt }
+
+  incr() starts a counter at 0 with a ttlMs lifetime when it is missing or expired. Values must be
+  JSON-serializable. LIMITS_STORE=memory keeps everything in this process (local development);
+  the default also persists to LIMITS_FILE (default ./data/limits.json) so keys and daily usage
+  survive a restart.
+
+  Serverless functions (VERCEL=1 or SERVERLESS=true, as in lib/runtime.js) have a read-only or
+  per-instance disk, so there the default is memory, with a warning, unless LIMITS_FILE names a
+  persistent volume. API keys and quotas then last only as long as one instance: a serverless
+  deployment that issues keys should call setLimitStore() with a shared store at startup.
+*/
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const LIMITS_FILE = process.env.LIMITS_FILE
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "limits.json");
+const SAVE_DELAY_MS = 250;
+
+export function memoryStore(initial = {}) {
+  const entries = new Map(Object.entries(initial)); // key → { value, expiresAt }
+  const live = key => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+    async set(key, value) {
+      entries.set(key, { value, expiresAt: live(key)?.expiresAt || null });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async keys(prefix = "") {
+      return [...entries.keys()].filter(k => k.startsWith(prefix) && live(k));
+    },
+    async incr(key, by, ttlMs) {
+      const entry = live(key) || { value: 0, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+      entry.value += by;
+      entries.set(key, entry);
+      return { count: entry.value, expiresAt: entry.expiresAt };
+    },
+    // For fileStore: the unexpired entries as a plain object.
+    snapshot() {
+      return Object.fromEntries([...entries.keys()].filter(live).map(k => [k, entries.get(k)]));
+    }
+  };
+}
+
+// memoryStore() loaded from `file` on first use and written back (atomically, batched) after every change.
+export function fileStore(file = LIMITS_FILE) {
+  let loading = null;
+  let saving = Promise.resolve();
+  let timer = null;
+
+  const load = () => (loading ||= fs.readFile(file, "utf8")
+    .then(text => memoryStore(JSON.parse(text).entries || {}))
+    .catch(err => {
+      if (err.code === "ENOENT") return memoryStore();
+      throw err;
+    }));
+
+  const scheduleSave = mem => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      saving = saving.then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(`${file}.tmp`, JSON.stringify({ entries: mem.snapshot() }));
+        await fs.rename(`${file}.tmp`, file);
+      }).catch(err => console.error("Limit store write failed:", err.message));
+    }, SAVE_DELAY_MS);
+  };
+
+  const write = method => async (...args) => {
+    const mem = await load();
+    const result = await mem[method](...args);
+    scheduleSave(mem);
+    return result;
+  };
+  const read = method => async (...args) => (await load())[method](...args);
+
+  return { get: read("get"), keys: read("keys"), set: write("set"), delete: write("delete"), incr: write("incr") };
+}
+
+// The store used until setLimitStore() replaces it; see the header for how it is chosen.
+export function defaultStore(env = process.env) {
+  if (env.LIMITS_STORE === "memory") return memoryStore();
+  const serverless = !!env.VERCEL || env.SERVERLESS === "true";
+  if (serverless && !env.LIMITS_FILE) {
+    console.warn("Limit store: no LIMITS_FILE on a serverless host, so API keys, quotas and rate-limit counters are kept in memory per instance. Set LIMITS_FILE to a persistent volume or install a shared store with setLimitStore().");
+    return memoryStore();
+  }
+  return fileStore(env.LIMITS_FILE || LIMITS_FILE);
+}
+
+let store = defaultStore();
+
+export function limitStore() {
+  return store;
+}
+
+export function setLimitStore(next) {
+  store = next;
+}
@@ -0,0 +1,101 @@
+/*
+  lib/llm-json.js — Validated JSON from model output
+  Replaces the per-endpoint brace slicing (extractJSONObject, cleanResponse, inline regex).
+  completeJson() parses the model's reply, checks it against a declared schema and, when it
+  fails, re-prompts the model with the exact validation errors before giving up.
+  Schemas use a small JSON Schema subset: type, properties, required, items, minItems,
+  maxItems, enum, minLength.
+*/
+
+const DEFAULT_ATTEMPTS = Number(process.env.LLM_VALIDATION_ATTEMPTS) || 3;
+
+// Pulls the JSON object out of a reply: a ```json fence first, else the first balanced {...}.
+export function extractJson(text) {
+  const raw = String(text || "");
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  const source = fenced ? fenced[1] : raw;
+  const start = source.indexOf("{");
+  if (start === -1) return { error: "no JSON object found in response" };
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    if (inString) {
+      if (ch === "\\") i++;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === "{") depth++;
+    else if (ch === "}" && --depth === 0) {
+      try {
+        return { value: JSON.parse(source.slice(start, i + 1)) };
+      } catch (err) {
+        return { error: `invalid JSON: ${err.message}` };
+      }
+    }
+  }
+  return { error: "unterminated JSON object (response may have been cut off)" };
+}
+
+// Returns a list of human-readable errors; empty means valid.
+export function validate(value, schema, path = "$") {
+  const errors = [];
+  const type = Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+
+  if (schema.type && schema.type !== type) {
+    return [`${path}: expected ${schema.type}, got ${type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}, got ${JSON.stringify(value)}`);
+  }
+  if (type === "string" && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  }
+  if (type === "array") {
+    const { minItems, maxItems } = schema;
+    if (minItems !== undefined && minItems === maxItems && value.length !== minItems) {
+      errors.push(`${path}: expected exactly ${minItems} items, got ${value.length}`);
+    } else {
+      if (minItems !== undefined && value.length < minItems) errors.push(`${path}: expected at least ${minItems} items, got ${value.length}`);
+      if (maxItems !== undefined && value.length > maxItems) errors.push(`${path}: expected at most ${maxItems} items, got ${value.length}`);
+    }
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+  }
+  if (type === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: required property missing`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validate(value[key], sub, `${path}.${key}`));
+    }
+  }
+  return errors;
+}
+
+/*
+  complete: async (messages) => string — one chat completion call.
+  Resolves { ok, value, raw, attempts } and never throws for bad model output;
+  transport errors (network, auth) still reject so callers can report them.
+*/
+export async function completeJson({ complete, messages, schema, maxAttempts = DEFAULT_ATTEMPTS }) {
+  const attempts = [];
+  const conversation = [...messages];
+  let raw = "";
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    raw = String((await complete(conversation)) || "").trim();
+    const parsed = extractJson(raw);
+    const errors = parsed.error ? [parsed.error] : validate(parsed.value, schema);
+
+    attempts.push({ attempt, ok: errors.length === 0, errors: errors.slice(0, 20) });
+    if (!errors.length) return { ok: true, value: parsed.value, raw, attempts };
+
+    conversation.push(
+      { role: "assistant", content: raw },
+      { role: "user", content: `Your response failed validation:\n${errors.slice(0, 20).map(e => `- ${e}`).join("\n")}\nReturn the complete corrected JSON object only, with no prose.` }
+    );
+  }
+  return { ok: false, value: null, raw, attempts };
+}
@@ -0,0 +1,43 @@
+/*
+  lib/llm-schemas.js — Declared shapes for every model response we parse
+  Used by completeJson() in lib/llm-json.js; counts here are what the prompts ask for.
+*/
+
+import { PILLARS } from "./scoring.js";
+import { PRIORITIES } from "./findings.js";
+
+export const ENGINES = ["ChatGPT", "Claude", "Gemini", "Perplexity", "Copilot"];
+
+const text = { type: "string", minLength: 1 };
+
+export const FINDING_SCHEMA = {
+  type: "object",
+  required: ["id", "title", "priority", "pillar", "description", "evidence", "solution", "impact"],
+  properties: {
+    id: text,
+    title: text,
+    priority: { type: "string", enum: PRIORITIES },
+    pillar: { type: "string", enum: Object.keys(PILLARS) },
+    description: text,
+    evidence: { type: "string" },
+    solution: text,
+    impact: text
+  }
+};
+
+const list = (items, count) => ({ type: "array", items, minItems: count, maxItems: count });
+
+// Detailed Report (lib/full-report.js)
+export const FULL_REPORT_SCHEMA = {
+  type: "object",
+  required: ["whatsWorking", "needsAttention", "engineInsights"],
+  properties: {
+    whatsWorking: list(FINDING_SCHEMA, 10),
+    needsAttention: list(FINDING_SCHEMA, 25),
+    engineInsights: list({
+      type: "object",
+      required: ["engine", "insight"],
+      properties: { engine: { type: "string", enum: ENGINES }, insight: text }
+    }, 5)
+  }
+};
@@ -0,0 +1,113 @@
+/*
+  lib/llm.js — Pluggable chat-completion provider
+  LLM_PROVIDER picks the backend:
+    openai             api.openai.com (OPENAI_API_KEY)                       — default
+    openai-compatible  any server speaking the OpenAI chat API (LLM_BASE_URL, optional LLM_API_KEY),
+                       e.g. Ollama, LM Studio, vLLM
+    mock               deterministic replies from fixtures/llm/<task>.json (LLM_FIXTURES_DIR), no network
+  Models are chosen per task: LLM_MODEL_FULL, else LLM_MODEL, else the task default.
+*/
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const OpenAI = await import("openai").then(m => m.default).catch(() => null);
+
+const DEFAULT_FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "llm");
+
+// Per-task generation settings; `model` is the default when no env override is set.
+export const TASKS = {
+  full: { model: "gpt-4-turbo", temperature: 0.3, maxTokens: 3600 }
+};
+
+let cached = null;
+
+// Provider for the current environment; rebuilt only when `env` is passed explicitly.
+export function getProvider(env) {
+  if (env) return createProvider(env);
+  if (!cached) cached = createProvider(process.env);
+  return cached;
+}
+
+/*
+  Returns { name, available, reason, model(task), complete({ task, messages }) => Promise<string> }.
+  `available: false` (with a reason like "no_api_key") lets routes fall back without calling complete().
+*/
+export function createProvider(env = {}) {
+  const name = String(env.LLM_PROVIDER || "openai").toLowerCase();
+  const model = task => env[`LLM_MODEL_${task.toUpperCase()}`] || env.LLM_MODEL || TASKS[task]?.model;
+
+  if (name === "mock") return mockProvider(env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES);
+
+  if (name !== "openai" && name !== "openai-compatible") {
+    return unavailable(name, model, "unknown_provider");
+  }
+  if (!OpenAI) return unavailable(name, model, "no_openai_lib");
+
+  const compatible = name === "openai-compatible";
+  if (compatible && !env.LLM_BASE_URL) return unavailable(name, model, "no_base_url");
+  const apiKey = compatible ? env.LLM_API_KEY || "not-needed" : env.OPENAI_API_KEY;
+  if (!apiKey) return unavailable(name, model, "no_api_key");
+
+  const client = new OpenAI({ apiKey, ...(compatible ? { baseURL: env.LLM_BASE_URL } : {}) });
+  return {
+    name,
+    available: true,
+    reason: null,
+    model,
+    async complete({ task, messages }) {
+      const { temperature, maxTokens } = TASKS[task] || {};
+      const completion = await client.chat.completions.create({
+        model: model(task),
+        messages,
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(maxTokens ? { max_tokens: maxTokens } : {})
+      });
+      return completion?.choices?.[0]?.message?.content || "";
+    }
+  };
+}
+
+// Adapts a provider to the `complete(messages)` callback completeJson() expects.
+export function completerFor(provider, task) {
+  return messages => provider.complete({ task, messages });
+}
+
+/* ---------- HELPERS ---------- */
+function unavailable(name, model, reason) {
+  return {
+    name,
+    available: false,
+    reason,
+    model,
+    async complete() {
+      throw Object.assign(new Error(`LLM provider "${name}" is unavailable: ${reason}`), { code: reason });
+    }
+  };
+}
+
+/*
+  Replies with the raw text of <dir>/<task>.json. A repair re-prompt (attempt N > 1) reads
+  <task>.<N>.json when it exists, so a fixture set can exercise the validation loop.
+*/
+function mockProvider(dir) {
+  return {
+    name: "mock",
+    available: true,
+    reason: null,
+    model: () => "mock",
+    async complete({ task, messages }) {
+      const attempt = messages.filter(m => m.role === "assistant").length + 1;
+      const candidates = attempt > 1 ? [`${task}.${attempt}.json`, `${task}.json`] : [`${task}.json`];
+      for (const file of candidates) {
+        try {
+          return await fs.readFile(path.join(dir, file), "utf8");
+        } catch (err) {
+          if (err.code !== "ENOENT") throw err;
+        }
+      }
+      throw Object.assign(new Error(`No mock fixture for task "${task}" in ${dir}`), { code: "no_fixture" });
+    }
+  };
+}
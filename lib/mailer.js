@@ -0,0 +1,171 @@
+/*
+  lib/mailer.js — Report email delivery over SMTP, with status and retries
+  SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for implicit TLS), SMTP_USER and SMTP_PASS
+  configure nodemailer; MAIL_FROM is the sender address, shown under the brand's email.fromName.
+  Every send is tracked as a delivery in DELIVERIES_DIR (default ./data/deliveries):
+    { id, to, name, reportId, url, brand, status: "queued"|"sending"|"sent"|"failed", attempts, messageId, error }
+  Connection errors and 4xx SMTP replies are retried up to MAIL_RETRY_ATTEMPTS (default 3) with
+  exponential backoff from MAIL_RETRY_DELAY_MS (default 2000); 5xx replies are final.
+  One address gets at most MAIL_PER_RECIPIENT_PER_DAY report emails a day (default 5), counted in
+  lib/limit-store.js on the normalized address, so a report link can't be used to flood an inbox.
+  For local testing point SMTP_HOST/SMTP_PORT at a catcher such as MailHog (localhost:1025).
+*/
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import nodemailer from "nodemailer";
+import { buildReportEmail } from "./report-email.js";
+import { limitStore } from "./limit-store.js";
+
+const DELIVERIES_DIR = process.env.DELIVERIES_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "deliveries");
+const ID_RE = /^[A-Za-z0-9_-]{16}$/;
+const EMAIL_RE = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PER_RECIPIENT_PER_DAY = Number(process.env.MAIL_PER_RECIPIENT_PER_DAY) || 5;
+
+export function isEmail(value) {
+  return typeof value === "string" && value.length <= 254 && EMAIL_RE.test(value);
+}
+
+let cached = null;
+
+// { available, reason, transport, from }; reason is "no_smtp_host" or "no_mail_from" when unset.
+export function getMailer(env = process.env) {
+  if (cached && env === process.env) return cached;
+  let mailer;
+  if (!env.SMTP_HOST) mailer = { available: false, reason: "no_smtp_host" };
+  else if (!env.MAIL_FROM) mailer = { available: false, reason: "no_mail_from" };
+  else {
+    mailer = {
+      available: true,
+      reason: null,
+      from: env.MAIL_FROM,
+      transport: nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === "true",
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || "" } : undefined,
+        connectionTimeout: 10000,
+        greetingTimeout: 10000
+      })
+    };
+  }
+  if (env === process.env) cached = mailer;
+  return mailer;
+}
+
+/* ---------- RECIPIENT LIMIT ---------- */
+// "Ada+reports@Example.com" and "ada@example.com" reach the same inbox, so they share one count.
+export function normalizeEmail(email) {
+  const [user, host] = String(email).trim().toLowerCase().split("@");
+  return `${user.replace(/\+.*$/, "")}@${host}`;
+}
+
+/*
+  Counts one email to `to` in today's (UTC) window. Resolves { allowed, limit, resetAt }; a send
+  over the limit isn't counted.
+*/
+export async function consumeRecipient(to) {
+  const windowStart = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+  const counter = `mail:${normalizeEmail(to)}:${windowStart}`;
+  const store = limitStore();
+  const { count } = await store.incr(counter, 1, DAY_MS);
+  const allowed = count <= PER_RECIPIENT_PER_DAY;
+  if (!allowed) await store.incr(counter, -1, DAY_MS);
+  return { allowed, limit: PER_RECIPIENT_PER_DAY, resetAt: new Date(windowStart + DAY_MS).toISOString() };
+}
+
+/* ---------- DELIVERY RECORDS ---------- */
+async function writeDelivery(delivery) {
+  delivery.updatedAt = new Date().toISOString();
+  await fs.mkdir(DELIVERIES_DIR, { recursive: true });
+  const file = path.join(DELIVERIES_DIR, `${delivery.id}.json`);
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(delivery));
+  await fs.rename(`${file}.tmp`, file);
+  return delivery;
+}
+
+export async function createDelivery({ to, name, reportId, url, brand }) {
+  const now = new Date().toISOString();
+  return writeDelivery({
+    id: crypto.randomBytes(12).toString("base64url"),
+    to, name: name || "", reportId: reportId || null, url, brand: brand || null,
+    status: "queued", attempts: [], messageId: null, error: null, createdAt: now
+  });
+}
+
+export async function loadDelivery(id) {
+  if (!ID_RE.test(String(id || ""))) return null;
+  try {
+    return JSON.parse(await fs.readFile(path.join(DELIVERIES_DIR, `${id}.json`), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// What the status endpoint shows: no recipient name, and the address masked.
+export function publicDelivery(d) {
+  const [user, host] = String(d.to).split("@");
+  return {
+    id: d.id,
+    status: d.status,
+    to: `${user.slice(0, 2)}***@${host}`,
+    reportId: d.reportId,
+    attempts: d.attempts.length,
+    error: d.error,
+    createdAt: d.createdAt,
+    updatedAt: d.updatedAt
+  };
+}
+
+// Marks a delivery failed before any attempt, e.g. when building its report threw; `error` is kept as the reason.
+export function failDelivery(delivery, error) {
+  return writeDelivery({ ...delivery, status: "failed", error: String(error?.code || error?.message || error || "error") });
+}
+
+/* ---------- SENDING ---------- */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 5xx SMTP replies (unknown mailbox, rejected sender) won't change on retry.
+const isPermanent = err => Number(err?.responseCode) >= 500;
+
+/*
+  Sends the report email for `delivery` and records each attempt; resolves the final delivery.
+  record: the saved report (null marks the delivery failed); brand: lib/brands.js profile.
+*/
+export async function deliverReport(delivery, { record, brand, permalink, mailer = getMailer() }) {
+  if (!mailer.available) return writeDelivery({ ...delivery, status: "failed", error: mailer.reason });
+  if (!record) return writeDelivery({ ...delivery, status: "failed", error: "no_report" });
+
+  const maxAttempts = Math.max(1, Number(process.env.MAIL_RETRY_ATTEMPTS) || 3);
+  const baseDelay = Number(process.env.MAIL_RETRY_DELAY_MS ?? 2000);
+  const { subject, text, html } = buildReportEmail({ record, brand, name: delivery.name, permalink });
+  let current = await writeDelivery({ ...delivery, reportId: record.id, status: "sending" });
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const info = await mailer.transport.sendMail({
+        from: { name: brand.email.fromName, address: mailer.from },
+        replyTo: brand.email.replyTo || undefined,
+        to: delivery.to,
+        subject,
+        text,
+        html
+      });
+      const attempts = [...current.attempts, { at: new Date().toISOString(), ok: true }];
+      return writeDelivery({ ...current, status: "sent", attempts, messageId: info.messageId, error: null });
+    } catch (err) {
+      const error = String(err?.response || err?.code || err?.message || "error"); // e.g. "451 4.7.1 Try again later"
+      const attempts = [...current.attempts, { at: new Date().toISOString(), ok: false, error }];
+      const last = attempt === maxAttempts || isPermanent(err);
+      current = await writeDelivery({ ...current, status: last ? "failed" : "sending", attempts, error });
+      if (last) return current;
+      await sleep(baseDelay * 2 ** (attempt - 1));
+    }
+  }
+  return current;
+}
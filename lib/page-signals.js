@@ -0,0 +1,155 @@
+/*
+  lib/page-signals.js — Raw on-page signals for scoring and findings
+  Purpose: One pass over the fetched HTML that records facts (counts, flags, lengths).
+  No judgement happens here; lib/scoring.js decides what the facts are worth.
+  Pass `site` (lib/ai-access.js fetchSiteFiles) to get the AI crawler matrix as `aiAccess`.
+  JSON-LD, Microdata and RDFa are read by lib/structured-data.js into schemaNodes and `structuredData`.
+  The short lists (imagesMissingAlt, internalAnchors, questionAnswers, leadParagraph) are the page
+  content lib/fix-artifacts.js drafts fixes from.
+*/
+
+import * as cheerio from "cheerio";
+import { DIRECTIVE_META_NAMES, robotsDirectives, auditAiAccess } from "./ai-access.js";
+import { parseStructuredData, analyzeStructuredData } from "./structured-data.js";
+
+const QUESTION_RE = /^(who|what|when|where|why|how|can|does|do|is|are|should|will)\b|\?$/i;
+const MAX_LISTED = 10;
+// Profiles that make good schema.org sameAs targets; share and intent links are not profiles.
+const SOCIAL_RE = /(^|\.)(linkedin\.com|twitter\.com|x\.com|facebook\.com|instagram\.com|youtube\.com|tiktok\.com|pinterest\.com|github\.com|wikipedia\.org|wikidata\.org|crunchbase\.com|yelp\.com)$/i;
+const SHARE_PATH_RE = /^\/(sharer|share|intent|sharing|dialog)\b/i;
+
+export function collectSignals(html, { url, status = 200, headers = {}, site = null } = {}) {
+  const $ = cheerio.load(html || "");
+  const pageUrl = new URL(url);
+  const host = pageUrl.hostname.replace(/^www\./i, "");
+
+  const title = $("title").first().text().replace(/\s+/g, " ").trim();
+  const metaDescription = ($('meta[name="description"]').attr("content") || "").trim();
+  const directiveTags = $("meta[name]")
+    .map((_i, el) => ({ name: ($(el).attr("name") || "").trim().toLowerCase(), content: $(el).attr("content") || "" }))
+    .get()
+    .filter(tag => DIRECTIVE_META_NAMES.includes(tag.name));
+  const directives = robotsDirectives(directiveTags, headers["x-robots-tag"]);
+  const globalDirectives = directives["*"] || [];
+
+  const h1s = $("h1").map((_i, el) => $(el).text().replace(/\s+/g, " ").trim()).get();
+  const subHeadings = $("h2, h3").map((_i, el) => $(el).text().replace(/\s+/g, " ").trim()).get();
+
+  const images = $("img").length;
+  const imagesWithAlt = $("img").filter((_i, el) => ($(el).attr("alt") || "").trim().length > 0).length;
+  // What the page itself says about each unlabelled image, for alt text suggestions (lib/fix-artifacts.js).
+  const imagesMissingAlt = $("img")
+    .filter((_i, el) => !($(el).attr("alt") || "").trim() && !!$(el).attr("src"))
+    .slice(0, MAX_LISTED)
+    .map((_i, el) => ({
+      src: $(el).attr("src"),
+      caption: ($(el).closest("figure").find("figcaption").first().text() || $(el).attr("title") || $(el).attr("aria-label") || "").replace(/\s+/g, " ").trim()
+    }))
+    .get();
+
+  const parsedSchema = parseStructuredData($, pageUrl);
+  const schemaNodes = parsedSchema.items.map(item => item.node);
+  const structuredData = analyzeStructuredData(parsedSchema);
+
+  let internalLinks = 0;
+  let externalLinks = 0;
+  const internalUrls = new Set();
+  const internalAnchors = new Map(); // url → first non-empty anchor text
+  const socialProfiles = new Set();
+  $("a[href]").each((_i, el) => {
+    const href = $(el).attr("href") || "";
+    if (/^(mailto:|tel:|javascript:|#)/i.test(href)) return;
+    try {
+      const target = new URL(href, pageUrl);
+      if (target.hostname.replace(/^www\./i, "") === host) {
+        internalLinks++;
+        target.hash = "";
+        internalUrls.add(target.href);
+        const text = $(el).text().replace(/\s+/g, " ").trim();
+        if (text && !internalAnchors.has(target.href)) internalAnchors.set(target.href, text);
+      } else {
+        externalLinks++;
+        if (SOCIAL_RE.test(target.hostname) && target.pathname.length > 1 && !SHARE_PATH_RE.test(target.pathname)) socialProfiles.add(target.href);
+      }
+    } catch { /* ignore unparsable hrefs */ }
+  });
+
+  // Every date a crawler could use to judge freshness, with where it came from.
+  const dates = [];
+  const pushDate = (source, value) => {
+    const parsed = Date.parse(value);
+    if (value && !Number.isNaN(parsed)) dates.push({ source, value: String(value).trim(), time: parsed });
+  };
+  pushDate("Last-Modified header", headers["last-modified"]);
+  $('meta[property="article:modified_time"], meta[property="article:published_time"], meta[property="og:updated_time"]').each((_i, el) => {
+    pushDate(`<meta property="${$(el).attr("property")}">`, $(el).attr("content"));
+  });
+  $("time[datetime]").each((_i, el) => { pushDate("<time datetime>", $(el).attr("datetime")); });
+  for (const { node } of parsedSchema.items.filter(item => item.format === "json-ld")) {
+    pushDate(`JSON-LD ${node["@type"]} dateModified`, node.dateModified);
+    pushDate(`JSON-LD ${node["@type"]} datePublished`, node.datePublished);
+  }
+
+  $("script, style, noscript").remove();
+  const bodyText = $("body").text().replace(/\s+/g, " ").trim();
+  const paragraphs = $("main p, article p").length ? $("main p, article p") : $("p");
+  const leadParagraph = paragraphs.map((_i, el) => $(el).text().replace(/\s+/g, " ").trim()).get().find(p => p.length >= 50) || "";
+  // Question headings with the text between them and the next heading, as an FAQ would pair them.
+  const questionAnswers = $("h2, h3")
+    .map((_i, el) => ({
+      question: $(el).text().replace(/\s+/g, " ").trim(),
+      answer: $(el).nextUntil("h1, h2, h3").map((_j, sib) => $(sib).text()).get().join(" ").replace(/\s+/g, " ").trim()
+    }))
+    .get()
+    .filter(qa => QUESTION_RE.test(qa.question) && qa.answer);
+
+  const signals = {
+    url: pageUrl.href,
+    status,
+    https: pageUrl.protocol === "https:",
+    title,
+    metaDescription,
+    noindex: globalDirectives.includes("noindex") || globalDirectives.includes("none"),
+    robotsDirectives: directives,
+    canonical: ($('link[rel="canonical"]').attr("href") || "").trim(),
+    viewport: $('meta[name="viewport"]').length > 0,
+    viewportContent: ($('meta[name="viewport"]').attr("content") || "").trim(),
+    lang: ($("html").attr("lang") || "").trim(),
+    h1s,
+    subHeadings,
+    questionHeadings: subHeadings.filter(h => QUESTION_RE.test(h)).length,
+    images,
+    imagesWithAlt,
+    imagesMissingAlt,
+    // A malformed JSON-LD block still counts as present; structuredData.malformed says it's unusable.
+    hasSchema: parsedSchema.items.length > 0 || parsedSchema.malformed.length > 0,
+    schemaTypes: structuredData.types,
+    schemaNodes,
+    structuredData,
+    openGraph: $('meta[property^="og:"]').length,
+    ogImage: absolute($('meta[property="og:image"]').attr("content"), pageUrl),
+    siteName: ($('meta[property="og:site_name"]').attr("content") || "").trim(),
+    hasContactInfo: $('a[href^="tel:"], a[href^="mailto:"], address').length > 0,
+    telephones: [...new Set($('a[href^="tel:"]').map((_i, el) => $(el).attr("href").slice(4).trim()).get())],
+    hasAddress: $("address").length > 0,
+    dates,
+    hasAuthorOrDate: $('meta[name="author"], meta[property="article:published_time"], meta[property="article:modified_time"], time[datetime]').length > 0,
+    internalLinks,
+    internalUrls: [...internalUrls],
+    internalAnchors: [...internalAnchors].slice(0, MAX_LISTED * 5).map(([href, text]) => ({ url: href, text })),
+    externalLinks,
+    socialProfiles: [...socialProfiles],
+    lists: $("main ul, main ol, article ul, article ol").length || $("ul, ol").length,
+    wordCount: bodyText ? bodyText.split(" ").length : 0,
+    leadParagraph,
+    questionAnswers,
+    bodyText
+  };
+  signals.aiAccess = site ? auditAiAccess(signals, site) : null;
+  return signals;
+}
+
+function absolute(href, base) {
+  if (!href || !href.trim()) return "";
+  try { return new URL(href.trim(), base).href; } catch { return ""; }
+}
@@ -0,0 +1,47 @@
+/*
+  lib/pagespeed.js — Google PageSpeed Insights metrics for the Detailed Report
+  Optional: without PAGESPEED_API_KEY, or when the API fails, fetchPageSpeed() resolves null and the
+  report is written from the page content and crawl alone.
+*/
+
+import axios from "axios";
+
+const API_URL = "https://www.googleapis.com/pagespeedonline/v5/runPagespeed";
+
+export function pageSpeedAvailable() {
+  return !!process.env.PAGESPEED_API_KEY;
+}
+
+// Lighthouse category scores (0-100), Core Web Vitals (ms / unitless CLS) and a few audit flags.
+export async function fetchPageSpeed(url) {
+  if (!pageSpeedAvailable()) return null;
+  const params = new URLSearchParams({ url, key: process.env.PAGESPEED_API_KEY, strategy: "mobile" });
+  for (const category of ["performance", "seo", "accessibility", "best-practices"]) params.append("category", category);
+
+  try {
+    const { data } = await axios.get(`${API_URL}?${params}`, { timeout: 30000 });
+    const lighthouse = data.lighthouseResult;
+    const audits = lighthouse?.audits || {};
+    return {
+      performanceScore: lighthouse?.categories?.performance?.score * 100 || 0,
+      seoScore: lighthouse?.categories?.seo?.score * 100 || 0,
+      accessibilityScore: lighthouse?.categories?.accessibility?.score * 100 || 0,
+      bestPracticesScore: lighthouse?.categories?.["best-practices"]?.score * 100 || 0,
+
+      // Core Web Vitals
+      lcp: audits["largest-contentful-paint"]?.numericValue || 0,
+      fid: audits["max-potential-fid"]?.numericValue || 0,
+      cls: audits["cumulative-layout-shift"]?.numericValue || 0,
+      totalBlockingTime: audits["total-blocking-time"]?.numericValue || 0,
+      speedIndex: audits["speed-index"]?.numericValue || 0,
+
+      missingAltText: audits["image-alt"]?.score < 1,
+      missingMetaDescription: audits["meta-description"]?.score < 1,
+      httpStatus: audits["is-on-https"]?.score === 1 ? "https" : "http",
+      mobileUsable: data.loadingExperience?.metrics?.CUMULATIVE_LAYOUT_SHIFT_SCORE?.category !== "SLOW"
+    };
+  } catch (err) {
+    console.warn("PageSpeed API failed:", err.message);
+    return null;
+  }
+}
@@ -0,0 +1,292 @@
+/*
+  lib/pdf-report.js — Downloadable PDF of a saved report
+  Lays the stored record out with pdfkit (no browser, no HTML): score card, pillars, opportunities
+  grouped by priority with their fixes, strengths and engine insights, on paginated A4 pages with
+  the brand's header (lib/brands.js: logo, name, colors, CTA) and a page-numbered footer.
+  Works for both report kinds in lib/report-store.js.
+  The built-in Helvetica only covers WinAnsi, so emoji and other symbols are dropped from the text.
+*/
+
+import PDFDocument from "pdfkit";
+import { safeFetch } from "./safe-fetch.js";
+import { DEFAULT_BRAND, publicBrand } from "./brands.js";
+import { PILLARS } from "./scoring.js";
+import { PRIORITIES } from "./findings.js";
+import { extractDomain } from "./history.js";
+
+const COLORS = { text: "#111111", muted: "#666666", border: "#E5E5E5", High: "#DC3545", Medium: "#F59E0B", Low: "#10B981" };
+const MARGIN = 56;
+
+const PRIORITY_GROUPS = {
+  High: "Critical Priorities",
+  Medium: "Strategic Improvements",
+  Low: "Incremental Enhancements"
+};
+
+// Same bands as the score card on the report pages.
+function scoreBand(score) {
+  if (score >= 90) return "Excellent";
+  if (score >= 80) return "Very Good";
+  if (score >= 70) return "Good";
+  if (score >= 60) return "Fair";
+  return "Needs Work";
+}
+
+const clean = s => String(s ?? "")
+  .replace(/[^\x09\x0A\x0D\x20-\x7E\xA0-\xFF–—‘’“”•…]/g, "")
+  .replace(/[ \t]{2,}/g, " ")
+  .trim();
+
+// One shape for both kinds: full reports carry whatsWorking/engineInsights, analyze reports working/insights.
+export function reportView(record) {
+  const r = record.report || {};
+  const startPage = r.crawl?.pages?.find(p => p.depth === 0);
+  return {
+    url: record.url,
+    createdAt: record.createdAt,
+    kind: record.kind,
+    estimated: record.kind === "full" && r.success === false,
+    score: typeof r.score === "number" ? r.score : null,
+    pillars: r.pillars || startPage?.pillars || null,
+    opportunities: r.needsAttention || [],
+    strengths: r.whatsWorking || r.working || [],
+    insights: r.engineInsights || r.insights || [],
+    crawl: r.crawl?.pagesCrawled ? r.crawl : null
+  };
+}
+
+export function pdfFilename(record) {
+  return `sniperank-${extractDomain(record.url) || "report"}-${String(record.createdAt || "").slice(0, 10)}.pdf`;
+}
+
+// Resolves the PDF as a Buffer; `brand` is a resolved profile from lib/brands.js.
+export async function renderReportPdf(record, { brand = publicBrand(DEFAULT_BRAND) } = {}) {
+  const view = { ...reportView(record), brand, accent: brand.colors.primary, logo: await fetchLogo(brand.logoUrl) };
+  const doc = new PDFDocument({
+    size: "A4",
+    margins: { top: MARGIN + 24, bottom: MARGIN, left: MARGIN, right: MARGIN },
+    bufferPages: true,
+    info: { Title: `AI Visibility Report: ${clean(view.url)}`, Author: clean(brand.company || brand.name), Creator: clean(brand.name) }
+  });
+  const chunks = [];
+  doc.on("data", chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  drawCover(doc, view);
+  drawScoreCard(doc, view);
+  if (view.crawl) drawCrawl(doc, view);
+  drawOpportunities(doc, view);
+  drawStrengths(doc, view);
+  drawInsights(doc, view);
+  if (brand.cta?.url) drawCta(doc, view);
+  drawChrome(doc, view);
+
+  doc.end();
+  return done;
+}
+
+// PNG/JPEG logo for the page header; any failure falls back to the brand name in text.
+async function fetchLogo(url) {
+  if (!url) return null;
+  try {
+    const resp = await safeFetch(url, { accept: "any", responseType: "arraybuffer", timeout: 5000, maxBytes: 1024 * 1024 });
+    const buf = Buffer.from(resp.data);
+    const png = buf.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    const jpeg = buf[0] === 0xff && buf[1] === 0xd8;
+    return png || jpeg ? buf : null;
+  } catch {
+    return null;
+  }
+}
+
+/* ---------- LAYOUT HELPERS ---------- */
+const width = doc => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+// Starts a new page unless `height` more points fit above the bottom margin.
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+function sectionTitle(doc, view, text) {
+  ensureSpace(doc, 60);
+  doc.moveDown(1.2);
+  doc.font("Helvetica-Bold").fontSize(16).fillColor(COLORS.text).text(text, doc.page.margins.left);
+  const y = doc.y + 4;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.margins.left + width(doc), y).lineWidth(1).strokeColor(view.accent).stroke();
+  doc.y = y + 10;
+}
+
+function paragraph(doc, label, text, { color = COLORS.text, size = 10 } = {}) {
+  const body = clean(text);
+  if (!body) return;
+  doc.fontSize(size).fillColor(color);
+  if (label) doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+  doc.font("Helvetica").text(body, { width: width(doc) - (doc.x - doc.page.margins.left) });
+  doc.moveDown(0.3);
+}
+
+// Rough height of a finding block, so a finding isn't split across a page break when it fits on one.
+function findingHeight(doc, f, { detailed }) {
+  const w = width(doc) - 12;
+  doc.fontSize(10).font("Helvetica");
+  const parts = detailed ? [f.description, f.evidence, f.solution, f.impact] : [f.description];
+  return parts.filter(Boolean).reduce((h, t) => h + doc.heightOfString(clean(t), { width: w }) + 4, 34);
+}
+
+function drawFinding(doc, f, { detailed }) {
+  ensureSpace(doc, Math.min(findingHeight(doc, f, { detailed }), 220));
+  const left = doc.page.margins.left;
+  const top = doc.y;
+  const color = COLORS[f.priority] || COLORS.muted;
+
+  doc.x = left + 12;
+  doc.font("Helvetica-Bold").fontSize(11.5).fillColor(COLORS.text).text(clean(f.title), { width: width(doc) - 12 });
+  const pillar = PILLARS[f.pillar] || f.pillar || "";
+  doc.font("Helvetica").fontSize(8.5).fillColor(COLORS.muted)
+    .text(detailed ? `${String(f.priority || "").toUpperCase()} PRIORITY  -  ${pillar}` : pillar);
+  doc.moveDown(0.3);
+  paragraph(doc, "", f.description);
+  if (detailed) {
+    paragraph(doc, "Evidence", f.evidence, { color: COLORS.muted, size: 9 });
+    paragraph(doc, "How to fix", f.solution);
+    paragraph(doc, "Expected impact", f.impact, { color: COLORS.muted, size: 9 });
+  }
+
+  // Priority bar down the left edge; skipped if the block ran onto the next page.
+  if (doc.y > top) doc.rect(left, top, 3, doc.y - top).fill(color);
+  doc.x = left;
+  doc.moveDown(0.8);
+}
+
+/* ---------- SECTIONS ---------- */
+function drawCover(doc, view) {
+  const left = doc.page.margins.left;
+  doc.font("Helvetica-Bold").fontSize(26).fillColor(COLORS.text).text(view.kind === "full" ? "Full AI SEO Analysis" : "AI Visibility Analysis", left);
+  doc.moveDown(0.2);
+  doc.font("Helvetica").fontSize(11).fillColor(COLORS.muted)
+    .text(`Analysis for: ${clean(view.url)}`)
+    .text(`Generated: ${view.createdAt ? new Date(view.createdAt).toUTCString().replace(/ GMT$/, " UTC") : "-"}`);
+  if (view.estimated) {
+    doc.moveDown(0.5).fillColor(COLORS.Medium).font("Helvetica-Bold").fontSize(10)
+      .text("Lite analysis: the detailed model review was unavailable, so some findings are general guidance.");
+  }
+  doc.moveDown(1);
+}
+
+function drawScoreCard(doc, view) {
+  const left = doc.page.margins.left;
+  const w = width(doc);
+  const top = doc.y;
+  const pillarKeys = Object.keys(PILLARS);
+  const height = view.pillars ? 64 + pillarKeys.length * 24 : 64;
+
+  doc.roundedRect(left, top, w, height, 10).lineWidth(1).strokeColor(COLORS.border).stroke();
+  if (view.score !== null) {
+    doc.font("Helvetica-Bold").fontSize(30).fillColor(COLORS.text).text(`${Math.round(view.score)}/100`, left + 16, top + 14, { continued: true })
+      .font("Helvetica").fontSize(12).fillColor(COLORS.muted).text(`   Rank: ${scoreBand(view.score)}`, { baseline: "alphabetic" });
+  } else {
+    doc.font("Helvetica").fontSize(12).fillColor(COLORS.muted).text("No score was recorded for this report.", left + 16, top + 22);
+  }
+
+  if (view.pillars) {
+    const barX = left + 220;
+    const barW = w - 220 - 56;
+    pillarKeys.forEach((key, i) => {
+      const y = top + 64 + i * 24;
+      const value = Number(view.pillars[key]) || 0;
+      doc.font("Helvetica-Bold").fontSize(10).fillColor(COLORS.text).text(PILLARS[key], left + 16, y, { width: 200, lineBreak: false });
+      doc.roundedRect(barX, y + 1, barW, 9, 4).fill("#F0F0F3");
+      if (value > 0) doc.roundedRect(barX, y + 1, Math.max(9, (barW * Math.min(value, 25)) / 25), 9, 4).fill(view.accent);
+      doc.font("Helvetica-Bold").fontSize(10).fillColor(COLORS.text).text(`${value}/25`, barX + barW + 8, y, { width: 40, align: "right", lineBreak: false });
+    });
+  }
+  doc.x = left;
+  doc.y = top + height + 8;
+}
+
+function drawCrawl(doc, view) {
+  const { crawl } = view;
+  sectionTitle(doc, view, "Site-Wide Crawl");
+  paragraph(doc, "", `${crawl.pagesCrawled} pages crawled${crawl.averageScore !== null ? `, average page score ${crawl.averageScore}/100` : ""}.`);
+  (crawl.summary || []).slice(0, 8).forEach(row => paragraph(doc, "", `- ${row.text}`, { size: 9.5 }));
+}
+
+function drawOpportunities(doc, view) {
+  const findings = view.opportunities;
+  sectionTitle(doc, view, "Opportunities to Improve AI Visibility");
+  if (!findings.length) return paragraph(doc, "", "No issues were found on this page.", { color: COLORS.muted });
+  PRIORITIES.forEach(priority => {
+    const items = findings.filter(f => f.priority === priority);
+    if (!items.length) return;
+    ensureSpace(doc, 90);
+    doc.moveDown(0.4);
+    doc.font("Helvetica-Bold").fontSize(12.5).fillColor(COLORS[priority]).text(`${PRIORITY_GROUPS[priority]} (${items.length})`, doc.page.margins.left);
+    doc.moveDown(0.5);
+    items.forEach(f => drawFinding(doc, f, { detailed: true }));
+  });
+}
+
+function drawStrengths(doc, view) {
+  const findings = view.strengths;
+  if (!findings.length) return;
+  sectionTitle(doc, view, "What's Working");
+  findings.forEach(f => drawFinding(doc, { ...f, priority: "Low" }, { detailed: false }));
+}
+
+function drawInsights(doc, view) {
+  const { insights } = view;
+  if (!insights.length) return;
+  sectionTitle(doc, view, "AI Engine Insights");
+  insights.forEach(i => {
+    const measured = i.source === "probe" || typeof i.mentionRate === "number";
+    const source = !measured ? "Estimated"
+      : typeof i.mentionRate === "number" ? `Measured - ${Math.round(i.mentionRate * 100)}% unprompted mention rate`
+        : "Measured";
+    ensureSpace(doc, 50);
+    doc.font("Helvetica-Bold").fontSize(11).fillColor(COLORS.text).text(clean(i.engine), doc.page.margins.left, doc.y, { continued: true })
+      .font("Helvetica").fontSize(8.5).fillColor(COLORS.muted).text(`   ${source}`);
+    paragraph(doc, "", i.insight);
+    doc.moveDown(0.4);
+  });
+}
+
+// Closing call to action, linked to the brand's booking or contact URL.
+function drawCta(doc, view) {
+  const { cta } = view.brand;
+  ensureSpace(doc, 90);
+  doc.moveDown(1.5);
+  const left = doc.page.margins.left;
+  const top = doc.y;
+  doc.roundedRect(left, top, width(doc), 64, 10).fill("#F8F9FA");
+  doc.font("Helvetica-Bold").fontSize(12).fillColor(COLORS.text).text("Ready to improve your AI visibility?", left + 16, top + 14);
+  doc.font("Helvetica-Bold").fontSize(11).fillColor(view.brand.colors.accent)
+    .text(`${clean(cta.label)}: ${clean(cta.url.replace(/^mailto:/i, ""))}`, left + 16, top + 36, { link: cta.url, underline: true });
+  doc.x = left;
+  doc.y = top + 72;
+}
+
+// Header and numbered footer on every buffered page, drawn last so the page count is known.
+function drawChrome(doc, view) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const { left, right, bottom } = doc.page.margins;
+    const w = doc.page.width - left - right;
+    doc.page.margins.bottom = 0; // writing inside the bottom margin would otherwise add a page
+    doc.rect(0, 0, doc.page.width, 6).fill(view.accent);
+    if (view.logo) {
+      try { doc.image(view.logo, left, 18, { fit: [140, 28] }); } catch { view.logo = null; }
+    }
+    if (!view.logo) doc.font("Helvetica-Bold").fontSize(12).fillColor(view.accent).text(clean(view.brand.name), left, 26, { lineBreak: false });
+    doc.font("Helvetica").fontSize(9).fillColor(COLORS.muted)
+      .text(clean(extractDomain(view.url) || view.url), left, 28, { width: w, align: "right", lineBreak: false });
+    doc.moveTo(left, doc.page.height - 40).lineTo(left + w, doc.page.height - 40).lineWidth(0.5).strokeColor(COLORS.border).stroke();
+    doc.fontSize(8.5).fillColor(COLORS.muted)
+      .text(clean([view.brand.footerText, view.brand.website.replace(/^https?:\/\//, "")].filter(Boolean).join(" - ")), left, doc.page.height - 32, { width: w - 80, lineBreak: false, ellipsis: true })
+      .text(`Page ${i - start + 1} of ${count}`, left, doc.page.height - 32, { width: w, align: "right", lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+}
@@ -0,0 +1,103 @@
+/*
+  lib/rate-limit.js — Per-IP limits for anonymous scans, per-key daily quotas for API keys
+  Every analysis route calls enforceLimit(req, res, bucket) before doing any work:
+  - with an X-API-Key from lib/api-keys.js, the key's daily quota for the bucket is charged
+    (401 for an unknown or revoked key, 429 when the day's quota is used up)
+  - without one, the client IP gets RATE_LIMIT_SCANS_PER_HOUR "scan" requests an hour (default 20)
+    and RATE_LIMIT_FULL_PER_DAY "full" requests a day (default 3)
+  - "lead" (POST /api/leads) and "email" (POST /api/send-link) are always per IP,
+    RATE_LIMIT_LEADS_PER_HOUR and RATE_LIMIT_EMAILS_PER_HOUR an hour (default 10 each);
+    API keys carry no quota for them
+  Allowed or not, the response carries RateLimit-Limit / -Remaining / -Reset (seconds) and
+  RateLimit-Policy; a 429 adds Retry-After.
+
+  Behind Render's or Vercel's proxy the client IP is the last TRUSTED_PROXY_HOPS (default 1)
+  entries back in X-Forwarded-For; earlier entries are whatever the client sent.
+*/
+
+import { limitStore } from "./limit-store.js";
+import { findApiKey, consumeQuota, KEY_PREFIX, LIMIT_BUCKETS } from "./api-keys.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const PROXY_HOPS = Math.max(0, Number(process.env.TRUSTED_PROXY_HOPS ?? 1));
+
+export const ANON_LIMITS = {
+  scan: { limit: Number(process.env.RATE_LIMIT_SCANS_PER_HOUR) || 20, windowMs: HOUR_MS, label: "free scans per hour" },
+  full: { limit: Number(process.env.RATE_LIMIT_FULL_PER_DAY) || 3, windowMs: 24 * HOUR_MS, label: "Detailed Reports per day" },
+  lead: { limit: Number(process.env.RATE_LIMIT_LEADS_PER_HOUR) || 10, windowMs: HOUR_MS, label: "form submissions per hour" },
+  email: { limit: Number(process.env.RATE_LIMIT_EMAILS_PER_HOUR) || 10, windowMs: HOUR_MS, label: "report emails per hour" }
+};
+
+export const RATE_LIMIT_HEADERS = ["RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "RateLimit-Policy", "Retry-After"];
+
+export function clientIp(req) {
+  const forwarded = String(req.headers["x-forwarded-for"] || "").split(",").map(s => s.trim()).filter(Boolean);
+  const ip = (PROXY_HOPS && forwarded[Math.max(0, forwarded.length - PROXY_HOPS)]) || req.socket?.remoteAddress || "unknown";
+  return ip.replace(/^::ffff:/, "");
+}
+
+// Fixed windows aligned to the epoch, so every instance sharing a store agrees on the reset time.
+async function consumeIp(ip, bucket, cost) {
+  const { limit, windowMs } = ANON_LIMITS[bucket];
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const counter = `ip:${ip}:${bucket}:${windowStart}`;
+  const store = limitStore();
+  let { count } = await store.incr(counter, cost, windowMs);
+  const allowed = count <= limit;
+  if (!allowed) ({ count } = await store.incr(counter, -cost, windowMs));
+  return { allowed, limit, remaining: Math.max(0, limit - count), resetAt: new Date(windowStart + windowMs).toISOString() };
+}
+
+/*
+  Resolves { allowed, status, body, headers } for `cost` units of `bucket` ("scan" | "full" | "lead" | "email").
+  Sets req.apiKey when the request carried a valid key.
+*/
+export async function checkLimit(req, bucket, { cost = 1 } = {}) {
+  const raw = String(req.headers["x-api-key"] || "");
+  let result;
+  let window;
+  if (raw.startsWith(KEY_PREFIX) && LIMIT_BUCKETS.includes(bucket)) {
+    const key = await findApiKey(raw);
+    if (!key || key.revokedAt) {
+      return { allowed: false, status: 401, body: { error: "Invalid or revoked API key", code: "invalid_api_key" }, headers: {} };
+    }
+    req.apiKey = key;
+    result = await consumeQuota(key, bucket, cost);
+    window = 24 * HOUR_MS;
+  } else {
+    result = await consumeIp(clientIp(req), bucket, cost);
+    window = ANON_LIMITS[bucket].windowMs;
+  }
+
+  const resetSeconds = Math.max(0, Math.ceil((Date.parse(result.resetAt) - Date.now()) / 1000));
+  const headers = {
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(resetSeconds),
+    "RateLimit-Policy": `${result.limit};w=${window / 1000}`
+  };
+  if (result.allowed) return { allowed: true, status: 200, body: null, headers };
+
+  const body = req.apiKey
+    ? { error: `Daily quota reached: ${result.limit} ${bucket === "full" ? "Detailed Reports" : "scans"} per day for this API key`, code: "quota_exceeded" }
+    : { error: `Rate limit reached: ${result.limit} ${ANON_LIMITS[bucket].label} from your address. Try again later${LIMIT_BUCKETS.includes(bucket) ? ", or use an API key" : ""}.`, code: "rate_limited" };
+  return { allowed: false, status: 429, body: { ...body, limit: result.limit, ...(cost > 1 && { cost }), resetAt: result.resetAt }, headers: { ...headers, "Retry-After": String(resetSeconds) } };
+}
+
+/*
+  Express and Vercel alike: sets the headers and, when over the limit, sends the error. Resolves
+  whether to go on. A failing store lets the request through rather than taking the API down.
+*/
+export async function enforceLimit(req, res, bucket, options) {
+  let decision;
+  try {
+    decision = await checkLimit(req, bucket, options);
+  } catch (err) {
+    console.error("Rate limit check failed:", err.message);
+    return true;
+  }
+  for (const [name, value] of Object.entries(decision.headers)) res.setHeader(name, value);
+  if (decision.allowed) return true;
+  res.status(decision.status).json(decision.body);
+  return false;
+}
@@ -0,0 +1,86 @@
+/*
+  lib/report-email.js — "Your report is ready" email for a saved report
+  Builds { subject, text, html } from a stored record (lib/report-store.js): score, top opportunities,
+  strengths count, the permalink and the brand's call to action. Rendered in the report's brand
+  (lib/brands.js), so white-label clients never see SnipeRank in their inbox.
+*/
+
+import { reportView } from "./pdf-report.js";
+import { PILLARS } from "./scoring.js";
+import { PRIORITIES } from "./findings.js";
+import { extractDomain } from "./history.js";
+import { reportPagePath } from "./report-store.js";
+import { escapeHtml } from "../public/scripts/render.js";
+
+const TOP_OPPORTUNITIES = 5;
+
+// Highest priority first, in the order the report listed them.
+function topOpportunities(findings) {
+  return [...findings]
+    .sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority))
+    .slice(0, TOP_OPPORTUNITIES);
+}
+
+/*
+  Absolute link for the email: the brand's own host, then PUBLIC_SITE_URL, then the backend's
+  /report/:id redirect at `apiBase` (e.g. "https://sniperank-v2-dev.onrender.com").
+*/
+export function reportPermalink(record, { brand, apiBase } = {}) {
+  const site = brand?.whiteLabel && brand.hosts?.[0] ? `https://${brand.hosts[0]}` : process.env.PUBLIC_SITE_URL;
+  return site ? `${site.replace(/\/$/, "")}${reportPagePath(record)}` : `${apiBase}/report/${record.id}`;
+}
+
+export function buildReportEmail({ record, brand, name, permalink }) {
+  const view = reportView(record);
+  const domain = extractDomain(record.url) || record.url;
+  const top = topOpportunities(view.opportunities);
+  const score = view.score !== null ? `${Math.round(view.score)}/100` : null;
+  const greeting = name ? `Hi ${name},` : "Hi,";
+  const subject = `Your ${brand.name} AI visibility report for ${domain}`;
+
+  const text = [
+    greeting,
+    "",
+    `Your AI visibility report for ${record.url} is ready.`,
+    ...(score ? ["", `Score: ${score}`] : []),
+    ...(view.pillars ? Object.entries(PILLARS).map(([k, label]) => `- ${label}: ${view.pillars[k] ?? 0}/25`) : []),
+    "",
+    `Top opportunities (${view.opportunities.length} in total):`,
+    ...top.map(f => `- [${f.priority}] ${f.title}`),
+    "",
+    `What's working: ${view.strengths.length} strengths found.`,
+    "",
+    `View the full report: ${permalink}`,
+    ...(brand.cta?.url ? ["", `${brand.cta.label}: ${brand.cta.url}`] : []),
+    "",
+    "--",
+    brand.footerText
+  ].join("\n");
+
+  const primary = escapeHtml(brand.colors.primary);
+  const accent = escapeHtml(brand.colors.accent);
+  const pillarRows = view.pillars
+    ? Object.entries(PILLARS).map(([k, label]) => `<tr><td style="padding:4px 0">${escapeHtml(label)}</td><td style="padding:4px 0;text-align:right;font-weight:700">${escapeHtml(view.pillars[k] ?? 0)}/25</td></tr>`).join("")
+    : "";
+  const html = `<!DOCTYPE html>
+<html><body style="margin:0;padding:24px;background:#f6f6f8;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif;color:#111">
+<div style="max-width:560px;margin:0 auto;background:#fff;border:1px solid #e5e5e5;border-radius:12px;overflow:hidden">
+  <div style="height:6px;background:${primary}"></div>
+  <div style="padding:24px">
+    ${brand.logoUrl ? `<img src="${escapeHtml(brand.logoUrl)}" alt="${escapeHtml(brand.name)}" style="max-height:48px;max-width:240px">` : `<div style="font-size:22px;font-weight:800;color:${primary}">${escapeHtml(brand.name)}</div>`}
+    <p style="font-size:16px;line-height:1.6">${escapeHtml(greeting)}</p>
+    <p style="font-size:16px;line-height:1.6">Your AI visibility report for <strong>${escapeHtml(record.url)}</strong> is ready.</p>
+    ${score ? `<p style="font-size:36px;font-weight:800;margin:16px 0 8px">${escapeHtml(score)}</p>` : ""}
+    ${pillarRows ? `<table style="width:100%;border-collapse:collapse;font-size:14px">${pillarRows}</table>` : ""}
+    <h3 style="font-size:16px;margin:24px 0 8px">Top opportunities <span style="color:#666;font-weight:400">(${view.opportunities.length} in total)</span></h3>
+    <ul style="padding-left:20px;margin:0;font-size:14px;line-height:1.7">${top.map(f => `<li><strong>[${escapeHtml(f.priority)}]</strong> ${escapeHtml(f.title)}</li>`).join("")}</ul>
+    <p style="font-size:14px;color:#666">What's working: ${view.strengths.length} strengths found.</p>
+    <p style="margin:24px 0"><a href="${escapeHtml(permalink)}" style="background:${accent};color:#fff;text-decoration:none;padding:12px 24px;border-radius:999px;font-weight:700;display:inline-block">View the full report</a></p>
+    ${brand.cta?.url ? `<p style="font-size:14px"><a href="${escapeHtml(brand.cta.url)}" style="color:${primary}">${escapeHtml(brand.cta.label)}</a></p>` : ""}
+  </div>
+  <div style="padding:16px 24px;border-top:1px solid #e5e5e5;font-size:12px;color:#666">${escapeHtml(brand.footerText)}</div>
+</div>
+</body></html>`;
+
+  return { subject, text, html };
+}
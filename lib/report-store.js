@@ -0,0 +1,56 @@
+/*
+  lib/report-store.js — Completed reports saved under a stable ID
+  One JSON file per report in REPORTS_DIR (default ./data/reports), so a shared link always
+  shows exactly the result the client saw instead of triggering a fresh analysis.
+  Records: { id, kind: "analyze" | "full", url, createdAt, report, brand? }; `brand` is the
+  white-label profile ID (lib/brands.js) the report was run under. Each save is also
+  appended to the domain's run history (lib/history.js).
+  Serverless hosts with an ephemeral disk need REPORTS_DIR on a persistent volume.
+*/
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { recordRun } from "./history.js";
+
+const REPORTS_DIR = process.env.REPORTS_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "reports");
+const ID_RE = /^[A-Za-z0-9_-]{16}$/;
+
+export const REPORT_KINDS = ["analyze", "full"];
+
+export function isReportId(id) {
+  return ID_RE.test(String(id || ""));
+}
+
+export async function saveReport(kind, url, report, { brand } = {}) {
+  if (!REPORT_KINDS.includes(kind)) throw new Error(`Unknown report kind: ${kind}`);
+  const record = { id: crypto.randomBytes(12).toString("base64url"), kind, url, createdAt: new Date().toISOString(), report };
+  if (brand) record.brand = brand;
+
+  await fs.mkdir(REPORTS_DIR, { recursive: true });
+  // Write then rename, so a reader never sees a half-written file.
+  const file = path.join(REPORTS_DIR, `${record.id}.json`);
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(record));
+  await fs.rename(`${file}.tmp`, file);
+  // Per-domain history is best-effort: the permalink still works if the index write fails.
+  await recordRun(record).catch(err => console.error("History write failed:", err.message));
+  return record;
+}
+
+// Resolves the stored record, or null for unknown/malformed IDs.
+export async function loadReport(id) {
+  if (!isReportId(id)) return null;
+  try {
+    return JSON.parse(await fs.readFile(path.join(REPORTS_DIR, `${id}.json`), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// Path of the page that renders a stored report; the pages load it via /api/report/:id.
+export function reportPagePath(record) {
+  return `/${record.kind === "full" ? "full-report" : "analyze"}.html?id=${record.id}`;
+}
@@ -0,0 +1,84 @@
+/*
+  lib/robots.js — robots.txt parsing and matching
+  Follows the RFC 9309 rules crawlers actually use: the groups naming the crawler's product token
+  apply (else "*"), the longest matching path rule wins, and Allow beats Disallow on a tie.
+*/
+
+export function parseRobots(text = "") {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const sep = line.indexOf(":");
+    if (sep === -1) continue;
+    const field = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (field === "user-agent") {
+      if (!lastWasAgent || !current) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (field === "sitemap" && value) sitemaps.push(value);
+    else if ((field === "allow" || field === "disallow") && current) {
+      current.rules.push({ allow: field === "allow", path: value });
+    }
+  }
+  return { groups, sitemaps };
+}
+
+// "GPTBot", "gptbot/1.2" and "GPTBot (+https://openai.com/gptbot)" all name the product token "gptbot".
+const productToken = agent => String(agent).trim().toLowerCase().split(/[/\s]/)[0];
+
+/*
+  The rules for a user agent token ("GPTBot"): every group whose User-agent line names that exact
+  product token, merged as RFC 9309 asks, else the "*" groups. Returns { agent, rules } with the
+  matched User-agent value ("*" for the catch-all), or null when neither exists.
+*/
+export function groupFor(robots, userAgent) {
+  const token = productToken(userAgent);
+  const named = robots.groups.filter(g => g.agents.some(a => a !== "*" && productToken(a) === token));
+  const groups = named.length ? named : robots.groups.filter(g => g.agents.includes("*"));
+  if (!groups.length) return null;
+  const agent = named.length ? named[0].agents.find(a => productToken(a) === token) : "*";
+  return { agent, rules: groups.flatMap(g => g.rules) };
+}
+
+export function isAllowed(robots, userAgent, path) {
+  return matchRule(robots, userAgent, path).allow;
+}
+
+/*
+  Why a path is allowed or not: { allow, agent, rule }. `agent` is the user-agent line of the group
+  that applied ("*" for the catch-all, null with no group) and `rule` the winning Allow/Disallow
+  line, null when none matched.
+*/
+export function matchRule(robots, userAgent, path) {
+  const group = groupFor(robots, userAgent);
+  if (!group) return { allow: true, agent: null, rule: null };
+
+  let winner = null;
+  for (const rule of group.rules) {
+    if (!rule.path) continue; // "Disallow:" with no value allows everything
+    if (!ruleMatches(rule.path, path)) continue;
+    if (!winner || rule.path.length > winner.path.length || (rule.path.length === winner.path.length && rule.allow)) {
+      winner = rule;
+    }
+  }
+  return { allow: winner ? winner.allow : true, agent: group.agent, rule: winner };
+}
+
+function ruleMatches(pattern, path) {
+  const anchored = pattern.endsWith("$");
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+  return new RegExp(`^${source}${anchored ? "$" : ""}`).test(path);
+}
@@ -0,0 +1,24 @@
+/*
+  lib/runtime.js — What the route modules need to know about where they run
+  The same handlers in routes/ serve the long-running Express app (server.js, Render) and the
+  serverless functions (api/, Vercel). The differences they care about:
+  - SERVERLESS: a function stops at its response, so work that server.js finishes after answering
+    202 (send-link, batch) is awaited instead. Set by Vercel (VERCEL=1), or SERVERLESS=true elsewhere.
+  - req.brand: resolved once per request by requestBrand(), whichever entry point ran first.
+*/
+
+import { brandFromRequest } from "./brands.js";
+
+export const SERVERLESS = !!process.env.VERCEL || process.env.SERVERLESS === "true";
+
+// White-label profile for this request (API key, ?brand= or page host); see lib/brands.js.
+export async function requestBrand(req) {
+  req.brand ||= await brandFromRequest(req);
+  return req.brand;
+}
+
+// Origin the request came in on, for links back to this API (Render and Vercel both terminate TLS).
+export function apiBase(req) {
+  const proto = String(req.headers["x-forwarded-proto"] || "").split(",")[0].trim() || (req.socket?.encrypted ? "https" : "http");
+  return `${proto}://${req.headers.host}`;
+}
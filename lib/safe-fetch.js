@@ -0,0 +1,230 @@
+/*
+  lib/safe-fetch.js — Outbound fetches of user-submitted URLs
+  Every page, robots.txt and sitemap we fetch on a visitor's behalf goes through safeFetch(), so a
+  submitted URL can't point the server at itself, the private network or a cloud metadata address:
+  - http(s) only, on port 80/443 plus SAFE_FETCH_PORTS (comma-separated, e.g. "8080,8443")
+  - every address the host resolves to must be public; the check runs again at connect time (so a
+    DNS answer that changes between check and connect is still caught) and on every redirect hop
+  - at most SAFE_FETCH_MAX_REDIRECTS redirects (default 5) and SAFE_FETCH_MAX_BYTES of body
+    (default 5 MB, after decompression)
+  - `accept: "html"` only reads text/html and XHTML bodies (a response without a Content-Type is read as HTML)
+  SAFE_FETCH_ALLOW_PRIVATE=true lifts the address check for local development only.
+
+  Failures throw SafeFetchError with one of the codes below; a response outside validateStatus
+  throws one with code "bad_status" and err.response.status, like axios.
+*/
+
+import axios from "axios";
+import http from "node:http";
+import https from "node:https";
+import dns from "node:dns";
+import net from "node:net";
+
+export const SAFE_FETCH_ERRORS = {
+  invalid_url: "The URL couldn't be parsed",
+  credentials_in_url: "URLs with a username or password can't be analyzed",
+  blocked_scheme: "Only http and https URLs can be analyzed",
+  blocked_port: "That port isn't allowed",
+  blocked_address: "The URL points at a private or reserved network address",
+  dns_failed: "The hostname doesn't resolve",
+  too_many_redirects: "The URL redirects too many times",
+  too_large: "The response is too large",
+  unsupported_content_type: "The URL didn't return an HTML page",
+  bad_status: "The URL returned an error status"
+};
+
+const ALLOW_PRIVATE = process.env.SAFE_FETCH_ALLOW_PRIVATE === "true";
+const ALLOWED_PORTS = new Set(["80", "443", ...String(process.env.SAFE_FETCH_PORTS || "").split(",").map(p => p.trim()).filter(Boolean)]);
+const MAX_REDIRECTS = Number(process.env.SAFE_FETCH_MAX_REDIRECTS) || 5;
+const MAX_BYTES = Number(process.env.SAFE_FETCH_MAX_BYTES) || 5 * 1024 * 1024;
+const HTML_TYPES = /^(text\/html|application\/xhtml\+xml)\b/i;
+
+export class SafeFetchError extends Error {
+  constructor(code, { url, status } = {}) {
+    super(SAFE_FETCH_ERRORS[code] || code);
+    this.name = "SafeFetchError";
+    this.code = code;
+    this.url = url;
+    if (status !== undefined) this.response = { status };
+  }
+}
+
+/* ---------- ADDRESS RULES ---------- */
+// Loopback, private, link-local (incl. 169.254.169.254 metadata), CGNAT, documentation, multicast and reserved ranges.
+const blocked = new net.BlockList();
+for (const [net4, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.88.99.0", 24], ["192.168.0.0", 16],
+  ["198.18.0.0", 15], ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) blocked.addSubnet(net4, prefix, "ipv4");
+for (const [net6, prefix] of [
+  ["::", 128], ["::1", 128], ["100::", 64], ["2001::", 32], ["2001:db8::", 32], ["fc00::", 7], ["fe80::", 10], ["fec0::", 10], ["ff00::", 8]
+]) blocked.addSubnet(net6, prefix, "ipv6");
+
+// IPv6 forms that carry an IPv4 address (mapped, NAT64, 6to4) are judged by that address.
+function embeddedIpv4(address) {
+  const mapped = address.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return mapped[1];
+  const hex = address.match(/^(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (hex) {
+    const n = (parseInt(hex[1], 16) << 16 >>> 0) + parseInt(hex[2], 16);
+    return [n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].join(".");
+  }
+  const sixToFour = address.match(/^2002:([0-9a-f]{1,4}):([0-9a-f]{1,4}):/i);
+  if (sixToFour) {
+    const hi = parseInt(sixToFour[1], 16);
+    const lo = parseInt(sixToFour[2], 16);
+    return [hi >> 8, hi & 255, lo >> 8, lo & 255].join(".");
+  }
+  return null;
+}
+
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  if (family === 6) {
+    const v4 = embeddedIpv4(address);
+    if (v4) return isPublicAddress(v4);
+  }
+  return !blocked.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// dns.lookup for the agents below: refuses to connect to a non-public address, whatever the earlier check saw.
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!ALLOW_PRIVATE && addresses.some(a => !isPublicAddress(a.address))) {
+      return callback(new SafeFetchError("blocked_address", { url: hostname }));
+    }
+    callback(null, address, family);
+  });
+}
+
+/*
+  A TCP connection to host:port under the same rules, for lib/headless.js's egress proxy: the port
+  must be allowed, and an IP literal (which skips the lookup) is checked before connecting.
+*/
+export function guardedConnect(host, port) {
+  const bare = String(host).replace(/^\[|\]$/g, "");
+  if (!ALLOWED_PORTS.has(String(port))) throw new SafeFetchError("blocked_port", { url: `${host}:${port}` });
+  if (!ALLOW_PRIVATE && net.isIP(bare) && !isPublicAddress(bare)) throw new SafeFetchError("blocked_address", { url: bare });
+  return net.connect({ host: bare, port: Number(port), lookup: guardedLookup });
+}
+
+const httpAgent = new http.Agent({ keepAlive: true, lookup: guardedLookup });
+const httpsAgent = new https.Agent({ keepAlive: true, lookup: guardedLookup });
+
+/* ---------- URL CHECKS ---------- */
+// Resolves the parsed URL, or throws SafeFetchError when it may not be fetched.
+async function vetUrl(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    throw new SafeFetchError("invalid_url", { url });
+  }
+  if (u.protocol !== "http:" && u.protocol !== "https:") throw new SafeFetchError("blocked_scheme", { url });
+  if (u.username || u.password) throw new SafeFetchError("credentials_in_url", { url });
+  if (!ALLOWED_PORTS.has(u.port || (u.protocol === "https:" ? "443" : "80"))) throw new SafeFetchError("blocked_port", { url });
+  if (ALLOW_PRIVATE) return u;
+
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) {
+    if (!isPublicAddress(host)) throw new SafeFetchError("blocked_address", { url });
+    return u;
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch {
+    throw new SafeFetchError("dns_failed", { url });
+  }
+  if (!addresses.length) throw new SafeFetchError("dns_failed", { url });
+  if (addresses.some(a => !isPublicAddress(a.address))) throw new SafeFetchError("blocked_address", { url });
+  return u;
+}
+
+// Route guard: null when `url` may be fetched, otherwise { error, code } for a 400 response.
+export async function checkUrl(url) {
+  try {
+    await vetUrl(url);
+    return null;
+  } catch (err) {
+    return { error: err.message, code: err.code };
+  }
+}
+
+/* ---------- FETCH ---------- */
+async function readBody(stream, maxBytes, url) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      stream.destroy();
+      throw new SafeFetchError("too_large", { url });
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/*
+  GET `url` with the checks above, following redirects by hand so each hop is vetted.
+  Resolves { data, status, headers, url } (url is the final one after redirects); data is a string,
+  or a Buffer with `responseType: "arraybuffer"`. `accept`: "html" | "text" (any type) | "any".
+*/
+export async function safeFetch(url, {
+  headers = {},
+  timeout = 10000,
+  accept = "html",
+  responseType = "text",
+  maxBytes = MAX_BYTES,
+  maxRedirects = MAX_REDIRECTS,
+  validateStatus = status => status >= 200 && status < 300
+} = {}) {
+  let current = url;
+  for (let hop = 0; ; hop++) {
+    const target = await vetUrl(current);
+    let resp;
+    try {
+      resp = await axios.get(target.href, {
+        headers,
+        timeout,
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        maxRedirects: 0,
+        responseType: "stream",
+        validateStatus: () => true
+      });
+    } catch (err) {
+      // The connect-time guard surfaces through axios; keep its code rather than a generic network error.
+      throw err?.cause instanceof SafeFetchError ? err.cause : err;
+    }
+
+    const { status } = resp;
+    if (status >= 300 && status < 400 && resp.headers.location) {
+      resp.data.destroy();
+      if (hop >= maxRedirects) throw new SafeFetchError("too_many_redirects", { url });
+      current = new URL(resp.headers.location, target).href;
+      continue;
+    }
+    if (!validateStatus(status)) {
+      resp.data.destroy();
+      throw new SafeFetchError("bad_status", { url: current, status });
+    }
+    if (accept === "html" && !HTML_TYPES.test(String(resp.headers["content-type"] || "text/html"))) {
+      resp.data.destroy();
+      throw new SafeFetchError("unsupported_content_type", { url: current });
+    }
+    if (Number(resp.headers["content-length"]) > maxBytes) {
+      resp.data.destroy();
+      throw new SafeFetchError("too_large", { url: current });
+    }
+
+    const body = await readBody(resp.data, maxBytes, current);
+    return { data: responseType === "arraybuffer" ? body : body.toString("utf8"), status, headers: resp.headers, url: current };
+  }
+}
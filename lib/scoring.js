@@ -0,0 +1,182 @@
+/*
+  lib/scoring.js — Deterministic four-pillar SnipeRank score
+  Pillars (25 points each): access, trust, clarity, alignment — same as the breakdown modal.
+  Every point comes from a named check below, so identical signals always give an identical score.
+*/
+
+export const PILLARS = {
+  access: "AI Access Readiness",
+  trust: "Trust & Verification Signals",
+  clarity: "LLM Interpretability & Clarity",
+  alignment: "Prompt-Pattern Alignment"
+};
+
+// Each check returns { earned, detail }; earned is clamped to [0, points].
+// `gap` completes "N of M pages ..." when a crawl aggregates a failed check.
+export const CHECKS = [
+  /* ---------- AI ACCESS READINESS ---------- */
+  { id: "https", pillar: "access", points: 4, label: "Served over HTTPS",
+    gap: "are not served over HTTPS",
+    run: s => ({ earned: s.https ? 4 : 0, detail: s.https ? "Page is served over HTTPS" : "Page is served over plain HTTP" }) },
+  { id: "http-status", pillar: "access", points: 3, label: "Page responds with 200 OK",
+    gap: "do not respond with 200 OK",
+    run: s => ({ earned: s.status === 200 ? 3 : 0, detail: `HTTP status ${s.status}` }) },
+  { id: "indexable", pillar: "access", points: 4, label: "Page is indexable",
+    gap: "carry a noindex directive",
+    run: s => ({ earned: s.noindex ? 0 : 4, detail: s.noindex ? "noindex directive found (meta robots or X-Robots-Tag)" : "No noindex directive" }) },
+  // aiAccess comes from lib/ai-access.js (robots.txt groups plus noindex/noai directives per bot).
+  { id: "ai-crawlers", pillar: "access", points: 4, label: "AI crawlers allowed",
+    gap: "block one or more AI crawlers",
+    run: s => {
+      if (!s.aiAccess) return { earned: 0, detail: "AI crawler access was not checked" };
+      const { allowed, total, bots } = s.aiAccess;
+      const blocked = bots.filter(b => !b.allowed).map(b => b.agent);
+      return { earned: Math.floor((allowed / total) * 4), detail: blocked.length ? `${allowed}/${total} AI crawlers allowed (blocked: ${blocked.join(", ")})` : `All ${total} AI crawlers allowed` };
+    } },
+  { id: "llms-txt", pillar: "access", points: 1, label: "llms.txt published",
+    gap: "are on a site without an llms.txt",
+    run: s => ({ earned: s.aiAccess?.llmsTxt.found ? 1 : 0, detail: s.aiAccess?.llmsTxt.found ? `llms.txt found${s.aiAccess.llmsTxt.title ? ` ("${s.aiAccess.llmsTxt.title}")` : ""}` : "No /llms.txt" }) },
+  { id: "canonical", pillar: "access", points: 2, label: "Canonical URL declared",
+    gap: "lack a canonical URL",
+    run: s => ({ earned: s.canonical ? 2 : 0, detail: s.canonical ? `Canonical: ${s.canonical}` : "No <link rel=\"canonical\">" }) },
+  { id: "viewport", pillar: "access", points: 3, label: "Mobile viewport declared",
+    gap: "lack a viewport meta tag",
+    run: s => ({ earned: s.viewport ? 3 : 0, detail: s.viewport ? "Viewport meta tag present" : "No viewport meta tag" }) },
+  { id: "lang", pillar: "access", points: 2, label: "Document language declared",
+    gap: "lack a document language",
+    run: s => ({ earned: s.lang ? 2 : 0, detail: s.lang ? `lang="${s.lang}"` : "No lang attribute on <html>" }) },
+  { id: "internal-links", pillar: "access", points: 2, label: "Crawlable internal links",
+    gap: "have fewer than 10 internal links",
+    run: s => ({ earned: s.internalLinks >= 10 ? 2 : s.internalLinks >= 3 ? 1 : 0, detail: `${s.internalLinks} internal links` }) },
+
+  /* ---------- TRUST & VERIFICATION SIGNALS ---------- */
+  // structuredData comes from lib/structured-data.js (JSON-LD, Microdata and RDFa).
+  { id: "schema-present", pillar: "trust", points: 4, label: "Structured data present",
+    gap: "have no structured data",
+    run: s => {
+      const formats = Object.entries(s.structuredData?.formats || {}).filter(([, n]) => n).map(([f, n]) => `${n} ${f}`);
+      return { earned: s.hasSchema ? 4 : 0, detail: s.hasSchema ? `Schema types: ${s.schemaTypes.join(", ") || "unnamed"}${formats.length ? ` (${formats.join(", ")})` : ""}` : "No JSON-LD, Microdata or RDFa found" };
+    } },
+  { id: "schema-valid", pillar: "trust", points: 3, label: "Structured data is valid",
+    gap: "have malformed or incomplete structured data",
+    run: s => {
+      const sd = s.structuredData;
+      if (!s.hasSchema || !sd) return { earned: 0, detail: "No structured data to validate" };
+      const invalid = sd.items.filter(i => i.missing.length).map(i => `${i.type} (missing ${i.missing.slice(0, 3).join(", ")})`);
+      const problems = [...(sd.malformed.length ? [`${sd.malformed.length} malformed JSON-LD block(s)`] : []), ...invalid];
+      if (!problems.length) return { earned: 3, detail: `${sd.items.length} item(s) have their required properties` };
+      return { earned: sd.items.length > invalid.length ? 1 : 0, detail: problems.join("; ") };
+    } },
+  { id: "entity-schema", pillar: "trust", points: 3, label: "Organization or LocalBusiness entity",
+    gap: "lack Organization or LocalBusiness schema",
+    run: s => {
+      const brand = s.structuredData?.brand;
+      return { earned: brand ? 3 : 0, detail: brand ? `${brand.type} "${brand.name}" (${brand.format})` : "No Organization/LocalBusiness schema" };
+    } },
+  { id: "entity-sameas", pillar: "trust", points: 2, label: "Brand entity linked to its profiles",
+    gap: "lack sameAs links on the brand entity",
+    run: s => {
+      const sameAs = s.structuredData?.brand?.sameAs || [];
+      return { earned: sameAs.length >= 2 ? 2 : sameAs.length, detail: sameAs.length ? `${sameAs.length} sameAs link(s): ${sameAs.slice(0, 3).map(u => u.replace(/^https?:\/\/(www\.)?/i, "").split("/")[0]).join(", ")}` : "No sameAs links on the brand entity" };
+    } },
+  { id: "contact-info", pillar: "trust", points: 4, label: "Contact information on page",
+    gap: "show no contact information",
+    run: s => ({ earned: s.hasContactInfo ? 4 : 0, detail: s.hasContactInfo ? "tel:, mailto: or <address> found" : "No tel:, mailto: or <address>" }) },
+  { id: "authorship", pillar: "trust", points: 3, label: "Author or publication date",
+    gap: "show no author or publication date",
+    run: s => ({ earned: s.hasAuthorOrDate ? 3 : 0, detail: s.hasAuthorOrDate ? "Author/date markup found" : "No author meta, article dates or <time datetime>" }) },
+  { id: "open-graph", pillar: "trust", points: 2, label: "Open Graph metadata",
+    gap: "have incomplete Open Graph metadata",
+    run: s => ({ earned: s.openGraph >= 3 ? 2 : s.openGraph > 0 ? 1 : 0, detail: `${s.openGraph} og: tags` }) },
+  { id: "external-citations", pillar: "trust", points: 4, label: "Outbound citations",
+    gap: "cite fewer than 3 external sources",
+    run: s => ({ earned: s.externalLinks >= 3 ? 4 : s.externalLinks > 0 ? 2 : 0, detail: `${s.externalLinks} external links` }) },
+
+  /* ---------- LLM INTERPRETABILITY & CLARITY ---------- */
+  { id: "title", pillar: "clarity", points: 5, label: "Title tag sized for AI summaries",
+    gap: "have a missing or overlong title",
+    run: s => {
+      const len = s.title.length;
+      return { earned: len > 0 && len <= 60 ? 5 : len > 60 ? 2 : 0, detail: len ? `Title is ${len} characters` : "No <title>" };
+    } },
+  { id: "meta-description", pillar: "clarity", points: 5, label: "Meta description",
+    gap: "lack a well-sized meta description",
+    run: s => {
+      const len = s.metaDescription.length;
+      return { earned: len >= 50 && len <= 160 ? 5 : len > 0 ? 2 : 0, detail: len ? `Meta description is ${len} characters` : "No meta description" };
+    } },
+  { id: "single-h1", pillar: "clarity", points: 5, label: "Single H1 heading",
+    gap: "do not have exactly one H1",
+    run: s => ({ earned: s.h1s.length === 1 ? 5 : s.h1s.length > 1 ? 2 : 0, detail: `${s.h1s.length} H1 tags` }) },
+  { id: "subheadings", pillar: "clarity", points: 3, label: "H2/H3 section structure",
+    gap: "have fewer than 2 H2/H3 headings",
+    run: s => ({ earned: s.subHeadings.length >= 2 ? 3 : s.subHeadings.length === 1 ? 1 : 0, detail: `${s.subHeadings.length} H2/H3 headings` }) },
+  { id: "alt-text", pillar: "clarity", points: 4, label: "Image alt text coverage",
+    gap: "have images without alt text",
+    run: s => {
+      if (!s.images) return { earned: 4, detail: "No images on page" };
+      const pct = s.imagesWithAlt / s.images;
+      return { earned: Math.floor(pct * 4), detail: `${s.imagesWithAlt}/${s.images} images have alt text (${Math.round(pct * 100)}%)` };
+    } },
+  { id: "content-length", pillar: "clarity", points: 3, label: "Enough text to interpret",
+    gap: "have under 300 words of text",
+    run: s => ({ earned: s.wordCount >= 300 ? 3 : s.wordCount >= 100 ? 1 : 0, detail: `${s.wordCount} words of visible text` }) },
+
+  /* ---------- PROMPT-PATTERN ALIGNMENT ---------- */
+  { id: "question-headings", pillar: "alignment", points: 6, label: "Question-style headings",
+    gap: "have fewer than 3 question-style headings",
+    run: s => ({ earned: s.questionHeadings >= 3 ? 6 : s.questionHeadings > 0 ? 3 : 0, detail: `${s.questionHeadings} headings phrased as questions` }) },
+  { id: "answer-schema", pillar: "alignment", points: 5, label: "FAQ/HowTo/QA schema",
+    gap: "lack FAQ, HowTo or QA schema",
+    run: s => {
+      const t = s.schemaTypes.find(x => /^(FAQPage|HowTo|QAPage)$/i.test(x));
+      return { earned: t ? 5 : 0, detail: t ? `${t} schema found` : "No FAQPage, HowTo or QAPage schema" };
+    } },
+  { id: "lists", pillar: "alignment", points: 4, label: "Scannable lists",
+    gap: "have fewer than 2 lists",
+    run: s => ({ earned: s.lists >= 2 ? 4 : s.lists === 1 ? 2 : 0, detail: `${s.lists} lists in content` }) },
+  { id: "topic-focus", pillar: "alignment", points: 5, label: "H1 echoes the title topic",
+    gap: "have an H1 unrelated to the title",
+    run: s => {
+      const overlap = keywordOverlap(s.title, s.h1s[0] || "");
+      return { earned: overlap > 0 ? 5 : 0, detail: overlap ? `${overlap} shared keywords between title and H1` : "Title and H1 share no keywords" };
+    } },
+  { id: "content-depth", pillar: "alignment", points: 5, label: "Answer-ready content depth",
+    gap: "have under 600 words of answer-ready content",
+    run: s => ({ earned: s.wordCount >= 600 ? 5 : s.wordCount >= 300 ? 2 : 0, detail: `${s.wordCount} words of visible text` }) }
+];
+
+export function scoreSignals(signals) {
+  const pillars = { access: 0, trust: 0, clarity: 0, alignment: 0 };
+  const checks = CHECKS.map(check => {
+    const { earned, detail } = check.run(signals);
+    const points = Math.max(0, Math.min(check.points, earned));
+    pillars[check.pillar] += points;
+    return { id: check.id, pillar: check.pillar, label: check.label, earned: points, max: check.points, passed: points === check.points, detail };
+  });
+
+  const score = pillars.access + pillars.trust + pillars.clarity + pillars.alignment;
+  return { score, pillars, checks, highlights: buildHighlights(checks) };
+}
+
+// Biggest point losses first, then the strongest wins, so the card explains the number.
+function buildHighlights(checks) {
+  const losses = checks
+    .filter(c => !c.passed)
+    .sort((a, b) => (b.max - b.earned) - (a.max - a.earned) || a.id.localeCompare(b.id))
+    .slice(0, 3)
+    .map(c => `${c.label}: ${c.detail} (-${c.max - c.earned} ${PILLARS[c.pillar]})`);
+  const wins = checks
+    .filter(c => c.passed)
+    .sort((a, b) => b.max - a.max || a.id.localeCompare(b.id))
+    .slice(0, 2)
+    .map(c => `${c.label}: ${c.detail} (+${c.earned})`);
+  return [...losses, ...wins];
+}
+
+const STOPWORDS = new Set(["the", "and", "for", "with", "your", "you", "our", "from", "that", "this", "home", "page"]);
+function keywordOverlap(a, b) {
+  const words = s => new Set(s.toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 2 && !STOPWORDS.has(w)));
+  const wb = words(b);
+  return [...words(a)].filter(w => wb.has(w)).length;
+}
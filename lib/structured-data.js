@@ -0,0 +1,221 @@
+/*
+  lib/structured-data.js — JSON-LD, Microdata and RDFa: what's declared, whether it's valid, who the brand is
+  parseStructuredData() reads all three syntaxes into JSON-LD-shaped nodes ({ "@type", ...properties },
+  nested items as nested nodes), so everything downstream reads one shape. analyzeStructuredData()
+  checks each top-level item against the properties its type needs (SCHEMA_RULES, after Google's
+  rich result requirements) and picks out the brand entity. The summary is `structuredData` in
+  every analysis and backs the trust checks in lib/scoring.js and the findings.
+
+  structuredData: { formats: { "json-ld", microdata, rdfa }, types: [...],
+                    items: [{ format, type, missing: [...], recommended: [...] }],
+                    malformed: [{ block, error }],
+                    brand: { type, format, name, url, logo, sameAs: [...] } | null }
+*/
+
+const MAX_ITEMS = 50;
+
+export const LOCAL_TYPE_RE = /LocalBusiness|Store|Restaurant|FoodEstablishment|Dentist|Physician|MedicalBusiness|Attorney|LegalService|Plumber|Electrician|HVACBusiness|RoofingContractor|HomeAndConstructionBusiness|AutomotiveBusiness|ProfessionalService|LodgingBusiness|HealthAndBeautyBusiness|RealEstateAgent|FinancialService/;
+const ORGANIZATION_RE = /^(Organization|Corporation|NGO|EducationalOrganization|GovernmentOrganization|MedicalOrganization|NewsMediaOrganization|OnlineBusiness|OnlineStore|SportsOrganization|PerformingGroup|Airline|Consortium|LibrarySystem|ResearchOrganization|WorkersUnion|FundingScheme|Project)$/;
+const ARTICLE_RE = /^(Article|NewsArticle|BlogPosting|TechArticle|ScholarlyArticle|Report|SocialMediaPosting|AnalysisNewsArticle|OpinionNewsArticle|ReviewNewsArticle)$/;
+
+/*
+  Per-type property requirements. A `required` entry that is an array is satisfied by any one of
+  its properties. `check` looks inside nested items and returns extra "path.property" gaps.
+*/
+const SCHEMA_RULES = {
+  Organization: { required: ["name"], recommended: ["url", "logo", "sameAs", "contactPoint"] },
+  LocalBusiness: { required: ["name", "address"], recommended: ["telephone", "url", "openingHoursSpecification", "geo", "image", "priceRange"] },
+  Person: { required: ["name"], recommended: ["url", "sameAs", "jobTitle", "image"] },
+  Brand: { required: ["name"], recommended: ["logo", "url"] },
+  WebSite: { required: ["url"], recommended: ["name", "potentialAction"] },
+  Product: { required: ["name", ["offers", "review", "aggregateRating"]], recommended: ["image", "description", "brand", "sku", "offers", "aggregateRating"],
+    check: node => nested(node.offers, "offers", ["price", "priceCurrency"]) },
+  Article: { required: ["headline"], recommended: ["author", "datePublished", "dateModified", "image", "publisher"] },
+  FAQPage: { required: ["mainEntity"], recommended: [],
+    check: node => nested(node.mainEntity, "mainEntity", ["name", "acceptedAnswer"])
+      .concat(list(node.mainEntity).flatMap((q, i) => nested(q?.acceptedAnswer, `mainEntity[${i}].acceptedAnswer`, ["text"]))) },
+  QAPage: { required: ["mainEntity"], recommended: [],
+    check: node => nested(node.mainEntity, "mainEntity", ["name", ["acceptedAnswer", "suggestedAnswer"]]) },
+  HowTo: { required: ["name", "step"], recommended: ["image", "totalTime", "supply", "tool"] },
+  BreadcrumbList: { required: ["itemListElement"], recommended: [],
+    check: node => nested(node.itemListElement, "itemListElement", ["position", ["name", "item"]]) },
+  Event: { required: ["name", "startDate", "location"], recommended: ["endDate", "description", "image", "offers", "eventStatus"] },
+  Review: { required: ["itemReviewed", "reviewRating", "author"], recommended: ["datePublished"] },
+  Recipe: { required: ["name", "image"], recommended: ["author", "recipeIngredient", "recipeInstructions", "totalTime", "nutrition"] },
+  VideoObject: { required: ["name", "thumbnailUrl", "uploadDate"], recommended: ["description", "duration", "contentUrl"] }
+};
+
+/* ---------- PARSING ---------- */
+// `$` is a cheerio document that still has its <script> tags; relative URLs resolve against baseUrl.
+export function parseStructuredData($, baseUrl) {
+  const items = [];
+  const malformed = [];
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    const text = $(el).contents().text().trim();
+    if (!text) return;
+    try {
+      flattenJsonLd(JSON.parse(text)).forEach(node => items.push({ format: "json-ld", node }));
+    } catch (err) {
+      malformed.push({ block: i + 1, error: err.message.slice(0, 160) });
+    }
+  });
+
+  const microdata = { scope: "itemscope", type: "itemtype", prop: "itemprop" };
+  $("[itemscope]").not("[itemprop]").each((_i, el) => {
+    items.push({ format: "microdata", node: readItem($, el, microdata, baseUrl) });
+  });
+
+  // RDFa Lite: vocab="https://schema.org/" typeof="Organization" property="name", or schema: prefixes.
+  const rdfa = { scope: "typeof", type: "typeof", prop: "property" };
+  $("[typeof]").not("[property]").each((_i, el) => {
+    items.push({ format: "rdfa", node: readItem($, el, rdfa, baseUrl) });
+  });
+
+  return { items, malformed };
+}
+
+// Top-level JSON-LD nodes: arrays and @graph are unwrapped, untyped wrappers dropped.
+function flattenJsonLd(value, out = []) {
+  if (Array.isArray(value)) value.forEach(v => flattenJsonLd(v, out));
+  else if (value && typeof value === "object") {
+    if (value["@type"]) out.push(value);
+    if (value["@graph"]) flattenJsonLd(value["@graph"], out);
+  }
+  return out;
+}
+
+// One Microdata or RDFa item as a JSON-LD-style node. Repeated properties become arrays.
+function readItem($, el, attrs, baseUrl) {
+  const node = {};
+  const types = String($(el).attr(attrs.type) || "").split(/\s+/).map(shortType).filter(Boolean);
+  if (types.length) node["@type"] = types.length === 1 ? types[0] : types;
+
+  $(el).find(`[${attrs.prop}]`).each((_i, child) => {
+    // Properties belong to the nearest enclosing item, not to this one.
+    if ($(child).parent().closest(`[${attrs.scope}]`)[0] !== el) return;
+    const value = $(child).is(`[${attrs.scope}]`) ? readItem($, child, attrs, baseUrl) : propertyValue($, child, baseUrl);
+    for (const name of String($(child).attr(attrs.prop)).split(/\s+/).map(shortType).filter(Boolean)) {
+      node[name] = name in node ? [].concat(node[name], value) : value;
+    }
+  });
+  return node;
+}
+
+// "https://schema.org/Organization", "schema:Organization" → "Organization".
+function shortType(value) {
+  return value.replace(/^.*[/#:]/, "").trim();
+}
+
+// The value a Microdata or RDFa property takes from its element, per the HTML Microdata rules.
+function propertyValue($, el, baseUrl) {
+  const node = $(el);
+  const url = attr => {
+    try { return new URL(node.attr(attr), baseUrl).href; } catch { return node.attr(attr); }
+  };
+  if (node.attr("content") !== undefined) return node.attr("content").trim();
+  if (node.is("a, area, link") && node.attr("href")) return url("href");
+  if (node.is("img, audio, video, source, iframe, embed, track") && node.attr("src")) return url("src");
+  if (node.is("object") && node.attr("data")) return url("data");
+  if (node.attr("resource") !== undefined) return url("resource");
+  if (node.is("time") && node.attr("datetime")) return node.attr("datetime").trim();
+  if (node.is("data, meter") && node.attr("value") !== undefined) return node.attr("value").trim();
+  return node.text().replace(/\s+/g, " ").trim();
+}
+
+/* ---------- VALIDATION ---------- */
+export function analyzeStructuredData({ items, malformed }) {
+  const formats = { "json-ld": 0, microdata: 0, rdfa: 0 };
+  items.forEach(item => { formats[item.format]++; });
+
+  return {
+    formats,
+    types: [...new Set(items.flatMap(item => typesIn(item.node)))],
+    items: items.slice(0, MAX_ITEMS).map(({ format, node }) => {
+      const type = typeList(node).join("/") || "untyped";
+      const rule = ruleFor(node);
+      if (!rule) return { format, type, missing: [], recommended: [] };
+      return {
+        format,
+        type,
+        missing: [...rule.required.filter(p => !has(node, p)).map(label), ...(rule.check ? rule.check(node) : [])],
+        recommended: rule.recommended.filter(p => !has(node, p))
+      };
+    }),
+    malformed,
+    brand: findBrand(items)
+  };
+}
+
+// The rule for a node's first recognised type; subtypes fall back to their parent.
+function ruleFor(node) {
+  for (const type of typeList(node)) {
+    if (SCHEMA_RULES[type]) return SCHEMA_RULES[type];
+    if (LOCAL_TYPE_RE.test(type)) return SCHEMA_RULES.LocalBusiness;
+    if (ORGANIZATION_RE.test(type)) return SCHEMA_RULES.Organization;
+    if (ARTICLE_RE.test(type)) return SCHEMA_RULES.Article;
+  }
+  return null;
+}
+
+// Gaps in nested items, e.g. every mainEntity Question needs name and acceptedAnswer.
+function nested(value, path, required) {
+  return list(value).flatMap((child, i) => {
+    if (!child || typeof child !== "object") return [];
+    const at = Array.isArray(value) ? `${path}[${i}]` : path;
+    return required.filter(p => !has(child, p)).map(p => `${at}.${label(p)}`);
+  });
+}
+
+function has(node, prop) {
+  if (Array.isArray(prop)) return prop.some(p => has(node, p));
+  const value = node[prop];
+  if (Array.isArray(value)) return value.some(v => v !== null && v !== "");
+  if (typeof value === "string") return value.trim().length > 0;
+  return value !== null && value !== undefined;
+}
+
+const label = prop => (Array.isArray(prop) ? prop.join("|") : prop);
+const list = value => (value === undefined || value === null ? [] : [].concat(value));
+const typeList = node => list(node?.["@type"]).filter(t => typeof t === "string").map(shortType);
+
+// Every type in a node, including nested items (a WebSite's publisher Organization).
+function typesIn(node, out = []) {
+  if (Array.isArray(node)) node.forEach(n => typesIn(n, out));
+  else if (node && typeof node === "object") {
+    out.push(...typeList(node));
+    Object.keys(node).filter(k => !k.startsWith("@")).forEach(k => typesIn(node[k], out));
+  }
+  return out;
+}
+
+/* ---------- BRAND ENTITY ---------- */
+/*
+  The business the page speaks for: a top-level Organization or LocalBusiness (or subtype) first,
+  then one nested as publisher/brand, then a Brand. The one carrying the most identity properties wins.
+*/
+function findBrand(items) {
+  const candidates = [];
+  const visit = (node, format, depth) => {
+    if (Array.isArray(node)) return node.forEach(n => visit(n, format, depth));
+    if (!node || typeof node !== "object") return;
+    const types = typeList(node);
+    const rank = types.some(t => ORGANIZATION_RE.test(t) || LOCAL_TYPE_RE.test(t)) ? depth : types.includes("Brand") ? 2 : null;
+    if (rank !== null && typeof node.name === "string" && node.name.trim()) candidates.push({ node, format, rank });
+    Object.keys(node).filter(k => !k.startsWith("@")).forEach(k => visit(node[k], format, 1));
+  };
+  items.forEach(({ node, format }) => visit(node, format, 0));
+  if (!candidates.length) return null;
+
+  const identity = ({ node }) => ["url", "logo", "sameAs"].filter(p => has(node, p)).length;
+  const { node, format } = candidates.sort((a, b) => a.rank - b.rank || identity(b) - identity(a))[0];
+  const logo = list(node.logo)[0];
+  return {
+    type: typeList(node).join("/"),
+    format,
+    name: node.name.trim(),
+    url: typeof node.url === "string" ? node.url : null,
+    logo: typeof logo === "string" ? logo : logo?.url || logo?.contentUrl || null,
+    sameAs: [...new Set(list(node.sameAs).filter(s => typeof s === "string" && /^https?:\/\//i.test(s)))]
+  };
+}
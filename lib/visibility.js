@@ -0,0 +1,313 @@
+/*
+  lib/visibility.js — Measured AI visibility: ask real engines about the site
+  Sends brand and category questions to every configured engine adapter, then checks each
+  answer for a mention of the brand/domain and for citations linking to the domain.
+  A brand question names the site, so its answers repeat the name whether or not the engine knows
+  it: those count towards `recognitionRate` (answers that mention the brand without saying they
+  know nothing about it). `mentionRate` counts only category questions, where naming the site is
+  unprompted; it is null when the page gave no topic to ask about. Gemini answers are grounded
+  with Google Search so its citations are measured; ChatGPT and Claude cite only inline links.
+  Per-engine keys: OPENAI_API_KEY (ChatGPT), ANTHROPIC_API_KEY (Claude), GEMINI_API_KEY (Gemini),
+  PERPLEXITY_API_KEY (Perplexity). Copilot has no public chat API and is reported as unavailable.
+  PROBE_ENGINES limits the set (comma-separated), PROBE_QUESTIONS caps questions per engine,
+  PROBE_MODEL_<ENGINE> overrides a model. LLM_PROVIDER=mock answers from fixtures/llm/probe.json.
+  Probes are paid API calls: only the Detailed Report runs them, once per domain per PROBE_CACHE_TTL
+  seconds (default 86400), and the free analysis shows that domain's cached result if there is one.
+*/
+
+import axios from "axios";
+import { safeFetch } from "./safe-fetch.js";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { ENGINES } from "./llm-schemas.js";
+import { collectSignals } from "./page-signals.js";
+import { cached, peekCached } from "./cache.js";
+
+const MAX_QUESTIONS = Number(process.env.PROBE_QUESTIONS) || 4;
+const TIMEOUT = Number(process.env.PROBE_TIMEOUT) || 20000;
+const CACHE_TTL = Number(process.env.PROBE_CACHE_TTL ?? 86400);
+const MAX_TOKENS = 500;
+const SNIPPET_CHARS = 220;
+const DEFAULT_FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "llm");
+const HOST_RE = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+// An answer that repeats the brand only to say it knows nothing about it.
+const NO_KNOWLEDGE_RE = /\b(?:I (?:don['’]t|do not|can['’]t|cannot|couldn['’]t|could not) (?:have|find|verify|confirm|provide)\b[^.]{0,40}?\b(?:information|details|data|knowledge)|(?:I['’]m|I am) not (?:familiar|aware)|(?:no|limited|not enough) (?:specific |reliable |detailed |public )?(?:information|details|data) (?:about|on|regarding))/i;
+
+/* ---------- ENGINE ADAPTERS ---------- */
+// Each adapter: { engine, available, reason, model, ask(question, { kind, site }) => Promise<{ text, citations }> }
+const ADAPTERS = {
+  ChatGPT: env => ({
+    key: env.OPENAI_API_KEY,
+    model: env.PROBE_MODEL_CHATGPT || "gpt-4o-mini",
+    async ask(question, { key, model }) {
+      const { data } = await axios.post("https://api.openai.com/v1/chat/completions",
+        { model, max_tokens: MAX_TOKENS, messages: [{ role: "user", content: question }] },
+        { headers: { Authorization: `Bearer ${key}` }, timeout: TIMEOUT });
+      return { text: data?.choices?.[0]?.message?.content || "", citations: [] };
+    }
+  }),
+  Claude: env => ({
+    key: env.ANTHROPIC_API_KEY,
+    model: env.PROBE_MODEL_CLAUDE || "claude-3-5-haiku-latest",
+    async ask(question, { key, model }) {
+      const { data } = await axios.post("https://api.anthropic.com/v1/messages",
+        { model, max_tokens: MAX_TOKENS, messages: [{ role: "user", content: question }] },
+        { headers: { "x-api-key": key, "anthropic-version": "2023-06-01" }, timeout: TIMEOUT });
+      const text = (data?.content || []).filter(b => b.type === "text").map(b => b.text).join("\n");
+      return { text, citations: [] };
+    }
+  }),
+  Gemini: env => ({
+    key: env.GEMINI_API_KEY,
+    model: env.PROBE_MODEL_GEMINI || "gemini-2.0-flash",
+    async ask(question, { key, model }) {
+      // Without the google_search tool there is no groundingMetadata, and so no citations to measure.
+      const { data } = await axios.post(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
+        { contents: [{ parts: [{ text: question }] }], tools: [{ google_search: {} }], generationConfig: { maxOutputTokens: MAX_TOKENS } },
+        { params: { key }, timeout: TIMEOUT });
+      const candidate = data?.candidates?.[0];
+      const text = (candidate?.content?.parts || []).map(p => p.text || "").join("\n");
+      // Grounding URIs are vertexaisearch redirects; the chunk title is the source's domain.
+      const citations = (candidate?.groundingMetadata?.groundingChunks || [])
+        .map(c => (HOST_RE.test(c?.web?.title || "") ? `https://${c.web.title}/` : c?.web?.uri))
+        .filter(Boolean);
+      return { text, citations };
+    }
+  }),
+  Perplexity: env => ({
+    key: env.PERPLEXITY_API_KEY,
+    model: env.PROBE_MODEL_PERPLEXITY || "sonar",
+    async ask(question, { key, model }) {
+      const { data } = await axios.post("https://api.perplexity.ai/chat/completions",
+        { model, max_tokens: MAX_TOKENS, messages: [{ role: "user", content: question }] },
+        { headers: { Authorization: `Bearer ${key}` }, timeout: TIMEOUT });
+      const citations = data?.citations || (data?.search_results || []).map(r => r.url);
+      return { text: data?.choices?.[0]?.message?.content || "", citations: citations.filter(Boolean) };
+    }
+  }),
+  Copilot: () => ({ key: null, model: null, reason: "no_public_api" })
+};
+
+// Adapters for the current environment, in ENGINES order.
+export function createEngines(env = process.env) {
+  const wanted = env.PROBE_ENGINES
+    ? env.PROBE_ENGINES.split(",").map(s => s.trim().toLowerCase()).filter(Boolean)
+    : null;
+  const names = ENGINES.filter(e => !wanted || wanted.includes(e.toLowerCase()));
+
+  if (String(env.LLM_PROVIDER || "").toLowerCase() === "mock") {
+    const fixtures = JSON.parse(readFileSync(path.join(env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES, "probe.json"), "utf8"));
+    return names.map(engine => mockEngine(engine, fixtures[engine]));
+  }
+
+  return names.map(engine => {
+    const config = ADAPTERS[engine](env);
+    const reason = config.reason || (config.key ? null : "no_api_key");
+    return {
+      engine,
+      available: !reason,
+      reason,
+      model: config.model,
+      ask: question => config.ask(question, config)
+    };
+  });
+}
+
+/* ---------- QUESTIONS ---------- */
+// Brand questions name the site; category questions don't, so a mention there is unprompted.
+export function buildQuestions(signals, max = MAX_QUESTIONS) {
+  const { brand, domain, topic } = describeSite(signals);
+  const questions = [
+    { kind: "brand", text: `What is ${brand} (${domain}) and what do they offer?` },
+    { kind: "category", text: topic ? `What are the best companies or websites for ${topic}? Name specific sites.` : null },
+    { kind: "brand", text: `Is ${brand} a trustworthy source${topic ? ` for ${topic}` : ""}? Cite your sources.` },
+    { kind: "category", text: topic ? `Where can I find reliable information about ${topic}? List specific websites with links.` : null }
+  ];
+  return questions.filter(q => q.text).slice(0, Math.max(1, max));
+}
+
+// Brand from the schema brand entity or WebSite name, og:site_name or the title segment that matches the domain.
+export function describeSite(signals) {
+  const domain = new URL(signals.url).hostname.replace(/^www\./i, "").toLowerCase();
+  const root = domain.split(".")[0];
+  const org = (signals.schemaNodes || []).find(n => /Organization|LocalBusiness|WebSite/i.test([].concat(n["@type"]).join(" ")) && typeof n.name === "string");
+  const segments = signals.title.split(/\s+[|–—:-]\s+/).map(s => s.trim()).filter(Boolean);
+  const compact = s => s.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const titleBrand = segments.find(s => compact(s).length >= 3 && (compact(s).includes(compact(root)) || compact(root).includes(compact(s))));
+
+  const brand = (signals.structuredData?.brand?.name || org?.name || signals.siteName || titleBrand || root.charAt(0).toUpperCase() + root.slice(1)).trim();
+  const topicSource = signals.h1s?.[0] || segments.find(s => s !== titleBrand) || "";
+  const topic = compact(topicSource) && compact(topicSource) !== compact(brand)
+    ? topicSource.slice(0, 80).replace(/^[A-Z](?=[a-z])/, c => c.toLowerCase()) // reads naturally mid-question
+    : "";
+  return { brand, domain, topic };
+}
+
+/* ---------- PROBING ---------- */
+export async function probeVisibility(signals, { engines = createEngines(), questions = buildQuestions(signals) } = {}) {
+  const site = describeSite(signals);
+
+  const results = await Promise.all(engines.map(async adapter => {
+    const base = { engine: adapter.engine, model: adapter.model, status: "unavailable", reason: adapter.reason, probes: [] };
+    if (!adapter.available) return { ...base, ...rates([]) };
+
+    const probes = await Promise.all(questions.map(async q => {
+      try {
+        const answer = await adapter.ask(q.text, { kind: q.kind, site });
+        return { question: q.text, kind: q.kind, ...detect(answer, site, q.kind) };
+      } catch (err) {
+        return { question: q.text, kind: q.kind, error: String(err?.response?.status || err?.code || err?.message || "error") };
+      }
+    }));
+    const answered = probes.filter(p => !p.error);
+    return {
+      ...base,
+      status: answered.length ? "ok" : "error",
+      reason: answered.length ? null : probes[0]?.error || "error",
+      probes,
+      ...rates(answered)
+    };
+  }));
+
+  const answered = results.flatMap(r => r.probes.filter(p => !p.error));
+  return { ...site, questions, engines: results, ...rates(answered), probedAt: new Date().toISOString() };
+}
+
+/*
+  Mention = brand name or domain appears in the answer; citation = a cited/linked URL on the domain.
+  For a brand question, `recognized` = mentioned without a "no information about" disclaimer.
+*/
+export function detect(answer, { brand, domain }, kind = "category") {
+  const text = String(answer?.text || "");
+  const inline = text.match(/https?:\/\/[^\s)\]>"']+/g) || [];
+  const citations = [...new Set([...(answer?.citations || []), ...inline])];
+  const onDomain = u => {
+    try {
+      const host = new URL(u).hostname.toLowerCase();
+      return host === domain || host.endsWith(`.${domain}`);
+    } catch { return false; }
+  };
+
+  const escape = str => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const needles = [domain, brand.length >= 3 ? brand : null].filter(Boolean);
+  const match = text.match(new RegExp(`(?<![\\w-])(?:${needles.map(escape).join("|")})(?![\\w-])`, "i"));
+  const at = match?.index;
+  const mentioned = at !== undefined;
+  let start = mentioned ? Math.max(0, at - SNIPPET_CHARS / 2) : 0;
+  if (start > 0) start = Math.min(at, text.indexOf(" ", start) + 1 || at); // don't cut a word in half
+  const snippet = text.slice(start, start + SNIPPET_CHARS).replace(/\s+/g, " ").trim();
+
+  return {
+    mentioned,
+    ...(kind === "brand" && { recognized: mentioned && !NO_KNOWLEDGE_RE.test(text) }),
+    cited: citations.some(onDomain),
+    snippet: (start > 0 ? "…" : "") + snippet + (start + SNIPPET_CHARS < text.length ? "…" : ""),
+    citations: citations.slice(0, 10)
+  };
+}
+
+// { engine, insight, mentionRate } rows for every engine that actually answered.
+export function visibilityInsights(visibility) {
+  return visibility.engines
+    .filter(e => e.status === "ok")
+    .map(e => {
+      const answered = e.probes.filter(p => !p.error);
+      const sample = answered.find(p => p.kind === "category" && p.mentioned) || answered.find(p => p.recognized) || answered[0];
+      const parts = [
+        e.categoryAnswers
+          ? `Named ${visibility.brand} unprompted in ${e.mentions} of ${e.categoryAnswers} ${plural(e.categoryAnswers, "answer")} about ${visibility.topic} (${Math.round(e.mentionRate * 100)}%)`
+          : "Not asked about your category (no topic found on the page)",
+        e.brandAnswers && `recognized ${visibility.brand} in ${e.recognized} of ${e.brandAnswers} ${plural(e.brandAnswers, "answer")} that named it`,
+        `cited ${visibility.domain} in ${e.citations} of ${e.answers} ${plural(e.answers, "answer")}`
+      ].filter(Boolean);
+      return {
+        engine: e.engine,
+        insight: `${parts.join("; ")}. Sample answer: “${sample.snippet}”`,
+        mentionRate: e.mentionRate
+      };
+    });
+}
+
+// Measured rows replace the estimate for the same engine; engines we couldn't probe keep the estimate.
+export function mergeInsights(estimated, visibility) {
+  const measured = visibility ? visibilityInsights(visibility) : [];
+  const probed = new Set(measured.map(i => i.engine));
+  return [
+    ...measured.map(i => ({ ...i, source: "probe" })),
+    ...(estimated || []).filter(i => !probed.has(i.engine)).map(i => ({ ...i, source: "estimate" }))
+  ];
+}
+
+// Fetches the page for its brand/topic signals, then probes; null when the page can't be fetched.
+export async function probeUrl(url, options) {
+  try {
+    const resp = await safeFetch(url, {
+      headers: { "User-Agent": "Mozilla/5.0 (compatible; SnipeRankBot/1.0)" },
+      timeout: 15000,
+      validateStatus: status => status < 500
+    });
+    return await probeVisibility(collectSignals(String(resp.data || ""), { url, status: resp.status, headers: resp.headers }), options);
+  } catch {
+    return null;
+  }
+}
+
+/* ---------- CACHED PROBES ---------- */
+// One cache entry per domain ("https://example.com/"), whichever of its pages was submitted.
+const domainKey = url => `https://${new URL(url).hostname.replace(/^www\./i, "").toLowerCase()}/`;
+
+// probeUrl() at most once per domain per CACHE_TTL; a run where no engine answered isn't kept.
+export async function probeUrlCached(url, options) {
+  const { value } = await cached("probe", domainKey(url), "", () => probeUrl(url, options), {
+    ttl: CACHE_TTL,
+    shouldCache: visibility => !!visibility?.engines.some(e => e.status === "ok")
+  });
+  return value;
+}
+
+// The domain's cached probe from a recent Detailed Report, or null; never calls an engine.
+export function recentProbe(url) {
+  return peekCached("probe", domainKey(url));
+}
+
+/* ---------- HELPERS ---------- */
+const plural = (n, word) => (n === 1 ? word : `${word}s`);
+const ratio = (n, total) => (total ? Math.round((n / total) * 100) / 100 : null);
+
+// mentions/mentionRate over category answers, recognized/recognitionRate over brand answers, citations over all.
+function rates(answered) {
+  const category = answered.filter(p => p.kind === "category");
+  const brand = answered.filter(p => p.kind === "brand");
+  const mentions = category.filter(p => p.mentioned).length;
+  const recognized = brand.filter(p => p.recognized).length;
+  const citations = answered.filter(p => p.cited).length;
+  return {
+    answers: answered.length,
+    categoryAnswers: category.length,
+    mentions,
+    mentionRate: ratio(mentions, category.length),
+    brandAnswers: brand.length,
+    recognized,
+    recognitionRate: ratio(recognized, brand.length),
+    citations,
+    citationRate: ratio(citations, answered.length)
+  };
+}
+
+// Deterministic answers from fixtures/llm/probe.json: { "<Engine>": { "brand": {text, citations}, "category": {...} } }.
+// {brand}, {domain} and {topic} in the fixture text are filled from the probed site.
+// An engine missing from the fixture is reported as unavailable, like Copilot in production.
+function mockEngine(engine, answers) {
+  return {
+    engine,
+    available: !!answers,
+    reason: answers ? null : "no_fixture",
+    model: "mock",
+    async ask(_question, { kind, site }) {
+      const entry = answers[kind] || { text: "" };
+      const fill = str => String(str).replace(/\{(brand|domain|topic)\}/g, (_m, k) => site[k] || "");
+      return { text: fill(entry.text), citations: (entry.citations || []).map(fill) };
+    }
+  };
+}
@@ -1,63 +1,335 @@
-// 📅 Updated: June 30, 2025 at 2:44 PM ET
+// scripts/analyze.js — Free analysis page (analyze.html)
+// A module so it can render summaries with scripts/render.js, the same code the backend's
+// /report.html uses; saved reports are re-rendered from their findings, never from stored markup.
 
-// scripts/analyze.js
+import { html, summaryHtml } from './render.js';
 
+const LOGO_SOURCES = {
+  ChatGPT: '/img/chatgpt-logo.png',
+  Claude: '/img/claude.jpeg',
+  Gemini: '/img/gemini-icon.svg',
+  Copilot: '/img/copilot.jpeg',
+  Perplexity: '/img/perplexity-logo.png',
+};
+
+function logoDivFor(engine){
+  const wrap = document.createElement('div'); 
+  wrap.className = 'llm-logo';
+  const p = LOGO_SOURCES[engine];
+  const fallback = () => { wrap.innerHTML = html`<span class="llm-fallback">${engine}</span>`; };
+  if (!p) {
+    fallback();
+    return wrap;
+  }
+  const img = document.createElement('img'); 
+  img.alt = `${engine} logo`; 
+  img.src = p;
+  img.onload = () => {wrap.innerHTML = ''; wrap.appendChild(img)};
+  img.onerror = fallback;
+  return wrap;
+}
+
+function transformAIInsights(root){
+  const title = [...root.querySelectorAll('h2,h3,h4,.section-title')].find(n => /ai\s*engine\s*insights?/i.test((n.textContent || '').trim()));
+  if (!title) return;
+  let ul = title.nextElementSibling;
+  while (ul && ul.tagName && ul.tagName.toLowerCase() !== 'ul') ul = ul.nextElementSibling;
+  if (!ul) return;
+  const items = [...ul.querySelectorAll('li')];
+  if (!items.length) return;
+  const box = document.createElement('div'); 
+  box.className = 'llm-insights';
+  items.forEach(li => {
+    const t = (li.textContent || '').trim();
+    if (!t) return;
+    const row = document.createElement('div'); 
+    row.className = 'llm-row'; 
+    row.appendChild(logoDivFor(li.dataset.engine || 'AI Engine')); 
+    const p = document.createElement('p'); 
+    p.textContent = t; 
+    row.appendChild(p); 
+    box.appendChild(row);
+  });
+  ul.replaceWith(box);
+}
+
+function renderScoreCard(total, pillars, highlights){
+  document.getElementById("scoreNumber").textContent = `${total}/100`;
+  document.getElementById("scoreBand").textContent =
+    total >= 70 ? "Rank: Highly Visible ★★★★☆" : 
+    total >= 55 ? "Rank: Partially Visible ★★★☆☆" : 
+    total >= 40 ? "Rank: Needs Work ★★☆☆☆" : 
+    "Rank: Low Visibility ★☆☆☆☆";
+  const grid = document.getElementById("pillarsGrid"); 
+  grid.innerHTML = "";
+  [
+    ["AI Access Readiness", pillars.access],
+    ["Trust & Verification Signals", pillars.trust],
+    ["LLM Interpretability & Clarity", pillars.clarity],
+    ["Prompt-Pattern Alignment", pillars.alignment]
+  ].forEach(([label, val]) => {
+    const d = document.createElement("div"); 
+    d.className = "pillar"; 
+    d.innerHTML = html`<span class="label">${label}</span><span class="badge">${val}/25</span>`; 
+    grid.appendChild(d);
+  });
+  if (highlights && highlights.length) {
+    const ul = document.getElementById("highlightsList"); 
+    ul.innerHTML = ""; 
+    highlights.forEach(h => {
+      const li = document.createElement("li"); 
+      li.textContent = h; 
+      ul.appendChild(li);
+    }); 
+    document.getElementById("highlightsBlock").hidden = false;
+  }
+}
+
+// Extract target URL from query params
+const urlParams = new URLSearchParams(window.location.search);
+let targetUrl = urlParams.get("url");
+const reportId = urlParams.get("id");
+let apiBase = '';
+
+// Put the saved report's ID in the address bar so reloads and shared links replay it
+function rememberReport(id) {
+  const q = new URLSearchParams(window.location.search);
+  q.set('id', id);
+  history.replaceState(null, '', `${window.location.pathname}?${q}`);
+}
+
+// Robust domain extractor
+function extractDomain(u){
+  if (!u) return '';
+  try {
+    const withProto = /^https?:\/\//i.test(u) ? u : `https://${u}`;
+    const { hostname } = new URL(withProto);
+    return hostname.replace(/^www\./i,'');
+  } catch {
+    const m = String(u).match(/^(?:https?:\/\/)?([^\/?#]+)/i);
+    return (m ? m[1] : '').replace(/^www\./i,'');
+  }
+}
+
+// Trend chart + resolved/new/regressed findings since this domain's previous analysis
+async function loadHistory(apiBase, id) {
+  if (!id) return; // history is shown to the holder of a saved report
+  try {
+    const r = await fetch(`${apiBase}/api/history?url=${encodeURIComponent(targetUrl)}&report=${encodeURIComponent(id)}`);
+    if (r.ok) renderHistory(document.getElementById('historySection'), await r.json(), { kind: 'analyze', reportId: id });
+  } catch (e) {
+    console.error('History error:', e);
+  }
+}
+
+// Modal controls
+document.getElementById('breakdownBtn').addEventListener('click', (e) => {
+  e.preventDefault();
+  document.getElementById('breakdown-modal').classList.add('open');
+});
+document.getElementById('modal-close').addEventListener('click', () => {
+  document.getElementById('breakdown-modal').classList.remove('open');
+});
+document.getElementById('breakdown-modal').addEventListener('click', (e) => {
+  if (e.target === document.getElementById('breakdown-modal')) {
+    document.getElementById('breakdown-modal').classList.remove('open');
+  }
+});
+
+// Copy button
+document.getElementById("copyBtn").addEventListener("click", async () => {
+  const scoreText = document.getElementById("scoreNumber").textContent || "-/100";
+  const labels = [...document.querySelectorAll('.pillar .label')].map(el => el.textContent.trim());
+  const vals = [...document.querySelectorAll('.pillar .badge')].map(el => el.textContent.trim());
+  const highlights = [...document.querySelectorAll('#highlightsList li')].map(li => li.textContent.trim());
+  const txt = [
+    `Website: ${targetUrl}`,
+    `${SnipeBrand.name()} Score: ${scoreText}`,
+    `Pillars:`, ...labels.map((l, i) => `- ${l}: ${vals[i] || ''}`),
+    ``, `Highlights/Issues:`, ...highlights.map(h => `- ${h}`),
+    ...(new URLSearchParams(window.location.search).has('id') ? [``, `Shareable report: ${window.location.href}`] : [])
+  ].join("\n");
+  try { 
+    await navigator.clipboard.writeText(txt);
+    const b = document.getElementById("copyBtn"); 
+    const old = b.textContent; 
+    b.textContent = "Copied!"; 
+    setTimeout(() => b.textContent = old, 1500);
+  } catch { 
+    window.prompt("Copy the summary:", txt); 
+  }
+});
+
+// Form submission handler
+document.getElementById('full-report-form').addEventListener('submit', (e) => {
+  e.preventDefault();
+  const name = document.getElementById('name-input').value.trim();
+  const email = document.getElementById('email-input').value.trim();
+  const phone = document.getElementById('phone-input').value.trim();
+  const company = document.getElementById('company-input').value.trim();
+  const context = document.getElementById('context-input').value.trim();
+  const contact = document.getElementById('contact-input').checked;
+  const marketing = document.getElementById('marketing-input').checked;
+  const errorEl = document.getElementById('form-error');
+  const btn = document.getElementById('full-report-btn');
+
+  errorEl.hidden = true;
+  if (!name || !email || !targetUrl) {
+    errorEl.textContent = 'Please provide your name and email.';
+    errorEl.hidden = false;
+    return;
+  }
+  if (phone && !/^[+\d\s().-]{6,25}$/.test(phone)) {
+    errorEl.textContent = 'Please check your phone number.';
+    errorEl.hidden = false;
+    return;
+  }
+  if (!contact) {
+    errorEl.textContent = 'Please agree to be contacted about your report.';
+    errorEl.hidden = false;
+    return;
+  }
+
+  const domain = extractDomain(targetUrl);
+
+  // Keep sessionStorage for backup/additional data
+  sessionStorage.setItem('sniperank:name', name);
+  sessionStorage.setItem('sniperank:email', email);
+  sessionStorage.setItem('sniperank:phone', phone);
+  sessionStorage.setItem('sniperank:company', company);
+  sessionStorage.setItem('sniperank:context', context);
+  sessionStorage.setItem('sniperank:url', targetUrl);
+  sessionStorage.setItem('sniperank:domain', domain);
+
+  // Lead capture is fire-and-forget: keepalive lets it finish after the redirect, and a
+  // failure never holds up the report.
+  const savedId = new URLSearchParams(window.location.search).get('id');
+  fetch(`${apiBase}/api/leads${SnipeBrand.param().replace('&', '?')}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    keepalive: true,
+    body: JSON.stringify({
+      name, email, phone, company, context,
+      url: targetUrl,
+      reportId: savedId || undefined,
+      source: 'analyze',
+      consent: { contact, marketing, text: document.getElementById('consent-note').textContent }
+    })
+  }).catch(err => console.error('Lead capture error:', err));
+
+  // Prevent double-clicks
+  btn.disabled = true; 
+  btn.textContent = 'Preparing Full Report...';
+
+  // Pass name and email as URL parameters to match full-report.html expectations
+  const q = new URLSearchParams({
+    url: targetUrl,
+    name,
+    email,
+    domain,
+    source: 'analyze',
+    ...(SnipeBrand.current?.whiteLabel ? { brand: SnipeBrand.current.id } : {})
+  }).toString();
+
+  console.log('Redirecting to full report with params:', q);
+  window.location.href = `full-report.html?${q}`;
+});
+
+// Load analysis on page load
 document.addEventListener("DOMContentLoaded", async () => {
-  const urlParams = new URLSearchParams(window.location.search);
-  const url = urlParams.get("url");
+  if (!targetUrl && !reportId) {
+    document.getElementById("current-url").textContent = "No URL provided";
+    document.getElementById('summary-results').innerHTML = "<p class='error-note'>No URL provided. Please go back to the homepage.</p>";
+    return;
+  }
+
+  document.getElementById("current-url").textContent = targetUrl || 'Saved report';
 
-  if (!url) {
-    document.getElementById("summary-results").innerHTML = "<p>No URL provided. Please return to the homepage and enter a site to analyze.</p>";
+  SnipeJobs.overlay.show();
+
+  // Probe for local /api/score; fallback to Render base if needed
+  try {
+    const probe = await fetch('/api/score?url=' + encodeURIComponent('https://example.com'), {method:'HEAD'});
+    if (!probe.ok) throw 0;
+  } catch { 
+    apiBase = 'https://sniperank-app2.onrender.com'; 
+  }
+
+  // Shared link: replay the stored score card and summary instead of re-running the analysis
+  if (reportId) {
+    try {
+      const r = await fetch(`${apiBase}/api/report/${encodeURIComponent(reportId)}`);
+      const record = await r.json();
+      if (!r.ok) throw new Error(record.error || 'Report not found');
+      targetUrl = record.url;
+      document.getElementById("current-url").textContent = targetUrl;
+      await SnipeBrand.load(apiBase, record.brand);
+      if (record.report.score != null) renderScoreCard(record.report.score, record.report.pillars, record.report.highlights);
+      const host = document.getElementById('summary-results');
+      host.innerHTML = summaryHtml(record.report);
+      transformAIInsights(host);
+      await loadHistory(apiBase, reportId);
+    } catch (e) {
+      console.error('Saved report error:', e);
+      document.getElementById('summary-results').innerHTML = "<p class='error-note'>This saved report could not be found.</p>";
+    } finally {
+      SnipeJobs.overlay.hide();
+    }
     return;
   }
 
+  await SnipeBrand.load(apiBase);
+
+  // One server-side job for the score card and the summary, with its real stages in the overlay
   try {
-    const res = await fetch(`/api/friendly?url=${encodeURIComponent(url)}`);
-    const data = await res.json();
-
-    const workingList = document.getElementById("whats-working");
-    const attentionList = document.getElementById("needs-attention");
-    const engineList = document.getElementById("engine-insights");
-
-    data.whatsWorking.forEach(item => {
-      const li = document.createElement("li");
-      li.textContent = `✅ ${item}`;
-      workingList.appendChild(li);
-    });
-
-    data.needsAttention.forEach(item => {
-      const li = document.createElement("li");
-      li.textContent = `🚨 ${item}`;
-      attentionList.appendChild(li);
-    });
-
-    data.engineInsights.forEach(item => {
-      const li = document.createElement("li");
-      li.textContent = `📡 ${item}`;
-      engineList.appendChild(li);
-    });
-  } catch (err) {
-    document.getElementById("summary-results").innerHTML = "<p>Error loading analysis. Please try again later.</p>";
-    console.error(err);
-  }
-
-  // Contact form logic
-  const form = document.getElementById("contact-form");
-  form.addEventListener("submit", async (e) => {
-    e.preventDefault();
-
-    const name = document.getElementById("name").value.trim();
-    const email = document.getElementById("email").value.trim();
-    const phone = document.getElementById("phone").value.trim();
-    const notes = document.getElementById("notes").value.trim();
-
-    if (!name || !email || !phone) {
-      alert("Please complete all required fields.");
+    const run = await SnipeJobs.run({ origins: [apiBase], kind: 'analyze', url: targetUrl, query: SnipeBrand.param().replace('&', '?') });
+    if (run) {
+      if (run.job.status === 'failed') throw new Error(run.job.error);
+      const result = run.job.result;
+      if (result.score != null) renderScoreCard(result.score, result.pillars, result.highlights);
+      sessionStorage.setItem('sniperank:data', JSON.stringify({ score: result.score, pillars: result.pillars, highlights: result.highlights }));
+      const host = document.getElementById('summary-results');
+      host.innerHTML = summaryHtml(result);
+      transformAIInsights(host);
+      if (result.report) rememberReport(result.report.id);
+      SnipeJobs.overlay.hide();
+      await loadHistory(apiBase, result.report?.id);
       return;
     }
+  } catch (e) {
+    console.error('Analysis job error:', e);
+    const note = document.createElement('p');
+    note.className = 'error-note';
+    note.textContent = e.code ? e.message : 'Error loading analysis report.';
+    document.getElementById('summary-results').replaceChildren(note);
+    SnipeJobs.overlay.hide();
+    return;
+  }
 
-    console.log("Form submitted:", { name, email, phone, notes });
-    alert("Thank you! Your full detailed report will be emailed to you shortly.");
-    form.reset();
-  });
+  // Backend without job support: the original score + summary requests
+  try {
+    const r = await fetch(`${apiBase}/api/score?url=${encodeURIComponent(targetUrl)}`);
+    const j = await r.json();
+    if (!r.ok) throw new Error(j.error || 'Score request failed');
+    renderScoreCard(j.score, j.pillars, j.highlights);
+    sessionStorage.setItem('sniperank:data', JSON.stringify(j));
+  } catch (e) {
+    console.error('Score error:', e);
+  }
+
+  try {
+    const res = await fetch(`${apiBase}/report.html?report=analyze&url=${encodeURIComponent(targetUrl)}${SnipeBrand.param()}`);
+    // Rendered by the backend with the same summaryHtml()
+    const fragment = await res.text();
+    const host = document.getElementById('summary-results'); 
+    host.innerHTML = fragment; 
+    transformAIInsights(host);
+    const savedId = res.headers.get('X-Report-Id');
+    if (savedId) rememberReport(savedId);
+    await loadHistory(apiBase, savedId);
+  } catch {
+    document.getElementById('summary-results').innerHTML = "<p class='error-note'>Error loading analysis report.</p>";
+  } finally {
+    SnipeJobs.overlay.hide();
+  }
 });
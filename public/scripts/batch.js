@@ -0,0 +1,134 @@
+// scripts/batch.js — Batch analysis page (batch.html)
+
+const params = new URLSearchParams(window.location.search);
+const FALLBACK_ORIGIN = 'https://sniperank-v2-dev.onrender.com';
+const POLL_MS = 3000;
+let apiOrigin = params.get('api') === 'render' ? FALLBACK_ORIGIN : '';
+let pollTimer = null;
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function showError(message) {
+  const box = document.getElementById('errorBox');
+  box.textContent = message;
+  box.hidden = false;
+}
+
+const reportPage = (mode, id) => `${mode === 'full' ? 'full-report.html' : 'analyze.html'}?id=${encodeURIComponent(id)}`;
+
+function renderBatch(batch) {
+  const { progress } = batch;
+  document.getElementById('batchLabel').textContent = `${progress.total} URLs`;
+  document.getElementById('progressSection').hidden = false;
+  document.getElementById('progressFill').style.width = `${progress.percent}%`;
+  document.getElementById('progressText').textContent = batch.status === 'done'
+    ? `Done: ${progress.done} analyzed, ${progress.failed} failed.`
+    : `${progress.done + progress.failed} of ${progress.total} finished (${progress.running} running)…`;
+  const base = `${apiOrigin}/api/batch?id=${encodeURIComponent(batch.id)}`;
+  document.getElementById('csvLink').href = `${base}&format=csv`;
+  document.getElementById('jsonLink').href = `${base}&format=json`;
+
+  const table = document.getElementById('results');
+  table.innerHTML = '';
+  const head = el('tr');
+  ['Website', 'Status', 'Score', ...ScoreCard.PILLARS.map(([, label]) => label), 'Issues', 'Top issue', ''].forEach(h => head.appendChild(el('th', '', h)));
+  const thead = el('thead');
+  thead.appendChild(head);
+  table.appendChild(thead);
+
+  const body = el('tbody');
+  batch.items.forEach(item => {
+    const tr = el('tr');
+    tr.appendChild(el('td', '', item.url));
+    const status = el('td');
+    status.appendChild(el('span', `status-tag status-${item.status}`, item.status));
+    if (item.error) status.appendChild(el('span', 'item-error', item.error));
+    tr.appendChild(status);
+    tr.appendChild(el('td', '', item.score !== null ? `${item.score}/100` : '—'));
+    ScoreCard.PILLARS.forEach(([key]) => tr.appendChild(el('td', '', item.pillars ? `${item.pillars[key] ?? 0}/25` : '—')));
+    tr.appendChild(el('td', '', item.issues ?? '—'));
+    const top = item.topIssues[0];
+    tr.appendChild(el('td', 'top-issue', top ? `[${top.priority}] ${top.title}` : '—'));
+    const link = el('td');
+    if (item.reportId) {
+      const a = el('a', '', 'Report');
+      a.href = reportPage(batch.mode, item.reportId);
+      a.target = '_blank';
+      a.rel = 'noopener';
+      link.appendChild(a);
+    }
+    tr.appendChild(link);
+    body.appendChild(tr);
+  });
+  table.appendChild(body);
+}
+
+async function poll(id) {
+  clearTimeout(pollTimer);
+  try {
+    const r = await fetch(`${apiOrigin}/api/batch?id=${encodeURIComponent(id)}`);
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(data.error || `HTTP ${r.status}`);
+    renderBatch(data.batch);
+    if (data.batch.status !== 'done') pollTimer = setTimeout(() => poll(id), POLL_MS);
+  } catch (e) {
+    console.error('Batch status error:', e);
+    showError(`Could not load batch progress: ${e.message}`);
+  }
+}
+
+// Same-origin first, then the Render backend; the Vercel function answers with the finished batch.
+async function submitBatch(urls, mode) {
+  const request = origin => fetch(`${origin}/api/batch?mode=${encodeURIComponent(mode)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ csv: urls })
+  });
+  let r;
+  try {
+    r = await request(apiOrigin);
+    if (r.status === 404 || r.status === 405) throw 0;
+  } catch {
+    apiOrigin = FALLBACK_ORIGIN;
+    r = await request(apiOrigin);
+  }
+  const data = await r.json().catch(() => ({}));
+  const listed = data.invalid || data.details?.map(d => `${d.url} (${d.error})`);
+  if (r.status === 429 && data.cost) throw new Error(`${data.error} This batch needs ${data.cost}.`);
+  if (!r.ok) throw new Error(listed ? `${data.error}: ${listed.join(', ')}` : data.error || `HTTP ${r.status}`);
+  return data.batch;
+}
+
+document.getElementById('csvInput').addEventListener('change', async e => {
+  const file = e.target.files[0];
+  if (file) document.getElementById('urlsInput').value = await file.text();
+});
+
+document.getElementById('batchForm').addEventListener('submit', async e => {
+  e.preventDefault();
+  const btn = document.getElementById('batchBtn');
+  const urls = document.getElementById('urlsInput').value.trim();
+  const mode = document.getElementById('modeInput').value;
+  document.getElementById('errorBox').hidden = true;
+  if (!urls) return showError('Add at least one URL.');
+  btn.disabled = true;
+  try {
+    const batch = await submitBatch(urls, mode);
+    const query = new URLSearchParams({ id: batch.id, ...(apiOrigin ? { api: 'render' } : {}) });
+    history.replaceState(null, '', `?${query}`);
+    await poll(batch.id);
+  } catch (err) {
+    console.error('Batch error:', err);
+    showError(`Batch failed: ${err.message}`);
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+// Reloads and shared links pick the batch back up.
+if (params.get('id')) poll(params.get('id'));
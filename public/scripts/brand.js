@@ -0,0 +1,81 @@
+// scripts/brand.js — White-label branding for report pages
+// Shared by analyze.html and full-report.html. Loads a profile from GET /api/brand and swaps the
+// elements marked data-brand="name | powered-by | cta | footer" plus the brand CSS variables.
+// The default SnipeRank profile leaves the page exactly as authored.
+
+(function () {
+  let current = null;
+
+  function link(href, text) {
+    const a = document.createElement('a');
+    a.href = href;
+    a.target = '_blank';
+    a.rel = 'noopener';
+    a.textContent = text;
+    return a;
+  }
+
+  function apply(brand) {
+    current = brand;
+    if (!brand || !brand.whiteLabel) return brand;
+
+    document.title = document.title.replace(/SnipeRank/g, brand.name);
+    const root = document.documentElement.style;
+    root.setProperty('--brand-primary', brand.colors.primary);
+    root.setProperty('--btn-red', brand.colors.accent);
+    root.setProperty('--btn-red-hover', brand.colors.accent);
+
+    document.querySelectorAll('[data-brand]').forEach(node => {
+      switch (node.dataset.brand) {
+        case 'name':
+          if (brand.logoUrl) {
+            const img = document.createElement('img');
+            img.src = brand.logoUrl;
+            img.alt = brand.name;
+            img.className = 'brand-logo';
+            node.replaceChildren(img);
+          } else {
+            node.textContent = brand.name;
+          }
+          break;
+        case 'powered-by':
+          node.replaceChildren('Prepared by ', brand.website ? link(brand.website, brand.company) : brand.company);
+          break;
+        case 'cta':
+          if (!brand.cta.url) { node.hidden = true; break; }
+          node.href = brand.cta.url;
+          node.textContent = brand.cta.label;
+          break;
+        case 'footer':
+          node.replaceChildren(brand.website ? link(brand.website, brand.footerText) : brand.footerText);
+          break;
+      }
+    });
+    return brand;
+  }
+
+  // `id` is the brand saved with a report; otherwise ?brand= or whatever the API resolves for this host.
+  async function load(apiBase, id) {
+    const brand = id || new URLSearchParams(window.location.search).get('brand');
+    try {
+      const r = await fetch(`${apiBase}/api/brand${brand ? `?brand=${encodeURIComponent(brand)}` : ''}`);
+      if (r.ok) return apply(await r.json());
+    } catch (e) {
+      console.error('Brand error:', e);
+    }
+    return null;
+  }
+
+  window.SnipeBrand = {
+    load,
+    apply,
+    get current() { return current; },
+    // Product name for copied summaries
+    name() { return current?.name || 'SnipeRank'; },
+    // ?brand= carried onto API calls and links so saved reports keep the brand
+    param() {
+      const id = current?.whiteLabel ? current.id : new URLSearchParams(window.location.search).get('brand');
+      return id ? `&brand=${encodeURIComponent(id)}` : '';
+    }
+  };
+})();
@@ -0,0 +1,162 @@
+// scripts/compare.js — Competitor comparison page (compare.html)
+
+const params = new URLSearchParams(window.location.search);
+const MAX_COMPETITORS = 4;
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+const hostOf = u => { try { return new URL(u).hostname.replace(/^www\./, ''); } catch { return u; } };
+
+function showError(message) {
+  const box = document.getElementById('errorBox');
+  box.textContent = message;
+  box.hidden = false;
+}
+
+function renderCards(data) {
+  const host = document.getElementById('cards');
+  host.innerHTML = '';
+  data.sites.forEach((site, i) => {
+    let card;
+    if (site.ok) {
+      card = ScoreCard.create({ title: hostOf(site.url), score: site.score, pillars: site.pillars });
+    } else {
+      card = el('section', 'card score-card is-failed');
+      card.appendChild(el('div', 'score-site', hostOf(site.url)));
+      card.appendChild(el('p', '', `Couldn't analyze this site (${site.error}).`));
+    }
+    if (i === 0) card.classList.add('is-target');
+    host.appendChild(card);
+  });
+}
+
+// One <tr>; numeric rows highlight the best value across sites.
+function row(label, values, format, { best } = {}) {
+  const tr = el('tr');
+  const head = el('td');
+  if (label instanceof Node) head.appendChild(label); else head.textContent = label;
+  tr.appendChild(head);
+  const numbers = values.filter(v => typeof v === 'number');
+  const top = best && numbers.length > 1 ? Math.max(...numbers) : null;
+  values.forEach(v => {
+    const td = el('td');
+    const cell = v === null ? { text: '—', className: 'mark-no' } : format(v);
+    td.textContent = cell.text;
+    if (cell.className) td.className = cell.className;
+    if (top !== null && v === top) td.classList.add('best');
+    tr.appendChild(td);
+  });
+  return tr;
+}
+
+function group(title, span) {
+  const tr = el('tr', 'group');
+  const td = el('td', '', title);
+  td.colSpan = span;
+  tr.appendChild(td);
+  return tr;
+}
+
+function renderMatrix(data) {
+  const table = document.getElementById('matrix');
+  const span = data.sites.length + 1;
+  const { matrix, labels } = data;
+  table.innerHTML = '';
+
+  const thead = el('thead');
+  const headRow = el('tr');
+  headRow.appendChild(el('th', '', ''));
+  data.sites.forEach((site, i) => headRow.appendChild(el('th', i === 0 ? 'is-target' : '', hostOf(site.url))));
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const body = el('tbody');
+  const number = v => ({ text: String(v) });
+  const bool = v => (v ? { text: '✓', className: 'mark-yes' } : { text: '✗', className: 'mark-no' });
+
+  body.appendChild(row('Overall score', matrix.score, v => ({ text: `${v}/100` }), { best: true }));
+  body.appendChild(group('Pillars', span));
+  Object.entries(matrix.pillars).forEach(([key, values]) => {
+    body.appendChild(row(labels.pillars[key] || key, values, v => ({ text: `${v}/25` }), { best: true }));
+  });
+  body.appendChild(group('Technical', span));
+  Object.entries(matrix.metrics).forEach(([key, values]) => {
+    const isBool = values.some(v => typeof v === 'boolean');
+    body.appendChild(row(labels.metrics[key] || key, values, isBool ? bool : number, { best: !isBool }));
+  });
+
+  const issues = matrix.findings.filter(f => f.kind === 'issue');
+  const strengths = matrix.findings.filter(f => f.kind === 'strength');
+  const findingLabel = f => {
+    const label = el('span');
+    label.appendChild(el('span', 'priority-tag', f.priority));
+    label.appendChild(document.createTextNode(f.title));
+    return label;
+  };
+  if (issues.length) {
+    body.appendChild(group('Issues found', span));
+    issues.forEach(f => body.appendChild(row(findingLabel(f), f.present, v => (v ? { text: '●', className: 'issue-yes' } : { text: '—', className: 'mark-no' }))));
+  }
+  if (strengths.length) {
+    body.appendChild(group('Strengths', span));
+    strengths.forEach(f => body.appendChild(row(f.title, f.present, bool)));
+  }
+  table.appendChild(body);
+  document.getElementById('matrixSection').hidden = false;
+}
+
+async function loadComparison(url, competitors) {
+  const path = `/api/compare?url=${encodeURIComponent(url)}&competitors=${encodeURIComponent(competitors)}`;
+  let r;
+  try {
+    r = await fetch(path);
+  } catch {
+    r = await fetch(`https://sniperank-v2-dev.onrender.com${path}`);
+  }
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data.error || `HTTP ${r.status}`);
+  return data;
+}
+
+async function run(url, competitors) {
+  const btn = document.getElementById('compareBtn');
+  document.getElementById('errorBox').hidden = true;
+  document.getElementById('current-url').textContent = url;
+  document.getElementById('loading').hidden = false;
+  btn.disabled = true;
+  try {
+    const data = await loadComparison(url, competitors);
+    renderCards(data);
+    renderMatrix(data);
+  } catch (e) {
+    console.error('Comparison error:', e);
+    showError(`Comparison failed: ${e.message}`);
+  } finally {
+    document.getElementById('loading').hidden = true;
+    btn.disabled = false;
+  }
+}
+
+const withScheme = v => (/^https?:\/\//i.test(v) ? v : `https://${v}`);
+
+document.getElementById('competitorsHint').textContent = `Separate sites with commas (up to ${MAX_COMPETITORS}).`;
+document.getElementById('urlInput').value = params.get('url') || '';
+document.getElementById('competitorsInput').value = params.get('competitors') || '';
+
+document.getElementById('compareForm').addEventListener('submit', e => {
+  e.preventDefault();
+  const url = withScheme(document.getElementById('urlInput').value.trim());
+  const competitors = document.getElementById('competitorsInput').value.split(',').map(s => s.trim()).filter(Boolean);
+  if (!competitors.length) return showError('Add at least one competitor.');
+  if (competitors.length > MAX_COMPETITORS) return showError(`Compare at most ${MAX_COMPETITORS} competitors at a time.`);
+  const query = new URLSearchParams({ url, competitors: competitors.join(',') });
+  history.replaceState(null, '', `?${query}`);
+  run(url, competitors.join(','));
+});
+
+if (params.get('url') && params.get('competitors')) run(withScheme(params.get('url')), params.get('competitors'));
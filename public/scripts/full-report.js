@@ -0,0 +1,430 @@
+// scripts/full-report.js — Detailed Report page (full-report.html)
+
+// Get URL from query parameters
+const urlParams = new URLSearchParams(window.location.search);
+let targetUrl = urlParams.get('url');
+const reportId = urlParams.get('id');
+let apiOrigin = ''; // '' or the Render fallback, whichever answered the report request
+const userName = urlParams.get('name') || sessionStorage.getItem('sniperank:name') || '';
+const userEmail = urlParams.get('email') || sessionStorage.getItem('sniperank:email') || '';
+const userDomain = urlParams.get('domain') || '';
+const source = urlParams.get('source') || '';
+const render = urlParams.get('render') || ''; // "1": analyze the page as a browser renders it
+
+// Render score card: the page's deterministic score, pillars out of 25 (same as analyze.html and compare.html)
+function renderScoreCard(data) {
+  document.getElementById('scoreNumber').textContent = Math.round(data.score) + '/100';
+  document.getElementById('scoreBand').textContent = ScoreCard.band(data.score);
+  ScoreCard.renderPillars(document.getElementById('pillarsGrid'),
+    ScoreCard.PILLARS.map(([key, label]) => ({ label, value: `${data.pillars?.[key] ?? 0}/25` })));
+}
+
+// Build an element whose text is set with textContent (never parsed as HTML)
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+const PRIORITY_GROUPS = [
+  { priority: 'High', title: 'Critical Priorities', intro: 'These high-impact optimizations provide immediate benefits for AI visibility and should be implemented first.' },
+  { priority: 'Medium', title: 'Strategic Improvements', intro: 'These optimizations require more planning but provide significant long-term value for AI model understanding.' },
+  { priority: 'Low', title: 'Incremental Enhancements', intro: 'These smaller optimizations provide incremental gains and can be implemented when resources allow.' }
+];
+
+const ENGINE_LOGOS = {
+  'ChatGPT': '/img/chatgpt-logo.png',
+  'Claude': '/img/claude.jpeg',
+  'Gemini': '/img/gemini.jpeg',
+  'Perplexity': '/img/perplexity-logo.png',
+  'Copilot': '/img/copilot.jpeg'
+};
+
+// Finding objects: { id, title, priority, pillar, description, evidence, solution, impact }
+function renderOpportunity(f) {
+  const li = el('li', `opportunity-item priority-${String(f.priority).toLowerCase()}`);
+  li.dataset.finding = f.id;
+  li.dataset.pillar = f.pillar;
+  const text = el('p', 'item-text');
+  text.appendChild(el('strong', '', f.title));
+  if (f.description) text.appendChild(document.createTextNode(` - ${f.description} `));
+  if (f.impact) text.appendChild(el('em', '', `Impact: ${f.impact}`));
+  li.appendChild(text);
+  if (f.evidence) li.appendChild(el('p', 'evidence-text', `Evidence: ${f.evidence}`));
+  if (f.solution) {
+    const fix = el('div', 'fix-callout');
+    fix.appendChild(el('div', 'fix-title', 'How to fix:'));
+    fix.appendChild(document.createTextNode(f.solution));
+    li.appendChild(fix);
+  }
+  return li;
+}
+
+function renderStrength(f) {
+  const li = el('li', 'working-item');
+  li.dataset.finding = f.id;
+  const text = el('p', 'item-text');
+  text.appendChild(el('strong', '', f.title));
+  if (f.description) text.appendChild(document.createTextNode(` - ${f.description}`));
+  li.appendChild(text);
+  if (f.evidence) li.appendChild(el('p', 'evidence-text', `Evidence: ${f.evidence}`));
+  if (f.solution) {
+    const tip = el('div', 'address-callout');
+    tip.appendChild(el('div', 'address-title', 'How to build on it:'));
+    tip.appendChild(document.createTextNode(f.solution));
+    li.appendChild(tip);
+  }
+  return li;
+}
+
+// Insight objects: { engine, insight, source?, mentionRate? } — source "probe" rows were measured
+function renderInsight(item) {
+  const row = el('div', 'ai-row');
+  const logo = el('div', 'ai-logo');
+  const fallback = () => { logo.innerHTML = ''; logo.appendChild(el('span', 'ai-fallback', item.engine)); };
+  if (ENGINE_LOGOS[item.engine]) {
+    const img = el('img');
+    img.src = ENGINE_LOGOS[item.engine];
+    img.alt = item.engine;
+    img.onerror = fallback;
+    logo.appendChild(img);
+  } else {
+    fallback();
+  }
+  row.appendChild(logo);
+  const text = el('div', 'ai-text');
+  if (item.source === 'probe') {
+    const rate = typeof item.mentionRate === 'number' ? ` · ${Math.round(item.mentionRate * 100)}% unprompted mention rate` : '';
+    text.appendChild(el('span', 'ai-source measured', `Measured${rate}`));
+  } else if (item.source === 'estimate') {
+    text.appendChild(el('span', 'ai-source', 'Estimated'));
+  }
+  text.appendChild(el('div', 'ai-body', item.insight));
+  row.appendChild(text);
+  return row;
+}
+
+// Render site-wide crawl aggregates ("12 of 48 pages lack a meta description")
+function renderCrawlSummary(crawl) {
+  const intro = document.getElementById('crawlIntro');
+  intro.textContent = `We crawled ${crawl.pagesCrawled} of ${crawl.pagesDiscovered} discovered pages` +
+    (crawl.averageScore !== null ? ` (average page score ${crawl.averageScore}/100)` : '') +
+    (crawl.blockedByRobots.length ? `; ${crawl.blockedByRobots.length} were skipped because robots.txt disallows them.` : '.');
+
+  const list = document.getElementById('crawlSummaryList');
+  list.innerHTML = '';
+  crawl.summary.forEach(row => {
+    const ratio = row.affected / row.total;
+    const li = document.createElement('li');
+    li.className = `opportunity-item ${ratio >= 0.5 ? 'priority-high' : ratio >= 0.2 ? 'priority-medium' : 'priority-low'}`;
+    const p = document.createElement('p');
+    p.className = 'item-text';
+    p.textContent = row.text;
+    li.appendChild(p);
+    list.appendChild(li);
+  });
+  document.getElementById('crawlSection').hidden = false;
+}
+
+// Artifact objects: { id, title, description, filename, code, validation } — code is shown as text, never parsed
+function renderArtifacts(artifacts) {
+  const list = document.getElementById('artifactsList');
+  list.innerHTML = '';
+  artifacts.forEach(a => {
+    const box = el('div', 'artifact');
+    box.dataset.artifact = a.id;
+    const head = el('div', 'artifact-head');
+    head.appendChild(el('h4', '', a.filename ? `${a.title} (${a.filename})` : a.title));
+    const copy = el('button', 'btn-ghost', 'Copy');
+    copy.type = 'button';
+    copy.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(a.code);
+        copy.textContent = 'Copied!';
+      } catch {
+        copy.textContent = 'Copy failed';
+      }
+      setTimeout(() => { copy.textContent = 'Copy'; }, 1500);
+    });
+    head.appendChild(copy);
+    box.appendChild(head);
+    if (a.description) box.appendChild(el('p', 'evidence-text', a.description));
+    const pre = el('pre', 'artifact-code');
+    pre.appendChild(el('code', '', a.code));
+    box.appendChild(pre);
+    if (a.validation) box.appendChild(el('p', 'artifact-validation', `✓ ${a.validation}`));
+    list.appendChild(box);
+  });
+  document.getElementById('artifactsSection').hidden = false;
+}
+
+// Put the saved report's ID in the address bar so reloads and shared links replay it
+function rememberReport(id) {
+  const q = new URLSearchParams(window.location.search);
+  q.set('id', id);
+  history.replaceState(null, '', `${window.location.pathname}?${q}`);
+}
+
+// Emails the saved report to the address given on analyze.html, once per report
+async function emailReport(id) {
+  const sentKey = `sniperank:emailed:${id}`;
+  if (sessionStorage.getItem(sentKey)) return;
+  const note = document.getElementById('emailNote');
+  try {
+    const r = await fetch(`${apiOrigin}/api/send-link`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: userName, email: userEmail, reportId: id })
+    });
+    if (!r.ok) throw new Error((await r.json().catch(() => ({}))).error || `HTTP ${r.status}`);
+    sessionStorage.setItem(sentKey, '1');
+    note.textContent = `📧 A copy of this report is on its way to ${userEmail}.`;
+  } catch (e) {
+    console.error('Email error:', e);
+    note.textContent = "We couldn't email this report. Use “Download PDF Report” or bookmark this page to keep it.";
+  }
+  note.hidden = false;
+}
+
+// Server-rendered PDF of the saved report (/api/pdf)
+function enablePdf(id) {
+  const btn = document.getElementById('pdfBtn');
+  btn.href = `${apiOrigin}/api/pdf?id=${encodeURIComponent(id)}`;
+  btn.hidden = false;
+}
+
+// Trend chart + resolved/new/regressed findings since this domain's previous full report
+async function loadHistory(id) {
+  if (!id) return; // history is shown to the holder of a saved report
+  const path = `/api/history?url=${encodeURIComponent(targetUrl)}&report=${encodeURIComponent(id)}`;
+  try {
+    let r;
+    try {
+      r = await fetch(path);
+    } catch {
+      r = await fetch(`https://sniperank-v2-dev.onrender.com${path}`);
+    }
+    if (r.ok) renderHistory(document.getElementById('historySection'), await r.json(), { kind: 'full', reportId: id });
+  } catch (e) {
+    console.error('History error:', e);
+  }
+}
+
+// The demo insight rows in the page get the same logo fallback (no inline handlers under the CSP)
+document.querySelectorAll('#aiInsights .ai-logo img').forEach(img => {
+  const fallback = () => img.parentNode?.replaceChildren(el('span', 'ai-fallback', img.alt));
+  if (img.complete && !img.naturalWidth) fallback();
+  else img.addEventListener('error', fallback);
+});
+
+// Modal controls
+document.getElementById('breakdownBtn').addEventListener('click', (e) => {
+  e.preventDefault();
+  document.getElementById('breakdown-modal').classList.add('open');
+});
+
+document.getElementById('modal-close').addEventListener('click', () => {
+  document.getElementById('breakdown-modal').classList.remove('open');
+});
+
+document.getElementById('breakdown-modal').addEventListener('click', (e) => {
+  if (e.target === document.getElementById('breakdown-modal')) {
+    document.getElementById('breakdown-modal').classList.remove('open');
+  }
+});
+
+// Copy comprehensive summary
+document.getElementById("copyBtn").addEventListener("click", async () => {
+  const scoreText = document.getElementById("scoreNumber").textContent || "-/100";
+  const labels = [...document.querySelectorAll('.pillar .label')].map(el => el.textContent.trim());
+  const vals = [...document.querySelectorAll('.pillar .badge')].map(el => el.textContent.trim());
+
+  // Get top opportunities with impact data
+  const opportunities = [...document.querySelectorAll('.opportunity-item .item-text')].slice(0, 12).map(el => {
+    const text = el.textContent.trim();
+    const mainText = text.split('Impact:')[0].trim();
+    const fixCallout = el.parentNode.querySelector('.fix-callout');
+    const fix = fixCallout ? fixCallout.textContent.replace(/How to fix.*?:/, '').trim() : '';
+    return fix ? `${mainText.split(' - ')[0]} - ${fix.split('.')[0]}.` : mainText;
+  });
+
+  // Get key working strengths
+  const workingStrengths = [...document.querySelectorAll('.working-item .item-text')].slice(0, 8).map(el => {
+    const text = el.textContent.trim();
+    return text.split(' - ')[0];
+  });
+
+  // Get AI insights
+  const aiInsights = [...document.querySelectorAll('.ai-row .ai-text')].map(el => {
+    const logoImg = el.parentNode.querySelector('.ai-logo img');
+    const engine = logoImg ? logoImg.alt : 'AI Engine';
+    return `${engine}: ${(el.querySelector('.ai-body') || el).textContent.trim()}`;
+  });
+
+  const txt = [
+    `Website: ${targetUrl}`,
+    `${SnipeBrand.name()} Comprehensive AI Visibility Score: ${scoreText}`,
+    ``,
+    `Pillar Breakdown:`,
+    ...labels.map((l, i) => `- ${l}: ${vals[i] || ''}`),
+    ``,
+    `Priority Optimization Opportunities:`,
+    ...opportunities.slice(0, 10).map(o => `- ${o}`),
+    ``,
+    `Current Strengths:`,
+    ...workingStrengths.map(s => `- ${s}`),
+    ``,
+    `AI Engine Insights:`,
+    ...aiInsights,
+    ``,
+    `Full analysis available at: ${window.location.href}`
+  ].join("\n");
+
+  try { 
+    await navigator.clipboard.writeText(txt);
+    const b = document.getElementById("copyBtn"); 
+    const old = b.textContent; 
+    b.textContent = "Copied!"; 
+    setTimeout(() => b.textContent = old, 1500);
+  } catch { 
+    window.prompt("Copy the comprehensive summary:", txt); 
+  }
+});
+
+// Load full analysis on page load
+document.addEventListener("DOMContentLoaded", async () => {
+  if (!targetUrl && !reportId) {
+    document.getElementById("current-url").textContent = "No URL provided";
+    document.getElementById('opportunitiesList').innerHTML = "<p class='error-note'>No URL provided. Please go back to the homepage.</p>";
+    return;
+  }
+
+  document.getElementById("current-url").textContent = targetUrl || 'Saved report';
+  if (targetUrl) document.getElementById('compareBtn').href = `compare.html?url=${encodeURIComponent(targetUrl)}`;
+
+  SnipeJobs.overlay.show();
+
+  try {
+    // A fresh analysis runs as a server-side job with live stages (same origin, then Render)
+    let data = null;
+    if (!reportId) {
+      const run = await SnipeJobs.run({
+        origins: ['', 'https://sniperank-v2-dev.onrender.com'],
+        kind: 'full',
+        url: targetUrl,
+        pages: urlParams.get('pages') || undefined,
+        render: render || undefined,
+        query: SnipeBrand.param().replace('&', '?')
+      });
+      if (run) {
+        apiOrigin = run.origin;
+        if (run.job.status === 'failed') throw new Error(run.job.error);
+        data = run.job.result;
+      }
+    }
+
+    // A saved report (shared link) is replayed as stored; a backend without jobs gets the blocking call
+    let apiResponse = null;
+    if (!data) {
+      const apiPath = reportId
+        ? `/api/report/${encodeURIComponent(reportId)}`
+        : `/api/full?url=${encodeURIComponent(targetUrl)}${render ? `&render=${encodeURIComponent(render)}` : ''}${SnipeBrand.param()}`;
+      try {
+        apiResponse = await fetch(apiPath);
+      } catch {
+        // Fallback to Render
+        apiOrigin = 'https://sniperank-v2-dev.onrender.com';
+        apiResponse = await fetch(`${apiOrigin}${apiPath}`);
+      }
+    }
+
+    if (data || apiResponse.ok) {
+      data = data || await apiResponse.json();
+      // A saved report keeps the brand it was run under
+      await SnipeBrand.load(apiOrigin, reportId ? data.brand : undefined);
+      if (reportId) {
+        targetUrl = data.url;
+        document.getElementById("current-url").textContent = targetUrl;
+        document.getElementById('compareBtn').href = `compare.html?url=${encodeURIComponent(targetUrl)}`;
+        data = data.report;
+      } else if (data.report) {
+        rememberReport(data.report.id);
+      }
+      if (reportId || data.report) enablePdf(reportId || data.report.id);
+      if (!reportId && data.report && userEmail) emailReport(data.report.id);
+
+      // Show lite banner if in lite mode
+      if (!data.success) {
+        document.getElementById('lite-banner').hidden = false;
+      }
+
+      // Render score card
+      if (data.score != null) {
+        // Reports saved before pillars were part of the response still have the start page's in the crawl
+        renderScoreCard({ score: data.score, pillars: data.pillars || data.crawl?.pages?.find(p => p.depth === 0)?.pillars });
+      }
+
+      // Render site-wide crawl results
+      if (data.crawl && data.crawl.pagesCrawled) {
+        renderCrawlSummary(data.crawl);
+      }
+
+      // Render comprehensive opportunities, grouped by the priority field
+      if (data.needsAttention && data.needsAttention.length > 0) {
+        const opportunitiesList = document.getElementById('opportunitiesList');
+        opportunitiesList.innerHTML = '';
+        PRIORITY_GROUPS.forEach(group => {
+          const items = data.needsAttention.filter(f => f.priority === group.priority);
+          if (!items.length) return;
+          opportunitiesList.appendChild(el('h4', 'section-subtitle', group.title));
+          opportunitiesList.appendChild(el('p', 'group-intro', group.intro));
+          items.forEach(f => opportunitiesList.appendChild(renderOpportunity(f)));
+        });
+      }
+
+      // Render ready-to-paste fixes (reports saved before artifacts existed have none)
+      if (data.artifacts && data.artifacts.length > 0) {
+        renderArtifacts(data.artifacts);
+      }
+
+      // Render what's working
+      if (data.whatsWorking && data.whatsWorking.length > 0) {
+        const workingList = document.getElementById('workingList');
+        workingList.innerHTML = '';
+        data.whatsWorking.forEach(f => workingList.appendChild(renderStrength(f)));
+      }
+
+      // Render AI engine insights
+      if (data.engineInsights && data.engineInsights.length > 0) {
+        const aiInsights = document.getElementById('aiInsights');
+        aiInsights.innerHTML = '';
+        data.engineInsights.forEach(item => aiInsights.appendChild(renderInsight(item)));
+      }
+
+      // Compare with earlier full reports for this domain
+      await loadHistory(reportId || data.report?.id);
+
+    } else {
+      const body = await apiResponse.json().catch(() => ({}));
+      throw Object.assign(new Error(body.error || 'API response not ok'), { code: body.code });
+    }
+
+  } catch (error) {
+    console.error('Full report error:', error);
+    if (reportId) {
+      document.getElementById('opportunitiesList').innerHTML = "<p class='error-note'>This saved report could not be found.</p>";
+      return;
+    }
+    // Rate limits, quotas and refused URLs are worth telling the visitor about
+    if (error.code) {
+      document.getElementById('opportunitiesList').replaceChildren(el('p', 'error-note', error.message));
+      return;
+    }
+    // The page already has demo content loaded, so we don't need to show an error
+    // Just render a basic score card with demo data
+    renderScoreCard({ score: 72, pillars: { access: 18, trust: 15, clarity: 19, alignment: 20 } });
+  } finally {
+    SnipeJobs.overlay.hide();
+  }
+});
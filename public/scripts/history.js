@@ -0,0 +1,96 @@
+// scripts/history.js — Score trend chart and "since last run" changes
+// Shared by analyze.html and full-report.html. Reads GET /api/history ({ domain, runs }) and
+// fills a host <section> with the score trend and the scoring checks that changed.
+
+(function () {
+  const PILLAR_LABELS = { access: 'Access', trust: 'Trust', clarity: 'Clarity', alignment: 'Alignment' };
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  const day = iso => new Date(iso).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+  const signed = n => (n > 0 ? `+${n}` : String(n));
+
+  // Inline SVG line chart of score (0-100) per run; no chart library needed.
+  function trendChart(runs) {
+    const W = 600, H = 160, PAD = 28;
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${W} ${H}`);
+    svg.setAttribute('class', 'history-chart');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', `Score trend: ${runs.map(r => r.score).join(', ')}`);
+
+    const x = i => PAD + (runs.length === 1 ? 0 : (i * (W - 2 * PAD)) / (runs.length - 1));
+    const y = score => H - PAD - (score / 100) * (H - 2 * PAD);
+    const add = (tag, attrs, text) => {
+      const node = document.createElementNS(ns, tag);
+      Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+      if (text !== undefined) node.textContent = text;
+      svg.appendChild(node);
+      return node;
+    };
+
+    [0, 50, 100].forEach(v => {
+      add('line', { x1: PAD, x2: W - PAD, y1: y(v), y2: y(v), class: 'grid' });
+      add('text', { x: 2, y: y(v) + 4, class: 'axis' }, String(v));
+    });
+    add('polyline', { points: runs.map((r, i) => `${x(i)},${y(r.score)}`).join(' '), class: 'line' });
+    runs.forEach((r, i) => {
+      const dot = add('circle', { cx: x(i), cy: y(r.score), r: 4, class: 'dot' });
+      const tip = document.createElementNS(ns, 'title');
+      tip.textContent = `${day(r.createdAt)}: ${r.score}/100`;
+      dot.appendChild(tip);
+    });
+    add('text', { x: x(0), y: H - 6, class: 'axis' }, day(runs[0].createdAt));
+    add('text', { x: x(runs.length - 1), y: H - 6, class: 'axis', 'text-anchor': 'end' }, day(runs[runs.length - 1].createdAt));
+    return svg;
+  }
+
+  function changeList(title, className, items) {
+    const block = el('div', `history-changes ${className}`);
+    block.appendChild(el('h4', '', `${title} (${items.length})`));
+    const ul = el('ul');
+    items.forEach(c => ul.appendChild(el('li', '', `${c.title} (-${c.lost} ${PILLAR_LABELS[c.pillar] || c.pillar})`)));
+    if (!items.length) ul.appendChild(el('li', 'history-none', 'None'));
+    block.appendChild(ul);
+    return block;
+  }
+
+  /*
+    host: the <section> to fill (kept hidden until this page has an earlier run of the same kind)
+    history: /api/history response; kind: "analyze" | "full"; reportId: the run being viewed
+  */
+  window.renderHistory = function renderHistory(host, history, { kind, reportId } = {}) {
+    const all = history?.runs || [];
+    const current = all.find(r => r.reportId === reportId);
+    if (!current || !current.changes) return null;
+    // Same report kind for the same page, up to the run being viewed
+    const runs = all.filter(r => r.kind === kind && r.page === current.page && typeof r.score === 'number');
+    const shown = runs.slice(0, runs.indexOf(current) + 1);
+    const c = current.changes;
+
+    host.innerHTML = '';
+    host.appendChild(el('h3', 'section-title', `📈 Score History for ${current.page}`));
+    const summary = [`${shown.length} analyses since ${day(shown[0].createdAt)}.`];
+    if (c.scoreDelta !== null) summary.push(`Score ${signed(c.scoreDelta)} since ${day(c.sinceDate)}.`);
+    if (c.pillarDeltas) {
+      const moved = Object.entries(c.pillarDeltas).filter(([, d]) => d);
+      if (moved.length) summary.push(moved.map(([k, d]) => `${PILLAR_LABELS[k] || k} ${signed(d)}`).join(', ') + '.');
+    }
+    host.appendChild(el('p', 'history-summary', summary.join(' ')));
+    host.appendChild(trendChart(shown));
+
+    const grid = el('div', 'history-grid');
+    grid.appendChild(changeList('Resolved', 'resolved', c.resolved));
+    grid.appendChild(changeList('New', 'new', c.new));
+    grid.appendChild(changeList('Regressed', 'regressed', c.regressed));
+    host.appendChild(grid);
+    host.hidden = false;
+    return c;
+  };
+})();
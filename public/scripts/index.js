@@ -0,0 +1,86 @@
+// scripts/index.js — Landing page: free-scan form, newsletter signup and scrolling
+
+// URL validation unchanged
+function isValidURL(input) {
+  const pattern = /^(https?:\/\/)?([a-zA-Z0-9-]+\.)+[a-zA-Z]{2,}(\/.*)?$/;
+  return pattern.test(input);
+}
+
+document.getElementById("analyze-form").addEventListener("submit", function(e) {
+  e.preventDefault();
+  const urlInput = document.getElementById("url");
+  let url = urlInput.value.trim();
+  const errorDiv = document.getElementById("error-message");
+  errorDiv.classList.remove('show');
+  if (!isValidURL(url)) {
+    errorDiv.textContent = "Please enter a valid domain (e.g., example.com)";
+    errorDiv.classList.add('show');
+    return;
+  }
+  if (!/^https?:\/\//i.test(url)) url = "https://" + url;
+  window.location.href = "analyze.html?url=" + encodeURIComponent(url);
+});
+
+// Newsletter form handler
+// Saved as a lead with marketing consent; same-origin API first, then the Render backend
+async function handleNewsletterSubmit(event) {
+  event.preventDefault();
+  const form = event.target;
+  const button = form.querySelector('button');
+  const body = JSON.stringify({
+    email: form.querySelector('input[type="email"]').value.trim(),
+    source: 'newsletter',
+    consent: { contact: false, marketing: true, text: document.querySelector('#newsletter .disclaimer').textContent }
+  });
+  button.disabled = true;
+  let ok = false;
+  for (const base of ['', 'https://sniperank-app2.onrender.com']) {
+    try {
+      const r = await fetch(`${base}/api/leads`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+      if (r.status === 400) break;
+      if (r.ok) { ok = true; break; }
+    } catch (e) {
+      console.error('Newsletter signup error:', e);
+    }
+  }
+  button.disabled = false;
+  if (!ok) {
+    alert('Sorry, we couldn\'t sign you up right now. Please check your email address and try again.');
+    return;
+  }
+  form.reset();
+  alert('Thanks for joining our early-bird list! We\'ll notify you when paid plans launch.');
+}
+document.querySelector('#newsletter .newsletter-form').addEventListener('submit', handleNewsletterSubmit);
+
+// Upgraded Scroll-up arrow
+const scrollUpArrow = document.getElementById('scroll-up-arrow');
+window.addEventListener('scroll', () => {
+  if (window.pageYOffset > 220) {
+    scrollUpArrow.classList.add('visible');
+  } else {
+    scrollUpArrow.classList.remove('visible');
+  }
+});
+scrollUpArrow.addEventListener('click', function() {
+  const freeScanSection = document.getElementById('free-scan-section');
+  if (freeScanSection) {
+    freeScanSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  } else {
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  }
+});
+
+// Smooth scrolling for anchor links
+document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+  anchor.addEventListener('click', function(e) {
+    e.preventDefault();
+    const target = document.querySelector(this.getAttribute('href'));
+    if (target) {
+      target.scrollIntoView({
+        behavior: 'smooth',
+        block: 'start'
+      });
+    }
+  });
+});
@@ -0,0 +1,192 @@
+// scripts/jobs.js — Live progress for server-side analysis jobs
+// Shared by analyze.html and full-report.html. Starts a job with POST /api/jobs (or reconnects to
+// the one in ?job= / localStorage after a reload or a closed tab), follows GET /api/jobs/events
+// (polling /api/jobs?id= where the stream drops) and draws the stages the server reports into
+// #progress-overlay: #progress-fill, #progress-pct and the #progress-stages list.
+
+(function () {
+  const POLL_MS = 2000;
+  const RESUME_MS = 30 * 60 * 1000;
+  const STAGE_ICONS = { pending: '○', running: '◐', done: '✓', skipped: '–' };
+
+  const storeKey = (kind, url) => `sniperank:job:${kind}:${url}`;
+
+  function recall(kind, url) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(storeKey(kind, url)) || 'null');
+      return saved && Date.now() - saved.at < RESUME_MS ? saved : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function remember(kind, url, id, origin) {
+    try { localStorage.setItem(storeKey(kind, url), JSON.stringify({ id, origin, at: Date.now() })); } catch {}
+    const q = new URLSearchParams(window.location.search);
+    q.set('job', id);
+    history.replaceState(null, '', `${window.location.pathname}?${q}`);
+  }
+
+  function forget(kind, url) {
+    try { localStorage.removeItem(storeKey(kind, url)); } catch {}
+    const q = new URLSearchParams(window.location.search);
+    q.delete('job');
+    history.replaceState(null, '', `${window.location.pathname}${q.toString() ? `?${q}` : ''}`);
+  }
+
+  /* ---------- OVERLAY ---------- */
+  const overlay = {
+    show() {
+      document.getElementById('progress-overlay').classList.add('open');
+    },
+
+    update(job) {
+      const fill = document.getElementById('progress-fill');
+      fill.classList.remove('progress-indeterminate');
+      fill.style.width = `${job.progress}%`;
+      document.getElementById('progress-pct').textContent = `${job.progress}%`;
+      const list = document.getElementById('progress-stages');
+      if (!list) return;
+      list.replaceChildren(...job.stages.map(stage => {
+        const li = document.createElement('li');
+        li.className = `stage stage-${stage.status}`;
+        const icon = document.createElement('span');
+        icon.className = 'stage-icon';
+        icon.textContent = STAGE_ICONS[stage.status] || '○';
+        li.append(icon, stage.label);
+        if (stage.detail && stage.status !== 'pending') {
+          const detail = document.createElement('span');
+          detail.className = 'stage-detail';
+          detail.textContent = stage.detail;
+          li.append(detail);
+        }
+        return li;
+      }));
+    },
+
+    // The backend can't run jobs: an indeterminate bar rather than an invented percentage.
+    waiting() {
+      document.getElementById('progress-fill').classList.add('progress-indeterminate');
+      document.getElementById('progress-pct').textContent = '';
+    },
+
+    hide() {
+      const fill = document.getElementById('progress-fill');
+      fill.classList.remove('progress-indeterminate');
+      fill.style.width = '100%';
+      setTimeout(() => {
+        document.getElementById('progress-overlay').classList.remove('open');
+      }, 600);
+    }
+  };
+
+  /* ---------- API ---------- */
+  async function fetchJob(origin, id) {
+    try {
+      const r = await fetch(`${origin}/api/jobs?id=${encodeURIComponent(id)}`);
+      return r.ok ? (await r.json()).job : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // First origin that accepts the job; null when none of them run jobs (e.g. a serverless deploy).
+  async function startJob(origins, body, query) {
+    for (const origin of origins) {
+      let r;
+      try {
+        r = await fetch(`${origin}/api/jobs${query}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+      } catch {
+        continue;
+      }
+      const data = await r.json().catch(() => ({}));
+      if (r.status === 202) return { origin, job: data.job };
+      // A rejected URL, API key or rate limit: the page shows data.error rather than retrying elsewhere
+      if ([400, 401, 429].includes(r.status)) throw Object.assign(new Error(data.error || 'Invalid request'), { code: data.code });
+    }
+    return null;
+  }
+
+  function poll(origin, id, onUpdate) {
+    return new Promise((resolve, reject) => {
+      let misses = 0;
+      const tick = async () => {
+        const job = await fetchJob(origin, id);
+        if (!job) {
+          if (++misses > 5) return reject(new Error('Lost contact with the analysis'));
+        } else {
+          misses = 0;
+          onUpdate(job);
+          if (job.status === 'done' || job.status === 'failed') return resolve(job);
+        }
+        setTimeout(tick, POLL_MS);
+      };
+      tick();
+    });
+  }
+
+  // Resolves the finished job; the SSE stream falls back to polling if it can't connect or drops.
+  function follow(origin, job, onUpdate) {
+    if (job.status === 'done' || job.status === 'failed') return Promise.resolve(job);
+    if (!window.EventSource) return poll(origin, job.id, onUpdate);
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`${origin}/api/jobs/events?id=${encodeURIComponent(job.id)}`);
+      const finish = e => {
+        source.close();
+        resolve(JSON.parse(e.data));
+      };
+      source.addEventListener('progress', e => onUpdate(JSON.parse(e.data)));
+      source.addEventListener('done', finish);
+      source.addEventListener('failed', finish);
+      source.onerror = () => {
+        source.close();
+        poll(origin, job.id, onUpdate).then(resolve, reject);
+      };
+    });
+  }
+
+  /*
+    Runs (or resumes) a `kind` job for `url` against the first origin that supports jobs.
+    Resolves { origin, job } with job.status "done" (job.result holds the analysis) or "failed",
+    or null when no origin runs jobs, so the page can fall back to its blocking request.
+    `query` is appended to POST /api/jobs, e.g. "?brand=acme"; `render` asks for a headless-browser render.
+  */
+  async function run({ origins, kind, url, pages, render, query = '' }) {
+    overlay.show();
+    const saved = recall(kind, url);
+    const resumeId = new URLSearchParams(window.location.search).get('job') || saved?.id;
+    let origin = null;
+    let job = null;
+
+    if (resumeId) {
+      for (const candidate of saved?.id === resumeId ? [saved.origin, ...origins] : origins) {
+        job = await fetchJob(candidate, resumeId);
+        if (job) { origin = candidate; break; }
+      }
+      // A different page's job, or one cut off by a server restart: start over
+      if (job && (job.kind !== kind || job.url !== url || job.status === 'failed')) job = null;
+    }
+    if (!job) {
+      const started = await startJob(origins, { kind, url, pages, render }, query);
+      if (!started) {
+        forget(kind, url);
+        overlay.waiting();
+        return null;
+      }
+      ({ origin, job } = started);
+    }
+
+    remember(kind, url, job.id, origin);
+    overlay.update(job);
+    const finished = await follow(origin, job, overlay.update);
+    overlay.update(finished);
+    forget(kind, url);
+    return { origin, job: finished };
+  }
+
+  window.SnipeJobs = { run, overlay };
+})();
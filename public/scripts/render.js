@@ -0,0 +1,43 @@
+// scripts/render.js — Escaping HTML templates shared by the report pages and the backend
+// An ES module so lib/analysis.js imports the same summaryHtml() that analyze.js renders saved
+// reports with. Values interpolated into html`` are escaped unless they came from html`` themselves,
+// so page titles, evidence and model output always end up as text.
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ENTITIES[c]);
+}
+
+// Markup that html`` produced; assigning it to innerHTML (or String()) yields the escaped markup.
+class SafeHtml {
+  constructor(markup) { this.markup = markup; }
+  toString() { return this.markup; }
+}
+
+// Arrays are joined, null/undefined/false render nothing, anything else is text.
+function piece(value) {
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(piece).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, s, i) => out + piece(values[i - 1]) + s));
+}
+
+/*
+  The analyze page's summary sections: What's Working, Needs Attention, AI Engine Insights.
+  `body` is an analysis (see "Response contract" in the README); reports saved before it use
+  `working` and `insights`. Returns the markup as a string, ready to store or assign to innerHTML.
+*/
+export function summaryHtml(body) {
+  const working = body.whatsWorking || body.working || [];
+  const needs = body.needsAttention || [];
+  const insights = body.engineInsights || body.insights || [];
+  const evidence = i => i.evidence && html`<br><small class="evidence">Evidence: ${i.evidence}</small>`;
+  return String(html`<div class="section-title">✅ What's Working</div><ul>${working.map(i => html`<li data-finding="${i.id}"><strong>${i.title}:</strong> ${i.description}${evidence(i)}</li>`)}</ul>`
+    + html`<div class="section-title">🚨 Needs Attention</div><ul>${needs.map(i => html`<li data-finding="${i.id}" data-priority="${i.priority}" data-pillar="${i.pillar}"><strong>[${i.priority}] ${i.title}:</strong> ${i.description}${evidence(i)}<br><small class="fix">How to fix: ${i.solution} <em>Impact: ${i.impact}</em></small></li>`)}</ul>`
+    + html`<div class="section-title">📡 AI Engine Insights</div><ul>${insights.map(i => html`<li data-engine="${i.engine}"${i.mentionRate != null && html` data-mention-rate="${i.mentionRate}"`}>${i.insight}</li>`)}</ul>`);
+}
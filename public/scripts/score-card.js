@@ -0,0 +1,67 @@
+// scripts/score-card.js — Score card and pillar grid shared by full-report.html and compare.html
+// Both pages use the same markup: .card.score-card > .score-number, .score-band and .pillars > .pillar.
+
+(function () {
+  const PILLARS = [
+    ['access', 'AI Access Readiness'],
+    ['trust', 'Trust & Verification Signals'],
+    ['clarity', 'LLM Interpretability & Clarity'],
+    ['alignment', 'Prompt-Pattern Alignment']
+  ];
+
+  function band(score) {
+    if (score >= 90) return 'Rank: Excellent ★★★★★';
+    if (score >= 80) return 'Rank: Very Good ★★★★☆';
+    if (score >= 70) return 'Rank: Good ★★★☆☆';
+    if (score >= 60) return 'Rank: Fair ★★☆☆☆';
+    return 'Rank: Needs Work ★☆☆☆☆';
+  }
+
+  // pillars: [{ label, value }]; value is shown as given (e.g. 18 or "18/25")
+  function renderPillars(grid, pillars) {
+    grid.innerHTML = '';
+    pillars.forEach(p => {
+      const row = document.createElement('div');
+      row.className = 'pillar';
+      const label = document.createElement('span');
+      label.className = 'label';
+      label.textContent = p.label;
+      const badge = document.createElement('span');
+      badge.className = 'badge';
+      badge.textContent = p.value;
+      row.append(label, badge);
+      grid.appendChild(row);
+    });
+  }
+
+  // A standalone card for one site; `pillars` is the API's { access, trust, clarity, alignment } out of 25.
+  function create({ title, score, pillars }) {
+    const card = document.createElement('section');
+    card.className = 'card score-card';
+    const top = document.createElement('div');
+    top.className = 'score-top';
+    const main = document.createElement('div');
+    main.className = 'score-main';
+    const number = document.createElement('div');
+    number.className = 'score-number';
+    number.textContent = `${Math.round(score)}/100`;
+    const bandEl = document.createElement('div');
+    bandEl.className = 'score-band';
+    bandEl.textContent = band(score);
+    main.append(number, bandEl);
+    if (title) {
+      const name = document.createElement('div');
+      name.className = 'score-site';
+      name.textContent = title;
+      top.appendChild(name);
+    }
+    top.appendChild(main);
+    const grid = document.createElement('div');
+    grid.className = 'pillars';
+    renderPillars(grid, PILLARS.map(([key, label]) => ({ label, value: `${pillars?.[key] ?? 0}/25` })));
+    card.append(top, grid);
+    return card;
+  }
+
+  window.ScoreCard = { PILLARS, band, renderPillars, create };
+})();
@@ -0,0 +1,93 @@
+/*
+  routes/batch.js — Bulk analysis of a list or CSV of URLs
+  POST { urls: [...] } | { csv: "..." } | raw text/csv, ?mode=analyze|full → analyzes every URL,
+  BATCH_CONCURRENCY at a time (see lib/batch.js). Each one is saved like a single run, so every
+  row has a permalink. The Express server answers 202 { batch } and works in the background; a
+  serverless function waits for the whole batch and answers 200 with it, so keep those batches
+  small (or raise maxDuration) and send large uploads to the Express server.
+  Every URL passes checkUrl() before the batch is created; a blocked one rejects the upload (400).
+  Each URL costs one unit of the caller's limit (lib/rate-limit.js): a free scan in analyze mode,
+  a Detailed Report in full mode. Without an API key that caps a full batch at
+  RATE_LIMIT_FULL_PER_DAY URLs (default 3); a larger one gets a 429 naming its `cost`.
+  GET ?id=<batchId> → { batch } with per-item status; add &format=csv|json for the results file.
+  ENV Optional: BATCH_MAX_URLS, BATCH_CONCURRENCY, BATCHES_DIR
+*/
+
+import { parseBatchUrls, createBatch, loadBatch, runBatch, batchProgress, batchToCsv, MAX_BATCH_URLS, BATCH_MODES } from "../lib/batch.js";
+import { analyzeAndSave } from "../lib/analysis.js";
+import { runFullReportCached } from "../lib/full-report.js";
+import { SERVERLESS, requestBrand } from "../lib/runtime.js";
+import { wantsRefresh } from "../lib/cache.js";
+import { enforceLimit } from "../lib/rate-limit.js";
+import { checkUrl } from "../lib/safe-fetch.js";
+
+/*
+  One URL through the chosen pipeline. A run without real findings fails its row rather than
+  exporting placeholders: an analysis whose page couldn't be fetched, or a Detailed Report that
+  fell back to generic findings (fetch failure, no LLM provider, invalid model output).
+*/
+async function analyzeForBatch(url, { mode, brand, refresh }) {
+  const body = mode === "full"
+    ? await runFullReportCached(url, { brand, refresh })
+    : await analyzeAndSave(url, { brand, refresh });
+  if (!body.success) {
+    throw new Error(mode === "full" ? `Detailed Report unavailable: ${body.meta.reason || "fallback"}` : body.needsAttention[0]?.evidence || "Fetch failed");
+  }
+  return { kind: mode, report: body, reportId: body.report?.id };
+}
+
+const batchSummary = batch => ({ id: batch.id, mode: batch.mode, status: batch.status, progress: batchProgress(batch), createdAt: batch.createdAt, updatedAt: batch.updatedAt });
+
+export default async function handler(req, res) {
+  if (req.method === "GET") {
+    const batch = await loadBatch(req.query.id).catch(() => null);
+    if (!batch) return res.status(404).json({ error: "Batch not found" });
+    const name = `sniperank-batch-${batch.id}`;
+    if (req.query.format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${name}.csv"`);
+      return res.status(200).send(batchToCsv(batch));
+    }
+    if (req.query.format === "json") res.setHeader("Content-Disposition", `attachment; filename="${name}.json"`);
+    return res.status(200).json({ batch: { ...batchSummary(batch), items: batch.items } });
+  }
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const body = typeof req.body === "string" ? { csv: req.body } : req.body || {};
+  const mode = String(req.query.mode || body.mode || "analyze");
+  if (!BATCH_MODES.includes(mode)) return res.status(400).json({ error: `mode must be one of ${BATCH_MODES.join(", ")}` });
+  const { urls, invalid } = parseBatchUrls(body.urls || body.csv);
+  if (invalid.length) return res.status(400).json({ error: "Invalid URLs in batch", invalid });
+  if (!urls.length) return res.status(400).json({ error: "No URLs to analyze" });
+  if (urls.length > MAX_BATCH_URLS) return res.status(400).json({ error: `At most ${MAX_BATCH_URLS} URLs per batch` });
+  const blocked = (await Promise.all(urls.map(async url => {
+    const rejected = await checkUrl(url);
+    return rejected && { url, ...rejected };
+  }))).filter(Boolean);
+  if (blocked.length) return res.status(400).json({ error: "Some URLs in the batch can't be analyzed", details: blocked });
+  if (!(await enforceLimit(req, res, mode === "full" ? "full" : "scan", { cost: urls.length }))) return;
+
+  let brand;
+  let batch;
+  try {
+    brand = await requestBrand(req);
+    batch = await createBatch({ urls, mode, brand: brand.whiteLabel ? brand.id : null });
+  } catch (error) {
+    console.error("Batch create error:", error);
+    return res.status(500).json({ error: "Could not create batch", reason: error?.code || "error" });
+  }
+
+  const refresh = wantsRefresh(body.refresh ?? req.query.refresh);
+  const run = runBatch(batch, url => analyzeForBatch(url, { mode, brand, refresh }));
+  if (!SERVERLESS) {
+    res.status(202).json({ batch: batchSummary(batch) });
+    return run.catch(err => console.error(`Batch ${batch.id} failed:`, err));
+  }
+  try {
+    await run;
+    return res.status(200).json({ batch: { ...batchSummary(batch), items: batch.items } });
+  } catch (error) {
+    console.error("Batch error:", error);
+    return res.status(500).json({ error: "Batch failed", reason: error?.code || "error" });
+  }
+}
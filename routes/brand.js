@@ -0,0 +1,25 @@
+/*
+  routes/brand.js — White-label profile for a report page
+  GET /api/brand            → the brand for this request (X-API-Key, page host), else SnipeRank
+  GET /api/brand?brand=<id> → that profile (report pages pass the ID saved with the report)
+  ENV Optional: BRANDS_FILE (see lib/brands.js)
+*/
+
+import { getBrand } from "../lib/brands.js";
+import { requestBrand } from "../lib/runtime.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  try {
+    if (req.query.brand) {
+      const brand = await getBrand(String(req.query.brand));
+      if (!brand) return res.status(404).json({ error: "Brand not found" });
+      return res.status(200).json(brand);
+    }
+    return res.status(200).json(await requestBrand(req));
+  } catch (error) {
+    console.error("Brand lookup error:", error);
+    return res.status(500).json({ error: "Could not read brands", reason: error?.code || "error" });
+  }
+}
@@ -0,0 +1,23 @@
+/*
+  routes/brands.js — Register or update an agency's white-label brand
+  POST /api/brands (Authorization: Bearer <BRAND_ADMIN_TOKEN>) with a profile body (lib/brands.js)
+  → 201 { brand, apiKey }. apiKey is returned once for a new brand, or with { rotateKey: true }.
+  ENV Required: BRAND_ADMIN_TOKEN. Optional: BRANDS_FILE
+*/
+
+import { saveBrand, isBrandAdmin } from "../lib/brands.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+  if (!process.env.BRAND_ADMIN_TOKEN) return res.status(503).json({ error: "Brand registration is disabled", reason: "no_admin_token" });
+  if (!isBrandAdmin(req)) return res.status(401).json({ error: "Unauthorized" });
+
+  try {
+    const { rotateKey, ...profile } = req.body || {};
+    return res.status(201).json(await saveBrand(profile, { rotateKey: !!rotateKey }));
+  } catch (error) {
+    if (error.code === "invalid_brand") return res.status(400).json({ error: "Invalid brand profile", details: error.details });
+    console.error("Brand save error:", error);
+    return res.status(500).json({ error: "Could not save brand", reason: error?.code || "error" });
+  }
+}
@@ -0,0 +1,34 @@
+/*
+  routes/compare.js — Competitor comparison matrix
+  GET ?url=<target>&competitors=a.com,b.com → score, pillars, metrics.technical keys and finding
+  presence for each site, target first (see lib/compare.js). Costs one scan per site.
+  ENV Optional: COMPARE_MAX_COMPETITORS
+*/
+
+import { compareSites, parseCompetitors, MAX_COMPETITORS } from "../lib/compare.js";
+import { checkUrl } from "../lib/safe-fetch.js";
+import { enforceLimit } from "../lib/rate-limit.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+  const { url } = req.query;
+  if (!url) return res.status(400).json({ error: "Missing URL parameter" });
+  const rejected = await checkUrl(url);
+  if (rejected) return res.status(400).json(rejected);
+
+  const competitors = parseCompetitors(req.query.competitors || req.query.competitor);
+  if (!competitors.length) return res.status(400).json({ error: "Missing competitors parameter" });
+  if (competitors.length > MAX_COMPETITORS) return res.status(400).json({ error: `At most ${MAX_COMPETITORS} competitors` });
+  const checks = await Promise.all(competitors.map(checkUrl));
+  const invalid = competitors.filter((_c, i) => checks[i]);
+  if (invalid.length) return res.status(400).json({ error: "Invalid competitor URL", invalid, codes: checks.filter(Boolean).map(c => c.code) });
+  if (!(await enforceLimit(req, res, "scan", { cost: 1 + competitors.length }))) return;
+
+  try {
+    const comparison = await compareSites(url, competitors);
+    return res.status(200).json({ ...comparison, meta: { analyzedAt: new Date().toISOString() } });
+  } catch (error) {
+    console.error("Comparison error:", error);
+    return res.status(500).json({ error: "Comparison failed", reason: error?.code || "error" });
+  }
+}
@@ -0,0 +1,29 @@
+/*
+  routes/friendly.js — Free page analysis as JSON
+  GET ?url= → the analysis body (README, "Response contract"): deterministic score and pillars,
+  evidence-backed findings and engine visibility from a recent Detailed Report. Not saved; cached per URL (?refresh=1 re-runs).
+  ?render=1 analyzes the page as a headless browser renders it (lib/headless.js).
+  ENV Optional: ANALYSIS_CACHE_TTL, CHROME_PATH or BROWSER_WS_ENDPOINT
+*/
+
+import { analyzeCached } from "../lib/analysis.js";
+import { wantsRefresh } from "../lib/cache.js";
+import { wantsRender } from "../lib/headless.js";
+import { checkUrl } from "../lib/safe-fetch.js";
+import { enforceLimit } from "../lib/rate-limit.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+  const { url } = req.query;
+  if (!url) return res.status(400).json({ error: "Missing URL parameter" });
+  const rejected = await checkUrl(url);
+  if (rejected) return res.status(400).json(rejected);
+  if (!(await enforceLimit(req, res, "scan"))) return;
+
+  try {
+    return res.status(200).json(await analyzeCached(url, { refresh: wantsRefresh(req.query.refresh), render: wantsRender(req.query.render) }));
+  } catch (error) {
+    console.error("Analysis error:", error);
+    return res.status(500).json({ error: "Analysis failed", reason: error?.code || "error" });
+  }
+}
@@ -0,0 +1,17 @@
+/*
+  routes/full-status.js — Whether Detailed Reports will be model-written right now
+  GET → { ok, llm: { provider, available, reason, model }, pagespeed } without calling anything.
+*/
+
+import { getProvider } from "../lib/llm.js";
+import { pageSpeedAvailable } from "../lib/pagespeed.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+  const llm = getProvider();
+  return res.status(200).json({
+    ok: true,
+    llm: { provider: llm.name, available: llm.available, reason: llm.reason, model: llm.model("full") },
+    pagespeed: pageSpeedAvailable()
+  });
+}
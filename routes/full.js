@@ -0,0 +1,36 @@
+/*
+  routes/full.js — Detailed Report
+  GET ?url=&pages= → the report body (README, "Response contract") from lib/full-report.js: site
+  crawl, engine probes, deterministic score and pillars, LLM-written findings, PageSpeed metrics
+  when configured. Saved for /full-report.html?id= (report.id); cached per URL, page budget and
+  brand (?refresh=1 re-runs). ?render=1 scores the page as a headless browser renders it
+  (lib/headless.js). HEAD answers 200 for availability probes.
+  ENV Required: the LLM provider settings in lib/llm.js (OPENAI_API_KEY by default; without them the
+  report ships the measured parts with fallback findings). Optional: PAGESPEED_API_KEY, CRAWL_MAX_PAGES,
+  CRAWL_PAGE_LIMIT, ANALYSIS_CACHE_TTL, PROBE_CACHE_TTL, CHROME_PATH or BROWSER_WS_ENDPOINT
+*/
+
+import { runFullReportCached } from "../lib/full-report.js";
+import { requestBrand } from "../lib/runtime.js";
+import { wantsRefresh } from "../lib/cache.js";
+import { wantsRender } from "../lib/headless.js";
+import { checkUrl } from "../lib/safe-fetch.js";
+import { enforceLimit } from "../lib/rate-limit.js";
+
+export default async function handler(req, res) {
+  if (req.method === "HEAD") return res.status(200).end();
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+  const { url } = req.query;
+  if (!url) return res.status(400).json({ error: "Missing URL parameter" });
+  const rejected = await checkUrl(url);
+  if (rejected) return res.status(400).json(rejected);
+  if (!(await enforceLimit(req, res, "full"))) return;
+
+  try {
+    const brand = await requestBrand(req);
+    return res.status(200).json(await runFullReportCached(url, { pages: req.query.pages, brand, refresh: wantsRefresh(req.query.refresh), render: wantsRender(req.query.render) }));
+  } catch (error) {
+    console.error("Detailed Report error:", error);
+    return res.status(500).json({ error: "Analysis failed", reason: error?.code || "error" });
+  }
+}
@@ -0,0 +1,39 @@
+/*
+  routes/history.js — Score and findings history for a domain
+  GET /api/history?domain=example.com (or ?url=) → { domain, runs } oldest first, each run after
+  the first of its kind carrying resolved / new / regressed scoring checks (see lib/history.js).
+  The whole history needs "Authorization: Bearer <HISTORY_API_TOKEN>" or a valid X-API-Key.
+  Without either, &report=<reportId> of a saved report for the domain shows that report's page
+  and kind up to that run, with the other runs' report ids removed; anything else is a 401.
+  ENV Optional: HISTORY_DIR, HISTORY_API_TOKEN
+*/
+
+import { loadHistory, historyForReport, extractDomain } from "../lib/history.js";
+import { loadReport } from "../lib/report-store.js";
+import { findApiKey } from "../lib/api-keys.js";
+import { hasBearer } from "../lib/auth.js";
+
+async function fullAccess(req) {
+  if (hasBearer(req, process.env.HISTORY_API_TOKEN)) return true;
+  const key = await findApiKey(req.headers["x-api-key"]);
+  return !!key && !key.revokedAt;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  const domain = extractDomain(req.query.domain || req.query.url || "");
+  if (!domain) return res.status(400).json({ error: "Missing domain or url parameter" });
+
+  try {
+    if (await fullAccess(req)) return res.status(200).json(await loadHistory(domain));
+    const record = req.query.report ? await loadReport(req.query.report) : null;
+    if (!record || extractDomain(record.url) !== domain) {
+      return res.status(401).json({ error: "History needs a report id for this domain or an API key", code: "unauthorized" });
+    }
+    return res.status(200).json(historyForReport(await loadHistory(domain), record.id));
+  } catch (error) {
+    console.error("History lookup error:", error);
+    return res.status(500).json({ error: "Could not read history", reason: error?.code || "error" });
+  }
+}
@@ -0,0 +1,48 @@
+/*
+  routes/index.js — Every backend route in one table
+  server.js mounts all of them on Express; each file in api/ re-exports one handler as a Vercel
+  function. Handlers are plain (req, res) functions that only rely on what both runtimes provide
+  (req.query, req.body, req.headers, res.status/json/send/setHeader/redirect), so the same code
+  answers in either. `serverOnly` routes keep working after their response and have no api/ file;
+  the pages fall back to blocking requests without them.
+*/
+
+import friendly from "./friendly.js";
+import score from "./score.js";
+import full from "./full.js";
+import fullStatus from "./full-status.js";
+import pdf from "./pdf.js";
+import compare from "./compare.js";
+import reportHtml from "./report-html.js";
+import report from "./report.js";
+import permalink from "./permalink.js";
+import history from "./history.js";
+import brand from "./brand.js";
+import brands from "./brands.js";
+import sendLink from "./send-link.js";
+import batch from "./batch.js";
+import leads from "./leads.js";
+import keys from "./keys.js";
+import jobs from "./jobs.js";
+import jobEvents from "./job-events.js";
+
+export const ROUTES = [
+  { path: "/api/friendly", handler: friendly },
+  { path: "/api/score", handler: score },
+  { path: "/api/full", handler: full },
+  { path: "/api/full/status", handler: fullStatus },
+  { path: "/api/pdf", handler: pdf },
+  { path: "/api/compare", handler: compare },
+  { path: "/report.html", handler: reportHtml },     // Vercel: api/report-html.js via vercel.json
+  { path: "/api/report/:id", handler: report },
+  { path: "/report/:id", handler: permalink },       // Vercel: api/permalink.js via vercel.json
+  { path: "/api/history", handler: history },
+  { path: "/api/brand", handler: brand },
+  { path: "/api/brands", handler: brands },
+  { path: "/api/send-link", handler: sendLink },
+  { path: "/api/batch", handler: batch },
+  { path: "/api/leads", handler: leads },
+  { path: "/api/keys", handler: keys },
+  { path: "/api/jobs", handler: jobs, serverOnly: true },
+  { path: "/api/jobs/events", handler: jobEvents, serverOnly: true }
+];
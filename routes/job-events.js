@@ -0,0 +1,28 @@
+/*
+  routes/job-events.js — Server-Sent Events for one job (Express server only)
+  GET ?id= → "progress" on every stage update, then one "done" or "failed" and the stream closes.
+*/
+
+import { loadJob, watchJob, publicJob, isJobFinished } from "../lib/jobs.js";
+
+export default async function handler(req, res) {
+  const job = await loadJob(req.query.id).catch(() => null);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive", "X-Accel-Buffering": "no" });
+  const send = current => {
+    const event = isJobFinished(current) ? current.status : "progress";
+    res.write(`event: ${event}\ndata: ${JSON.stringify(publicJob(current))}\n\n`);
+    if (event !== "progress") res.end();
+  };
+  send(job);
+  if (isJobFinished(job)) return;
+
+  const stop = watchJob(job.id, send) || (() => {});
+  // Comment lines keep proxies (Render, Cloudflare) from closing an idle stream during the LLM call.
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  res.on("close", () => {
+    stop();
+    clearInterval(heartbeat);
+  });
+}
@@ -0,0 +1,49 @@
+/*
+  routes/jobs.js — Analyses as background jobs (Express server only)
+  POST { kind: "analyze"|"full", url, pages, refresh, render } → 202 { job }; the job runs after the
+  response, so serverless functions don't expose this route and the pages fall back to their
+  blocking requests. GET ?id= → { job } with stage progress and, once done, the analysis body as
+  job.result. Follow a job live with GET /api/jobs/events?id= (routes/job-events.js).
+*/
+
+import { createJob, runJob, loadJob, publicJob, JOB_STAGES } from "../lib/jobs.js";
+import { analyzeAndSave } from "../lib/analysis.js";
+import { runFullReportCached } from "../lib/full-report.js";
+import { requestBrand } from "../lib/runtime.js";
+import { wantsRefresh } from "../lib/cache.js";
+import { wantsRender } from "../lib/headless.js";
+import { checkUrl } from "../lib/safe-fetch.js";
+import { enforceLimit } from "../lib/rate-limit.js";
+
+export default async function handler(req, res) {
+  if (req.method === "GET") {
+    const job = await loadJob(req.query.id).catch(() => null);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    return res.status(200).json({ job: publicJob(job) });
+  }
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const { kind = "full", url, pages } = req.body || {};
+  const refresh = wantsRefresh(req.body?.refresh ?? req.query.refresh);
+  const render = wantsRender(req.body?.render ?? req.query.render);
+  if (!JOB_STAGES[kind]) return res.status(400).json({ error: `kind must be one of ${Object.keys(JOB_STAGES).join(", ")}` });
+  if (!url) return res.status(400).json({ error: "Missing URL parameter" });
+  const rejected = await checkUrl(url);
+  if (rejected) return res.status(400).json(rejected);
+  if (!(await enforceLimit(req, res, kind === "full" ? "full" : "scan"))) return;
+
+  let brand;
+  let job;
+  try {
+    brand = await requestBrand(req);
+    job = await createJob(kind, { url });
+  } catch (error) {
+    return res.status(500).json({ error: "Could not start the analysis", reason: error?.code || "error" });
+  }
+  res.status(202).json({ job: publicJob(job) });
+
+  const finished = await runJob(job, stage => (kind === "full"
+    ? runFullReportCached(url, { pages, brand, refresh, render, stage })
+    : analyzeAndSave(url, { brand, refresh, render, stage })));
+  if (finished.status === "failed") console.error(`Job ${job.id} failed:`, finished.error);
+}
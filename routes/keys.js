@@ -0,0 +1,43 @@
+/*
+  routes/keys.js — Issue, inspect and revoke API keys for the paid tiers (admin only)
+  All methods take Authorization: Bearer <API_KEYS_ADMIN_TOKEN>.
+  POST { name, email, tier: "detailed"|"pro", quota: { scan, full } } → 201 { key, apiKey } (apiKey shown once)
+  GET → every key with today's usage; GET ?id=&days= → one key with its daily usage
+  DELETE ?id= → the revoked key
+  Keys live in lib/limit-store.js. On a serverless host that is memory per instance unless
+  LIMITS_FILE names a persistent volume or a shared store is installed (setLimitStore()).
+  ENV Required: API_KEYS_ADMIN_TOKEN. Optional: LIMITS_STORE, LIMITS_FILE, QUOTA_* (lib/api-keys.js)
+*/
+
+import { createApiKey, listApiKeys, getApiKey, revokeApiKey, keyUsage } from "../lib/api-keys.js";
+import { hasBearer } from "../lib/auth.js";
+
+export default async function handler(req, res) {
+  if (!["GET", "POST", "DELETE"].includes(req.method)) return res.status(405).json({ error: "Method not allowed" });
+  if (!process.env.API_KEYS_ADMIN_TOKEN) return res.status(503).json({ error: "API key admin is disabled", reason: "no_admin_token" });
+  if (!hasBearer(req, process.env.API_KEYS_ADMIN_TOKEN)) return res.status(401).json({ error: "Unauthorized" });
+
+  try {
+    if (req.method === "POST") {
+      const { key, apiKey, errors } = await createApiKey(req.body);
+      if (errors) return res.status(400).json({ error: "Invalid API key request", details: errors });
+      return res.status(201).json({ key, apiKey });
+    }
+    if (req.method === "DELETE") {
+      const key = await revokeApiKey(req.query.id);
+      if (!key) return res.status(404).json({ error: "API key not found" });
+      return res.status(200).json({ key });
+    }
+    if (req.query.id) {
+      const key = await getApiKey(req.query.id);
+      if (!key) return res.status(404).json({ error: "API key not found" });
+      return res.status(200).json({ key, usage: await keyUsage(key.id, { days: Number(req.query.days) || 30 }) });
+    }
+    const keys = await listApiKeys();
+    const usage = await Promise.all(keys.map(k => keyUsage(k.id, { days: 1 })));
+    return res.status(200).json({ count: keys.length, keys: keys.map((k, i) => ({ ...k, today: usage[i][0] })) });
+  } catch (error) {
+    console.error("API key admin error:", error);
+    return res.status(500).json({ error: "API key request failed", reason: error?.code || "error" });
+  }
+}
@@ -0,0 +1,50 @@
+/*
+  routes/leads.js — Lead capture and CRM export
+  POST { name, email, phone, company, context, url, reportId, source, consent } → 201 (new) or
+  200 (merged into the existing lead for this email + domain) with { lead: { id, created } }.
+  consent.contact (consent.marketing for newsletter signups) must be true. Rate-limited per IP
+  (the "lead" bucket in lib/rate-limit.js).
+  GET (Authorization: Bearer <LEADS_API_TOKEN>) ?format=csv&since=&source=&brand= → the leads.
+  ENV Optional: LEADS_DIR, LEADS_API_TOKEN (required for GET), LEADS_WEBHOOK_URL, LEADS_WEBHOOK_SECRET,
+  LEADS_WEBHOOK_PER_MINUTE, RATE_LIMIT_LEADS_PER_HOUR
+*/
+
+import { saveLead, listLeads, leadsToCsv, LEAD_SOURCES } from "../lib/leads.js";
+import { requestBrand } from "../lib/runtime.js";
+import { hasBearer } from "../lib/auth.js";
+import { enforceLimit } from "../lib/rate-limit.js";
+
+export default async function handler(req, res) {
+  if (req.method === "POST") {
+    if (!(await enforceLimit(req, res, "lead"))) return;
+    try {
+      const brand = await requestBrand(req);
+      const { lead, created, errors } = await saveLead({ ...req.body, brand: brand.whiteLabel ? brand.id : null });
+      if (errors) return res.status(400).json({ error: "Invalid lead", details: errors });
+      return res.status(created ? 201 : 200).json({ lead: { id: lead.id, created } });
+    } catch (error) {
+      console.error("Lead save error:", error);
+      return res.status(500).json({ error: "Could not save lead", reason: error?.code || "error" });
+    }
+  }
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  if (!process.env.LEADS_API_TOKEN) return res.status(503).json({ error: "Lead export is disabled", reason: "no_leads_token" });
+  if (!hasBearer(req, process.env.LEADS_API_TOKEN)) return res.status(401).json({ error: "Unauthorized" });
+  const { since, source, brand, format } = req.query;
+  if (source && !LEAD_SOURCES.includes(source)) return res.status(400).json({ error: `source must be one of ${LEAD_SOURCES.join(", ")}` });
+  if (since && Number.isNaN(Date.parse(since))) return res.status(400).json({ error: "since must be an ISO date" });
+
+  try {
+    const leads = await listLeads({ since: since && new Date(since).toISOString(), source, brand });
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="sniperank-leads-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.status(200).send(leadsToCsv(leads));
+    }
+    return res.status(200).json({ count: leads.length, leads });
+  } catch (error) {
+    console.error("Lead export error:", error);
+    return res.status(500).json({ error: "Could not load leads", reason: error?.code || "error" });
+  }
+}
@@ -0,0 +1,54 @@
+/*
+  routes/pdf.js — Downloadable PDF report
+  GET ?id=<reportId> → PDF of the saved report, exactly as stored.
+  GET ?url=<url>     → runs a Detailed Report (saved and cached like /api/full, ?render=1 included), then the PDF.
+  Rendered server-side by lib/pdf-report.js in the report's white-label brand (lib/brands.js), or the
+  request's brand for unbranded reports; X-Report-Id carries the saved report's ID.
+  ENV Optional: REPORTS_DIR, BRANDS_FILE, plus everything routes/full.js needs for the ?url= form
+*/
+
+import { loadReport, isReportId } from "../lib/report-store.js";
+import { renderReportPdf, pdfFilename } from "../lib/pdf-report.js";
+import { getBrand } from "../lib/brands.js";
+import { runFullReportCached } from "../lib/full-report.js";
+import { requestBrand } from "../lib/runtime.js";
+import { wantsRefresh } from "../lib/cache.js";
+import { wantsRender } from "../lib/headless.js";
+import { checkUrl } from "../lib/safe-fetch.js";
+import { enforceLimit } from "../lib/rate-limit.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  const { id, url } = req.query;
+  try {
+    const reqBrand = await requestBrand(req);
+    let record;
+    if (id) {
+      if (!isReportId(id)) return res.status(400).json({ error: "Invalid report ID" });
+      record = await loadReport(id);
+      if (!record) return res.status(404).json({ error: "Report not found" });
+    } else if (url) {
+      const rejected = await checkUrl(url);
+      if (rejected) return res.status(400).json(rejected);
+      if (!(await enforceLimit(req, res, "full"))) return;
+      const { report: saved, ...report } = await runFullReportCached(url, { pages: req.query.pages, brand: reqBrand, refresh: wantsRefresh(req.query.refresh), render: wantsRender(req.query.render) });
+      res.setHeader("X-Cache", report.meta.cache.status.toUpperCase());
+      record = { id: saved?.id || null, kind: "full", url, createdAt: new Date().toISOString(), report };
+      if (reqBrand.whiteLabel) record.brand = reqBrand.id;
+    } else {
+      return res.status(400).json({ error: "Missing id or url parameter" });
+    }
+
+    // A saved report keeps the brand it was run under; an unbranded one takes this request's.
+    const brand = (record.brand && await getBrand(record.brand)) || reqBrand;
+    const file = await renderReportPdf(record, { brand });
+    if (record.id) res.setHeader("X-Report-Id", record.id);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${pdfFilename(record)}"`);
+    return res.status(200).send(file);
+  } catch (error) {
+    console.error("PDF export error:", error);
+    return res.status(500).json({ error: "PDF export failed", reason: error?.code || "error" });
+  }
+}
@@ -0,0 +1,13 @@
+/*
+  routes/permalink.js — Report permalinks (/report/:id)
+  Hands off to the static report page, which loads the stored record instead of re-running.
+  ENV Optional: PUBLIC_SITE_URL (where the report pages live, when not on this origin)
+*/
+
+import { loadReport, reportPagePath } from "../lib/report-store.js";
+
+export default async function handler(req, res) {
+  const record = await loadReport(req.params?.id ?? req.query.id).catch(() => null);
+  if (!record) return res.status(404).send("<p class='error-note'>Report not found.</p>");
+  return res.redirect(302, `${process.env.PUBLIC_SITE_URL || ""}${reportPagePath(record)}`);
+}
@@ -0,0 +1,37 @@
+/*
+  routes/report-html.js — The analyze page's summary as an HTML fragment (GET /report.html)
+  GET ?url= → What's Working / Needs Attention / AI Engine Insights sections, saved with the score
+  card values (lib/analysis.js analyzeAndSave) so /analyze.html?id= can replay exactly this view.
+  ?render=1 analyzes the page as a headless browser renders it (lib/headless.js).
+  X-Report-Id carries the saved report's ID and X-Cache whether the analysis was cached.
+*/
+
+import { analyzeAndSave } from "../lib/analysis.js";
+import { escapeHtml } from "../public/scripts/render.js";
+import { requestBrand } from "../lib/runtime.js";
+import { wantsRefresh } from "../lib/cache.js";
+import { wantsRender } from "../lib/headless.js";
+import { checkUrl } from "../lib/safe-fetch.js";
+import { enforceLimit } from "../lib/rate-limit.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+  const { url } = req.query;
+  if (!url) return res.status(400).send("<p class='error-note'>Missing URL parameter.</p>");
+  const rejected = await checkUrl(url);
+  if (rejected) return res.status(400).send(`<p class='error-note'>${escapeHtml(rejected.error)}.</p>`);
+  if (!(await enforceLimit(req, res, "scan"))) return;
+
+  try {
+    const body = await analyzeAndSave(url, { brand: await requestBrand(req), refresh: wantsRefresh(req.query.refresh), render: wantsRender(req.query.render) });
+    if (body.report) res.setHeader("X-Report-Id", body.report.id);
+    res.setHeader("X-Cache", body.meta.cache.status.toUpperCase());
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    // The fragment quotes the analyzed page; opened directly, it may not load or run anything.
+    res.setHeader("Content-Security-Policy", "default-src 'none'");
+    return res.status(200).send(body.html);
+  } catch (error) {
+    console.error("Summary error:", error);
+    return res.status(500).send("<p class='error-note'>Analysis failed. Please try again.</p>");
+  }
+}
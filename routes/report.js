@@ -0,0 +1,26 @@
+/*
+  routes/report.js — Stored report lookup for shareable links
+  GET /api/report/:id → the saved { id, kind, url, createdAt, brand?, report } record, never a re-run.
+  Reports saved before the response contract carry working/insights instead of
+  whatsWorking/engineInsights; lib/pdf-report.js reportView() reads both.
+  ENV Optional: REPORTS_DIR (see lib/report-store.js)
+*/
+
+import { loadReport, isReportId } from "../lib/report-store.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  // Express passes the ID as a path parameter, Vercel's api/report/[id].js as a query value.
+  const id = req.params?.id ?? req.query.id;
+  if (!isReportId(id)) return res.status(400).json({ error: "Invalid report ID" });
+
+  try {
+    const record = await loadReport(id);
+    if (!record) return res.status(404).json({ error: "Report not found" });
+    return res.status(200).json(record);
+  } catch (error) {
+    console.error("Report lookup error:", error);
+    return res.status(500).json({ error: "Could not read report", reason: error?.code || "error" });
+  }
+}
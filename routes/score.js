@@ -0,0 +1,27 @@
+/*
+  routes/score.js — Score card for one page
+  GET ?url= → { score, pillars, highlights, checks, meta } from lib/scoring.js, cached per URL.
+  HEAD answers 200 without fetching anything, so analyze.html can probe for a same-origin API.
+*/
+
+import { scoreCached, failureReason } from "../lib/analysis.js";
+import { wantsRefresh } from "../lib/cache.js";
+import { checkUrl } from "../lib/safe-fetch.js";
+import { enforceLimit } from "../lib/rate-limit.js";
+
+export default async function handler(req, res) {
+  if (req.method === "HEAD") return res.status(200).end();
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+  const { url } = req.query;
+  if (!url) return res.status(400).json({ error: "Missing URL parameter" });
+  const rejected = await checkUrl(url);
+  if (rejected) return res.status(400).json(rejected);
+  if (!(await enforceLimit(req, res, "scan"))) return;
+
+  try {
+    const { score, pillars, highlights, checks, cache } = await scoreCached(url, { refresh: wantsRefresh(req.query.refresh) });
+    return res.status(200).json({ score, pillars, highlights, checks, meta: { analyzedAt: cache.cachedAt || new Date().toISOString(), url, cache } });
+  } catch (error) {
+    return res.status(502).json({ error: "Could not fetch URL for scoring", reason: failureReason(error) });
+  }
+}
@@ -0,0 +1,79 @@
+/*
+  routes/send-link.js — Email the full report
+  POST { name, email, reportId | url, consent? } → sends the saved report (or a fresh Detailed Report
+  for url) with its permalink over SMTP, retrying per lib/mailer.js. With consent.contact true it
+  also captures the lead.
+  Every send counts against the caller's IP ("email" bucket, RATE_LIMIT_EMAILS_PER_HOUR) and the
+  recipient's daily cap (MAIL_PER_RECIPIENT_PER_DAY, lib/mailer.js); a url send also uses a
+  Detailed Report ("full"). Over any of them the answer is 429.
+  The Express server answers 202 { delivery } right away and sends in the background; a serverless
+  function can't outlive its response, so it sends first and answers 200 (sent) or 502 (failed).
+  GET ?id=<deliveryId> → { delivery } status (queued | sending | sent | failed).
+  ENV Required: SMTP_HOST, MAIL_FROM. Optional: SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS,
+  MAIL_RETRY_ATTEMPTS, MAIL_RETRY_DELAY_MS, MAIL_PER_RECIPIENT_PER_DAY, RATE_LIMIT_EMAILS_PER_HOUR,
+  DELIVERIES_DIR, PUBLIC_SITE_URL, LEADS_* (lib/leads.js)
+*/
+
+import { loadReport, isReportId } from "../lib/report-store.js";
+import { getMailer, isEmail, createDelivery, loadDelivery, deliverReport, failDelivery, publicDelivery, consumeRecipient } from "../lib/mailer.js";
+import { reportPermalink } from "../lib/report-email.js";
+import { getBrand } from "../lib/brands.js";
+import { captureLead } from "../lib/leads.js";
+import { runFullReportCached } from "../lib/full-report.js";
+import { SERVERLESS, requestBrand, apiBase } from "../lib/runtime.js";
+import { checkUrl } from "../lib/safe-fetch.js";
+import { enforceLimit } from "../lib/rate-limit.js";
+
+export default async function handler(req, res) {
+  if (req.method === "GET") {
+    const delivery = await loadDelivery(req.query.id).catch(() => null);
+    if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+    return res.status(200).json({ delivery: publicDelivery(delivery) });
+  }
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const { name, email, url, reportId, consent } = req.body || {};
+  if (!isEmail(email)) return res.status(400).json({ error: "A valid email is required" });
+  if (!reportId && !url) return res.status(400).json({ error: "Missing reportId or url" });
+  if (reportId && !isReportId(reportId)) return res.status(400).json({ error: "Invalid report ID" });
+  const rejected = reportId ? null : await checkUrl(url);
+  if (rejected) return res.status(400).json(rejected);
+
+  const mailer = getMailer();
+  if (!mailer.available) return res.status(503).json({ error: "Email delivery is not configured", reason: mailer.reason });
+  if (!(await enforceLimit(req, res, "email"))) return;
+  if (!reportId && !(await enforceLimit(req, res, "full"))) return;
+  const recipient = await consumeRecipient(email);
+  if (!recipient.allowed) {
+    return res.status(429).json({ error: `This address has been sent ${recipient.limit} reports today. Try again tomorrow.`, code: "recipient_limited", limit: recipient.limit, resetAt: recipient.resetAt });
+  }
+
+  let record = null;
+  let delivery = null;
+  try {
+    const reqBrand = await requestBrand(req);
+    if (reportId) {
+      record = await loadReport(reportId);
+      if (!record) return res.status(404).json({ error: "Report not found" });
+    }
+    delivery = await createDelivery({ to: email, name: String(name || "").slice(0, 100), reportId, url: record?.url || url, brand: reqBrand.whiteLabel ? reqBrand.id : null });
+    if (!SERVERLESS) res.status(202).json({ delivery: publicDelivery(delivery) });
+    if (consent?.contact === true) await captureLead({ name, email, url: record?.url || url, reportId, source: "send-link", brand: delivery.brand, consent });
+
+    if (!record) {
+      const body = await runFullReportCached(url, { brand: reqBrand });
+      record = body.report ? await loadReport(body.report.id) : null;
+    }
+    const brand = (record?.brand && await getBrand(record.brand)) || reqBrand;
+    const sent = await deliverReport(delivery, { record, brand, permalink: record && reportPermalink(record, { brand, apiBase: apiBase(req) }) });
+    if (SERVERLESS) return res.status(sent.status === "sent" ? 200 : 502).json({ delivery: publicDelivery(sent) });
+    if (sent.status !== "sent") console.error(`Delivery ${sent.id} failed:`, sent.error);
+  } catch (error) {
+    console.error("Send-link error:", error);
+    // Once the delivery exists, it's marked failed with the cause so GET ?id= doesn't report it queued forever.
+    const failed = delivery && await failDelivery(delivery, error).catch(() => null);
+    if (res.headersSent) return;
+    if (failed) return res.status(502).json({ delivery: publicDelivery(failed) });
+    return res.status(500).json({ error: "Could not send the email", reason: error?.code || "error" });
+  }
+}
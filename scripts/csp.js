@@ -0,0 +1,16 @@
+/*
+  scripts/csp.js — Writes lib/csp.js's policy into vercel.json (`npm run csp`)
+  Run it after changing API_ORIGINS or the policy itself, with the same environment the Express
+  backend gets, and commit the result.
+*/
+
+import fs from "node:fs";
+import { contentSecurityPolicy } from "../lib/csp.js";
+
+const FILE = new URL("../vercel.json", import.meta.url);
+const CSP_RE = /("key": "Content-Security-Policy",\s*"value": )"[^"]*"/;
+
+const config = fs.readFileSync(FILE, "utf8");
+if (!CSP_RE.test(config)) throw new Error("vercel.json has no Content-Security-Policy header to update");
+fs.writeFileSync(FILE, config.replace(CSP_RE, (_m, prefix) => `${prefix}${JSON.stringify(contentSecurityPolicy())}`));
+console.log(`vercel.json: ${contentSecurityPolicy()}`);
@@ -0,0 +1,46 @@
+/*
+  test/ai-access.test.js — The AI crawler matrix from robots.txt and robots directives
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { auditAiAccess, blockedReasons, robotsDirectives, parseLlmsTxt } from "../lib/ai-access.js";
+import { parseRobots } from "../lib/robots.js";
+
+const site = (text, status = 200) => ({
+  robotsTxt: { url: "https://acme.example/robots.txt", status, found: status === 200, unreachable: status >= 500, parsed: parseRobots(status === 200 ? text : "") },
+  llmsTxt: { url: "https://acme.example/llms.txt", status: 404, found: false, title: null, links: 0 }
+});
+const bot = (access, agent) => access.bots.find(b => b.agent === agent);
+
+test("robots.txt rules are applied per AI crawler", () => {
+  const access = auditAiAccess({ url: "https://acme.example/blog/post" }, site("User-agent: GPTBot\nDisallow: /blog/\n\nUser-agent: *\nAllow: /"));
+  assert.equal(bot(access, "GPTBot").robotsTxt, "disallowed");
+  assert.equal(bot(access, "GPTBot").rule, "User-agent: gptbot → Disallow: /blog/");
+  assert.equal(bot(access, "ClaudeBot").allowed, true);
+  assert.equal(access.allowed, access.total - 1);
+  assert.deepEqual(blockedReasons(access), ["GPTBot: User-agent: gptbot → Disallow: /blog/"]);
+});
+
+test("a robots.txt that answers 5xx marks every crawler unreachable", () => {
+  const access = auditAiAccess({ url: "https://acme.example/" }, site("", 503));
+  assert.ok(access.bots.every(b => b.robotsTxt === "unreachable" && !b.allowed));
+  assert.equal(bot(access, "CCBot").rule, "robots.txt answered HTTP 503");
+});
+
+test("noindex and bot-scoped noai directives block crawlers", () => {
+  const directives = robotsDirectives([{ name: "gptbot", content: "noai" }], "ClaudeBot: noindex, nofollow, max-snippet: 50");
+  assert.deepEqual(directives, { gptbot: ["noai"], claudebot: ["noindex", "nofollow", "max-snippet:50"] });
+
+  const access = auditAiAccess({ url: "https://acme.example/", robotsDirectives: directives }, site(""));
+  assert.deepEqual(bot(access, "GPTBot").directives, ["noai"]);
+  assert.deepEqual(bot(access, "ClaudeBot").directives, ["noindex"]);
+  assert.equal(bot(access, "PerplexityBot").allowed, true);
+
+  const everyone = auditAiAccess({ url: "https://acme.example/", robotsDirectives: robotsDirectives([{ name: "robots", content: "none" }]) }, site(""));
+  assert.equal(everyone.allowed, 0);
+});
+
+test("llms.txt is read for its title and links", () => {
+  assert.deepEqual(parseLlmsTxt("# Acme Plumbing\n> Plumbers\n- [Services](https://acme.example/services)\n- [Contact](/contact)"), { title: "Acme Plumbing", links: 2 });
+});
@@ -0,0 +1,56 @@
+/*
+  test/api-keys.test.js — Issuing, finding and revoking API keys, and their daily quotas
+*/
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { memoryStore, setLimitStore } from "../lib/limit-store.js";
+import { validateApiKeyInput, createApiKey, findApiKey, revokeApiKey, listApiKeys, consumeQuota, dailyQuota, keyUsage, TIERS, KEY_PREFIX } from "../lib/api-keys.js";
+
+beforeEach(() => setLimitStore(memoryStore()));
+
+test("key requests are validated", () => {
+  assert.deepEqual(validateApiKeyInput({ name: "Agency", tier: "pro" }), []);
+  const errors = validateApiKeyInput({ email: "nope", tier: "gold", quota: { scan: 1.5, lead: 3 } });
+  assert.deepEqual(errors, [
+    "name is required",
+    "email must be a valid address",
+    `tier must be one of ${Object.keys(TIERS).join(", ")}`,
+    "quota.scan must be a whole number",
+    "quota.lead is not a quota bucket"
+  ]);
+});
+
+test("a key is stored by hash and found by its raw value", async () => {
+  const { key, apiKey } = await createApiKey({ name: "Agency", tier: "detailed", quota: { full: 5 } });
+  assert.ok(apiKey.startsWith(KEY_PREFIX));
+  assert.equal(key.keyHash, undefined);
+  assert.deepEqual(key.daily, { scan: TIERS.detailed.daily.scan, full: 5 });
+  assert.equal((await findApiKey(apiKey)).id, key.id);
+  assert.equal(await findApiKey(`${apiKey}x`), null);
+  assert.equal(await findApiKey("not-a-key"), null);
+  assert.deepEqual((await listApiKeys()).map(k => k.id), [key.id]);
+  assert.ok(!JSON.stringify(await listApiKeys()).includes(apiKey));
+});
+
+test("revoking is recorded on the key", async () => {
+  const { key, apiKey } = await createApiKey({ name: "Agency", tier: "pro" });
+  assert.ok((await revokeApiKey(key.id)).revokedAt);
+  assert.ok((await findApiKey(apiKey)).revokedAt);
+  assert.equal(await revokeApiKey("missing"), null);
+});
+
+test("the daily quota stops at its limit and doesn't count refused requests", async () => {
+  const { key } = await createApiKey({ name: "Agency", tier: "pro", quota: { full: 3 } });
+  assert.equal(dailyQuota(key, "full"), 3);
+  assert.deepEqual({ ...(await consumeQuota(key, "full", 2)), resetAt: null }, { allowed: true, limit: 3, remaining: 1, resetAt: null });
+  assert.equal((await consumeQuota(key, "full", 2)).allowed, false);
+  const last = await consumeQuota(key, "full");
+  assert.equal(last.allowed, true);
+  assert.equal(last.remaining, 0);
+  assert.equal(Date.parse(last.resetAt) % (24 * 60 * 60 * 1000), 0); // next UTC midnight
+
+  const [todayUsage] = await keyUsage(key.id, { days: 2 });
+  assert.equal(todayUsage.full, 3);
+  assert.equal(todayUsage.scan, 0);
+});
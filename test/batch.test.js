@@ -0,0 +1,37 @@
+/*
+  test/batch.test.js — Reading a batch upload: URL lists, CSV exports, headers and bad rows
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseBatchUrls } from "../lib/batch.js";
+
+test("a JSON array is read one URL per entry", () => {
+  assert.deepEqual(parseBatchUrls(["acme.example", "https://shop.acme.example/p?x=1", "acme.example"]), {
+    urls: ["https://acme.example/", "https://shop.acme.example/p?x=1"],
+    invalid: []
+  });
+});
+
+test("every bad entry in a JSON array is reported", () => {
+  assert.deepEqual(parseBatchUrls(["acme.example", "not a site", "", null, "http://exa mple.com"]).invalid, ["not a site", "http://exa mple.com"]);
+});
+
+test("a CSV export uses the first cell that looks like a site and skips the header", () => {
+  const csv = 'Company,Website,Notes\r\n"Acme Inc","acme.example","top"\nBeta;http://beta.example/shop;\n\n\tgamma.example\t';
+  assert.deepEqual(parseBatchUrls(csv), {
+    urls: ["https://acme.example/", "http://beta.example/shop", "https://gamma.example/"],
+    invalid: []
+  });
+});
+
+test("CSV rows without a site after the header are reported", () => {
+  const { urls, invalid } = parseBatchUrls("url\nacme.example\nTBD\n,,\nCall Bob,555-0100");
+  assert.deepEqual(urls, ["https://acme.example/"]);
+  assert.deepEqual(invalid, ["TBD", "Call Bob,555-0100"]);
+});
+
+test("a first CSV row that holds a URL is not a header", () => {
+  assert.deepEqual(parseBatchUrls("acme.example\nbeta.example").urls, ["https://acme.example/", "https://beta.example/"]);
+  assert.deepEqual(parseBatchUrls("").urls, []);
+});
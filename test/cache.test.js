@@ -0,0 +1,91 @@
+/*
+  test/cache.test.js — Result cache keys, expiry, in-flight sharing and what stays out of it
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { normalizeUrl, cacheKey, wantsRefresh, cached, peekCached } from "../lib/cache.js";
+
+// A compute() that counts its runs and resolves `value` after `ms`.
+const counter = (value = "result", ms = 0) => {
+  const fn = async () => { fn.runs++; await sleep(ms); return typeof value === "function" ? value(fn.runs) : value; };
+  fn.runs = 0;
+  return fn;
+};
+
+test("tracking parameters and fragments don't change the key", () => {
+  assert.equal(normalizeUrl("HTTPS://Acme.Example:443?utm_source=x&b=2&gclid=1&a=1#top"), "https://acme.example/?a=1&b=2");
+  assert.equal(normalizeUrl("https://acme.example/p?fbclid=1&ref=tw&mc_eid=9"), "https://acme.example/p");
+  assert.equal(cacheKey("full", "https://acme.example/?utm_medium=email", 50), cacheKey("full", "https://acme.example/", 50));
+  assert.notEqual(cacheKey("full", "https://acme.example/?page=2"), cacheKey("full", "https://acme.example/"));
+});
+
+test("refresh values as clients send them", () => {
+  assert.equal(wantsRefresh(""), true);
+  assert.equal(wantsRefresh("1"), true);
+  assert.equal(wantsRefresh("true"), true);
+  assert.equal(wantsRefresh("0"), false);
+  assert.equal(wantsRefresh("false"), false);
+  assert.equal(wantsRefresh(undefined), false);
+});
+
+test("a stored result is a hit until its TTL runs out", async () => {
+  const compute = counter();
+  const url = "https://ttl.example/";
+  assert.equal((await cached("t", url, "", compute, { ttl: 0.05 })).cache.status, "miss");
+  const hit = await cached("t", url, "", compute, { ttl: 0.05 });
+  assert.equal(hit.cache.status, "hit");
+  assert.equal(hit.value, "result");
+  assert.equal(peekCached("t", url), "result");
+
+  await sleep(80);
+  assert.equal(peekCached("t", url), null);
+  assert.equal((await cached("t", url, "", compute, { ttl: 0.05 })).cache.status, "miss");
+  assert.equal(compute.runs, 2);
+});
+
+test("refresh recomputes and stores the new result", async () => {
+  const compute = counter(runs => `run ${runs}`);
+  const url = "https://refresh.example/";
+  await cached("t", url, "", compute);
+  const fresh = await cached("t", url, "", compute, { refresh: true });
+  assert.equal(fresh.cache.status, "refresh");
+  assert.equal(fresh.value, "run 2");
+  assert.equal((await cached("t", url, "", compute)).value, "run 2");
+});
+
+test("concurrent calls for one key share a single run", async () => {
+  const compute = counter("shared", 30);
+  const url = "https://dedupe.example/?utm_source=a";
+  const results = await Promise.all([
+    cached("t", url, "", compute, { ttl: 0 }),
+    cached("t", "https://dedupe.example/?utm_source=b", "", compute, { ttl: 0 }),
+    cached("t", url, "", compute, { ttl: 0, refresh: true })
+  ]);
+  assert.equal(compute.runs, 1);
+  assert.deepEqual(results.map(r => r.value), ["shared", "shared", "shared"]);
+  assert.deepEqual(results.map(r => r.cache.status), ["miss", "shared", "shared"]);
+  assert.equal(peekCached("t", url), null); // ttl 0 stores nothing
+});
+
+test("results that shouldCache rejects are not stored", async () => {
+  const compute = counter({ success: false });
+  const url = "https://failed.example/";
+  const options = { shouldCache: value => value.success };
+  await cached("t", url, "", compute, options);
+  assert.equal((await cached("t", url, "", compute, options)).cache.status, "miss");
+  assert.equal(compute.runs, 2);
+});
+
+test("a rejected run rejects everyone who shared it and isn't cached", async () => {
+  let runs = 0;
+  const compute = async () => { runs++; await sleep(10); throw new Error("boom"); };
+  const url = "https://rejected.example/";
+  const calls = [cached("t", url, "", compute), cached("t", url, "", compute)];
+  for (const call of calls) await assert.rejects(call, /boom/);
+  assert.equal(runs, 1);
+  assert.equal(peekCached("t", url), null);
+  await assert.rejects(cached("t", url, "", compute), /boom/);
+  assert.equal(runs, 2);
+});
@@ -0,0 +1,29 @@
+/*
+  test/crawler.test.js — The crawl honours robots.txt before fetching anything
+  Every case here is blocked up front, so no request leaves the process.
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { crawlSite } from "../lib/crawler.js";
+import { parseRobots } from "../lib/robots.js";
+
+const site = (robotsTxt, text = "") => ({
+  robotsTxt: { url: "https://acme.example/robots.txt", found: robotsTxt.status === 200, unreachable: robotsTxt.status >= 500, parsed: parseRobots(text), ...robotsTxt },
+  llmsTxt: { found: false, title: null, links: 0 }
+});
+
+test("a robots.txt that answers 5xx disallows the whole site", async () => {
+  const crawl = await crawlSite("https://acme.example/", { site: site({ status: 503 }) });
+  assert.equal(crawl.robotsUnreachable, true);
+  assert.equal(crawl.pagesCrawled, 0);
+  assert.deepEqual(crawl.blockedByRobots, ["https://acme.example/"]);
+  assert.equal(crawl.sitemap.found, false);
+});
+
+test("Disallow: / for SnipeRankBot blocks the start page", async () => {
+  const crawl = await crawlSite("https://acme.example/", { site: site({ status: 200 }, "User-agent: SnipeRankBot\nDisallow: /\nSitemap: http://127.0.0.1/sitemap.xml") });
+  assert.equal(crawl.robotsUnreachable, false);
+  assert.equal(crawl.pagesCrawled, 0);
+  assert.deepEqual(crawl.blockedByRobots, ["https://acme.example/"]);
+});
@@ -0,0 +1,57 @@
+/*
+  test/csp.test.js — One Content-Security-Policy for Vercel and Express, and pages that live within it
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { apiOrigins, contentSecurityPolicy, pagePolicy, DEFAULT_API_ORIGINS } from "../lib/csp.js";
+
+const read = file => fs.readFileSync(new URL(`../${file}`, import.meta.url), "utf8");
+const files = dir => fs.readdirSync(new URL(`../${dir}`, import.meta.url)).map(name => `${dir}/${name}`);
+const directive = (policy, name) => policy.split("; ").find(d => d.startsWith(`${name} `));
+
+test("vercel.json carries the policy lib/csp.js builds (npm run csp)", () => {
+  const header = JSON.parse(read("vercel.json")).headers.flatMap(h => h.headers).find(h => h.key === "Content-Security-Policy");
+  assert.equal(header.value, contentSecurityPolicy());
+});
+
+test("no inline scripts or styles are allowed, and connect-src lists the configured API origins", () => {
+  const policy = contentSecurityPolicy({ API_ORIGINS: "https://api.acme.example/, https://api.acme.example, http://localhost:3000" });
+  assert.equal(directive(policy, "script-src"), "script-src 'self'");
+  assert.equal(directive(policy, "style-src"), "style-src 'self' https://cdn.jsdelivr.net");
+  assert.equal(directive(policy, "connect-src"), "connect-src 'self' https://api.acme.example http://localhost:3000");
+  assert.deepEqual(apiOrigins({}), DEFAULT_API_ORIGINS);
+  assert.throws(() => apiOrigins({ API_ORIGINS: "api.acme.example" }), /API_ORIGINS: "api.acme.example" is not a URL/);
+});
+
+test("Express sends the policy on pages and redirects but not on the JSON API", () => {
+  const policy = pagePolicy({ API_ORIGINS: "https://api.acme.example" });
+  const headersFor = path => {
+    const headers = {};
+    let nexted = false;
+    policy({ path }, { setHeader: (name, value) => { headers[name] = value; } }, () => { nexted = true; });
+    assert.ok(nexted);
+    return headers;
+  };
+  assert.match(headersFor("/report.html")["Content-Security-Policy"], /connect-src 'self' https:\/\/api\.acme\.example;/);
+  assert.ok(headersFor("/report/abc")["Content-Security-Policy"]);
+  assert.deepEqual(headersFor("/api/score"), {});
+});
+
+test("pages have no inline <style>, style attributes or inline scripts", () => {
+  for (const file of files("public").filter(f => f.endsWith(".html"))) {
+    const html = read(file);
+    assert.doesNotMatch(html, /<style[\s>]/i, `${file} has a <style> block`);
+    assert.doesNotMatch(html, /\sstyle\s*=/i, `${file} has a style attribute`);
+    assert.doesNotMatch(html, /<script(?![^>]*\bsrc=)[^>]*>/i, `${file} has an inline script`);
+    assert.doesNotMatch(html, /\son[a-z]+\s*=/i, `${file} has an on… handler attribute`);
+  }
+});
+
+test("page scripts and HTML fragments from the backend set no style attributes", () => {
+  for (const file of [...files("public/scripts"), "routes/report-html.js", "routes/permalink.js"]) {
+    const code = read(file);
+    assert.doesNotMatch(code, /style\s*=\s*['"\\]|\.style\.cssText|setAttribute\(\s*['"]style/, `${file} sets inline styles`);
+  }
+});
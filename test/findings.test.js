@@ -0,0 +1,20 @@
+/*
+  test/findings.test.js — Findings quote the page they were built from
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { collectSignals } from "../lib/page-signals.js";
+import { buildFindings } from "../lib/findings.js";
+
+const titled = title => collectSignals(`<html><head><title>${title}</title></head><body><h1>Hi</h1></body></html>`, { url: "https://acme.example/" });
+const titleFinding = title => buildFindings(titled(title)).whatsWorking.find(f => f.id === "title-optimized");
+
+test("a short title is quoted whole", () => {
+  assert.match(titleFinding("Acme Plumbing").description, /"Acme Plumbing" is properly sized/);
+});
+
+test("a title over 40 characters is cut with an ellipsis", () => {
+  const title = "Emergency Plumbing in Austin, Texas | Acme Plumbing";
+  assert.match(titleFinding(title).description, new RegExp(`"${title.substring(0, 40).replace(/[|]/g, "\\|")}\\.\\.\\."`));
+});
@@ -0,0 +1,164 @@
+/*
+  test/fix-artifacts.test.js — Ready-to-paste fixes drafted from a fixture page, and checked as pasted
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as cheerio from "cheerio";
+import { collectSignals } from "../lib/page-signals.js";
+import { buildArtifacts } from "../lib/fix-artifacts.js";
+import { parseLlmsTxt } from "../lib/ai-access.js";
+import { parseRobots } from "../lib/robots.js";
+
+const ROBOTS_TXT = "User-agent: GPTBot\nDisallow: /private/\n\nUser-agent: *\nAllow: /\n";
+
+const site = ({ llmsTxt = false } = {}) => ({
+  robotsTxt: { url: "https://acme.example/robots.txt", status: 200, found: true, unreachable: false, parsed: parseRobots(ROBOTS_TXT) },
+  llmsTxt: { url: "https://acme.example/llms.txt", status: llmsTxt ? 200 : 404, found: llmsTxt, title: llmsTxt ? "Acme" : null, links: llmsTxt ? 3 : 0 }
+});
+
+const LEAD = "Acme Plumbing fixes leaks, clears drains and installs water heaters across Austin. Licensed plumbers answer the phone around the clock.";
+
+const page = ({ head = "", body = "" } = {}) => `<html lang="en"><head>
+  <title>Home</title>
+  <meta property="og:image" content="/og.jpg">
+  ${head}
+</head><body>
+  <h1>Emergency plumbing in Austin</h1>
+  <main>
+    <p>${LEAD}</p>
+    <h2>Do you work on weekends?</h2>
+    <p>Yes, our plumbers work Saturdays and Sundays at the normal rate.</p>
+    <h2>How fast can you get here?</h2>
+    <p>Most calls in central Austin get a plumber within the hour.</p>
+    <figure><img src="/uploads/2024/tankless-water-heater-install-1200x800.jpg"><figcaption></figcaption></figure>
+    <img src="/img/DSC_0042.jpg">
+  </main>
+  <a href="/services">Our services</a>
+  <a href="/about">About Acme</a>
+  <a href="tel:+1-512-555-0100">Call us</a>
+  <a href="https://www.linkedin.com/company/acme-plumbing">LinkedIn</a>
+  ${body}
+</body></html>`;
+
+const signalsFor = (html, options = {}) => collectSignals(html, { url: "https://acme.example/", site: site(options) });
+const byId = (artifacts, id) => artifacts.find(a => a.id === id);
+
+// What SnipeRank reads back from a pasted JSON-LD snippet.
+const pasted = code => collectSignals(`<html><head>${code}</head><body></body></html>`, { url: "https://acme.example/" }).structuredData;
+
+test("an Organization draft carries the page's logo, profiles and phone and validates once pasted", () => {
+  const artifact = byId(buildArtifacts(signalsFor(page())), "organization-schema");
+  assert.deepEqual(artifact.checks, ["entity-schema", "entity-sameas"]);
+  assert.equal(artifact.language, "html");
+
+  const node = JSON.parse(cheerio.load(artifact.code)('script[type="application/ld+json"]').text());
+  assert.equal(node["@type"], "Organization");
+  assert.equal(node.url, "https://acme.example/");
+  assert.equal(node.logo, "https://acme.example/og.jpg");
+  assert.deepEqual(node.sameAs, ["https://www.linkedin.com/company/acme-plumbing"]);
+  assert.equal(node.contactPoint.telephone, "+1-512-555-0100");
+  assert.match(artifact.description, /logo is your og:image/);
+
+  const data = pasted(artifact.code);
+  assert.deepEqual(data.malformed, []);
+  assert.deepEqual(data.items[0].missing, []);
+  assert.equal(data.brand.logo, "https://acme.example/og.jpg");
+});
+
+test("an existing brand entity keeps its own properties and type", () => {
+  const existing = `<script type="application/ld+json">${JSON.stringify({
+    "@context": "https://schema.org", "@type": "Plumber", "@id": "https://acme.example/#org", name: "Acme Plumbing",
+    address: { "@type": "PostalAddress", streetAddress: "1 Main St" }
+  })}</script>`;
+  const artifact = byId(buildArtifacts(signalsFor(page({ head: existing }))), "organization-schema");
+  const node = JSON.parse(cheerio.load(artifact.code)('script[type="application/ld+json"]').text());
+  assert.equal(node["@type"], "Plumber");
+  assert.equal(node["@id"], "https://acme.example/#org");
+  assert.equal(node.address.streetAddress, "1 Main St");
+  assert.match(artifact.description, /replacing the current Plumber markup/);
+  assert.deepEqual(pasted(artifact.code).items[0].missing, []);
+});
+
+test("a complete brand entity needs no Organization draft", () => {
+  const complete = `<script type="application/ld+json">${JSON.stringify({
+    "@context": "https://schema.org", "@type": "Organization", name: "Acme Plumbing",
+    logo: "https://acme.example/logo.png", sameAs: ["https://www.linkedin.com/company/acme-plumbing"]
+  })}</script>`;
+  assert.equal(byId(buildArtifacts(signalsFor(page({ head: complete }))), "organization-schema"), undefined);
+});
+
+test("an FAQPage draft pairs the question headings with the text under them", () => {
+  const artifact = byId(buildArtifacts(signalsFor(page())), "faq-schema");
+  const node = JSON.parse(cheerio.load(artifact.code)('script[type="application/ld+json"]').text());
+  assert.deepEqual(node.mainEntity.map(q => [q.name, q.acceptedAnswer.text]), [
+    ["Do you work on weekends?", "Yes, our plumbers work Saturdays and Sundays at the normal rate."],
+    ["How fast can you get here?", "Most calls in central Austin get a plumber within the hour."]
+  ]);
+  assert.match(artifact.description, /2 question headings/);
+
+  const data = pasted(artifact.code);
+  assert.equal(data.items[0].type, "FAQPage");
+  assert.deepEqual(data.items[0].missing, []);
+});
+
+test("JSON-LD drafts escape markup so the script block can't be closed early", () => {
+  const html = page().replace("Do you work on weekends?", "Do you fix </script> tags?");
+  const artifact = byId(buildArtifacts(signalsFor(html)), "faq-schema");
+  assert.equal(artifact.code.match(/<\/script>/g).length, 1);
+  assert.equal(pasted(artifact.code).items[0].missing.length, 0);
+});
+
+test("title and meta description drafts come from the H1 and lead paragraph and pass their checks", () => {
+  const artifacts = buildArtifacts(signalsFor(page()));
+  assert.equal(byId(artifacts, "title-tag"), undefined); // "Home" is short enough already
+
+  const untitled = buildArtifacts(signalsFor(page().replace("<title>Home</title>", "")));
+  assert.equal(byId(untitled, "title-tag").code, "<title>Emergency plumbing in Austin | Acme</title>");
+
+  const meta = byId(artifacts, "meta-description");
+  assert.equal(meta.code, `<meta name="description" content="${LEAD}">`);
+  assert.match(meta.validation, /within 50–160/);
+});
+
+test("an llms.txt draft lists the crawled pages and internal links and parses as llms.txt", () => {
+  const crawl = { pages: [
+    { url: "https://acme.example/services", status: 200, title: "Plumbing services [Austin]" },
+    { url: "https://acme.example/gone", status: 404, title: "Not found" }
+  ] };
+  const artifact = byId(buildArtifacts(signalsFor(page()), { crawl }), "llms-txt");
+  assert.equal(artifact.filename, "llms.txt");
+  assert.equal(artifact.code, [
+    "# Acme",
+    "",
+    `> ${LEAD}`,
+    "",
+    "## Pages",
+    "",
+    "- [Plumbing services Austin](https://acme.example/services)",
+    "- [About Acme](https://acme.example/about)",
+    ""
+  ].join("\n"));
+  assert.deepEqual(parseLlmsTxt(artifact.code), { title: "Acme", links: 2 });
+});
+
+test("no llms.txt draft when the site already has one or its files weren't fetched", () => {
+  assert.equal(byId(buildArtifacts(signalsFor(page(), { llmsTxt: true })), "llms-txt"), undefined);
+  const unfetched = collectSignals(page(), { url: "https://acme.example/" });
+  assert.equal(unfetched.aiAccess, null);
+  assert.equal(byId(buildArtifacts(unfetched), "llms-txt"), undefined);
+});
+
+test("the fixture robots.txt is what the AI crawler matrix behind the drafts was read from", () => {
+  const signals = signalsFor(page());
+  assert.equal(signals.aiAccess.robotsTxt.found, true);
+  assert.ok(signals.aiAccess.bots.every(b => b.robotsTxt === "allowed"));
+  const blocked = collectSignals(page(), { url: "https://acme.example/private/page", site: site() });
+  assert.equal(blocked.aiAccess.bots.find(b => b.agent === "GPTBot").robotsTxt, "disallowed");
+});
+
+test("alt text comes from captions or descriptive filenames; camera filenames are skipped", () => {
+  const artifact = byId(buildArtifacts(signalsFor(page())), "alt-text");
+  assert.equal(artifact.code, '<img src="/uploads/2024/tankless-water-heater-install-1200x800.jpg" alt="Tankless water heater install">');
+  assert.match(artifact.description, /1 of the 2 images/);
+});
@@ -0,0 +1,60 @@
+/*
+  test/helpers/smtp-catcher.js — A minimal SMTP server on 127.0.0.1 that keeps what it receives
+  Enough of RFC 5321 for nodemailer without TLS or auth. `rcpt(address, n)` can refuse the n-th
+  RCPT TO (counting from 1 across connections) by returning a reply line such as
+  "451 4.7.1 Try again later"; return null to accept.
+*/
+
+import net from "node:net";
+
+export async function smtpCatcher({ rcpt = () => null } = {}) {
+  const messages = [];
+  let rcptCount = 0;
+
+  const server = net.createServer(socket => {
+    let buffer = "";
+    let message = null;
+    let inData = false;
+    const say = line => socket.write(`${line}\r\n`);
+
+    socket.on("error", () => {});
+    socket.on("data", chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            messages.push(message);
+            say(`250 2.0.0 Ok: queued as ${messages.length}`);
+          } else {
+            message.data += `${line.replace(/^\./, "")}\n`;
+          }
+          continue;
+        }
+        const verb = line.split(/[\s:]/)[0].toUpperCase();
+        const address = (line.match(/<([^>]*)>/) || [])[1] || "";
+        if (verb === "EHLO") socket.write("250-catcher\r\n250 8BITMIME\r\n");
+        else if (verb === "HELO" || verb === "RSET" || verb === "NOOP") say("250 Ok");
+        else if (verb === "MAIL") { message = { from: address, to: [], data: "" }; say("250 2.1.0 Ok"); }
+        else if (verb === "RCPT") {
+          const refused = rcpt(address, ++rcptCount);
+          if (refused) say(refused);
+          else { message.to.push(address); say("250 2.1.5 Ok"); }
+        } else if (verb === "DATA") { inData = true; say("354 End data with <CR><LF>.<CR><LF>"); }
+        else if (verb === "QUIT") { say("221 Bye"); socket.end(); }
+        else say("502 5.5.2 Command not recognized");
+      }
+    });
+    say("220 catcher ESMTP");
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    port: server.address().port,
+    messages,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,122 @@
+/*
+  test/history.test.js — Run history: what counts as resolved, new and regressed, and who sees it
+*/
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+let dir, history, saveReport, createApiKey, revokeApiKey, handler;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "history-"));
+  process.env.HISTORY_DIR = dir; // read at import
+  process.env.REPORTS_DIR = path.join(dir, "reports");
+  process.env.LIMITS_STORE = "memory";
+  process.env.HISTORY_API_TOKEN = "history-secret";
+  history = await import("../lib/history.js");
+  ({ saveReport } = await import("../lib/report-store.js"));
+  ({ createApiKey, revokeApiKey } = await import("../lib/api-keys.js"));
+  ({ default: handler } = await import("../routes/history.js"));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const CHECKS = {
+  https: { pillar: "access", max: 5 },
+  "meta-description": { pillar: "clarity", max: 4 },
+  "schema-present": { pillar: "trust", max: 6 }
+};
+const failed = (...ids) => ids.map(id => ({ id, title: id, pillar: CHECKS[id].pillar, lost: CHECKS[id].max }));
+const run = (reportId, score, failedChecks, extra = {}) => ({
+  reportId, kind: "analyze", page: "acme.example", createdAt: `2026-01-0${reportId.slice(-1)}T00:00:00.000Z`,
+  score, pillars: { access: 20, trust: 20, clarity: 20, alignment: score - 60 }, failedChecks, ...extra
+});
+
+test("checks that stopped failing are resolved and first-time failures are new", () => {
+  const changes = history.compareRuns([run("r1", 80, failed("https", "meta-description"))], run("r2", 86, failed("meta-description", "schema-present")));
+  assert.deepEqual(changes.resolved.map(c => c.id), ["https"]);
+  assert.deepEqual(changes.new.map(c => c.id), ["schema-present"]);
+  assert.deepEqual(changes.regressed, []);
+  assert.equal(changes.unchanged, 1);
+  assert.equal(changes.scoreDelta, 6);
+  assert.equal(changes.pillarDeltas.alignment, 6);
+  assert.equal(changes.since, "r1");
+});
+
+test("a check that failed before, was fixed and fails again has regressed", () => {
+  const earlier = [run("r1", 80, failed("https")), run("r2", 85, failed())];
+  const changes = history.compareRuns(earlier, run("r3", 80, failed("https", "schema-present")));
+  assert.deepEqual(changes.regressed.map(c => c.id), ["https"]);
+  assert.deepEqual(changes.new.map(c => c.id), ["schema-present"]);
+  assert.deepEqual(changes.resolved, []);
+  assert.equal(changes.since, "r2");
+});
+
+const saved = (id, day, score, checks, extra = {}) => ({
+  id, kind: "analyze", url: "https://www.acme.example/", createdAt: `2026-01-0${day}T00:00:00.000Z`,
+  report: { score, pillars: score === null ? null : { access: 20, trust: 20, clarity: 20, alignment: score - 60 }, checks }, ...extra
+});
+const check = (id, passed) => ({ id, label: id, pillar: CHECKS[id].pillar, max: CHECKS[id].max, earned: passed ? CHECKS[id].max : 0, passed });
+
+test("loadHistory diffs each measured run against the last measured one of its kind and page", async () => {
+  await history.recordRun(saved("a1", 1, 80, [check("https", false), check("schema-present", true)]));
+  await history.recordRun(saved("a2", 2, null, null));
+  await history.recordRun(saved("f1", 3, 70, [check("https", false)], { kind: "full" }));
+  await history.recordRun(saved("a3", 4, 85, [check("https", true), check("schema-present", false)]));
+
+  const { domain, runs } = await history.loadHistory("acme.example");
+  assert.equal(domain, "acme.example");
+  assert.deepEqual(runs.map(r => r.reportId), ["a1", "a2", "f1", "a3"]);
+  assert.equal(runs[1].changes, null); // unmeasured
+  assert.equal(runs[2].changes, null); // first of its kind
+  const { changes } = runs[3];
+  assert.equal(changes.since, "a1");
+  assert.deepEqual(changes.resolved.map(c => c.id), ["https"]);
+  assert.deepEqual(changes.new.map(c => c.id), ["schema-present"]);
+});
+
+test("a report holder sees only that report's page and kind, without other report ids", async () => {
+  const scoped = history.historyForReport(await history.loadHistory("acme.example"), "a3");
+  assert.deepEqual(scoped.runs.map(r => r.reportId), [null, null, "a3"]);
+  assert.equal(scoped.runs[2].changes.since, null);
+  assert.ok(scoped.runs.every(r => r.kind === "analyze"));
+  assert.deepEqual(history.historyForReport(await history.loadHistory("acme.example"), "nope").runs, []);
+});
+
+// Just enough of Express's req/res for a route handler.
+async function call(query, headers = {}) {
+  const res = {
+    statusCode: 200, body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await handler({ method: "GET", query, headers }, res);
+  return res;
+}
+
+test("GET /api/history needs the token, an API key or a report for the domain", async () => {
+  const record = await saveReport("analyze", "https://beta.example/", { score: 70, pillars: null, checks: [] });
+  await saveReport("analyze", "https://beta.example/", { score: 75, pillars: null, checks: [] });
+  const other = await saveReport("analyze", "https://gamma.example/", { score: 60, pillars: null, checks: [] });
+
+  assert.equal((await call({ domain: "beta.example" })).statusCode, 401);
+  assert.equal((await call({ domain: "beta.example", report: other.id })).statusCode, 401);
+  assert.equal((await call({ domain: "beta.example" }, { authorization: "Bearer wrong" })).statusCode, 401);
+  assert.equal((await call({ domain: "beta.example" }, { "x-api-key": "srk_unknown" })).statusCode, 401);
+
+  const full = await call({ domain: "beta.example" }, { authorization: "Bearer history-secret" });
+  assert.equal(full.statusCode, 200);
+  assert.equal(full.body.runs.length, 2);
+
+  const { key, apiKey } = await createApiKey({ name: "Agency", tier: "pro" });
+  assert.equal((await call({ domain: "beta.example" }, { "x-api-key": apiKey })).body.runs.length, 2);
+  await revokeApiKey(key.id);
+  assert.equal((await call({ domain: "beta.example" }, { "x-api-key": apiKey })).statusCode, 401);
+
+  const scoped = await call({ url: "https://www.beta.example/", report: record.id });
+  assert.equal(scoped.statusCode, 200);
+  assert.deepEqual(scoped.body.runs.map(r => r.reportId), [record.id]);
+});
@@ -0,0 +1,138 @@
+/*
+  test/jobs.test.js — Background jobs from queued to done, on disk and over the SSE stream
+*/
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { EventEmitter } from "node:events";
+
+let dir, jobs, events;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "jobs-"));
+  process.env.JOBS_DIR = dir; // read at import
+  jobs = await import("../lib/jobs.js");
+  ({ default: events } = await import("../routes/job-events.js"));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const onDisk = async id => JSON.parse(await fs.readFile(path.join(dir, `${id}.json`), "utf8"));
+
+// An Express response that records the stream and closes like a socket once ended.
+function streamResponse() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    chunks: [],
+    ended: false,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.ended = true; return this; },
+    writeHead(code, headers) { this.statusCode = code; this.headers = headers; },
+    write(chunk) { this.chunks.push(chunk); },
+    end() { this.ended = true; this.emit("close"); }
+  });
+  return res;
+}
+
+const parseEvents = chunks => chunks.join("").split("\n\n").filter(Boolean).map(block => ({
+  event: block.match(/^event: (.+)$/m)[1],
+  data: JSON.parse(block.match(/^data: (.+)$/m)[1])
+}));
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+test("a job runs from queued through each stage to done, and the result is saved", async () => {
+  const job = await jobs.createJob("analyze", { url: "https://acme.example/" });
+  assert.equal(job.status, "queued");
+  assert.equal((await onDisk(job.id)).status, "queued");
+
+  const seen = [];
+  const stop = jobs.watchJob(job.id, current => seen.push(`${current.status}:${current.progress}`));
+  const finished = await jobs.runJob(job, async stage => {
+    stage("fetch", "running", { fraction: 0.5, detail: "Fetching https://acme.example/" });
+    stage("fetch", "done");
+    stage("checks", "done");
+    return { score: 72 };
+  });
+  stop();
+
+  assert.deepEqual(seen, ["running:0", "running:30", "running:60", "running:80", "done:100"]);
+  assert.equal(finished.status, "done");
+  assert.deepEqual(finished.stages.map(s => s.status), ["done", "done", "skipped", "skipped"]);
+  assert.equal(finished.stages[0].detail, "Fetching https://acme.example/");
+
+  const saved = await onDisk(job.id);
+  assert.equal(saved.status, "done");
+  assert.deepEqual(saved.result, { score: 72 });
+  assert.equal(jobs.watchJob(job.id, () => {}), null); // nothing left to watch
+});
+
+test("a pipeline that throws fails the job with its message", async () => {
+  const job = await jobs.createJob("full", { url: "https://acme.example/" });
+  const failed = await jobs.runJob(job, async () => { throw new Error("Page returned HTTP 503"); });
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.error, "Page returned HTTP 503");
+  assert.equal((await onDisk(job.id)).error, "Page returned HTTP 503");
+  assert.equal(jobs.publicJob(failed).result, null);
+});
+
+test("the SSE stream sends progress for every update, then done with the result, and closes", async () => {
+  const job = await jobs.createJob("analyze", { url: "https://acme.example/" });
+  const res = streamResponse();
+  await events({ query: { id: job.id } }, res);
+  assert.equal(res.headers["Content-Type"], "text/event-stream");
+
+  const gate = deferred();
+  const running = jobs.runJob(job, async stage => {
+    stage("fetch", "done");
+    await gate.promise;
+    stage("checks", "done");
+    stage("engines", "skipped");
+    stage("scoring", "done");
+    return { score: 88 };
+  });
+  assert.equal(res.ended, false);
+  gate.resolve();
+  await running;
+
+  const stream = parseEvents(res.chunks);
+  assert.deepEqual(stream.map(e => e.event), ["progress", "progress", "progress", "progress", "progress", "progress", "done"]);
+  assert.equal(stream[0].data.status, "queued");
+  assert.equal("result" in stream[1].data, false); // results ship only with the finished job
+  const done = stream.at(-1).data;
+  assert.equal(done.status, "done");
+  assert.equal(done.progress, 100);
+  assert.deepEqual(done.result, { score: 88 });
+  assert.equal(res.ended, true);
+});
+
+test("a finished job replays its final event at once, and an unknown one is a 404", async () => {
+  const job = await jobs.createJob("analyze", { url: "https://acme.example/" });
+  await jobs.runJob(job, async () => ({ score: 50 }));
+
+  const res = streamResponse();
+  await events({ query: { id: job.id } }, res);
+  assert.deepEqual(parseEvents(res.chunks).map(e => [e.event, e.data.result]), [["done", { score: 50 }]]);
+  assert.equal(res.ended, true);
+
+  const missing = streamResponse();
+  await events({ query: { id: "AAAAAAAAAAAAAAAA" } }, missing);
+  assert.equal(missing.statusCode, 404);
+});
+
+test("a job left running on disk by a restart loads as interrupted", async () => {
+  const id = "interruptedJob01";
+  await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ id, kind: "analyze", status: "running", progress: 40, stages: [] }));
+  const job = await jobs.loadJob(id);
+  assert.equal(job.status, "failed");
+  assert.equal(job.error, "interrupted");
+  assert.equal(await jobs.loadJob("../../etc/passwd"), null);
+});
@@ -0,0 +1,45 @@
+/*
+  test/leads.test.js — Lead validation, consent and the CRM CSV export
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateLead, leadsToCsv } from "../lib/leads.js";
+
+const lead = {
+  id: "abcdefghijklmnop", createdAt: "2026-01-01T00:00:00.000Z", updatedAt: "2026-01-02T00:00:00.000Z",
+  name: "Ada", email: "ada@acme.example", phone: "+1 512 555 0100", company: "=HYPERLINK(\"http://x\")",
+  url: "https://acme.example/", domain: "acme.example", sources: ["analyze", "send-link"],
+  reportIds: ["r1", "r2"], brand: null, consent: { contact: true, marketing: false, at: "2026-01-01T00:00:00.000Z" },
+  submissions: 2, context: "Line one\nSays \"hi\""
+};
+
+test("a lead without affirmative contact consent is rejected", () => {
+  assert.ok(validateLead({ email: "ada@acme.example" }).errors);
+  assert.ok(validateLead({ email: "ada@acme.example", consent: { contact: false } }).errors);
+  assert.ok(validateLead({ email: "ada@acme.example", consent: { contact: "yes" } }).errors);
+  assert.equal(validateLead({ email: "ada@acme.example", consent: { contact: true } }).lead.consent.contact, true);
+});
+
+test("a newsletter signup needs marketing consent instead", () => {
+  assert.ok(validateLead({ email: "ada@acme.example", source: "newsletter", consent: { contact: false } }).errors);
+  const { lead: signup } = validateLead({ email: "ada@acme.example", source: "newsletter", consent: { marketing: true } });
+  assert.equal(signup.consent.contact, false);
+  assert.equal(signup.consent.marketing, true);
+});
+
+test("CSV export has a header row, one quoted row per lead and CRLF endings", () => {
+  const csv = leadsToCsv([lead]);
+  const [header] = csv.split("\r\n");
+  assert.ok(header.startsWith('"id","createdAt","updatedAt","name","email"'));
+  assert.ok(csv.endsWith("\r\n"));
+  assert.ok(csv.includes('"analyze;send-link"'));
+  assert.ok(csv.includes('"r1;r2"'));
+  assert.ok(csv.includes('"Line one\nSays ""hi"""'));
+});
+
+test("CSV export defuses spreadsheet formulas", () => {
+  const csv = leadsToCsv([lead]);
+  assert.ok(csv.includes(`"'=HYPERLINK(""http://x"")"`));
+  assert.ok(!csv.includes('"=HYPERLINK'));
+});
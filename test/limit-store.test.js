@@ -0,0 +1,65 @@
+/*
+  test/limit-store.test.js — The key/counter store behind API keys and rate limits
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+import { memoryStore, fileStore, defaultStore } from "../lib/limit-store.js";
+
+test("counters start at zero, add up and expire with their first TTL", async () => {
+  const store = memoryStore();
+  assert.deepEqual((await store.incr("c", 2, 40)).count, 2);
+  assert.deepEqual((await store.incr("c", 3, 40)).count, 5);
+  await sleep(60);
+  assert.equal(await store.get("c"), null);
+  assert.equal((await store.incr("c", 1, 40)).count, 1);
+});
+
+test("values, deletes and prefix listing", async () => {
+  const store = memoryStore();
+  await store.set("key:a", { name: "A" });
+  await store.set("key:b", { name: "B" });
+  await store.set("hash:x", "a");
+  await store.delete("key:b");
+  assert.deepEqual(await store.keys("key:"), ["key:a"]);
+  assert.deepEqual(await store.get("key:a"), { name: "A" });
+});
+
+test("the file store writes its entries back and reloads them", async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "limits-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "nested", "limits.json");
+
+  const store = fileStore(file);
+  await store.set("key:a", { name: "A" });
+  await store.incr("usage:a", 4, 60000);
+  await sleep(400); // writes are batched
+  const reloaded = fileStore(file);
+  assert.deepEqual(await reloaded.get("key:a"), { name: "A" });
+  assert.equal(await reloaded.get("usage:a"), 4);
+});
+
+test("serverless hosts default to memory with a warning unless LIMITS_FILE is set", async t => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "limits-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  assert.equal(typeof defaultStore({ VERCEL: "1" }).snapshot, "function"); // a memoryStore
+  assert.equal(typeof defaultStore({ SERVERLESS: "true" }).snapshot, "function");
+  assert.equal(warn.mock.callCount(), 2);
+  assert.match(warn.mock.calls[0].arguments[0], /LIMITS_FILE/);
+
+  const file = path.join(dir, "limits.json");
+  const persistent = defaultStore({ VERCEL: "1", LIMITS_FILE: file });
+  assert.equal(persistent.snapshot, undefined); // a fileStore
+  await persistent.set("k", 1);
+  await sleep(400);
+  assert.ok(JSON.parse(await fs.readFile(file, "utf8")).entries.k);
+
+  assert.equal(typeof defaultStore({ LIMITS_STORE: "memory" }).snapshot, "function");
+  assert.equal(warn.mock.callCount(), 2);
+});
@@ -0,0 +1,63 @@
+/*
+  test/llm-json.test.js — completeJson() against the mock provider: a valid reply, and the repair loop
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { completeJson, extractJson } from "../lib/llm-json.js";
+import { FULL_REPORT_SCHEMA } from "../lib/llm-schemas.js";
+import { createProvider, completerFor } from "../lib/llm.js";
+
+const messages = [{ role: "user", content: "Analyze https://acme.example/" }];
+
+test("extractJson reads a fenced block and reports a cut-off reply", () => {
+  assert.deepEqual(extractJson('Here you go:\n```json\n{"a": {"b": "}"}}\n```').value, { a: { b: "}" } });
+  assert.match(extractJson('{"a": [1, 2').error, /unterminated/);
+  assert.match(extractJson("no json here").error, /no JSON object/);
+});
+
+test("the shipped mock fixture validates on the first attempt", async () => {
+  const provider = createProvider({ LLM_PROVIDER: "mock" });
+  const result = await completeJson({ schema: FULL_REPORT_SCHEMA, messages, complete: completerFor(provider, "full") });
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts.length, 1);
+});
+
+test("an invalid reply is re-prompted with its errors and repaired", async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "llm-fixtures-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const valid = await fs.readFile(new URL("../fixtures/llm/full.json", import.meta.url), "utf8");
+  const broken = JSON.parse(valid);
+  delete broken.engineInsights;
+  await fs.writeFile(path.join(dir, "full.json"), `Sure! ${JSON.stringify(broken)}`);
+  await fs.writeFile(path.join(dir, "full.2.json"), valid);
+
+  const provider = createProvider({ LLM_PROVIDER: "mock", LLM_FIXTURES_DIR: dir });
+  const seen = [];
+  const complete = conversation => {
+    seen.push(conversation.length);
+    return completerFor(provider, "full")(conversation);
+  };
+  const result = await completeJson({ schema: FULL_REPORT_SCHEMA, messages, complete });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts.length, 2);
+  assert.equal(result.attempts[0].ok, false);
+  assert.ok(result.attempts[0].errors.some(e => e.includes("engineInsights")));
+  assert.deepEqual(seen, [1, 3]); // the repair prompt carries the bad reply and the errors
+});
+
+test("a reply that never validates gives up after maxAttempts", async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "llm-fixtures-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  await fs.writeFile(path.join(dir, "full.json"), "{}");
+
+  const provider = createProvider({ LLM_PROVIDER: "mock", LLM_FIXTURES_DIR: dir });
+  const result = await completeJson({ schema: FULL_REPORT_SCHEMA, messages, complete: completerFor(provider, "full"), maxAttempts: 2 });
+  assert.equal(result.ok, false);
+  assert.equal(result.value, null);
+  assert.equal(result.attempts.length, 2);
+});
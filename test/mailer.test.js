@@ -0,0 +1,118 @@
+/*
+  test/mailer.test.js — Report delivery over SMTP against a local catcher: retries on transient
+  replies, stops on permanent ones, and caps emails per recipient
+*/
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { smtpCatcher } from "./helpers/smtp-catcher.js";
+
+let dir, mailer, brand;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "deliveries-"));
+  process.env.DELIVERIES_DIR = dir; // read at import
+  process.env.MAIL_RETRY_DELAY_MS = "0";
+  process.env.MAIL_PER_RECIPIENT_PER_DAY = "2";
+  process.env.LIMITS_STORE = "memory";
+  delete process.env.MAIL_RETRY_ATTEMPTS;
+  mailer = await import("../lib/mailer.js");
+  ({ DEFAULT_BRAND: brand } = await import("../lib/brands.js"));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const record = {
+  id: "r1", kind: "full", url: "https://acme.example/", createdAt: "2026-01-01T00:00:00.000Z",
+  report: { success: true, score: 72, pillars: { access: 20, trust: 18, clarity: 17, alignment: 17 }, needsAttention: [], whatsWorking: [] }
+};
+
+const smtpAt = port => mailer.getMailer({ SMTP_HOST: "127.0.0.1", SMTP_PORT: String(port), MAIL_FROM: "reports@acme.example" });
+
+async function send(port, options = {}) {
+  const delivery = await mailer.createDelivery({ to: "ada@acme.example", name: "Ada", reportId: record.id, url: record.url, brand: null });
+  const result = await mailer.deliverReport(delivery, { record, brand, permalink: "https://acme.example/r/r1", mailer: smtpAt(port), ...options });
+  return { result, stored: await mailer.loadDelivery(delivery.id) };
+}
+
+test("the report email reaches the SMTP server", async t => {
+  const catcher = await smtpCatcher();
+  t.after(catcher.close);
+  const { result, stored } = await send(catcher.port);
+
+  assert.equal(result.status, "sent");
+  assert.equal(result.attempts.length, 1);
+  assert.match(result.messageId, /@/);
+  assert.deepEqual(stored, result);
+  const [message] = catcher.messages;
+  assert.equal(message.from, "reports@acme.example");
+  assert.deepEqual(message.to, ["ada@acme.example"]);
+  assert.match(message.data, /Subject: .*acme\.example/);
+  assert.match(message.data, /https:\/\/acme\.example\/r\/r1/);
+});
+
+test("a 4xx reply is retried and the delivery ends up sent", async t => {
+  const catcher = await smtpCatcher({ rcpt: (_to, n) => (n === 1 ? "451 4.7.1 Try again later" : null) });
+  t.after(catcher.close);
+  const { result } = await send(catcher.port);
+
+  assert.equal(result.status, "sent");
+  assert.deepEqual(result.attempts.map(a => a.ok), [false, true]);
+  assert.match(result.attempts[0].error, /^451 4\.7\.1 Try again later/);
+  assert.equal(result.error, null);
+  assert.equal(catcher.messages.length, 1);
+});
+
+test("a 5xx reply fails the delivery without retrying", async t => {
+  const catcher = await smtpCatcher({ rcpt: () => "550 5.1.1 No such user" });
+  t.after(catcher.close);
+  const { result, stored } = await send(catcher.port);
+
+  assert.equal(result.status, "failed");
+  assert.equal(result.attempts.length, 1);
+  assert.match(result.error, /^550 5\.1\.1 No such user/);
+  assert.equal(stored.status, "failed");
+  assert.equal(catcher.messages.length, 0);
+});
+
+test("connection errors stop after MAIL_RETRY_ATTEMPTS", async () => {
+  const closed = net.createServer();
+  await new Promise(resolve => closed.listen(0, "127.0.0.1", resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  const { result } = await send(port);
+  assert.equal(result.status, "failed");
+  assert.equal(result.attempts.length, 3);
+  assert.ok(result.attempts.every(a => !a.ok && a.error === "ESOCKET")); // nodemailer's code for a refused connection
+});
+
+test("a delivery with no saved report fails without sending", async t => {
+  const catcher = await smtpCatcher();
+  t.after(catcher.close);
+  const { result } = await send(catcher.port, { record: null });
+  assert.equal(result.status, "failed");
+  assert.equal(result.error, "no_report");
+  assert.equal(catcher.messages.length, 0);
+});
+
+test("failDelivery keeps the cause", async () => {
+  const delivery = await mailer.createDelivery({ to: "ada@acme.example", url: record.url });
+  assert.equal((await mailer.failDelivery(delivery, Object.assign(new Error("disk full"), { code: "ENOSPC" }))).error, "ENOSPC");
+  assert.equal((await mailer.failDelivery(delivery, new Error("Report build failed"))).error, "Report build failed");
+  assert.equal((await mailer.loadDelivery(delivery.id)).status, "failed");
+});
+
+test("each inbox gets at most MAIL_PER_RECIPIENT_PER_DAY emails, however the address is written", async () => {
+  assert.equal(mailer.normalizeEmail(" Ada+Reports@ACME.example "), "ada@acme.example");
+  assert.equal((await mailer.consumeRecipient("ada+1@acme.example")).allowed, true);
+  assert.equal((await mailer.consumeRecipient("ADA@acme.example")).allowed, true);
+  const refused = await mailer.consumeRecipient("ada+2@acme.example");
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.limit, 2);
+  assert.equal((await mailer.consumeRecipient("bob@acme.example")).allowed, true);
+});
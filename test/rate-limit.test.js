@@ -0,0 +1,97 @@
+/*
+  test/rate-limit.test.js — Per-IP limits, API key quotas and the RateLimit-* headers
+*/
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { memoryStore, setLimitStore } from "../lib/limit-store.js";
+import { createApiKey, revokeApiKey } from "../lib/api-keys.js";
+import { ANON_LIMITS, checkLimit, enforceLimit, clientIp } from "../lib/rate-limit.js";
+
+beforeEach(() => setLimitStore(memoryStore()));
+
+const request = (headers = {}, ip = "203.0.113.7") => ({ headers, socket: { remoteAddress: ip } });
+
+// Just enough of Express's res for enforceLimit().
+const response = () => ({
+  statusCode: 200, headers: {}, body: null,
+  setHeader(name, value) { this.headers[name] = value; },
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+test("the client IP is the trusted proxy's entry in X-Forwarded-For", () => {
+  assert.equal(clientIp(request({ "x-forwarded-for": "1.1.1.1, 198.51.100.2" })), "198.51.100.2");
+  assert.equal(clientIp(request({}, "::ffff:203.0.113.9")), "203.0.113.9");
+});
+
+test("anonymous requests get RateLimit headers and a 429 with Retry-After past the limit", async () => {
+  const { limit, windowMs } = ANON_LIMITS.full;
+  for (let i = 1; i <= limit; i++) {
+    const decision = await checkLimit(request(), "full");
+    assert.equal(decision.allowed, true);
+    assert.equal(decision.headers["RateLimit-Limit"], String(limit));
+    assert.equal(decision.headers["RateLimit-Remaining"], String(limit - i));
+    assert.equal(decision.headers["RateLimit-Policy"], `${limit};w=${windowMs / 1000}`);
+    assert.ok(Number(decision.headers["RateLimit-Reset"]) <= windowMs / 1000);
+  }
+  const refused = await checkLimit(request(), "full");
+  assert.equal(refused.status, 429);
+  assert.equal(refused.body.code, "rate_limited");
+  assert.match(refused.body.error, /or use an API key/);
+  assert.equal(refused.headers["Retry-After"], refused.headers["RateLimit-Reset"]);
+
+  assert.equal((await checkLimit(request({}, "203.0.113.8"), "full")).allowed, true); // other address
+});
+
+test("a request costing more than what's left is refused whole and names its cost", async () => {
+  const { limit } = ANON_LIMITS.full;
+  const refused = await checkLimit(request(), "full", { cost: limit + 1 });
+  assert.equal(refused.status, 429);
+  assert.equal(refused.body.cost, limit + 1);
+  assert.equal((await checkLimit(request(), "full", { cost: limit })).allowed, true);
+});
+
+test("an API key is charged against its own daily quota", async () => {
+  const { key, apiKey } = await createApiKey({ name: "Agency", tier: "pro", quota: { full: 1 } });
+  const req = request({ "x-api-key": apiKey });
+  const allowed = await checkLimit(req, "full");
+  assert.equal(allowed.allowed, true);
+  assert.equal(req.apiKey.id, key.id);
+  assert.equal(allowed.headers["RateLimit-Policy"], "1;w=86400");
+
+  const refused = await checkLimit(request({ "x-api-key": apiKey }), "full");
+  assert.equal(refused.body.code, "quota_exceeded");
+
+  await revokeApiKey(key.id);
+  assert.equal((await checkLimit(request({ "x-api-key": apiKey }), "scan")).status, 401);
+  assert.equal((await checkLimit(request({ "x-api-key": "srk_unknown" }), "scan")).body.code, "invalid_api_key");
+});
+
+test("the lead bucket is per IP even with an API key, and doesn't suggest one", async () => {
+  const { apiKey } = await createApiKey({ name: "Agency", tier: "pro" });
+  let decision;
+  for (let i = 0; i <= ANON_LIMITS.lead.limit; i++) decision = await checkLimit(request({ "x-api-key": apiKey }), "lead");
+  assert.equal(decision.status, 429);
+  assert.doesNotMatch(decision.body.error, /API key/);
+});
+
+test("enforceLimit sets the headers and sends the 429 itself", async () => {
+  const ok = response();
+  assert.equal(await enforceLimit(request(), ok, "scan"), true);
+  assert.equal(ok.headers["RateLimit-Remaining"], String(ANON_LIMITS.scan.limit - 1));
+  assert.equal(ok.body, null);
+
+  const refused = response();
+  assert.equal(await enforceLimit(request(), refused, "scan", { cost: ANON_LIMITS.scan.limit }), false);
+  assert.equal(refused.statusCode, 429);
+  assert.ok(refused.headers["Retry-After"]);
+});
+
+test("a failing store lets the request through", async t => {
+  t.mock.method(console, "error", () => {});
+  setLimitStore({ ...memoryStore(), incr: async () => { throw new Error("store down"); } });
+  const res = response();
+  assert.equal(await enforceLimit(request(), res, "scan"), true);
+  assert.deepEqual(res.headers, {});
+});
@@ -0,0 +1,79 @@
+/*
+  test/robots.test.js — robots.txt groups and path rules as RFC 9309 crawlers apply them
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseRobots, groupFor, isAllowed, matchRule } from "../lib/robots.js";
+
+const ROBOTS = `
+# A comment
+User-agent: *
+Disallow: /private/
+Allow: /private/press/
+
+User-agent: GPTBot
+User-agent: CCBot
+Disallow: /
+
+User-agent: bot
+Disallow: /bots-only/
+
+User-agent: claudebot/1.0
+Disallow: /drafts/
+Allow: /drafts/public$
+
+User-agent: ClaudeBot
+Disallow: /tmp/*.json$
+
+Sitemap: https://acme.example/sitemap.xml
+`;
+const robots = parseRobots(ROBOTS);
+
+test("groups, consecutive user agents and sitemaps are parsed", () => {
+  assert.equal(robots.groups.length, 5);
+  assert.deepEqual(robots.groups[1].agents, ["gptbot", "ccbot"]);
+  assert.deepEqual(robots.sitemaps, ["https://acme.example/sitemap.xml"]);
+});
+
+test("a named group beats *, case-insensitively", () => {
+  assert.equal(isAllowed(robots, "GPTBot", "/"), false);
+  assert.equal(isAllowed(robots, "ccbot", "/about"), false);
+  assert.equal(matchRule(robots, "CCBot", "/about").agent, "ccbot");
+});
+
+test("user agents match on the whole product token, not a substring", () => {
+  assert.equal(groupFor(robots, "PerplexityBot").agent, "*");
+  assert.equal(isAllowed(robots, "PerplexityBot", "/bots-only/x"), true);
+  assert.equal(isAllowed(robots, "bot", "/bots-only/x"), false);
+});
+
+test("groups naming the same agent are merged", () => {
+  const group = groupFor(robots, "ClaudeBot");
+  assert.equal(group.rules.length, 3);
+  assert.equal(isAllowed(robots, "ClaudeBot", "/drafts/x"), false);
+  assert.equal(isAllowed(robots, "ClaudeBot", "/tmp/a/b.json"), false);
+  assert.equal(isAllowed(robots, "ClaudeBot", "/tmp/a.json?x=1"), true);
+  assert.equal(isAllowed(robots, "ClaudeBot", "/private/x"), true); // its own group has no such rule
+});
+
+test("the longest matching rule wins and $ anchors the end", () => {
+  assert.equal(isAllowed(robots, "SnipeRankBot", "/private/x"), false);
+  assert.equal(isAllowed(robots, "SnipeRankBot", "/private/press/launch"), true);
+  assert.equal(isAllowed(robots, "ClaudeBot", "/drafts/public"), true);
+  assert.equal(isAllowed(robots, "ClaudeBot", "/drafts/public/more"), false);
+});
+
+test("Allow beats Disallow on a tie and an empty Disallow allows everything", () => {
+  const tie = parseRobots("User-agent: *\nDisallow: /page\nAllow: /page");
+  assert.equal(isAllowed(tie, "GPTBot", "/page"), true);
+  const open = parseRobots("User-agent: *\nDisallow:");
+  assert.deepEqual(matchRule(open, "GPTBot", "/"), { allow: true, agent: "*", rule: null });
+});
+
+test("no group for the agent and no * group allows everything", () => {
+  const only = parseRobots("User-agent: GPTBot\nDisallow: /");
+  assert.equal(groupFor(only, "ClaudeBot"), null);
+  assert.deepEqual(matchRule(only, "ClaudeBot", "/"), { allow: true, agent: null, rule: null });
+  assert.deepEqual(matchRule(parseRobots(""), "GPTBot", "/"), { allow: true, agent: null, rule: null });
+});
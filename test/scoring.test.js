@@ -0,0 +1,64 @@
+/*
+  test/scoring.test.js — Deterministic score: each check's points and the pillar totals
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { collectSignals } from "../lib/page-signals.js";
+import { CHECKS, PILLARS, scoreSignals } from "../lib/scoring.js";
+
+const PAGE = `<!doctype html><html lang="en"><head>
+  <title>Emergency Plumbing in Austin | Acme Plumbing</title>
+  <meta name="description" content="Acme Plumbing fixes burst pipes, leaks and water heaters across Austin, 24 hours a day.">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <link rel="canonical" href="https://acme.example/">
+  <script type="application/ld+json">{"@context":"https://schema.org","@type":"Plumber","name":"Acme Plumbing","address":"1 Main St, Austin TX"}</script>
+</head><body>
+  <h1>Emergency plumbing in Austin</h1>
+  <h2>How fast can you get here?</h2><p>Within an hour anywhere in Austin.</p>
+  <img src="/van.jpg" alt="Acme Plumbing van">
+  <a href="/services">Services</a> <a href="/contact">Contact</a>
+</body></html>`;
+
+const check = id => CHECKS.find(c => c.id === id);
+
+test("every check has a known pillar and the pillars add up to 25 points each", () => {
+  const totals = Object.fromEntries(Object.keys(PILLARS).map(p => [p, 0]));
+  for (const c of CHECKS) {
+    assert.ok(c.pillar in totals, `${c.id} has unknown pillar ${c.pillar}`);
+    totals[c.pillar] += c.points;
+  }
+  assert.deepEqual(Object.values(totals), [25, 25, 25, 25]);
+});
+
+test("identical signals give an identical score", () => {
+  const a = scoreSignals(collectSignals(PAGE, { url: "https://acme.example/" }));
+  const b = scoreSignals(collectSignals(PAGE, { url: "https://acme.example/" }));
+  assert.deepEqual(a, b);
+  assert.equal(a.score, Object.values(a.pillars).reduce((sum, n) => sum + n, 0));
+  assert.equal(a.checks.length, CHECKS.length);
+});
+
+test("checks read the page they are given", () => {
+  const { checks } = scoreSignals(collectSignals(PAGE, { url: "https://acme.example/" }));
+  const byId = Object.fromEntries(checks.map(c => [c.id, c]));
+  assert.equal(byId.https.passed, true);
+  assert.equal(byId["single-h1"].passed, true);
+  assert.equal(byId["alt-text"].passed, true);
+  assert.equal(byId["schema-present"].passed, true);
+
+  const plain = scoreSignals(collectSignals(PAGE.replace("<h1>", "<h1>x</h1><h1>"), { url: "http://acme.example/" }));
+  const plainById = Object.fromEntries(plain.checks.map(c => [c.id, c]));
+  assert.equal(plainById.https.earned, 0);
+  assert.equal(plainById["single-h1"].passed, false);
+});
+
+test("earned points are clamped to the check's maximum", () => {
+  const { checks } = scoreSignals(collectSignals(PAGE, { url: "https://acme.example/" }));
+  for (const c of checks) assert.ok(c.earned >= 0 && c.earned <= c.max, `${c.id}: ${c.earned}/${c.max}`);
+});
+
+test("the title check wants a title of answer-friendly length", () => {
+  assert.equal(check("title").run({ title: "" }).earned, 0);
+  assert.equal(check("title").run({ title: "Emergency Plumbing in Austin | Acme" }).earned, check("title").points);
+});
@@ -0,0 +1,75 @@
+/*
+  test/send-link.test.js — POST /api/send-link end to end against a local SMTP catcher, and its limits
+*/
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { smtpCatcher } from "./helpers/smtp-catcher.js";
+
+let dir, catcher, handler, report;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "send-link-"));
+  catcher = await smtpCatcher();
+  Object.assign(process.env, {
+    SMTP_HOST: "127.0.0.1", SMTP_PORT: String(catcher.port), MAIL_FROM: "reports@acme.example",
+    MAIL_RETRY_DELAY_MS: "0", MAIL_PER_RECIPIENT_PER_DAY: "2", RATE_LIMIT_EMAILS_PER_HOUR: "3",
+    LIMITS_STORE: "memory", DELIVERIES_DIR: path.join(dir, "deliveries"), REPORTS_DIR: path.join(dir, "reports"),
+    HISTORY_DIR: path.join(dir, "history"), LEADS_DIR: path.join(dir, "leads")
+  });
+  ({ default: handler } = await import("../routes/send-link.js"));
+  const { saveReport } = await import("../lib/report-store.js");
+  report = await saveReport("full", "https://acme.example/", { success: true, score: 72, pillars: null, needsAttention: [], whatsWorking: [] });
+});
+
+after(async () => {
+  await catcher.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+// Just enough of Express's req/res for the handler.
+async function post(body, ip = "203.0.113.1") {
+  const res = {
+    statusCode: 200, body: null, headers: {}, headersSent: false,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; this.headersSent = true; return this; }
+  };
+  await handler({ method: "POST", body, query: {}, headers: { host: "api.acme.example" }, socket: { remoteAddress: ip } }, res);
+  return res;
+}
+
+test("a saved report is emailed and the delivery is recorded as sent", async () => {
+  const res = await post({ email: "ada@acme.example", name: "Ada", reportId: report.id }, "203.0.113.1");
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.body.delivery.status, "queued");
+  assert.equal(res.headers["RateLimit-Limit"], "3");
+
+  const message = catcher.messages.at(-1);
+  assert.deepEqual(message.to, ["ada@acme.example"]);
+  assert.match(message.data, new RegExp(`/report/${report.id}`));
+});
+
+test("sends of an existing report count against the caller's IP", async () => {
+  const ip = "203.0.113.2";
+  for (const to of ["a@acme.example", "b@acme.example", "c@acme.example"]) {
+    assert.equal((await post({ email: to, reportId: report.id }, ip)).statusCode, 202);
+  }
+  const refused = await post({ email: "d@acme.example", reportId: report.id }, ip);
+  assert.equal(refused.statusCode, 429);
+  assert.equal(refused.body.code, "rate_limited");
+});
+
+test("one inbox gets a limited number of report emails, from any address", async () => {
+  assert.equal((await post({ email: "eve@acme.example", reportId: report.id }, "203.0.113.3")).statusCode, 202);
+  assert.equal((await post({ email: "Eve+1@acme.example", reportId: report.id }, "203.0.113.4")).statusCode, 202);
+  const sent = catcher.messages.length;
+
+  const refused = await post({ email: "eve+2@acme.example", reportId: report.id }, "203.0.113.5");
+  assert.equal(refused.statusCode, 429);
+  assert.equal(refused.body.code, "recipient_limited");
+  assert.equal(catcher.messages.length, sent);
+});
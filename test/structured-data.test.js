@@ -0,0 +1,116 @@
+/*
+  test/structured-data.test.js — JSON-LD, Microdata and RDFa read from fixture pages and validated per type
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { collectSignals } from "../lib/page-signals.js";
+
+const page = body => collectSignals(`<html><head><title>Acme</title></head><body>${body}</body></html>`, { url: "https://acme.example/" }).structuredData;
+const jsonLd = value => `<script type="application/ld+json">${typeof value === "string" ? value : JSON.stringify(value)}</script>`;
+const itemOf = (data, type) => data.items.find(item => item.type === type);
+
+test("a complete Organization has nothing missing and is the brand entity", () => {
+  const data = page(jsonLd({
+    "@context": "https://schema.org",
+    "@type": "Organization",
+    name: " Acme Plumbing ",
+    url: "https://acme.example/",
+    logo: { "@type": "ImageObject", url: "https://acme.example/logo.png" },
+    sameAs: ["https://www.linkedin.com/company/acme", "https://www.linkedin.com/company/acme", "not a url"]
+  }));
+  assert.deepEqual(data.formats, { "json-ld": 1, microdata: 0, rdfa: 0 });
+  assert.deepEqual(itemOf(data, "Organization").missing, []);
+  assert.deepEqual(data.brand, {
+    type: "Organization",
+    format: "json-ld",
+    name: "Acme Plumbing",
+    url: "https://acme.example/",
+    logo: "https://acme.example/logo.png",
+    sameAs: ["https://www.linkedin.com/company/acme"]
+  });
+});
+
+test("missing required and recommended properties are listed, nested ones by path", () => {
+  const data = page(jsonLd({
+    "@context": "https://schema.org",
+    "@graph": [
+      { "@type": "Plumber", name: "Acme Plumbing" },
+      { "@type": "Product", name: "Water heater", offers: { "@type": "Offer", price: "899" } },
+      { "@type": "FAQPage", mainEntity: [
+        { "@type": "Question", name: "Do you work weekends?", acceptedAnswer: { "@type": "Answer", text: "Yes." } },
+        { "@type": "Question", acceptedAnswer: { "@type": "Answer" } }
+      ] }
+    ]
+  }));
+  assert.deepEqual(data.types, ["Plumber", "Product", "Offer", "FAQPage", "Question", "Answer"]);
+
+  const local = itemOf(data, "Plumber");
+  assert.deepEqual(local.missing, ["address"]);
+  assert.ok(local.recommended.includes("telephone"));
+  assert.deepEqual(itemOf(data, "Product").missing, ["offers.priceCurrency"]);
+  assert.deepEqual(itemOf(data, "FAQPage").missing, ["mainEntity[1].name", "mainEntity[1].acceptedAnswer.text"]);
+});
+
+test("a Product needs one of offers, review or aggregateRating", () => {
+  const data = page(jsonLd({ "@context": "https://schema.org", "@type": "Product", name: "Water heater" }));
+  assert.deepEqual(itemOf(data, "Product").missing, ["offers|review|aggregateRating"]);
+});
+
+test("a JSON-LD block that doesn't parse is reported by position and the rest still count", () => {
+  const data = page(jsonLd('{"@type": "Organization", "name": "Acme",}') + jsonLd({ "@type": "WebSite", url: "https://acme.example/" }));
+  assert.equal(data.malformed.length, 1);
+  assert.equal(data.malformed[0].block, 1);
+  assert.match(data.malformed[0].error, /JSON/);
+  assert.deepEqual(data.types, ["WebSite"]);
+  assert.equal(data.brand, null);
+});
+
+test("Microdata items read nested items and resolve URLs against the page", () => {
+  const data = page(`
+    <div itemscope itemtype="https://schema.org/LocalBusiness">
+      <span itemprop="name">Acme Plumbing</span>
+      <a itemprop="url" href="/">Home</a>
+      <img itemprop="logo" src="/logo.png" alt="Acme">
+      <div itemprop="address" itemscope itemtype="https://schema.org/PostalAddress">
+        <span itemprop="streetAddress">1 Main St</span>
+        <span itemprop="name">Head office</span>
+      </div>
+    </div>`);
+  assert.deepEqual(data.formats, { "json-ld": 0, microdata: 1, rdfa: 0 });
+  assert.deepEqual(itemOf(data, "LocalBusiness").missing, []);
+  assert.deepEqual(data.brand, {
+    type: "LocalBusiness",
+    format: "microdata",
+    name: "Acme Plumbing",
+    url: "https://acme.example/",
+    logo: "https://acme.example/logo.png",
+    sameAs: []
+  });
+});
+
+test("RDFa Lite items are validated like the other formats", () => {
+  const data = page(`
+    <div vocab="https://schema.org/" typeof="Article">
+      <span property="author">Jo Acme</span>
+    </div>`);
+  assert.deepEqual(data.formats, { "json-ld": 0, microdata: 0, rdfa: 1 });
+  assert.deepEqual(itemOf(data, "Article").missing, ["headline"]);
+});
+
+test("a top-level organization outranks a nested publisher and a Brand", () => {
+  const data = page(jsonLd([
+    { "@type": "WebSite", url: "https://acme.example/", publisher: { "@type": "Organization", name: "Acme Holdings", url: "https://holdings.example/", logo: "https://holdings.example/logo.png" } },
+    { "@type": "Brand", name: "AcmeFlow" },
+    { "@type": "Corporation", name: "Acme Plumbing" }
+  ]));
+  assert.equal(data.brand.name, "Acme Plumbing");
+  assert.equal(data.brand.type, "Corporation");
+});
+
+test("a page without structured data has no items and no brand", () => {
+  const data = page("<h1>Acme</h1>");
+  assert.deepEqual(data.items, []);
+  assert.deepEqual(data.malformed, []);
+  assert.equal(data.brand, null);
+});
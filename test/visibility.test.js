@@ -0,0 +1,77 @@
+/*
+  test/visibility.test.js — Engine probes: unprompted mentions, brand recognition and citations
+*/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import { collectSignals } from "../lib/page-signals.js";
+import { createEngines, probeVisibility, detect, visibilityInsights, mergeInsights } from "../lib/visibility.js";
+
+const signals = collectSignals(`<html><head><title>Acme Plumbing | Emergency plumbing in Austin</title></head>
+  <body><h1>Emergency plumbing in Austin</h1></body></html>`, { url: "https://www.acme.example/" });
+const site = { brand: "Acme Plumbing", domain: "acme.example", topic: "emergency plumbing in Austin" };
+
+test("echoing the brand only to say nothing is known isn't recognition", () => {
+  const unknown = detect({ text: "I don't have detailed information about Acme Plumbing. It may operate at acme.example." }, site, "brand");
+  assert.equal(unknown.mentioned, true);
+  assert.equal(unknown.recognized, false);
+  assert.equal(detect({ text: "I’m not familiar with Acme Plumbing." }, site, "brand").recognized, false);
+  assert.equal(detect({ text: "Acme Plumbing is a 24-hour plumber in Austin." }, site, "brand").recognized, true);
+  assert.equal(detect({ text: "Try Acme Plumbing." }, site, "category").recognized, undefined);
+});
+
+test("citations count links on the domain, cited or inline", () => {
+  assert.equal(detect({ text: "See https://shop.acme.example/x.", citations: [] }, site).cited, true);
+  assert.equal(detect({ text: "", citations: ["https://notacme.example/"] }, site).cited, false);
+});
+
+test("mentionRate only counts category questions; brand questions give recognitionRate", async () => {
+  const visibility = await probeVisibility(signals, { engines: createEngines({ LLM_PROVIDER: "mock" }) });
+  assert.equal(visibility.brand, "Acme Plumbing");
+  const byEngine = Object.fromEntries(visibility.engines.map(e => [e.engine, e]));
+
+  // The mock's ChatGPT names the brand in both kinds of answer, Claude only in its "don't know" reply.
+  assert.deepEqual([byEngine.ChatGPT.mentions, byEngine.ChatGPT.categoryAnswers, byEngine.ChatGPT.mentionRate], [2, 2, 1]);
+  assert.equal(byEngine.ChatGPT.recognitionRate, 1);
+  assert.equal(byEngine.Claude.mentionRate, 0);
+  assert.deepEqual([byEngine.Claude.recognized, byEngine.Claude.brandAnswers], [0, 2]);
+  assert.equal(byEngine.Gemini.mentionRate, 0);
+  assert.equal(byEngine.Perplexity.mentionRate, 1);
+  assert.equal(byEngine.Copilot.status, "unavailable");
+  assert.equal(visibility.mentionRate, 0.5);
+  assert.equal(visibility.recognitionRate, 0.75); // only Claude doesn't know it
+
+  const claude = visibilityInsights(visibility).find(i => i.engine === "Claude");
+  assert.equal(claude.mentionRate, 0);
+  assert.match(claude.insight, /^Named Acme Plumbing unprompted in 0 of 2 answers about emergency plumbing in Austin \(0%\); recognized Acme Plumbing in 0 of 2 answers that named it; cited acme\.example in 0 of 4 answers\./);
+
+  const merged = mergeInsights([{ engine: "Claude", insight: "estimate" }, { engine: "Copilot", insight: "estimate" }], visibility);
+  assert.deepEqual(merged.filter(i => i.source === "estimate").map(i => i.engine), ["Copilot"]);
+});
+
+test("without a topic no category question is asked and mentionRate is null", async () => {
+  const bare = collectSignals("<html><head><title>Acme</title></head><body></body></html>", { url: "https://acme.example/" });
+  const visibility = await probeVisibility(bare, { engines: createEngines({ LLM_PROVIDER: "mock", PROBE_ENGINES: "chatgpt" }) });
+  assert.equal(visibility.engines[0].categoryAnswers, 0);
+  assert.equal(visibility.engines[0].mentionRate, null);
+  assert.match(visibilityInsights(visibility)[0].insight, /^Not asked about your category/);
+});
+
+test("Gemini probes ask for Google Search grounding and read its sources", async t => {
+  const post = t.mock.method(axios, "post", async () => ({
+    data: { candidates: [{
+      content: { parts: [{ text: "Acme Plumbing is a well-reviewed plumber." }] },
+      groundingMetadata: { groundingChunks: [
+        { web: { uri: "https://vertexaisearch.cloud.google.com/grounding-api-redirect/abc", title: "acme.example" } },
+        { web: { uri: "https://vertexaisearch.cloud.google.com/grounding-api-redirect/def", title: "Yelp reviews" } }
+      ] }
+    }] }
+  }));
+  const [gemini] = createEngines({ GEMINI_API_KEY: "test-key", PROBE_ENGINES: "gemini" });
+  const answer = await gemini.ask("What is Acme Plumbing?");
+
+  assert.deepEqual(post.mock.calls[0].arguments[1].tools, [{ google_search: {} }]);
+  assert.deepEqual(answer.citations, ["https://acme.example/", "https://vertexaisearch.cloud.google.com/grounding-api-redirect/def"]);
+  assert.equal(detect(answer, site, "brand").cited, true);
+});